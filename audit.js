@@ -0,0 +1,248 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { pool } from './db.js';
+
+/**
+ * Append-only audit log of what the integration did in Salesforce
+ *
+ * One row per Salesforce API call, token refresh, connection and
+ * disconnection, recording who caused it. The actor is the dashboard user or
+ * API key of the HTTP request being served (see auditContext), or `system`
+ * for background work such as syncs and webhook deliveries (named `job #<id>`
+ * when a queued job did it). A trigger rejects UPDATE, DELETE and TRUNCATE,
+ * so rows cannot be changed once written.
+ *
+ * Tokens, secrets and authorization codes never reach the table: detail
+ * values under sensitive keys, and anything shaped like an access token, are
+ * replaced with [REDACTED].
+ */
+
+export const AUDIT_EVENTS = ['api_call', 'token_refresh', 'connect', 'disconnect'];
+
+const SYSTEM_ACTOR = { type: 'system', name: null, ip: null };
+const SENSITIVE_KEY = /token|secret|password|assertion|verifier|authorization|cookie|^code$/i;
+// Salesforce access tokens: an org ID, `!`, then the token body
+const ACCESS_TOKEN = /\b00D[a-zA-Z0-9]{12,15}![\w.]+/g;
+
+const actorStorage = new AsyncLocalStorage();
+
+/**
+ * Middleware: make the authenticated caller the actor of audit events
+ * recorded while the request is handled. Mount after the body parsers, which
+ * do not carry async context into their callbacks.
+ */
+export function auditContext(req, res, next) {
+  const auth = res.locals.auth;
+  let actor;
+  
+  if (auth?.type === 'session') {
+    actor = { type: 'session', name: auth.username };
+  } else if (auth?.type === 'apiKey') {
+    actor = { type: 'apiKey', name: `${auth.name} (#${auth.keyId})` };
+  } else {
+    actor = { type: 'anonymous', name: null };
+  }
+  
+  actorStorage.run({ ...actor, ip: req.ip || null }, next);
+}
+
+/**
+ * Run a function with a given actor for the audit events it records
+ * For work that does not come from an HTTP request, such as queued jobs.
+ * @param {Object} actor - { type, name }
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+export function withActor(actor, fn) {
+  return actorStorage.run({ ip: null, ...actor }, fn);
+}
+
+/**
+ * Actor of the code currently running
+ * @returns {Object} { type, name, ip } - type is session, apiKey, anonymous or system
+ */
+export function getActor() {
+  return actorStorage.getStore() || SYSTEM_ACTOR;
+}
+
+/**
+ * Copy a value with tokens and secrets replaced by [REDACTED]
+ * @param {*} value - Value to store
+ * @returns {*} Redacted copy
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    return value.replace(ACCESS_TOKEN, '[REDACTED]');
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? '[REDACTED]' : redact(item)]
+    ));
+  }
+  return value;
+}
+
+/**
+ * Append an audit event
+ * Never rejects: a failed write is logged, so auditing cannot break the
+ * operation being audited.
+ * @param {Object} entry - Event details
+ * @param {string} entry.event - One of AUDIT_EVENTS
+ * @param {string} entry.orgId - Salesforce organization ID (optional)
+ * @param {string} entry.method - HTTP method of the Salesforce call (optional)
+ * @param {string} entry.endpoint - Path of the Salesforce call, without query string (optional)
+ * @param {number} entry.status - HTTP status Salesforce answered with (optional)
+ * @param {number} entry.durationMs - Time taken (optional)
+ * @param {Array<string>} entry.recordIds - Records the call touched (optional)
+ * @param {Object} entry.details - Anything else worth keeping; redacted before storing (optional)
+ */
+export async function recordAuditEvent({
+  event,
+  orgId = null,
+  method = null,
+  endpoint = null,
+  status = null,
+  durationMs = null,
+  recordIds = [],
+  details = null
+}) {
+  const actor = getActor();
+  
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (event, actor_type, actor, ip, org_id, method, endpoint, status, duration_ms, record_ids, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        event,
+        actor.type,
+        actor.name,
+        actor.ip,
+        orgId,
+        method,
+        endpoint === null ? null : redact(endpoint),
+        status,
+        durationMs,
+        [...new Set(recordIds)],
+        details === null ? null : JSON.stringify(redact(details))
+      ]
+    );
+  } catch (error) {
+    console.error(`Failed to record audit event ${event}:`, error.message);
+  }
+}
+
+/**
+ * Map an audit_log row to an event object
+ */
+function rowToEvent(row) {
+  return {
+    id: String(row.id),
+    event: row.event,
+    actorType: row.actor_type,
+    actor: row.actor,
+    ip: row.ip,
+    orgId: row.org_id,
+    method: row.method,
+    endpoint: row.endpoint,
+    status: row.status,
+    durationMs: row.duration_ms,
+    recordIds: row.record_ids,
+    details: row.details,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * List audit events, newest first
+ * Pages are keyed by event ID: pass the previous page's nextCursor as `cursor`.
+ * @param {Object} filters - Filters (all optional)
+ * @param {string} filters.orgId - Salesforce organization ID
+ * @param {string} filters.event - One of AUDIT_EVENTS
+ * @param {string} filters.actor - Actor name (username, or API key as `name (#id)`)
+ * @param {string} filters.recordId - Record the event touched
+ * @param {boolean} filters.failed - Only failed (true) or successful (false) events
+ * @param {Date} filters.since - Earliest event time
+ * @param {Date} filters.until - Latest event time
+ * @param {string} filters.cursor - Return events older than this event ID
+ * @param {number} filters.limit - Page size (default 100)
+ * @returns {Promise<Object>} { events, nextCursor } - nextCursor is null on the last page
+ */
+export async function listAuditEvents({
+  orgId = null,
+  event = null,
+  actor = null,
+  recordId = null,
+  failed = null,
+  since = null,
+  until = null,
+  cursor = null,
+  limit = 100
+} = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  
+  if (orgId) {
+    add('org_id = ?', orgId);
+  }
+  if (event) {
+    add('event = ?', event);
+  }
+  if (actor) {
+    add('actor = ?', actor);
+  }
+  if (recordId) {
+    add('? = ANY(record_ids)', recordId);
+  }
+  if (since) {
+    add('created_at >= ?', since);
+  }
+  if (until) {
+    add('created_at <= ?', until);
+  }
+  if (cursor) {
+    add('id < ?', cursor);
+  }
+  if (failed === true) {
+    conditions.push('(status IS NULL OR status >= 400)');
+  }
+  if (failed === false) {
+    conditions.push('status < 400');
+  }
+  
+  params.push(limit + 1);
+  const result = await pool.query(
+    `SELECT * FROM audit_log
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  
+  const rows = result.rows.slice(0, limit);
+  return {
+    events: rows.map(rowToEvent),
+    nextCursor: result.rows.length > limit ? String(rows[rows.length - 1].id) : null
+  };
+}
+
+/**
+ * Iterate over every audit event matching the filters, newest first
+ * Reads one page at a time, so large exports are never held in memory.
+ * @param {Object} filters - Filters as for listAuditEvents (cursor and limit ignored)
+ * @yields {Object} Audit events
+ */
+export async function* iterateAuditEvents(filters = {}) {
+  let cursor = null;
+  
+  do {
+    const page = await listAuditEvents({ ...filters, cursor, limit: 1000 });
+    yield* page.events;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
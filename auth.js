@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { AuthenticationError, ForbiddenError } from './utils/errors.js';
+
+/**
+ * Authentication for the integration's own endpoints
+ *
+ * Two kinds of callers are accepted:
+ *   - Dashboard sessions: a login with DASHBOARD_USERNAME / DASHBOARD_PASSWORD
+ *     sets an HttpOnly session cookie. Sessions may use every scope, and their
+ *     POST, PUT, PATCH and DELETE requests must carry the session's CSRF token
+ *     in an X-CSRF-Token header or a `_csrf` form field.
+ *   - API keys: `Authorization: Bearer ak_...` (or `X-API-Key`). Only a SHA-256
+ *     hash of each key is stored; a key may use the scopes it was created with.
+ *
+ * `authenticate` identifies the caller and puts it in res.locals.auth;
+ * `requireScope` on each route decides whether it may proceed.
+ */
+
+export const API_KEY_SCOPES = [
+  'connections:read',
+  'connections:write',
+  'leads:read',
+  'leads:write',
+  'query:read',
+  'schema:read',
+  'schema:write',
+  'mappings:read',
+  'mappings:write',
+  'matching:read',
+  'matching:write',
+  'bulk:read',
+  'bulk:write',
+  'sync:read',
+  'sync:write',
+  'jobs:read',
+  'jobs:write',
+  'webhooks:read',
+  'webhooks:write',
+  'keys:read',
+  'keys:write',
+  'audit:read'
+];
+
+export const SESSION_COOKIE = 'actabl_session';
+
+const SESSION_LIFETIME = (Number(process.env.DASHBOARD_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'ak_';
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * SHA-256 hex digest of a token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  // Hashing first gives both sides the same length
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+  );
+}
+
+/**
+ * Parse the Cookie header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        // Ignore cookies that are not ours and not URI-encoded
+      }
+    }
+  }
+  
+  return cookies;
+}
+
+/**
+ * Check whether dashboard login is enabled
+ * @returns {boolean} True if DASHBOARD_PASSWORD is set
+ */
+export function isDashboardLoginConfigured() {
+  return Boolean(process.env.DASHBOARD_PASSWORD);
+}
+
+/**
+ * Check dashboard login credentials
+ * @param {string} username - Submitted username
+ * @param {string} password - Submitted password
+ * @returns {boolean} True if they match DASHBOARD_USERNAME and DASHBOARD_PASSWORD
+ */
+export function checkDashboardCredentials(username, password) {
+  if (!isDashboardLoginConfigured()) {
+    return false;
+  }
+  
+  const expectedUsername = process.env.DASHBOARD_USERNAME || 'admin';
+  // Compare both so the response time does not reveal which one was wrong
+  const usernameMatches = safeEqual(username ?? '', expectedUsername);
+  const passwordMatches = safeEqual(password ?? '', process.env.DASHBOARD_PASSWORD);
+  
+  return usernameMatches && passwordMatches;
+}
+
+/**
+ * Start a dashboard session
+ * @param {string} username - Logged-in user
+ * @returns {Object} { token, expiresAt } - token is the cookie value
+ */
+export async function createSession(username) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_LIFETIME);
+  
+  await pool.query('DELETE FROM dashboard_sessions WHERE expires_at < NOW()');
+  await pool.query(
+    'INSERT INTO dashboard_sessions (id, username, csrf_token, expires_at) VALUES ($1, $2, $3, $4)',
+    [hashToken(token), username, csrfToken, expiresAt]
+  );
+  
+  return { token, expiresAt };
+}
+
+/**
+ * End a dashboard session
+ * @param {string} token - Session cookie value
+ */
+export async function deleteSession(token) {
+  await pool.query('DELETE FROM dashboard_sessions WHERE id = $1', [hashToken(token)]);
+}
+
+/**
+ * Get the session cookie value of a request
+ * @returns {string|null} Cookie value
+ */
+export function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Map an api_keys row to a key object (without the hash)
+ */
+function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Check an API key definition
+ * @param {Object} definition - { name, scopes }
+ * @param {Array<string>} grantableScopes - Scopes the caller may hand out
+ * @returns {Array<string>} Problems, empty if valid
+ */
+export function validateApiKey({ name, scopes }, grantableScopes = API_KEY_SCOPES) {
+  const problems = [];
+  
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    problems.push('name must be a non-empty string of at most 100 characters');
+  }
+  
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    problems.push('scopes must be a non-empty array');
+  } else {
+    for (const scope of scopes) {
+      if (!API_KEY_SCOPES.includes(scope)) {
+        problems.push(`Unknown scope: ${scope}`);
+      } else if (!grantableScopes.includes(scope)) {
+        problems.push(`Cannot grant a scope you do not have: ${scope}`);
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Create an API key
+ * @param {Object} definition - { name, scopes, createdBy }
+ * @returns {Object} Key, including the plaintext `key`; it is not shown again
+ */
+export async function createApiKey({ name, scopes, createdBy = null }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const prefix = key.slice(0, API_KEY_PREFIX.length + 8);
+  
+  const result = await pool.query(
+    `INSERT INTO api_keys (name, prefix, key_hash, scopes, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name.trim(), prefix, hashToken(key), [...new Set(scopes)], createdBy]
+  );
+  
+  return { ...rowToApiKey(result.rows[0]), key };
+}
+
+/**
+ * List API keys, newest first
+ * @returns {Promise<Array>} Keys, including revoked ones
+ */
+export async function listApiKeys() {
+  const result = await pool.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+  return result.rows.map(rowToApiKey);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - Key ID
+ * @returns {Promise<Object|null>} Revoked key, or null if there is no active key with this ID
+ */
+export async function revokeApiKey(id) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+    [id]
+  );
+  return result.rows[0] ? rowToApiKey(result.rows[0]) : null;
+}
+
+/**
+ * Look up the caller of a request
+ * @returns {Promise<Object|null>} Auth context, or null for anonymous requests
+ */
+async function identify(req) {
+  const authorization = req.get('authorization');
+  const key = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('x-api-key');
+  
+  if (key) {
+    const result = await pool.query(
+      'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+      [hashToken(key)]
+    );
+    if (result.rows.length === 0) {
+      throw new AuthenticationError('Invalid or revoked API key', { code: 'INVALID_API_KEY' });
+    }
+    
+    const row = result.rows[0];
+    // Record use at most once a minute to keep busy keys from writing on every request
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [row.id]
+    );
+    
+    return { type: 'apiKey', keyId: row.id, name: row.name, scopes: row.scopes };
+  }
+  
+  const token = getSessionToken(req);
+  if (token) {
+    const result = await pool.query(
+      'SELECT * FROM dashboard_sessions WHERE id = $1 AND expires_at > NOW()',
+      [hashToken(token)]
+    );
+    if (result.rows.length > 0) {
+      const row = result.rows[0];
+      return { type: 'session', username: row.username, csrfToken: row.csrf_token, scopes: API_KEY_SCOPES };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Middleware: identify the caller as res.locals.auth (null when anonymous)
+ * A presented API key that is unknown or revoked fails with 401.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    res.locals.auth = await identify(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware: check the CSRF token of state-changing session requests
+ * API key requests carry no ambient credentials and are not checked.
+ * The `_csrf` form field is removed from the body once verified.
+ */
+export function verifyCsrf(req, res, next) {
+  const auth = res.locals.auth;
+  
+  if (auth?.type !== 'session' || !UNSAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+  
+  const hasBodyToken = req.body && typeof req.body === 'object' && typeof req.body._csrf === 'string';
+  const token = req.get('x-csrf-token') || (hasBodyToken ? req.body._csrf : null);
+  
+  if (!token || !safeEqual(token, auth.csrfToken)) {
+    return next(new ForbiddenError('Missing or invalid CSRF token', { code: 'INVALID_CSRF_TOKEN' }));
+  }
+  
+  if (hasBodyToken) {
+    delete req.body._csrf;
+  }
+  next();
+}
+
+/**
+ * Middleware factory: allow only callers holding a scope
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Function} Middleware failing with 401 (anonymous) or 403 (missing scope)
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const auth = res.locals.auth;
+    
+    if (!auth) {
+      return next(new AuthenticationError('Authentication required', { code: 'UNAUTHENTICATED' }));
+    }
+    if (!auth.scopes.includes(scope)) {
+      return next(new ForbiddenError(`Missing scope: ${scope}`, { code: 'INSUFFICIENT_SCOPE', details: { required: scope } }));
+    }
+    
+    next();
+  };
+}
@@ -0,0 +1,159 @@
+import { pool, listConnections } from './db.js';
+import { getFreshTokens, refreshAccessToken } from './utils/salesforce.js';
+import { createSubscriber } from './utils/streaming.js';
+
+/**
+ * Change Data Capture subscribers for Actabl_Lead__c
+ *
+ * One CometD subscription per connected org listens on the object's change
+ * event channel. Every event runs through the registered handlers in order,
+ * then its replay ID is saved so a restart resumes where the last one stopped
+ * instead of missing or re-reading events.
+ */
+
+export const CHANGE_EVENT_CHANNEL = '/data/Actabl_Lead__ChangeEvent';
+
+const NEW_EVENTS_ONLY = -1;
+
+const handlers = [];
+const subscribers = new Map();
+
+/**
+ * Add a handler to the change event pipeline
+ * Handlers run in registration order and receive
+ * ({ orgId, channel, replayId, header, fields, event }), where header is the
+ * ChangeEventHeader (changeType, recordIds, changedFields, ...) and fields the
+ * changed field values. A failing handler is logged and does not stop the
+ * handlers after it. If a `required` handler fails, the replay ID is not saved
+ * and the subscriber reconnects, so the event is delivered again; every
+ * handler then sees it again too.
+ * @param {Function} handler - async (change) => void
+ * @param {Object} options - { required } - whether the event must not be skipped when this handler fails
+ * @returns {Function} Removes the handler
+ */
+export function registerChangeEventHandler(handler, { required = false } = {}) {
+  const entry = { handler, required };
+  handlers.push(entry);
+  
+  return () => {
+    const index = handlers.indexOf(entry);
+    if (index !== -1) {
+      handlers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Get the last processed replay ID for an org and channel
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} channel - Streaming channel
+ * @returns {number|null} Replay ID or null if nothing was processed yet
+ */
+export async function getReplayId(orgId, channel = CHANGE_EVENT_CHANNEL) {
+  const result = await pool.query(
+    'SELECT replay_id FROM streaming_replay WHERE org_id = $1 AND channel = $2',
+    [orgId, channel]
+  );
+  return result.rows.length ? Number(result.rows[0].replay_id) : null;
+}
+
+/**
+ * Save the last processed replay ID for an org and channel
+ */
+async function saveReplayId(orgId, channel, replayId) {
+  await pool.query(
+    `INSERT INTO streaming_replay (org_id, channel, replay_id, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (org_id, channel) DO UPDATE SET replay_id = EXCLUDED.replay_id, updated_at = NOW()`,
+    [orgId, channel, replayId]
+  );
+}
+
+/**
+ * Run one event through the handler pipeline and record its replay ID
+ */
+async function dispatch(orgId, channel, message) {
+  const { event, payload } = message.data;
+  const { ChangeEventHeader: header, ...fields } = payload;
+  const change = { orgId, channel, replayId: event.replayId, header, fields, event };
+  
+  console.log(`Change event ${event.replayId} for org ${orgId}: ${header?.changeType} ${header?.recordIds?.join(', ')}`);
+  
+  let requiredFailure = null;
+  for (const { handler, required } of [...handlers]) {
+    try {
+      await handler(change);
+    } catch (error) {
+      console.error(`Change event handler failed for replay ID ${event.replayId}:`, error.message);
+      requiredFailure ??= required ? error : null;
+    }
+  }
+  
+  // Leave the replay ID where it was, so the event is replayed after the reconnect
+  if (requiredFailure) {
+    throw new Error(`Change event ${event.replayId} was not handled: ${requiredFailure.message}`);
+  }
+  
+  await saveReplayId(orgId, channel, event.replayId);
+}
+
+/**
+ * Start the change event subscriber for one org (no-op if already running)
+ * Resumes after the stored replay ID; a first subscription only gets new events.
+ * @param {string} orgId - Salesforce organization ID
+ */
+export function startChangeEventSubscriber(orgId) {
+  if (subscribers.has(orgId)) {
+    return;
+  }
+  
+  const channel = CHANGE_EVENT_CHANNEL;
+  const subscriber = createSubscriber({
+    channel,
+    getSession: async () => {
+      const tokens = await getFreshTokens(orgId);
+      if (!tokens) {
+        throw new Error(`No tokens found for org ${orgId}`);
+      }
+      return { accessToken: tokens.accessToken, instanceUrl: tokens.instanceUrl };
+    },
+    refreshSession: () => refreshAccessToken(orgId),
+    getReplayId: async () => (await getReplayId(orgId, channel)) ?? NEW_EVENTS_ONLY,
+    onEvent: message => dispatch(orgId, channel, message),
+    log: message => console.log(`[${orgId}] ${message}`)
+  });
+  
+  subscribers.set(orgId, subscriber);
+  subscriber.start();
+}
+
+/**
+ * Stop the change event subscriber for one org
+ * @param {string} orgId - Salesforce organization ID
+ */
+export async function stopChangeEventSubscriber(orgId) {
+  const subscriber = subscribers.get(orgId);
+  
+  if (subscriber) {
+    subscribers.delete(orgId);
+    await subscriber.stop();
+  }
+}
+
+/**
+ * Start a subscriber for every connected org
+ */
+export async function startChangeEventSubscribers() {
+  for (const connection of await listConnections()) {
+    startChangeEventSubscriber(connection.orgId);
+  }
+}
+
+/**
+ * Check whether an org has a running subscriber
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {boolean} True if subscribed
+ */
+export function isSubscribed(orgId) {
+  return subscribers.has(orgId);
+}
@@ -1,106 +1,508 @@
 import pg from 'pg';
+import { generateDataKey, unwrapDataKey, encryptValue, decryptValue, getActiveKeyId } from './utils/encryption.js';
 const { Pool } = pg;
 
-// Create connection pool
-const pool = new Pool({
+const POOL_CONFIG = {
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+};
+const CONNECTION_TIMEOUT = 10 * 1000; // fail a query rather than wait forever for a free client
+
+// Create connection pool
+const pool = new Pool({ ...POOL_CONFIG, connectionTimeoutMillis: CONNECTION_TIMEOUT });
+
+// Clients that hold session-level advisory locks while the work they guard runs
+// on `pool`. Lock holders never wait for a client they themselves hold, so a
+// burst of locked work queues here instead of exhausting `pool`.
+const lockPool = new Pool({ ...POOL_CONFIG, max: 5 });
 
 /**
- * Initialize the database schema
+ * Re-encrypt token rows that are not protected by the active encryption key
+ * Covers rows written before encryption was enabled (no key_id) and rows
+ * wrapped with a key that has since been rotated out. Safe to run repeatedly.
+ * @returns {number} Number of rows re-encrypted
  */
-export async function initializeDatabase() {
-  const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS salesforce_tokens (
-      id SERIAL PRIMARY KEY,
-      access_token TEXT NOT NULL,
-      refresh_token TEXT NOT NULL,
-      instance_url TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-  `;
+export async function rotateTokenEncryption() {
+  const activeKeyId = getActiveKeyId();
+  const client = await pool.connect();
+  let rotated = 0;
   
   try {
-    await pool.query(createTableQuery);
-    console.log('Database initialized successfully');
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      'SELECT * FROM salesforce_tokens WHERE key_id IS DISTINCT FROM $1 FOR UPDATE',
+      [activeKeyId]
+    );
+    
+    for (const row of result.rows) {
+      const { accessToken, refreshToken } = decryptTokenColumns(row);
+      const sealed = encryptTokenColumns(accessToken, refreshToken);
+      
+      await client.query(
+        `UPDATE salesforce_tokens
+         SET access_token = $1, refresh_token = $2, key_id = $3, data_key = $4
+         WHERE id = $5`,
+        [sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.dataKey, row.id]
+      );
+      rotated++;
+    }
+    
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('Error initializing database:', error.message);
+    await client.query('ROLLBACK');
     throw error;
+  } finally {
+    client.release();
   }
+  
+  if (rotated > 0) {
+    console.log(`Re-encrypted ${rotated} token record(s) with key ${activeKeyId}`);
+  }
+  
+  return rotated;
+}
+
+/**
+ * Encrypt an access/refresh token pair under a fresh data key
+ * @returns {Object} Column values { accessToken, refreshToken, keyId, dataKey }
+ */
+function encryptTokenColumns(accessToken, refreshToken) {
+  const { keyId, dataKey, wrappedKey } = generateDataKey();
+  
+  return {
+    accessToken: encryptValue(dataKey, accessToken, 'access_token'),
+    refreshToken: refreshToken ? encryptValue(dataKey, refreshToken, 'refresh_token') : null,
+    keyId,
+    dataKey: wrappedKey
+  };
+}
+
+/**
+ * Decrypt the token columns of a salesforce_tokens row
+ * Rows without a key_id predate encryption and are returned as stored.
+ */
+function decryptTokenColumns(row) {
+  if (!row.key_id) {
+    return { accessToken: row.access_token, refreshToken: row.refresh_token };
+  }
+  
+  const dataKey = unwrapDataKey(row.key_id, row.data_key);
+  return {
+    accessToken: decryptValue(dataKey, row.access_token, 'access_token'),
+    refreshToken: row.refresh_token ? decryptValue(dataKey, row.refresh_token, 'refresh_token') : null
+  };
+}
+
+/**
+ * Map a salesforce_tokens row to a connection object (without tokens)
+ */
+function rowToConnection(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    userId: row.user_id,
+    label: row.label,
+    instanceUrl: row.instance_url,
+    loginUrl: row.login_url,
+    grantType: row.grant_type,
+    username: row.username,
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
 }
 
 /**
- * Store OAuth tokens in database
- * @param {string} accessToken - Salesforce access token
- * @param {string} refreshToken - Salesforce refresh token
- * @param {string} instanceUrl - Salesforce instance URL
+ * Store OAuth tokens for a Salesforce org
+ * Reconnecting an org that is already registered replaces its tokens and
+ * keeps its label unless a new one is given.
+ * @param {Object} connection - Connection details
+ * @param {string} connection.orgId - Salesforce organization ID
+ * @param {string} connection.userId - ID of the user who authorized the connection
+ * @param {string} connection.label - Display label (optional)
+ * @param {string} connection.accessToken - Salesforce access token
+ * @param {string} connection.refreshToken - Salesforce refresh token (none for server-to-server grants)
+ * @param {string} connection.instanceUrl - Salesforce instance URL
+ * @param {string} connection.loginUrl - Login URL used to authorize, reused for refreshes
+ * @param {Date} connection.issuedAt - When the access token was issued (optional)
+ * @param {Date} connection.expiresAt - When the access token expires (optional)
+ * @param {string} connection.grantType - authorization_code (default), jwt_bearer or client_credentials
+ * @param {string} connection.username - Username tokens are minted for (jwt_bearer only)
+ * @returns {number} Token record ID
  */
-export async function storeTokens(accessToken, refreshToken, instanceUrl) {
-  // First, delete any existing tokens (single org for now)
-  await pool.query('DELETE FROM salesforce_tokens');
+export async function storeTokens({
+  orgId, userId, label, accessToken, refreshToken = null, instanceUrl, loginUrl,
+  issuedAt = null, expiresAt = null, grantType = 'authorization_code', username = null
+}) {
+  const sealed = encryptTokenColumns(accessToken, refreshToken);
   
-  const insertQuery = `
-    INSERT INTO salesforce_tokens (access_token, refresh_token, instance_url)
-    VALUES ($1, $2, $3)
+  const upsertQuery = `
+    INSERT INTO salesforce_tokens (org_id, user_id, label, access_token, refresh_token, instance_url, login_url, key_id, data_key, issued_at, expires_at, grant_type, username)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (org_id) DO UPDATE SET
+      user_id = EXCLUDED.user_id,
+      label = COALESCE(EXCLUDED.label, salesforce_tokens.label),
+      access_token = EXCLUDED.access_token,
+      refresh_token = EXCLUDED.refresh_token,
+      instance_url = EXCLUDED.instance_url,
+      login_url = EXCLUDED.login_url,
+      key_id = EXCLUDED.key_id,
+      data_key = EXCLUDED.data_key,
+      issued_at = EXCLUDED.issued_at,
+      expires_at = EXCLUDED.expires_at,
+      grant_type = EXCLUDED.grant_type,
+      username = EXCLUDED.username,
+      updated_at = CURRENT_TIMESTAMP
     RETURNING id;
   `;
   
-  const result = await pool.query(insertQuery, [accessToken, refreshToken, instanceUrl]);
+  const result = await pool.query(upsertQuery, [
+    orgId, userId, label || null, sealed.accessToken, sealed.refreshToken, instanceUrl,
+    loginUrl || null, sealed.keyId, sealed.dataKey, issuedAt, expiresAt, grantType, username
+  ]);
   return result.rows[0].id;
 }
 
 /**
- * Retrieve stored tokens from database
+ * Retrieve stored tokens for a Salesforce org
+ * Tokens are decrypted before they are returned.
+ * @param {string} orgId - Salesforce organization ID
  * @returns {Object|null} Token object or null if not found
  */
-export async function getTokens() {
-  const query = 'SELECT * FROM salesforce_tokens ORDER BY id DESC LIMIT 1';
-  const result = await pool.query(query);
+export async function getTokens(orgId) {
+  const query = 'SELECT * FROM salesforce_tokens WHERE org_id = $1';
+  const result = await pool.query(query, [orgId]);
   
   if (result.rows.length === 0) {
     return null;
   }
   
+  const row = result.rows[0];
   return {
-    accessToken: result.rows[0].access_token,
-    refreshToken: result.rows[0].refresh_token,
-    instanceUrl: result.rows[0].instance_url,
-    id: result.rows[0].id
+    ...rowToConnection(row),
+    ...decryptTokenColumns(row)
   };
 }
 
+/**
+ * List all registered Salesforce connections (without tokens)
+ * @returns {Array<Object>} Connections ordered by label
+ */
+export async function listConnections() {
+  const query = `
+    SELECT * FROM salesforce_tokens
+    WHERE org_id IS NOT NULL
+    ORDER BY COALESCE(label, org_id);
+  `;
+  const result = await pool.query(query);
+  
+  return result.rows.map(rowToConnection);
+}
+
 /**
  * Update access token after refresh
+ * The new token is encrypted with the row's existing data key.
  * @param {number} id - Token record ID
  * @param {string} newAccessToken - New access token
+ * @param {Object} lifetime - { issuedAt, expiresAt } of the new token (optional)
  */
-export async function updateAccessToken(id, newAccessToken) {
+export async function updateAccessToken(id, newAccessToken, { issuedAt = null, expiresAt = null } = {}) {
+  const result = await pool.query('SELECT * FROM salesforce_tokens WHERE id = $1', [id]);
+  
+  if (result.rows.length === 0) {
+    return;
+  }
+  
+  const row = result.rows[0];
+  let sealed;
+  
+  if (row.key_id) {
+    sealed = {
+      accessToken: encryptValue(unwrapDataKey(row.key_id, row.data_key), newAccessToken, 'access_token'),
+      refreshToken: row.refresh_token,
+      keyId: row.key_id,
+      dataKey: row.data_key
+    };
+  } else {
+    sealed = encryptTokenColumns(newAccessToken, row.refresh_token);
+  }
+  
+  const updateQuery = `
+    UPDATE salesforce_tokens
+    SET access_token = $1, refresh_token = $2, key_id = $3, data_key = $4,
+        issued_at = $5, expires_at = $6, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7;
+  `;
+  
+  await pool.query(updateQuery, [sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.dataKey, issuedAt, expiresAt, id]);
+}
+
+/**
+ * Update the display label of a connection
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} label - New label
+ * @returns {boolean} True if the connection exists
+ */
+export async function updateConnectionLabel(orgId, label) {
   const updateQuery = `
     UPDATE salesforce_tokens
-    SET access_token = $1, updated_at = CURRENT_TIMESTAMP
-    WHERE id = $2;
+    SET label = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE org_id = $2;
+  `;
+  
+  const result = await pool.query(updateQuery, [label, orgId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete the stored tokens of a Salesforce org
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {boolean} True if a connection was removed
+ */
+export async function deleteTokens(orgId) {
+  const result = await pool.query('DELETE FROM salesforce_tokens WHERE org_id = $1', [orgId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Map a bulk_jobs row to a job object
+ */
+function rowToBulkJob(row) {
+  return {
+    orgId: row.org_id,
+    jobId: row.job_id,
+    jobType: row.job_type,
+    object: row.object,
+    operation: row.operation,
+    state: row.state,
+    recordsProcessed: row.records_processed,
+    recordsFailed: row.records_failed,
+    errorMessage: row.error_message,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Record a Bulk API job, or refresh its status if it is already recorded
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} jobType - `ingest` or `query`
+ * @param {Object} job - Job info as returned by Salesforce
+ */
+export async function saveBulkJob(orgId, jobType, job) {
+  const upsertQuery = `
+    INSERT INTO bulk_jobs (org_id, job_id, job_type, object, operation, state, records_processed, records_failed, error_message)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (job_id) DO UPDATE SET
+      state = EXCLUDED.state,
+      records_processed = EXCLUDED.records_processed,
+      records_failed = EXCLUDED.records_failed,
+      error_message = EXCLUDED.error_message,
+      updated_at = CURRENT_TIMESTAMP;
   `;
   
-  await pool.query(updateQuery, [newAccessToken, id]);
+  await pool.query(upsertQuery, [
+    orgId,
+    job.id,
+    jobType,
+    job.object || null,
+    job.operation,
+    job.state,
+    job.numberRecordsProcessed || 0,
+    job.numberRecordsFailed || 0,
+    job.errorMessage || null
+  ]);
+}
+
+/**
+ * Get a recorded Bulk API job
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} jobId - Salesforce job ID
+ * @returns {Object|null} Job or null if not found
+ */
+export async function getBulkJob(orgId, jobId) {
+  const result = await pool.query('SELECT * FROM bulk_jobs WHERE org_id = $1 AND job_id = $2', [orgId, jobId]);
+  return result.rows.length ? rowToBulkJob(result.rows[0]) : null;
+}
+
+/**
+ * List recorded Bulk API jobs, newest first
+ * @param {Object} options - { orgId: limit to one org (optional), limit }
+ * @returns {Array<Object>} Jobs
+ */
+export async function listBulkJobs({ orgId = null, limit = 50 } = {}) {
+  const query = `
+    SELECT * FROM bulk_jobs
+    WHERE $1::text IS NULL OR org_id = $1
+    ORDER BY created_at DESC
+    LIMIT $2;
+  `;
+  const result = await pool.query(query, [orgId, limit]);
+  return result.rows.map(rowToBulkJob);
+}
+
+// api_usage rows are deleted in batches of this size, once an hour
+const API_USAGE_PRUNE_BATCH = 10000;
+const API_USAGE_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Record one Salesforce API request
+ * @param {Object} call - Call details
+ * @param {string} call.orgId - Salesforce organization ID
+ * @param {string} call.method - HTTP method
+ * @param {string} call.endpoint - Path without query string
+ * @param {number} call.status - HTTP status
+ * @param {number} call.durationMs - Round-trip time
+ * @param {Object} call.usage - { used, max } from Sforce-Limit-Info (optional)
+ */
+export async function recordApiUsage({ orgId, method, endpoint, status, durationMs, usage = null }) {
+  await pool.query(
+    `INSERT INTO api_usage (org_id, method, endpoint, status, duration_ms, api_used, api_max)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [orgId, method, endpoint, status, durationMs, usage?.used ?? null, usage?.max ?? null]
+  );
+}
+
+/**
+ * Delete recorded API requests older than the retention window
+ * Deletes in batches so a large backlog never holds one long-running lock.
+ * @param {number} retentionDays - Days of API usage to keep
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function pruneApiUsage(retentionDays) {
+  let deleted = 0;
+  
+  for (;;) {
+    const result = await pool.query(
+      `DELETE FROM api_usage
+       WHERE id IN (
+         SELECT id FROM api_usage
+         WHERE created_at < NOW() - ($1 * INTERVAL '1 day')
+         LIMIT $2
+       )`,
+      [retentionDays, API_USAGE_PRUNE_BATCH]
+    );
+    deleted += result.rowCount;
+    if (result.rowCount < API_USAGE_PRUNE_BATCH) {
+      return deleted;
+    }
+  }
+}
+
+/**
+ * Periodically delete API usage rows past the retention window
+ * @param {number} retentionDays - Days of API usage to keep
+ * @param {number} interval - Interval in milliseconds
+ * @returns {Function} Stops the pruning
+ */
+export function startApiUsagePruning(retentionDays, interval = API_USAGE_PRUNE_INTERVAL) {
+  const prune = () => pruneApiUsage(retentionDays).catch(error => {
+    console.error('Error pruning API usage:', error.message);
+  });
+  
+  prune();
+  const timer = setInterval(prune, interval);
+  
+  // Don't keep the process alive just for pruning
+  timer.unref();
+  
+  return () => clearInterval(timer);
+}
+
+/**
+ * Summarize recorded API requests for an org
+ * @param {string} orgId - Salesforce organization ID
+ * @param {number} hours - Window to summarize (default 24)
+ * @returns {Object} { calls, failures, averageDurationMs, endpoints: [{ method, endpoint, calls }] }
+ */
+export async function summarizeApiUsage(orgId, hours = 24) {
+  const totals = await pool.query(
+    `SELECT COUNT(*)::int AS calls,
+            COUNT(*) FILTER (WHERE status >= 400)::int AS failures,
+            COALESCE(ROUND(AVG(duration_ms)), 0)::int AS average_duration_ms
+     FROM api_usage
+     WHERE org_id = $1 AND created_at > NOW() - ($2 * INTERVAL '1 hour')`,
+    [orgId, hours]
+  );
+  
+  const endpoints = await pool.query(
+    `SELECT method, endpoint, COUNT(*)::int AS calls
+     FROM api_usage
+     WHERE org_id = $1 AND created_at > NOW() - ($2 * INTERVAL '1 hour')
+     GROUP BY method, endpoint
+     ORDER BY calls DESC
+     LIMIT 10`,
+    [orgId, hours]
+  );
+  
+  const row = totals.rows[0];
+  return {
+    calls: row.calls,
+    failures: row.failures,
+    averageDurationMs: row.average_duration_ms,
+    endpoints: endpoints.rows
+  };
+}
+
+/**
+ * Map a describe_cache row to a cache entry
+ */
+function rowToDescribeEntry(row) {
+  return {
+    describe: row.describe,
+    fetchedAt: row.fetched_at,
+    checkedAt: row.checked_at
+  };
+}
+
+/**
+ * Get a cached describe result
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} objectName - Object API name, or '' for the global describe
+ * @returns {Object|null} { describe, fetchedAt, checkedAt } or null if not cached
+ */
+export async function getDescribeCache(orgId, objectName) {
+  const result = await pool.query(
+    'SELECT * FROM describe_cache WHERE org_id = $1 AND object_name = $2',
+    [orgId, objectName]
+  );
+  return result.rows[0] ? rowToDescribeEntry(result.rows[0]) : null;
 }
 
 /**
- * Delete all stored tokens
+ * Store a freshly fetched describe result
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} objectName - Object API name, or '' for the global describe
+ * @param {Object} describe - Describe result
+ * @returns {Object} { describe, fetchedAt, checkedAt }
  */
-export async function deleteTokens() {
-  await pool.query('DELETE FROM salesforce_tokens');
+export async function saveDescribeCache(orgId, objectName, describe) {
+  const result = await pool.query(
+    `INSERT INTO describe_cache (org_id, object_name, describe, fetched_at, checked_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     ON CONFLICT (org_id, object_name) DO UPDATE SET
+       describe = EXCLUDED.describe,
+       fetched_at = EXCLUDED.fetched_at,
+       checked_at = EXCLUDED.checked_at
+     RETURNING *`,
+    [orgId, objectName, describe]
+  );
+  return rowToDescribeEntry(result.rows[0]);
 }
 
 /**
- * Check if tokens exist
- * @returns {boolean} True if tokens exist
+ * Mark a cached describe result as still current (Salesforce answered 304)
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} objectName - Object API name, or '' for the global describe
  */
-export async function hasTokens() {
-  const result = await pool.query('SELECT COUNT(*) FROM salesforce_tokens');
-  return parseInt(result.rows[0].count) > 0;
+export async function touchDescribeCache(orgId, objectName) {
+  await pool.query(
+    'UPDATE describe_cache SET checked_at = NOW() WHERE org_id = $1 AND object_name = $2',
+    [orgId, objectName]
+  );
 }
 
 // Export pool for direct queries if needed
-export { pool };
+export { pool, lockPool };
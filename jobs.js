@@ -0,0 +1,708 @@
+import os from 'os';
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { getActor, withActor } from './audit.js';
+import { queryRecords } from './utils/salesforce.js';
+import { parseCron, nextCronTime } from './utils/cron.js';
+import { AppError } from './utils/errors.js';
+
+/**
+ * Postgres-backed queue for long-running Salesforce work
+ *
+ * Routes enqueue jobs and return at once; the worker process (worker.js)
+ * claims them with SELECT ... FOR UPDATE SKIP LOCKED, highest priority first,
+ * so any number of workers can share the queue. A claimed job is leased to its
+ * worker, which renews the lease while the job runs; a job whose lease runs out
+ * (the worker crashed or was killed) counts as a failed attempt.
+ *
+ * Failed jobs are retried after retryDelay seconds (`fixed`) or retryDelay
+ * doubled per attempt (`exponential`) until maxAttempts is reached. Client
+ * errors such as an invalid query are not retried. Cancelling a queued job
+ * removes it from the queue; cancelling a running job aborts its handler's
+ * signal, and handlers stop at the next point they check it.
+ *
+ * Job types are registered by the modules that own the work (see
+ * registerJobHandler). Schedules enqueue a job whenever their cron expression
+ * comes due, unless the previous job from the same schedule is still queued
+ * or running.
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const RETRY_BACKOFFS = ['fixed', 'exponential'];
+export const SCHEDULE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+const MIN_PRIORITY = -100;
+const MAX_PRIORITY = 100;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_LIMIT = 25;
+const DEFAULT_RETRY_DELAY = 60; // seconds
+const MAX_RETRY_DELAY = 6 * 60 * 60; // 6 hours
+const JOB_LEASE = 60; // seconds a claimed job stays with its worker without a heartbeat
+const HEARTBEAT_INTERVAL = 15 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+const MAX_LOG_LENGTH = 4000;
+const QUERY_JOB_MAX_RECORDS = 50000;
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * `run(job, { log, signal })` does the work and returns the job's result
+ * (anything JSON-serializable). `log(message, level)` appends to the job's log;
+ * `signal` aborts when the job is cancelled or its lease is lost.
+ * @param {string} type - Job type, e.g. `sync`
+ * @param {Object} handler - { run, validate } - validate(payload) returns a list of problems
+ */
+export function registerJobHandler(type, { run, validate = () => [] }) {
+  handlers.set(type, { run, validate });
+}
+
+/**
+ * Registered job types
+ * @returns {Array<string>} Types, sorted
+ */
+export function getJobTypes() {
+  return [...handlers.keys()].sort();
+}
+
+// Every jobs column but result, which can be large; listings leave it out
+const JOB_SUMMARY_COLUMNS = `id, org_id, type, payload, priority, status, attempts, max_attempts, retry_delay,
+  backoff, run_at, cancel_requested, last_error, schedule_id, created_by, created_at, started_at, finished_at`;
+
+/**
+ * Map a jobs row to a job object
+ * Rows selected with JOB_SUMMARY_COLUMNS map to a job without `result`.
+ */
+function rowToJob(row) {
+  const job = {
+    id: String(row.id),
+    orgId: row.org_id,
+    type: row.type,
+    payload: row.payload,
+    priority: row.priority,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    retryDelay: row.retry_delay,
+    backoff: row.backoff,
+    runAt: row.run_at,
+    cancelRequested: row.cancel_requested,
+    result: row.result,
+    lastError: row.last_error,
+    scheduleId: row.schedule_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+  
+  if (!('result' in row)) {
+    delete job.result;
+  }
+  return job;
+}
+
+/**
+ * Map a job_schedules row to a schedule object
+ */
+function rowToSchedule(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    name: row.name,
+    type: row.type,
+    payload: row.payload,
+    cron: row.cron,
+    priority: row.priority,
+    maxAttempts: row.max_attempts,
+    retryDelay: row.retry_delay,
+    backoff: row.backoff,
+    enabled: row.enabled,
+    nextRunAt: row.enabled ? row.next_run_at : null,
+    lastJobId: row.last_job_id === null ? null : String(row.last_job_id),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check the fields shared by jobs and schedules
+ */
+function validateJobOptions({ type, payload, priority, maxAttempts, retryDelay, backoff }) {
+  const problems = [];
+  
+  const handler = handlers.get(type);
+  if (!handler) {
+    problems.push(`type must be one of: ${getJobTypes().join(', ')}`);
+  }
+  
+  if (payload !== undefined && (!payload || typeof payload !== 'object' || Array.isArray(payload))) {
+    problems.push('payload must be an object');
+  } else if (handler) {
+    problems.push(...handler.validate(payload ?? {}));
+  }
+  
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY)) {
+    problems.push(`priority must be a whole number from ${MIN_PRIORITY} to ${MAX_PRIORITY}`);
+  }
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+    problems.push(`maxAttempts must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}`);
+  }
+  if (retryDelay !== undefined && (!Number.isInteger(retryDelay) || retryDelay < 0 || retryDelay > MAX_RETRY_DELAY)) {
+    problems.push(`retryDelay must be a whole number of seconds from 0 to ${MAX_RETRY_DELAY}`);
+  }
+  if (backoff !== undefined && !RETRY_BACKOFFS.includes(backoff)) {
+    problems.push(`backoff must be one of: ${RETRY_BACKOFFS.join(', ')}`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Check a job definition
+ * @param {Object} definition - { type, payload, priority, runAt, maxAttempts, retryDelay, backoff }
+ * @returns {Array<string>} Problems, empty if valid
+ */
+export function validateJob(definition) {
+  const problems = validateJobOptions(definition);
+  
+  if (definition.runAt !== undefined && definition.runAt !== null &&
+      (typeof definition.runAt !== 'string' || Number.isNaN(Date.parse(definition.runAt)))) {
+    problems.push('runAt must be an ISO 8601 date-time');
+  }
+  
+  return problems;
+}
+
+/**
+ * Check a schedule definition
+ * @param {Object} definition - { type, payload, cron, priority, maxAttempts, retryDelay, backoff, enabled }
+ * @returns {Array<string>} Problems, empty if valid
+ */
+export function validateSchedule(definition) {
+  const problems = validateJobOptions(definition);
+  
+  try {
+    if (!nextCronTime(parseCron(definition.cron))) {
+      problems.push('cron never comes due');
+    }
+  } catch (error) {
+    problems.push(`cron is invalid: ${error.message}`);
+  }
+  
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    problems.push('enabled must be a boolean');
+  }
+  
+  return problems;
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} definition - Validated { type, payload, priority, runAt, maxAttempts, retryDelay, backoff }
+ * @param {Object} options - { scheduleId, client } - client defaults to the pool
+ * @returns {Promise<Object>} Job
+ */
+export async function enqueueJob(orgId, {
+  type,
+  payload = {},
+  priority = 0,
+  runAt = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  backoff = 'exponential'
+}, { scheduleId = null, client = pool } = {}) {
+  const actor = getActor();
+  const result = await client.query(
+    `INSERT INTO jobs (org_id, type, payload, priority, run_at, max_attempts, retry_delay, backoff, schedule_id, created_by)
+     VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [orgId, type, JSON.stringify(payload), priority, runAt, maxAttempts, retryDelay, backoff, scheduleId, actor.name ?? actor.type]
+  );
+  return rowToJob(result.rows[0]);
+}
+
+/**
+ * Get a job
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job or null if not found
+ */
+export async function getJob(orgId, id) {
+  const result = await pool.query('SELECT * FROM jobs WHERE org_id = $1 AND id = $2', [orgId, id]);
+  return result.rows.length ? rowToJob(result.rows[0]) : null;
+}
+
+/**
+ * List jobs, newest first, without their results (see getJob)
+ * Pages are keyed by job ID: pass the previous page's nextCursor as `cursor`.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} filters - { status, type, cursor, limit }
+ * @returns {Promise<Object>} { jobs, nextCursor } - nextCursor is null on the last page
+ */
+export async function listJobs(orgId, { status = null, type = null, cursor = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT ${JOB_SUMMARY_COLUMNS} FROM jobs
+     WHERE org_id = $1
+       AND ($2::text IS NULL OR status = $2)
+       AND ($3::text IS NULL OR type = $3)
+       AND ($4::bigint IS NULL OR id < $4)
+     ORDER BY id DESC
+     LIMIT $5`,
+    [orgId, status, type, cursor, limit + 1]
+  );
+  
+  const rows = result.rows.slice(0, limit);
+  return {
+    jobs: rows.map(rowToJob),
+    nextCursor: result.rows.length > limit ? String(rows[rows.length - 1].id) : null
+  };
+}
+
+/**
+ * Read a job's log, oldest first
+ * @param {string} id - Job ID
+ * @param {Object} options - { after, limit } - after is the last log entry ID already read
+ * @returns {Promise<Array>} Entries as { id, attempt, level, message, createdAt }
+ */
+export async function getJobLogs(id, { after = null, limit = 500 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM job_logs
+     WHERE job_id = $1 AND ($2::bigint IS NULL OR id > $2)
+     ORDER BY id
+     LIMIT $3`,
+    [id, after, limit]
+  );
+  return result.rows.map(row => ({
+    id: String(row.id),
+    attempt: row.attempt,
+    level: row.level,
+    message: row.message,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Append to a job's log
+ */
+async function appendJobLog(jobId, attempt, level, message) {
+  await pool.query(
+    'INSERT INTO job_logs (job_id, attempt, level, message) VALUES ($1, $2, $3, $4)',
+    [jobId, attempt, level, String(message).slice(0, MAX_LOG_LENGTH)]
+  );
+}
+
+/**
+ * Cancel a job
+ * A queued job is cancelled at once. A running job is flagged; its worker
+ * aborts the handler at the next heartbeat and marks it cancelled.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if not found or already finished
+ */
+export async function cancelJob(orgId, id) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET cancel_requested = TRUE,
+         status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END
+     WHERE org_id = $1 AND id = $2 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [orgId, id]
+  );
+  
+  if (!result.rows.length) {
+    return null;
+  }
+  
+  const job = rowToJob(result.rows[0]);
+  const actor = getActor();
+  await appendJobLog(job.id, job.attempts, 'warn', `Cancellation requested by ${actor.name ?? actor.type}`);
+  return job;
+}
+
+/**
+ * Create or replace a schedule
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} name - Schedule name
+ * @param {Object} definition - Validated { type, payload, cron, priority, maxAttempts, retryDelay, backoff, enabled }
+ * @returns {Promise<Object>} { schedule, created }
+ */
+export async function saveSchedule(orgId, name, {
+  type,
+  payload = {},
+  cron,
+  priority = 0,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  backoff = 'exponential',
+  enabled = true
+}) {
+  const result = await pool.query(
+    `INSERT INTO job_schedules (org_id, name, type, payload, cron, priority, max_attempts, retry_delay, backoff, enabled, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (org_id, name) DO UPDATE SET
+       type = EXCLUDED.type,
+       payload = EXCLUDED.payload,
+       cron = EXCLUDED.cron,
+       priority = EXCLUDED.priority,
+       max_attempts = EXCLUDED.max_attempts,
+       retry_delay = EXCLUDED.retry_delay,
+       backoff = EXCLUDED.backoff,
+       enabled = EXCLUDED.enabled,
+       next_run_at = EXCLUDED.next_run_at,
+       updated_at = NOW()
+     RETURNING *, (xmax = 0) AS created`,
+    [orgId, name, type, JSON.stringify(payload), cron, priority, maxAttempts, retryDelay, backoff, enabled, nextCronTime(cron)]
+  );
+  
+  const row = result.rows[0];
+  return { schedule: rowToSchedule(row), created: row.created };
+}
+
+/**
+ * List an org's schedules
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {Promise<Array>} Schedules, by name
+ */
+export async function listSchedules(orgId) {
+  const result = await pool.query('SELECT * FROM job_schedules WHERE org_id = $1 ORDER BY name', [orgId]);
+  return result.rows.map(rowToSchedule);
+}
+
+/**
+ * Delete a schedule
+ * Jobs it already enqueued are kept.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} name - Schedule name
+ * @returns {Promise<boolean>} True if a schedule was removed
+ */
+export async function deleteSchedule(orgId, name) {
+  const result = await pool.query('DELETE FROM job_schedules WHERE org_id = $1 AND name = $2', [orgId, name]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Enqueue a job for every schedule that has come due
+ * Runs in one transaction with the due schedules locked, so concurrent
+ * workers never enqueue the same run twice.
+ * @returns {Promise<number>} Jobs enqueued
+ */
+export async function enqueueDueSchedules() {
+  const client = await pool.connect();
+  let enqueued = 0;
+  
+  try {
+    await client.query('BEGIN');
+    const due = await client.query(
+      `SELECT s.*, j.status AS last_job_status
+       FROM job_schedules s
+       LEFT JOIN jobs j ON j.id = s.last_job_id
+       WHERE s.enabled AND s.next_run_at <= NOW()
+       ORDER BY s.next_run_at
+       FOR UPDATE OF s SKIP LOCKED`
+    );
+    
+    for (const row of due.rows) {
+      let lastJobId = row.last_job_id;
+      
+      if (row.last_job_status === 'queued' || row.last_job_status === 'running') {
+        console.log(`Schedule ${row.name} for org ${row.org_id} skipped: job ${row.last_job_id} is still ${row.last_job_status}`);
+      } else {
+        const job = await withActor({ type: 'system', name: `schedule ${row.name}` }, () => enqueueJob(row.org_id, {
+          type: row.type,
+          payload: row.payload,
+          priority: row.priority,
+          maxAttempts: row.max_attempts,
+          retryDelay: row.retry_delay,
+          backoff: row.backoff
+        }, { scheduleId: row.id, client }));
+        lastJobId = job.id;
+        enqueued++;
+      }
+      
+      await client.query(
+        'UPDATE job_schedules SET next_run_at = $1, last_job_id = $2 WHERE id = $3',
+        [nextCronTime(row.cron), lastJobId, row.id]
+      );
+    }
+    
+    await client.query('COMMIT');
+    return enqueued;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claim the next due job, highest priority first
+ * @returns {Promise<Object|null>} Job, or null if none is due
+ */
+async function claimJob(workerId) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running',
+         attempts = attempts + 1,
+         locked_by = $1,
+         locked_until = NOW() + ($2 * INTERVAL '1 second'),
+         started_at = COALESCE(started_at, NOW())
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= NOW()
+       ORDER BY priority DESC, run_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, JOB_LEASE]
+  );
+  return result.rows.length ? rowToJob(result.rows[0]) : null;
+}
+
+/**
+ * Extend a running job's lease
+ * @returns {Promise<Object|null>} { cancelRequested }, or null if the lease was lost
+ */
+async function renewLease(jobId, workerId) {
+  const result = await pool.query(
+    `UPDATE jobs SET locked_until = NOW() + ($1 * INTERVAL '1 second')
+     WHERE id = $2 AND locked_by = $3 AND status = 'running'
+     RETURNING cancel_requested`,
+    [JOB_LEASE, jobId, workerId]
+  );
+  return result.rows.length ? { cancelRequested: result.rows[0].cancel_requested } : null;
+}
+
+/**
+ * Seconds to wait before the next attempt of a job
+ */
+function retryDelayFor(job) {
+  const delay = job.backoff === 'exponential' ? job.retryDelay * 2 ** (job.attempts - 1) : job.retryDelay;
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Whether an error is worth another attempt
+ * Client errors (bad input, missing records or connections) fail the same way
+ * every time; conflicts such as row locks and rate limits clear up.
+ */
+function isRetryable(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return error.retryable;
+  }
+  return !(error instanceof AppError && error.status < 500 && ![409, 429].includes(error.status));
+}
+
+/**
+ * Record the outcome of an attempt
+ * Only the worker holding the lease can finish a job.
+ */
+async function finishAttempt(job, workerId, { status, result = null, error = null, retryIn = null }) {
+  const updated = await pool.query(
+    `UPDATE jobs
+     SET status = $1,
+         result = $2,
+         last_error = $3,
+         run_at = CASE WHEN $1 = 'queued' THEN NOW() + ($4 * INTERVAL '1 second') ELSE run_at END,
+         finished_at = CASE WHEN $1 = 'queued' THEN NULL ELSE NOW() END,
+         locked_by = NULL,
+         locked_until = NULL
+     WHERE id = $5 AND locked_by = $6
+     RETURNING id`,
+    [status, result === null ? null : JSON.stringify(result), error, retryIn ?? 0, job.id, workerId]
+  );
+  return updated.rowCount > 0;
+}
+
+/**
+ * Run a claimed job to the end of its attempt
+ */
+async function runJob(job, workerId) {
+  const controller = new AbortController();
+  let leaseLost = false;
+  const log = (message, level = 'info') => appendJobLog(job.id, job.attempts, level, message);
+  
+  const heartbeat = setInterval(async () => {
+    try {
+      const lease = await renewLease(job.id, workerId);
+      if (!lease) {
+        leaseLost = true;
+        controller.abort(new Error('Lost the job lease'));
+      } else if (lease.cancelRequested) {
+        controller.abort(new Error('Job was cancelled'));
+      }
+    } catch (error) {
+      console.error(`Heartbeat for job ${job.id} failed:`, error.message);
+    }
+  }, HEARTBEAT_INTERVAL);
+  
+  try {
+    await log(`Attempt ${job.attempts} of ${job.maxAttempts} started on ${workerId}`);
+    
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw Object.assign(new Error(`No handler for job type ${job.type}`), { retryable: false });
+    }
+    
+    const result = await withActor({ type: 'system', name: `job #${job.id}` }, () =>
+      handler.run(job, { log, signal: controller.signal })
+    );
+    
+    if (await finishAttempt(job, workerId, { status: 'succeeded', result: result ?? null })) {
+      await log('Succeeded');
+      console.log(`Job ${job.id} (${job.type}) for org ${job.orgId} succeeded`);
+    }
+  } catch (error) {
+    const message = (error?.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+    
+    if (leaseLost) {
+      console.error(`Job ${job.id} lost its lease and was abandoned: ${message}`);
+      return;
+    }
+    
+    // Cancelled jobs stop here whatever the error, since the abort usually causes it
+    const cancelled = (await pool.query('SELECT cancel_requested FROM jobs WHERE id = $1', [job.id])).rows[0]?.cancel_requested;
+    const retry = !cancelled && isRetryable(error) && job.attempts < job.maxAttempts;
+    const status = cancelled ? 'cancelled' : retry ? 'queued' : 'failed';
+    const retryIn = retry ? retryDelayFor(job) : null;
+    
+    if (await finishAttempt(job, workerId, { status, error: message, retryIn })) {
+      await log(
+        cancelled ? `Cancelled: ${message}` : retry ? `Failed: ${message}; retrying in ${retryIn}s` : `Failed: ${message}`,
+        cancelled ? 'warn' : 'error'
+      );
+      console.error(`Job ${job.id} (${job.type}) for org ${job.orgId} ${status === 'queued' ? 'will be retried' : status}: ${message}`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Requeue or fail running jobs whose worker stopped renewing the lease
+ * @returns {Promise<number>} Jobs recovered
+ */
+export async function recoverStalledJobs() {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = CASE
+           WHEN cancel_requested THEN 'cancelled'
+           WHEN attempts < max_attempts THEN 'queued'
+           ELSE 'failed'
+         END,
+         last_error = 'Worker stopped responding',
+         run_at = NOW(),
+         finished_at = CASE WHEN NOT cancel_requested AND attempts < max_attempts THEN NULL ELSE NOW() END,
+         locked_by = NULL,
+         locked_until = NULL
+     WHERE status = 'running' AND locked_until < NOW()
+     RETURNING id, attempts, status`
+  );
+  
+  for (const row of result.rows) {
+    await appendJobLog(row.id, row.attempts, 'error', `Worker stopped responding; job is now ${row.status}`);
+    console.error(`Recovered stalled job ${row.id} as ${row.status}`);
+  }
+  
+  return result.rowCount;
+}
+
+/**
+ * Process jobs until stopped
+ * Each tick recovers stalled jobs, enqueues due schedules and fills free
+ * slots with due jobs; a finished job frees its slot for the next one at once.
+ * @param {Object} options - { concurrency, interval } - interval between polls, in milliseconds
+ * @returns {Function} Async function that stops claiming jobs and waits up to `timeout` ms for running ones
+ */
+export function startJobWorker({ concurrency = 2, interval = 2000 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  const active = new Set();
+  let polling = false;
+  let stopped = false;
+  
+  const poll = async () => {
+    if (polling || stopped) {
+      return;
+    }
+    polling = true;
+    
+    try {
+      await recoverStalledJobs();
+      await enqueueDueSchedules();
+      
+      while (!stopped && active.size < concurrency) {
+        const job = await claimJob(workerId);
+        if (!job) {
+          break;
+        }
+        
+        const running = runJob(job, workerId)
+          .catch(error => console.error(`Job ${job.id} error:`, error.message))
+          .finally(() => {
+            active.delete(running);
+            poll();
+          });
+        active.add(running);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+  
+  const timer = setInterval(poll, interval);
+  poll();
+  console.log(`Job worker ${workerId} started (concurrency ${concurrency})`);
+  
+  return async (timeout = 25000) => {
+    stopped = true;
+    clearInterval(timer);
+    
+    // Jobs still running when the timeout passes are recovered once their lease runs out
+    let timeoutTimer;
+    await Promise.race([
+      Promise.allSettled([...active]),
+      new Promise(resolve => { timeoutTimer = setTimeout(resolve, timeout); })
+    ]);
+    clearTimeout(timeoutTimer);
+  };
+}
+
+registerJobHandler('query', {
+  validate({ q, all, maxRecords }) {
+    const problems = [];
+    if (typeof q !== 'string' || !q.trim()) {
+      problems.push('payload.q must be a SOQL query');
+    }
+    if (all !== undefined && typeof all !== 'boolean') {
+      problems.push('payload.all must be a boolean');
+    }
+    if (maxRecords !== undefined && (!Number.isInteger(maxRecords) || maxRecords < 1 || maxRecords > QUERY_JOB_MAX_RECORDS)) {
+      problems.push(`payload.maxRecords must be a whole number from 1 to ${QUERY_JOB_MAX_RECORDS}`);
+    }
+    return problems;
+  },
+  
+  // Results are kept with the job, so they are capped at maxRecords
+  async run({ orgId, payload }, { log, signal }) {
+    const maxRecords = payload.maxRecords ?? 10000;
+    const records = [];
+    
+    for await (const record of queryRecords(orgId, payload.q, { includeDeleted: payload.all === true })) {
+      signal.throwIfAborted();
+      if (records.length === maxRecords) {
+        await log(`Stopped after ${maxRecords} records`, 'warn');
+        return { records, truncated: true };
+      }
+      records.push(record);
+    }
+    
+    await log(`Read ${records.length} records`);
+    return { records, truncated: false };
+  }
+});
@@ -0,0 +1,78 @@
+import { pool } from './db.js';
+
+/**
+ * Stored field mappings from upstream lead formats to Actabl_Lead__c
+ * Each org keeps its own named mappings, since picklist values and custom
+ * fields differ between orgs. See utils/mapping.js for the rule format.
+ */
+
+export const MAPPING_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Map a field_mappings row to a mapping object
+ */
+function rowToMapping(row) {
+  return {
+    name: row.name,
+    orgId: row.org_id,
+    description: row.description,
+    fields: row.fields,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the mappings of an org
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {Promise<Array>} Mappings, by name
+ */
+export async function listMappings(orgId) {
+  const result = await pool.query('SELECT * FROM field_mappings WHERE org_id = $1 ORDER BY name', [orgId]);
+  return result.rows.map(rowToMapping);
+}
+
+/**
+ * Get a mapping by name
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} name - Mapping name
+ * @returns {Promise<Object|null>} Mapping, or null if there is none
+ */
+export async function getMapping(orgId, name) {
+  const result = await pool.query('SELECT * FROM field_mappings WHERE org_id = $1 AND name = $2', [orgId, name]);
+  return result.rows[0] ? rowToMapping(result.rows[0]) : null;
+}
+
+/**
+ * Create or replace a mapping
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} name - Mapping name
+ * @param {Object} definition - { description, fields } (validated by the caller)
+ * @returns {Promise<Object>} { mapping, created }
+ */
+export async function saveMapping(orgId, name, { description = null, fields }) {
+  const result = await pool.query(
+    `INSERT INTO field_mappings (org_id, name, description, fields)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (org_id, name) DO UPDATE SET
+       description = EXCLUDED.description,
+       fields = EXCLUDED.fields,
+       updated_at = NOW()
+     RETURNING *, (xmax = 0) AS created`,
+    [orgId, name, description, JSON.stringify(fields)]
+  );
+  
+  const row = result.rows[0];
+  return { mapping: rowToMapping(row), created: row.created };
+}
+
+/**
+ * Delete a mapping
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} name - Mapping name
+ * @returns {Promise<boolean>} True if a mapping was removed
+ */
+export async function deleteMapping(orgId, name) {
+  const result = await pool.query('DELETE FROM field_mappings WHERE org_id = $1 AND name = $2', [orgId, name]);
+  return result.rowCount > 0;
+}
@@ -0,0 +1,663 @@
+import { pool, lockPool } from './db.js';
+import { executeQuery, createRecord, updateRecord, describeObjectCached } from './utils/salesforce.js';
+import { escapeSoqlString } from './utils/soql.js';
+import { validateRecord } from './utils/validation.js';
+import { SalesforceApiError, ConflictError, ValidationError } from './utils/errors.js';
+import { registerJobHandler } from './jobs.js';
+
+/**
+ * Duplicate detection for incoming Actabl_Lead__c records
+ *
+ * Each org has an ordered list of match rules (the defaults below until it
+ * saves its own). An incoming lead is checked against existing records rule by
+ * rule; the first rule with matches decides:
+ *   - an `update` rule with exactly one match updates that record
+ *   - anything else (a `review` rule, or several matches) flags the lead for review
+ * Leads no rule matches are created. Creates and updates are sent with
+ * allowSave=false, so the org's own duplicate rules can also flag a lead
+ * (DUPLICATES_DETECTED). Flagged leads wait in lead_reviews until someone
+ * creates, merges or dismisses them.
+ *
+ * Ingesting holds session-level advisory locks on the lead's normalized
+ * email and phone from evaluation until the write, so two requests for the
+ * same person cannot both decide to create it.
+ */
+
+export const MATCH_RULE_TYPES = ['email', 'phone', 'name_company'];
+export const MATCH_ACTIONS = ['update', 'review'];
+export const REVIEW_STATUSES = ['pending', 'resolved'];
+export const REVIEW_RESOLUTIONS = ['create', 'update', 'dismiss'];
+
+const OBJECT_NAME = 'Actabl_Lead__c';
+
+export const DEFAULT_MATCH_RULES = [
+  { type: 'email', field: 'Email__c', action: 'update' },
+  { type: 'phone', field: 'Phone__c', action: 'review' },
+  { type: 'name_company', nameField: 'Name', companyField: 'Company__c', threshold: 0.9, action: 'review' }
+];
+
+const RULE_FIELD_TYPES = {
+  email: ['email', 'string'],
+  phone: ['phone', 'string'],
+  name_company: ['string']
+};
+
+const CANDIDATE_LIMIT = 200;
+const INGEST_JOB_MAX_LEADS = 10000;
+const MIN_PHONE_DIGITS = 7;
+const DEFAULT_THRESHOLD = 0.9;
+
+// Legal-form words that say nothing about which company it is
+const COMPANY_SUFFIXES = new Set([
+  'the', 'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'srl', 'bv', 'pty', 'group'
+]);
+
+// Make alert-only duplicate rules fail the save too, so every match reaches review
+const DUPLICATE_RULE_HEADERS = { 'Sforce-Duplicate-Rule-Header': 'allowSave=false' };
+
+/**
+ * Field names a rule reads
+ */
+function ruleFields(rule) {
+  return rule.type === 'name_company' ? [rule.nameField, rule.companyField] : [rule.field];
+}
+
+/**
+ * Check a list of match rules against the Actabl_Lead__c describe result
+ * @param {Array<Object>} rules - Match rules
+ * @param {Object} describe - Describe result of Actabl_Lead__c
+ * @returns {Array<Object>} Problems as { field, message }; empty when valid
+ */
+export function validateMatchRules(rules, describe) {
+  if (!Array.isArray(rules)) {
+    return [{ field: null, message: 'rules must be an array' }];
+  }
+  
+  const fields = new Map(describe.fields.map(field => [field.name, field]));
+  const problems = [];
+  
+  for (const [index, rule] of rules.entries()) {
+    const problem = message => problems.push({ field: `rules[${index}]`, message });
+    
+    if (!rule || typeof rule !== 'object' || !MATCH_RULE_TYPES.includes(rule.type)) {
+      problem(`type must be one of ${MATCH_RULE_TYPES.join(', ')}`);
+      continue;
+    }
+    if (!MATCH_ACTIONS.includes(rule.action)) {
+      problem(`action must be one of ${MATCH_ACTIONS.join(', ')}`);
+    }
+    
+    for (const name of ruleFields(rule)) {
+      const field = fields.get(name);
+      if (!field) {
+        problem(`${JSON.stringify(name)} is not a field of ${describe.name}`);
+      } else if (!RULE_FIELD_TYPES[rule.type].includes(field.type)) {
+        problem(`${name} is a ${field.type} field; ${rule.type} rules need ${RULE_FIELD_TYPES[rule.type].join(' or ')}`);
+      }
+    }
+    
+    if (rule.type === 'name_company' && rule.threshold !== undefined &&
+        (typeof rule.threshold !== 'number' || rule.threshold < 0.5 || rule.threshold > 1)) {
+      problem('threshold must be a number between 0.5 and 1');
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Get the match rules of an org
+ * Without saved rules, the defaults whose fields exist on the object apply.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} describe - Describe result of Actabl_Lead__c
+ * @returns {Promise<Object>} { rules, custom, updatedAt }
+ */
+export async function getMatchRules(orgId, describe) {
+  const result = await pool.query('SELECT rules, updated_at FROM match_rules WHERE org_id = $1', [orgId]);
+  
+  if (result.rows[0]) {
+    return { rules: result.rows[0].rules, custom: true, updatedAt: result.rows[0].updated_at };
+  }
+  
+  const fieldNames = new Set(describe.fields.map(field => field.name));
+  const rules = DEFAULT_MATCH_RULES.filter(rule => ruleFields(rule).every(name => fieldNames.has(name)));
+  return { rules, custom: false, updatedAt: null };
+}
+
+/**
+ * Replace the match rules of an org (validated by the caller)
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Array<Object>} rules - Match rules
+ * @returns {Promise<Object>} { rules, custom, updatedAt }
+ */
+export async function saveMatchRules(orgId, rules) {
+  const result = await pool.query(
+    `INSERT INTO match_rules (org_id, rules) VALUES ($1, $2)
+     ON CONFLICT (org_id) DO UPDATE SET rules = EXCLUDED.rules, updated_at = NOW()
+     RETURNING rules, updated_at`,
+    [orgId, JSON.stringify(rules)]
+  );
+  return { rules: result.rows[0].rules, custom: true, updatedAt: result.rows[0].updated_at };
+}
+
+/**
+ * Forget the saved match rules of an org, going back to the defaults
+ * @param {string} orgId - Salesforce organization ID
+ */
+export async function resetMatchRules(orgId) {
+  await pool.query('DELETE FROM match_rules WHERE org_id = $1', [orgId]);
+}
+
+/**
+ * Digits of a phone number, without a leading North American country code
+ * @param {string} value - Phone number as entered
+ * @returns {string} Digits
+ */
+export function normalizePhone(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * SOQL LIKE pattern for stored numbers ending in these digits, whatever the formatting
+ * e.g. 5551234567 gives %5%5%5%1%2%3%4%5%6%7
+ */
+function phonePattern(phone) {
+  return `%${phone.slice(-10).split('').join('%')}`;
+}
+
+/**
+ * Compare normalized phone numbers, ignoring any other country code
+ */
+function phonesMatch(a, b) {
+  if (a.length >= 10 && b.length >= 10) {
+    return a.slice(-10) === b.slice(-10);
+  }
+  return a === b;
+}
+
+/**
+ * Lowercase words of a value, without accents or punctuation
+ */
+function words(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Person name in a comparable form; word order is ignored ("Smith, Jane" = "Jane Smith")
+ */
+function normalizeName(value) {
+  return words(value).sort().join(' ');
+}
+
+/**
+ * Company name in a comparable form, without legal-form words
+ */
+function normalizeCompany(value) {
+  return words(value).filter(word => !COMPANY_SUFFIXES.has(word)).join(' ');
+}
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a.length || !b.length) {
+    return 0;
+  }
+  
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  
+  if (matches === 0) {
+    return 0;
+  }
+  
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
+    }
+  }
+  
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  
+  // Reward a common prefix of up to 4 characters
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Escape a string for a SOQL LIKE pattern
+ */
+function escapeLike(value) {
+  return escapeSoqlString(value).replace(/[%_]/g, '\\$&');
+}
+
+/**
+ * Query existing leads matching a condition
+ */
+async function queryCandidates(orgId, fields, where) {
+  const result = await executeQuery(
+    orgId,
+    `SELECT ${fields.join(', ')} FROM ${OBJECT_NAME} WHERE ${where} LIMIT ${CANDIDATE_LIMIT}`
+  );
+  return result.records.map(({ attributes, ...record }) => record);
+}
+
+/**
+ * Find existing leads one rule matches
+ * @returns {Promise<Array>} Matches as { record, score }
+ */
+async function matchRule(orgId, rule, lead, fields) {
+  if (rule.type === 'email') {
+    const email = typeof lead[rule.field] === 'string' ? lead[rule.field].trim() : '';
+    if (!email) {
+      return [];
+    }
+    
+    // SOQL string comparison is case-insensitive
+    const records = await queryCandidates(orgId, fields, `${rule.field} = '${escapeSoqlString(email)}'`);
+    return records.map(record => ({ record, score: 1 }));
+  }
+  
+  if (rule.type === 'phone') {
+    const phone = normalizePhone(lead[rule.field]);
+    if (phone.length < MIN_PHONE_DIGITS) {
+      return [];
+    }
+    
+    // Stored numbers are formatted freely; narrow by the digits in order, then compare normalized
+    const records = await queryCandidates(orgId, fields, `${rule.field} LIKE '${phonePattern(phone)}'`);
+    return records
+      .filter(record => phonesMatch(phone, normalizePhone(record[rule.field])))
+      .map(record => ({ record, score: 1 }));
+  }
+  
+  // name_company
+  const name = normalizeName(lead[rule.nameField]);
+  const company = normalizeCompany(lead[rule.companyField]);
+  const keyword = company.split(' ').reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+  if (!name || keyword.length < 2) {
+    return [];
+  }
+  
+  const threshold = rule.threshold ?? DEFAULT_THRESHOLD;
+  const records = await queryCandidates(orgId, fields, `${rule.companyField} LIKE '%${escapeLike(keyword)}%'`);
+  
+  return records
+    .map(record => {
+      const nameScore = jaroWinkler(name, normalizeName(record[rule.nameField]));
+      const companyScore = jaroWinkler(company, normalizeCompany(record[rule.companyField]));
+      return { record, nameScore, companyScore };
+    })
+    .filter(({ nameScore, companyScore }) => nameScore >= threshold && companyScore >= threshold)
+    .map(({ record, nameScore, companyScore }) => ({ record, score: Math.round((nameScore + companyScore) * 500) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Decide what to do with an incoming lead
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} lead - Actabl_Lead__c field values
+ * @param {Object} describe - Describe result of Actabl_Lead__c
+ * @returns {Promise<Object>} { decision: create|update|review, recordId, rule, reason, matches }
+ */
+export async function evaluateLead(orgId, lead, describe) {
+  const { rules } = await getMatchRules(orgId, describe);
+  const fieldNames = new Set(describe.fields.map(field => field.name));
+  const fields = [...new Set(['Id', 'Name', ...rules.flatMap(ruleFields)])].filter(name => fieldNames.has(name));
+  
+  for (const rule of rules) {
+    const found = await matchRule(orgId, rule, lead, fields);
+    if (found.length === 0) {
+      continue;
+    }
+    
+    const matches = found.map(({ record, score }) => ({ id: record.Id, rule: rule.type, score, record }));
+    
+    if (rule.action === 'update' && matches.length === 1) {
+      return { decision: 'update', recordId: matches[0].id, rule: rule.type, reason: `Matches by ${rule.type}`, matches };
+    }
+    
+    const reason = matches.length > 1
+      ? `${matches.length} existing leads match by ${rule.type}`
+      : `Matches an existing lead by ${rule.type}`;
+    return { decision: 'review', recordId: null, rule: rule.type, reason, matches };
+  }
+  
+  return { decision: 'create', recordId: null, rule: null, reason: 'No existing lead matches', matches: [] };
+}
+
+/**
+ * Matches reported by a DUPLICATES_DETECTED error, or null for other errors
+ */
+function duplicateRuleMatches(error) {
+  if (!(error instanceof SalesforceApiError) || !error.errors.some(item => item.errorCode === 'DUPLICATES_DETECTED')) {
+    return null;
+  }
+  
+  return error.errors
+    .flatMap(item => item.duplicateResult?.matchResults || [])
+    .flatMap(result => result.matchRecords || [])
+    .map(match => ({
+      id: match.record?.Id ?? null,
+      rule: 'salesforce_duplicate_rule',
+      score: typeof match.matchConfidence === 'number' ? match.matchConfidence / 100 : null,
+      record: match.record ?? null
+    }));
+}
+
+/**
+ * Field values of a lead that may be written to an existing record
+ */
+function updateableValues(lead, describe) {
+  const updateable = new Set(describe.fields.filter(field => field.updateable).map(field => field.name));
+  return Object.fromEntries(Object.entries(lead).filter(([name]) => updateable.has(name)));
+}
+
+/**
+ * Map a lead_reviews row to a review object
+ */
+function rowToReview(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    status: row.status,
+    reason: row.reason,
+    record: row.record,
+    source: row.source,
+    matches: row.matches,
+    resolution: row.resolution,
+    recordId: row.record_id,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+/**
+ * Put a lead in the review queue
+ */
+async function queueReview(orgId, { lead, source, reason, matches }) {
+  const result = await pool.query(
+    `INSERT INTO lead_reviews (org_id, reason, record, source, matches)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [orgId, reason, JSON.stringify(lead), source == null ? null : JSON.stringify(source), JSON.stringify(matches)]
+  );
+  return rowToReview(result.rows[0]);
+}
+
+/**
+ * Advisory lock keys for the email and phone values the match rules read
+ * Sorted, so concurrent ingests take shared keys in the same order.
+ */
+function leadLockKeys(orgId, lead, rules) {
+  const keys = rules.flatMap(rule => {
+    if (rule.type === 'email' && typeof lead[rule.field] === 'string' && lead[rule.field].trim()) {
+      return [`lead:${orgId}:email:${lead[rule.field].trim().toLowerCase()}`];
+    }
+    if (rule.type === 'phone') {
+      const phone = normalizePhone(lead[rule.field]);
+      return phone.length >= MIN_PHONE_DIGITS ? [`lead:${orgId}:phone:${phone.slice(-10)}`] : [];
+    }
+    return [];
+  });
+  return [...new Set(keys)].sort();
+}
+
+/**
+ * Run a function while holding the given advisory locks
+ * The locks are session-level, on a lockPool client, so no transaction stays
+ * open across Salesforce calls and `fn` keeps using the main pool.
+ */
+async function withAdvisoryLocks(keys, fn) {
+  if (keys.length === 0) {
+    return fn();
+  }
+  
+  const client = await lockPool.connect();
+  const held = [];
+  try {
+    for (const key of keys) {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [key]);
+      held.push(key);
+    }
+    
+    return await fn();
+  } finally {
+    let unlockError;
+    for (const key of held.reverse()) {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]).catch(error => {
+        unlockError = error;
+      });
+    }
+    // A client that could not unlock is closed, which ends its session and its locks
+    client.release(unlockError);
+  }
+}
+
+/**
+ * Create, update or flag an incoming lead
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} lead - Validated Actabl_Lead__c field values
+ * @param {Object} describe - Describe result of Actabl_Lead__c
+ * @param {Object} options - { dryRun, source } - source is the unmapped input, kept with reviews
+ * @returns {Promise<Object>} Decision with recordId (create/update) or reviewId (review)
+ */
+export async function ingestLead(orgId, lead, describe, { dryRun = false, source = null } = {}) {
+  if (dryRun) {
+    return { ...(await evaluateLead(orgId, lead, describe)), reviewId: null, dryRun: true };
+  }
+  
+  const { rules } = await getMatchRules(orgId, describe);
+  return withAdvisoryLocks(leadLockKeys(orgId, lead, rules), () => writeLead(orgId, lead, describe, source));
+}
+
+/**
+ * Evaluate an incoming lead and create, update or queue it
+ */
+async function writeLead(orgId, lead, describe, source) {
+  let outcome = await evaluateLead(orgId, lead, describe);
+  
+  try {
+    if (outcome.decision === 'create') {
+      const result = await createRecord(orgId, OBJECT_NAME, lead, { headers: DUPLICATE_RULE_HEADERS });
+      return { ...outcome, recordId: result.id, reviewId: null };
+    }
+    
+    if (outcome.decision === 'update') {
+      const values = updateableValues(lead, describe);
+      if (Object.keys(values).length > 0) {
+        await updateRecord(orgId, OBJECT_NAME, outcome.recordId, values, { headers: DUPLICATE_RULE_HEADERS });
+      }
+      return { ...outcome, reviewId: null };
+    }
+  } catch (error) {
+    const matches = duplicateRuleMatches(error);
+    if (!matches) {
+      throw error;
+    }
+    
+    outcome = {
+      decision: 'review',
+      recordId: null,
+      rule: 'salesforce_duplicate_rule',
+      reason: `Salesforce duplicate rule: ${error.message}`,
+      matches: [...outcome.matches, ...matches]
+    };
+  }
+  
+  const review = await queueReview(orgId, { lead, source, reason: outcome.reason, matches: outcome.matches });
+  console.log(`Queued lead for review (${review.id}) in org ${orgId}: ${outcome.reason}`);
+  
+  return { ...outcome, reviewId: review.id };
+}
+
+/**
+ * List queued leads, newest first
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} filters - { status, limit }
+ * @returns {Promise<Array>} Reviews
+ */
+export async function listReviews(orgId, { status = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM lead_reviews
+     WHERE org_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [orgId, status, limit]
+  );
+  return result.rows.map(rowToReview);
+}
+
+/**
+ * Get a queued lead
+ * @param {string} orgId - Salesforce organization ID
+ * @param {number} id - Review ID
+ * @returns {Promise<Object|null>} Review, or null if there is none
+ */
+export async function getReview(orgId, id) {
+  const result = await pool.query('SELECT * FROM lead_reviews WHERE org_id = $1 AND id = $2', [orgId, id]);
+  return result.rows[0] ? rowToReview(result.rows[0]) : null;
+}
+
+/**
+ * Resolve a queued lead
+ * The review is claimed before anything is written, so two reviewers cannot
+ * both act on it; if the Salesforce write fails it goes back to pending.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {number} id - Review ID
+ * @param {Object} resolution - { action: create|update|dismiss, recordId (update only) }
+ * @param {Object} describe - Describe result of Actabl_Lead__c
+ * @returns {Promise<Object>} Resolved review
+ */
+export async function resolveReview(orgId, id, { action, recordId = null }, describe) {
+  if (!REVIEW_RESOLUTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of ${REVIEW_RESOLUTIONS.join(', ')}`);
+  }
+  if (action === 'update' && typeof recordId !== 'string') {
+    throw new ValidationError('recordId is required to update an existing lead');
+  }
+  
+  const claimed = await pool.query(
+    `UPDATE lead_reviews SET status = 'resolved', resolution = $3, resolved_at = NOW()
+     WHERE org_id = $1 AND id = $2 AND status = 'pending'
+     RETURNING *`,
+    [orgId, id, action]
+  );
+  if (claimed.rows.length === 0) {
+    throw new ConflictError('Review is already resolved', { code: 'REVIEW_RESOLVED', details: { id } });
+  }
+  
+  const review = rowToReview(claimed.rows[0]);
+  let resolvedRecordId = null;
+  
+  try {
+    if (action === 'create') {
+      // A reviewer decided this is a new lead; Salesforce's default duplicate handling applies
+      resolvedRecordId = (await createRecord(orgId, OBJECT_NAME, review.record)).id;
+    } else if (action === 'update') {
+      await updateRecord(orgId, OBJECT_NAME, recordId, updateableValues(review.record, describe));
+      resolvedRecordId = recordId;
+    }
+  } catch (error) {
+    await pool.query(
+      `UPDATE lead_reviews SET status = 'pending', resolution = NULL, resolved_at = NULL WHERE id = $1`,
+      [id]
+    );
+    throw error;
+  }
+  
+  const result = await pool.query(
+    'UPDATE lead_reviews SET record_id = $2 WHERE id = $1 RETURNING *',
+    [id, resolvedRecordId]
+  );
+  return rowToReview(result.rows[0]);
+}
+
+registerJobHandler('leads.ingest', {
+  validate({ leads, dryRun }) {
+    const problems = [];
+    if (!Array.isArray(leads) || leads.length === 0 || leads.length > INGEST_JOB_MAX_LEADS) {
+      problems.push(`payload.leads must be an array of 1 to ${INGEST_JOB_MAX_LEADS} leads`);
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      problems.push('payload.dryRun must be a boolean');
+    }
+    return problems;
+  },
+  
+  // Invalid leads and leads Salesforce rejects are reported in the result
+  // rather than failing the job. A retry starts from the first lead; leads an
+  // earlier attempt created then go through the match rules like any other.
+  async run({ orgId, payload }, { log, signal }) {
+    const describe = await describeObjectCached(orgId, OBJECT_NAME);
+    const counts = { create: 0, update: 0, review: 0, failed: 0 };
+    const results = [];
+    
+    for (const [index, lead] of payload.leads.entries()) {
+      signal.throwIfAborted();
+      
+      const errors = validateRecord(describe, lead, 'create');
+      if (errors.length) {
+        counts.failed++;
+        results.push({ index, decision: null, errors });
+        continue;
+      }
+      
+      try {
+        const outcome = await ingestLead(orgId, lead, describe, { dryRun: payload.dryRun === true });
+        counts[outcome.decision]++;
+        results.push({ index, decision: outcome.decision, recordId: outcome.recordId, reviewId: outcome.reviewId });
+      } catch (error) {
+        if (!(error instanceof SalesforceApiError) || error.status !== 400) {
+          throw error;
+        }
+        counts.failed++;
+        results.push({ index, decision: null, errors: error.errors });
+      }
+      
+      if ((index + 1) % 100 === 0) {
+        await log(`Processed ${index + 1} of ${payload.leads.length} leads`);
+      }
+    }
+    
+    await log(`${counts.create} created, ${counts.update} updated, ${counts.review} queued for review, ${counts.failed} failed`);
+    return { ...counts, results };
+  }
+});
@@ -0,0 +1,290 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './db.js';
+
+/**
+ * Versioned database migrations
+ *
+ * Each file in migrations/ is named <version>_<name>.js and exports
+ * `up(client)` and `down(client)`. Applied versions are recorded in
+ * schema_migrations. Every migration runs in its own transaction (export
+ * `transaction = false` for statements such as CREATE INDEX CONCURRENTLY), and
+ * the runner holds a Postgres advisory lock, so replicas starting together
+ * apply each migration once.
+ *
+ * A database holding migrations this code does not know was migrated by a
+ * newer release; the runner refuses to touch it and the server refuses to start.
+ *
+ *   npm run migrate                  apply pending migrations
+ *   npm run migrate -- 12            apply pending migrations up to version 12
+ *   npm run migrate:rollback         roll back the latest migration
+ *   npm run migrate:rollback -- 3    roll back the latest 3
+ *   npm run migrate:status           list applied and pending migrations
+ */
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Key for pg_advisory_lock; any fixed number, shared by every instance of the app
+const MIGRATION_LOCK_ID = 7316544210;
+
+/**
+ * Name a migration as its file does, e.g. 001_salesforce_tokens
+ */
+function migrationName({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * Load the migrations shipped with this code
+ * @returns {Promise<Array>} Migrations as { version, name, up, down, transaction }, by version
+ */
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.js'));
+  const migrations = [];
+  
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      throw new Error(`Migration file names look like 001_create_table.js, not ${file}`);
+    }
+    
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    
+    migrations.push({
+      version: Number(match[1]),
+      name: match[2],
+      up: module.up,
+      down: module.down,
+      transaction: module.transaction !== false
+    });
+  }
+  
+  migrations.sort((a, b) => a.version - b.version);
+  
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations have version ${migrations[i].version}`);
+    }
+  }
+  
+  return migrations;
+}
+
+/**
+ * Run a function on a dedicated connection holding the migration lock
+ * Waits while another instance holds it.
+ */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    
+    return await fn(client);
+  } finally {
+    // Closing the connection releases the lock, even after a failed migration
+    client.release(true);
+  }
+}
+
+/**
+ * Applied migrations, by version
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Error for a database migrated by a newer release
+ */
+function newerDatabaseError(unknown) {
+  return new Error(
+    `The database has migrations this code does not know (${unknown.map(migrationName).join(', ')}); ` +
+    'it was migrated by a newer release. Deploy that release, or roll the database back with it.'
+  );
+}
+
+/**
+ * Fail if the database has migrations this code does not know
+ */
+function assertNotNewer(applied, migrations) {
+  const known = new Set(migrations.map(migration => migration.version));
+  const unknown = applied.filter(row => !known.has(row.version));
+  
+  if (unknown.length > 0) {
+    throw newerDatabaseError(unknown);
+  }
+}
+
+/**
+ * Run a migration step, in a transaction unless the migration opts out
+ */
+async function runStep(client, migration, step) {
+  if (!migration.transaction) {
+    return step();
+  }
+  
+  await client.query('BEGIN');
+  try {
+    await step();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} options - { to } - highest version to apply (default: all)
+ * @returns {Promise<Array<string>>} Names of the migrations applied
+ */
+export async function migrate({ to = Infinity } = {}) {
+  const migrations = await loadMigrations();
+  
+  return withMigrationLock(async client => {
+    const applied = await getAppliedMigrations(client);
+    assertNotNewer(applied, migrations);
+    
+    const done = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration => !done.has(migration.version) && migration.version <= to);
+    
+    for (const migration of pending) {
+      console.log(`Applying migration ${migrationName(migration)}...`);
+      await runStep(client, migration, async () => {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      });
+    }
+    
+    return pending.map(migrationName);
+  });
+}
+
+/**
+ * Roll back the latest applied migrations
+ * @param {Object} options - { steps } - how many to roll back (default 1)
+ * @returns {Promise<Array<string>>} Names of the migrations rolled back, newest first
+ */
+export async function rollback({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  
+  return withMigrationLock(async client => {
+    const applied = await getAppliedMigrations(client);
+    assertNotNewer(applied, migrations);
+    
+    const targets = applied.slice(-steps).reverse().map(row => byVersion.get(row.version));
+    
+    for (const migration of targets) {
+      console.log(`Rolling back migration ${migrationName(migration)}...`);
+      await runStep(client, migration, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+    }
+    
+    return targets.map(migrationName);
+  });
+}
+
+/**
+ * Compare the database with the migrations shipped with this code
+ * @returns {Promise<Object>} { current, latest, migrations: [{ version, name, state, appliedAt }] }
+ *   - state is applied, pending, or unknown (applied by a newer release)
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  const exists = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  const applied = exists.rows[0].exists ? await getAppliedMigrations(pool) : [];
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+  
+  const entries = [
+    ...migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      state: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: appliedByVersion.get(migration.version)?.applied_at ?? null
+    })),
+    ...applied.filter(row => !known.has(row.version)).map(row => ({
+      version: row.version,
+      name: row.name,
+      state: 'unknown',
+      appliedAt: row.applied_at
+    }))
+  ].sort((a, b) => a.version - b.version);
+  
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    migrations: entries
+  };
+}
+
+/**
+ * Fail unless the database is exactly at this code's schema version
+ * For deployments that run migrations separately (MIGRATE_ON_START=false).
+ */
+export async function assertSchemaCurrent() {
+  const status = await getMigrationStatus();
+  const unknown = status.migrations.filter(migration => migration.state === 'unknown');
+  const pending = status.migrations.filter(migration => migration.state === 'pending');
+  
+  if (unknown.length > 0) {
+    throw newerDatabaseError(unknown);
+  }
+  if (pending.length > 0) {
+    throw new Error(`The database is missing migrations ${pending.map(migrationName).join(', ')}; run npm run migrate`);
+  }
+}
+
+/**
+ * Command line: node migrate.js [up [version] | down [steps] | status]
+ */
+async function main(command = 'up', argument) {
+  const number = argument === undefined ? null : Number(argument);
+  if (number !== null && (!Number.isInteger(number) || number < 1)) {
+    throw new Error(`Expected a positive whole number, not ${argument}`);
+  }
+  
+  if (command === 'up') {
+    const applied = await migrate({ to: number ?? Infinity });
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  } else if (command === 'down') {
+    const rolledBack = await rollback({ steps: number ?? 1 });
+    console.log(rolledBack.length ? `Rolled back ${rolledBack.join(', ')}` : 'No migrations to roll back');
+  } else if (command === 'status') {
+    const status = await getMigrationStatus();
+    for (const migration of status.migrations) {
+      const appliedAt = migration.appliedAt ? migration.appliedAt.toISOString() : '';
+      console.log(`${migration.state.padEnd(8)} ${migrationName(migration).padEnd(32)} ${appliedAt}`.trimEnd());
+    }
+    console.log(`Database at version ${status.current}, code at version ${status.latest}`);
+  } else {
+    throw new Error(`Unknown command ${command}; use up, down or status`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv[2], process.argv[3])
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
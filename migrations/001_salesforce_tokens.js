@@ -0,0 +1,60 @@
+/**
+ * Connected orgs and their encrypted tokens
+ * Written with IF NOT EXISTS so databases created before migrations existed
+ * are adopted as they are, including single-org installs from before org_id.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS salesforce_tokens (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT,
+      user_id TEXT,
+      label TEXT,
+      access_token TEXT NOT NULL,
+      refresh_token TEXT,
+      instance_url TEXT NOT NULL,
+      login_url TEXT,
+      grant_type TEXT NOT NULL DEFAULT 'authorization_code',
+      username TEXT,
+      key_id TEXT,
+      data_key TEXT,
+      issued_at TIMESTAMPTZ,
+      expires_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    -- Upgrade single-org installs: rows created before multi-org support have
+    -- no org_id and are ignored until the org is connected again
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS org_id TEXT;
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS user_id TEXT;
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS label TEXT;
+    CREATE UNIQUE INDEX IF NOT EXISTS salesforce_tokens_org_id_key ON salesforce_tokens (org_id);
+    
+    -- Envelope encryption: key_id names the master key that wrapped data_key.
+    -- Rows with no key_id still hold plaintext tokens and are encrypted by
+    -- rotateTokenEncryption() on startup.
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS key_id TEXT;
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS data_key TEXT;
+    
+    -- Login host the org was authorized on (NULL means SF_LOGIN_URL)
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS login_url TEXT;
+    
+    -- When the current access token was issued and when it expires
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS issued_at TIMESTAMPTZ;
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+    
+    -- How tokens are obtained: authorization_code (interactive, renewed with
+    -- the refresh token), jwt_bearer (re-minted for username) or
+    -- client_credentials (re-minted for the connected app's run-as user).
+    -- Server-to-server connections have no refresh token.
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS grant_type TEXT NOT NULL DEFAULT 'authorization_code';
+    ALTER TABLE salesforce_tokens ADD COLUMN IF NOT EXISTS username TEXT;
+    ALTER TABLE salesforce_tokens ALTER COLUMN refresh_token DROP NOT NULL;
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS salesforce_tokens');
+}
@@ -0,0 +1,19 @@
+/**
+ * PKCE state between /auth and /callback (see verifierStore.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS oauth_pkce_states (
+      state TEXT PRIMARY KEY,
+      verifier TEXT NOT NULL,
+      metadata JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS oauth_pkce_states_created_at_idx ON oauth_pkce_states (created_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS oauth_pkce_states');
+}
@@ -0,0 +1,27 @@
+/**
+ * Bulk API 2.0 jobs submitted through the integration
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bulk_jobs (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      job_id TEXT NOT NULL UNIQUE,
+      job_type TEXT NOT NULL,
+      object TEXT,
+      operation TEXT NOT NULL,
+      state TEXT NOT NULL,
+      records_processed INTEGER DEFAULT 0,
+      records_failed INTEGER DEFAULT 0,
+      error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS bulk_jobs_org_id_idx ON bulk_jobs (org_id, created_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS bulk_jobs');
+}
@@ -0,0 +1,19 @@
+/**
+ * Last processed change event per org and channel (see changeEvents.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS streaming_replay (
+      org_id TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      replay_id BIGINT NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (org_id, channel)
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS streaming_replay');
+}
@@ -0,0 +1,40 @@
+/**
+ * Sync bookkeeping (see sync.js)
+ * The mirror_* tables are not migrated: their columns follow the object's
+ * fields and are created by the sync itself.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      org_id TEXT NOT NULL,
+      object_name TEXT NOT NULL,
+      watermark TIMESTAMPTZ,
+      replicated_through TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (org_id, object_name)
+    );
+    
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      object_name TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      mode TEXT,
+      status TEXT NOT NULL,
+      records_upserted INTEGER DEFAULT 0,
+      records_deleted INTEGER DEFAULT 0,
+      error TEXT,
+      started_at TIMESTAMPTZ DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS sync_runs_org_id_idx ON sync_runs (org_id, started_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS sync_runs;
+    DROP TABLE IF EXISTS sync_state;
+  `);
+}
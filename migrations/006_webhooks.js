@@ -0,0 +1,43 @@
+/**
+ * Webhook subscriptions and the delivery outbox (see webhooks.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      key_id TEXT NOT NULL,
+      data_key TEXT NOT NULL,
+      events TEXT[] NOT NULL DEFAULT '{}',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id UUID PRIMARY KEY,
+      subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      org_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+      last_status_code INTEGER,
+      last_error TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_status_idx ON webhook_deliveries (status, created_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_subscriptions;
+  `);
+}
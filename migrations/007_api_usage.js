@@ -0,0 +1,24 @@
+/**
+ * One row per Salesforce API request, with the usage it reported
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_usage (
+      id BIGSERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      method TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      api_used INTEGER,
+      api_max INTEGER,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS api_usage_org_id_idx ON api_usage (org_id, created_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS api_usage');
+}
@@ -0,0 +1,36 @@
+/**
+ * Dashboard sessions and API keys (see auth.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    -- id is the SHA-256 hash of the cookie value, so stored rows cannot be replayed
+    CREATE TABLE IF NOT EXISTS dashboard_sessions (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      csrf_token TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS dashboard_sessions_expires_at_idx ON dashboard_sessions (expires_at);
+    
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL DEFAULT '{}',
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS api_keys;
+    DROP TABLE IF EXISTS dashboard_sessions;
+  `);
+}
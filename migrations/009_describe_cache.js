@@ -0,0 +1,21 @@
+/**
+ * Latest describe result per object; object_name '' holds the global describe.
+ * fetched_at is sent as If-Modified-Since when the entry is revalidated.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS describe_cache (
+      org_id TEXT NOT NULL,
+      object_name TEXT NOT NULL,
+      describe JSONB NOT NULL,
+      fetched_at TIMESTAMPTZ NOT NULL,
+      checked_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (org_id, object_name)
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS describe_cache');
+}
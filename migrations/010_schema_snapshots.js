@@ -0,0 +1,20 @@
+/**
+ * Point-in-time field lists for schema diffs (see schema.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_snapshots (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      object_name TEXT NOT NULL,
+      fields JSONB NOT NULL,
+      taken_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS schema_snapshots_object_idx ON schema_snapshots (org_id, object_name, taken_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS schema_snapshots');
+}
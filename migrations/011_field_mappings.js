@@ -0,0 +1,22 @@
+/**
+ * Named field mappings per org (see mappings.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS field_mappings (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      fields JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (org_id, name)
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS field_mappings');
+}
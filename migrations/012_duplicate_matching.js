@@ -0,0 +1,35 @@
+/**
+ * Duplicate match rules and the lead review queue (see matching.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS match_rules (
+      org_id TEXT PRIMARY KEY,
+      rules JSONB NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    
+    CREATE TABLE IF NOT EXISTS lead_reviews (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      reason TEXT NOT NULL,
+      record JSONB NOT NULL,
+      source JSONB,
+      matches JSONB NOT NULL DEFAULT '[]',
+      resolution TEXT,
+      record_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS lead_reviews_org_status_idx ON lead_reviews (org_id, status, created_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS lead_reviews;
+    DROP TABLE IF EXISTS match_rules;
+  `);
+}
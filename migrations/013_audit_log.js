@@ -0,0 +1,46 @@
+/**
+ * Append-only audit log (see audit.js)
+ * A trigger rejects UPDATE, DELETE and TRUNCATE.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      event TEXT NOT NULL,
+      actor_type TEXT NOT NULL,
+      actor TEXT,
+      ip TEXT,
+      org_id TEXT,
+      method TEXT,
+      endpoint TEXT,
+      status INTEGER,
+      duration_ms INTEGER,
+      record_ids TEXT[] NOT NULL DEFAULT '{}',
+      details JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_org_id_idx ON audit_log (org_id, id DESC);
+    CREATE INDEX IF NOT EXISTS audit_log_record_ids_idx ON audit_log USING GIN (record_ids);
+    
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+    
+    DROP TRIGGER IF EXISTS audit_log_no_changes ON audit_log;
+    CREATE TRIGGER audit_log_no_changes BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+    DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+    CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS audit_log;
+    DROP FUNCTION IF EXISTS audit_log_append_only();
+  `);
+}
@@ -0,0 +1,72 @@
+/**
+ * Background job queue, job logs and cron schedules (see jobs.js)
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_schedules (
+      id SERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      cron TEXT NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      retry_delay INTEGER NOT NULL,
+      backoff TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      next_run_at TIMESTAMPTZ,
+      last_job_id BIGINT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (org_id, name)
+    );
+    CREATE INDEX IF NOT EXISTS job_schedules_due_idx ON job_schedules (next_run_at) WHERE enabled;
+    
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      priority INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      retry_delay INTEGER NOT NULL,
+      backoff TEXT NOT NULL,
+      run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_by TEXT,
+      locked_until TIMESTAMPTZ,
+      cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+      result JSONB,
+      last_error TEXT,
+      schedule_id INTEGER REFERENCES job_schedules(id) ON DELETE SET NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS jobs_queued_idx ON jobs (priority DESC, run_at, id) WHERE status = 'queued';
+    CREATE INDEX IF NOT EXISTS jobs_running_idx ON jobs (locked_until) WHERE status = 'running';
+    CREATE INDEX IF NOT EXISTS jobs_org_id_idx ON jobs (org_id, id DESC);
+    
+    CREATE TABLE IF NOT EXISTS job_logs (
+      id BIGSERIAL PRIMARY KEY,
+      job_id BIGINT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+      attempt INTEGER NOT NULL,
+      level TEXT NOT NULL,
+      message TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS job_logs_job_id_idx ON job_logs (job_id, id);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS job_logs;
+    DROP TABLE IF EXISTS jobs;
+    DROP TABLE IF EXISTS job_schedules;
+  `);
+}
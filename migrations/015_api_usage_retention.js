@@ -0,0 +1,11 @@
+/**
+ * Index api_usage by age for retention pruning across every org
+ */
+
+export async function up(client) {
+  await client.query('CREATE INDEX IF NOT EXISTS api_usage_created_at_idx ON api_usage (created_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS api_usage_created_at_idx');
+}
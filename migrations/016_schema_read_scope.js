@@ -0,0 +1,16 @@
+/**
+ * Grant schema:read to API keys holding leads:read
+ * /sobjects and /schema used to require leads:read; keys issued then keep
+ * access now that those routes require schema:read.
+ */
+
+export async function up(client) {
+  await client.query(`
+    UPDATE api_keys
+    SET scopes = array_append(scopes, 'schema:read')
+    WHERE 'leads:read' = ANY(scopes) AND NOT 'schema:read' = ANY(scopes)
+  `);
+}
+
+// Keys that held schema:read before the grant cannot be told apart, so it stays
+export async function down() {}
@@ -0,0 +1,21 @@
+/**
+ * Key webhook deliveries by the change event they came from
+ * Every replica subscribed to change events enqueues the same event; the
+ * unique key keeps one delivery per subscription. Deliveries not tied to a
+ * replay ID (NULL) never conflict.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS replay_id BIGINT;
+    CREATE UNIQUE INDEX IF NOT EXISTS webhook_deliveries_event_key
+      ON webhook_deliveries (subscription_id, org_id, replay_id);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS webhook_deliveries_event_key;
+    ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS replay_id;
+  `);
+}
@@ -0,0 +1,1521 @@
+import { API_KEY_SCOPES, SESSION_COOKIE } from './auth.js';
+import { AUDIT_EVENTS } from './audit.js';
+import { JOB_STATUSES, RETRY_BACKOFFS, SCHEDULE_NAME, getJobTypes } from './jobs.js';
+import { MAPPING_NAME } from './mappings.js';
+import { MATCH_RULE_TYPES, MATCH_ACTIONS, REVIEW_STATUSES, REVIEW_RESOLUTIONS } from './matching.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from './webhooks.js';
+import { TRANSFORMS, DATE_FORMATS } from './utils/mapping.js';
+
+/**
+ * OpenAPI 3.1 description of the HTTP API
+ *
+ * The document is the contract for every route in server.js: it is served at
+ * /openapi.json and /docs, and utils/openapi.js checks each request against
+ * it before the route runs and each JSON response before it is sent. A route
+ * added without a matching operation here is reported at startup.
+ *
+ * Schemas are built from the same constants the routes validate with, so
+ * enums (scopes, statuses, event types) cannot drift from the code.
+ */
+
+const API_VERSION = '1.0.0';
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like'];
+const BULK_OPERATIONS = ['insert', 'update', 'upsert', 'delete', 'hardDelete'];
+const API_NAME = '^[A-Za-z][A-Za-z0-9_]*$';
+const NUMERIC_ID = '^\\d{1,18}$';
+
+// Schema shorthands
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const timestamp = { type: 'string', format: 'date-time' };
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const nullable = schema => (schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [].concat(schema.type, 'null') });
+// Salesforce data passed through as is
+const salesforceObject = description => ({ type: 'object', description });
+
+/**
+ * Object schema whose properties are all required and no others allowed
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} optional - Properties that may be left out
+ */
+function object(properties, optional = []) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(name => !optional.includes(name)),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Success envelope: { success: true, data }
+ */
+function envelope(data) {
+  return object({ success: { const: true }, data });
+}
+
+/**
+ * JSON response
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * JSON response in the success envelope
+ */
+function ok(description, data) {
+  return json(description, envelope(data));
+}
+
+/**
+ * Response with no JSON body
+ */
+function redirect(description) {
+  return { description, headers: { Location: { description: 'Where to go next', schema: string() } } };
+}
+
+/**
+ * HTML page response
+ */
+function html(description) {
+  return { description, content: { 'text/html': { schema: string() } } };
+}
+
+/**
+ * Request body accepted as JSON (and as a form, for the dashboard)
+ */
+function body(schema, { form = false } = {}) {
+  return {
+    required: true,
+    content: {
+      'application/json': { schema },
+      ...(form ? { 'application/x-www-form-urlencoded': { schema } } : {})
+    }
+  };
+}
+
+/**
+ * Path parameter
+ */
+function pathParam(name, description, schema = string()) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+/**
+ * Query parameter
+ */
+function queryParam(name, description, schema = string(), { required = false, ...extra } = {}) {
+  return { name, in: 'query', required, description, schema, ...extra };
+}
+
+const orgId = { $ref: '#/components/parameters/orgId' };
+const limitParam = (max, fallback) => queryParam('limit', `Page size (default ${fallback})`, integer({ minimum: 1, maximum: max, default: fallback }));
+const refreshParam = queryParam('refresh', '`true` to revalidate the cached describe with Salesforce', string({ enum: ['true', 'false'] }));
+const mappingParam = queryParam('mapping', 'Name of a field mapping; the body is in its source format', string({ pattern: MAPPING_NAME.source }));
+
+/**
+ * Operation object
+ * Security, the 401/403 answers of scoped routes and the error envelope for
+ * every other failure are filled in.
+ * @param {Object} definition - { id, tag, summary, description, scope, parameters, requestBody, responses }
+ */
+function operation({ id, tag, summary, description, scope = null, parameters = [], requestBody, responses }) {
+  const errors = { default: { $ref: '#/components/responses/Error' } };
+  if (parameters.length > 0 || requestBody) {
+    errors[400] = { $ref: '#/components/responses/BadRequest' };
+  }
+  if (requestBody) {
+    errors[413] = { $ref: '#/components/responses/PayloadTooLarge' };
+  }
+  if (scope) {
+    errors[401] = { $ref: '#/components/responses/Unauthenticated' };
+    errors[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (parameters.some(parameter => parameter === orgId || parameter.in === 'path')) {
+    errors[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  
+  return {
+    operationId: id,
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    // Scopes apply to API keys; dashboard sessions hold every scope
+    security: scope ? [{ apiKey: [scope] }, { apiKeyHeader: [scope] }, { session: [] }] : [],
+    ...(scope ? { 'x-required-scope': scope } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: { ...responses, ...errors }
+  };
+}
+
+/**
+ * Reusable schemas
+ */
+function buildSchemas() {
+  const connection = {
+    id: integer(),
+    orgId: string(),
+    userId: nullable(string()),
+    label: nullable(string()),
+    instanceUrl: string(),
+    loginUrl: nullable(string()),
+    grantType: string({ enum: ['authorization_code', 'jwt_bearer', 'client_credentials'] }),
+    username: nullable(string()),
+    issuedAt: nullable(timestamp),
+    expiresAt: nullable(timestamp),
+    createdAt: nullable(timestamp),
+    updatedAt: nullable(timestamp)
+  };
+  
+  // Describe results leave some of these out for some field types
+  const fieldOptional = ['length', 'precision', 'scale', 'unique', 'cascadeDelete', 'restrictedDelete'];
+  const field = object({
+    name: string(),
+    label: string(),
+    type: string(),
+    length: nullable(integer()),
+    precision: nullable(integer()),
+    scale: nullable(integer()),
+    required: boolean(),
+    nillable: boolean(),
+    createable: boolean(),
+    updateable: boolean(),
+    filterable: boolean(),
+    sortable: boolean(),
+    unique: boolean(),
+    externalId: boolean(),
+    idLookup: boolean(),
+    calculated: boolean(),
+    formula: nullable(string()),
+    defaultValue: {},
+    helpText: nullable(string()),
+    referenceTo: arrayOf(string()),
+    relationshipName: nullable(string()),
+    cascadeDelete: boolean(),
+    restrictedDelete: boolean(),
+    controllerName: nullable(string()),
+    dependentPicklist: boolean(),
+    picklistValues: arrayOf(object({
+      value: string(),
+      label: nullable(string()),
+      active: boolean(),
+      defaultValue: boolean(),
+      validFor: arrayOf(string({ description: 'Controlling values this entry is valid for' }))
+    }, ['validFor']))
+  }, fieldOptional);
+  
+  const subscription = {
+    id: integer(),
+    orgId: nullable(string({ description: 'Only events of this org; null for every org' })),
+    url: string({ format: 'uri' }),
+    events: arrayOf(string({ enum: WEBHOOK_EVENTS }), { description: 'Event types; empty for all' }),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  
+  const apiKey = {
+    id: integer(),
+    name: string(),
+    prefix: string({ description: 'First characters of the key, to recognize it by' }),
+    scopes: arrayOf(string({ enum: API_KEY_SCOPES })),
+    createdBy: nullable(string()),
+    createdAt: timestamp,
+    lastUsedAt: nullable(timestamp),
+    revokedAt: nullable(timestamp)
+  };
+  
+  const jobOptions = {
+    type: string(),
+    payload: { type: 'object', description: 'Input of the job type' },
+    priority: integer({ minimum: -100, maximum: 100, default: 0, description: 'Higher runs first' }),
+    maxAttempts: integer({ minimum: 1, maximum: 25, default: 3 }),
+    retryDelay: integer({ minimum: 0, maximum: 21600, default: 60, description: 'Seconds before the first retry' }),
+    backoff: string({ enum: RETRY_BACKOFFS, default: 'exponential' })
+  };
+  
+  const jobSummary = {
+    id: string({ pattern: NUMERIC_ID }),
+    orgId: string(),
+    ...jobOptions,
+    status: string({ enum: JOB_STATUSES }),
+    attempts: integer(),
+    runAt: timestamp,
+    cancelRequested: boolean(),
+    lastError: nullable(string()),
+    scheduleId: nullable(integer()),
+    createdBy: nullable(string()),
+    createdAt: timestamp,
+    startedAt: nullable(timestamp),
+    finishedAt: nullable(timestamp)
+  };
+  
+  const leadMatch = object({
+    id: nullable(string()),
+    rule: string(),
+    score: nullable({ type: 'number' }),
+    record: nullable(salesforceObject('The matching lead'))
+  });
+  
+  return {
+    Error: object({
+      success: { const: false },
+      error: {
+        ...object({
+          code: string({ description: 'Stable code to branch on' }),
+          message: string(),
+          status: integer(),
+          details: { description: 'Route-specific; validation failures list { field, message } problems' },
+          salesforce: {
+            type: 'object',
+            description: 'Only for errors returned by Salesforce',
+            properties: { status: nullable(integer()), errors: arrayOf({ type: 'object' }) }
+          }
+        }, ['details', 'salesforce'])
+      }
+    }),
+    Problem: object({ field: nullable(string()), source: string({ description: 'Mapping source path' }), message: string() }, ['source']),
+    Record: {
+      type: 'object',
+      description: 'Salesforce record; fields as returned by the API',
+      properties: { attributes: { type: 'object', properties: { type: string(), url: string() } } }
+    },
+    Connection: object(connection),
+    ConnectionStatus: object({
+      orgId: string(),
+      grantType: string(),
+      user: object({ id: string(), username: string(), name: string(), email: nullable(string()) }),
+      organization: object({ id: string(), instanceUrl: string() }),
+      scopes: arrayOf(string()),
+      accessToken: object({ active: boolean(), issuedAt: nullable(timestamp), expiresAt: nullable(timestamp) }),
+      refreshToken: nullable(object({ active: boolean() }))
+    }),
+    Limits: object({
+      limits: salesforceObject('The Salesforce limits resource: { DailyApiRequests: { Max, Remaining }, ... }'),
+      observedUsage: nullable(object({
+        used: integer(),
+        max: integer(),
+        at: integer({ description: 'When Salesforce reported it, in epoch milliseconds' })
+      })),
+      last24Hours: object({
+        calls: integer(),
+        failures: integer(),
+        averageDurationMs: integer(),
+        endpoints: arrayOf(object({ method: string(), endpoint: string(), calls: integer() }))
+      })
+    }),
+    LeadOutcome: object({
+      decision: string({ enum: ['create', 'update', 'review'] }),
+      recordId: nullable(string({ description: 'Lead created or updated' })),
+      rule: nullable(string({ description: 'Match rule that decided' })),
+      reason: string(),
+      matches: arrayOf(leadMatch),
+      reviewId: nullable(integer({ description: 'Review queued for the lead' })),
+      dryRun: { const: true }
+    }, ['dryRun']),
+    LeadMatch: leadMatch,
+    BulkJob: object({
+      orgId: string(),
+      jobId: string(),
+      jobType: string({ enum: ['ingest', 'query'] }),
+      object: nullable(string()),
+      operation: string(),
+      state: string(),
+      recordsProcessed: nullable(integer()),
+      recordsFailed: nullable(integer()),
+      errorMessage: nullable(string()),
+      createdAt: nullable(timestamp),
+      updatedAt: nullable(timestamp)
+    }),
+    SalesforceBulkJob: {
+      type: 'object',
+      description: 'Bulk API 2.0 job info as returned by Salesforce',
+      required: ['id', 'state'],
+      properties: { id: string(), operation: string(), object: string(), state: string() }
+    },
+    SyncRun: object({
+      id: integer(),
+      orgId: string(),
+      objectName: string(),
+      trigger: string({ enum: ['manual', 'schedule', 'job'] }),
+      mode: nullable(string()),
+      status: string(),
+      recordsUpserted: nullable(integer()),
+      recordsDeleted: nullable(integer()),
+      error: nullable(string()),
+      startedAt: nullable(timestamp),
+      finishedAt: nullable(timestamp)
+    }),
+    JobSummary: object(jobSummary),
+    Job: object({
+      ...jobSummary,
+      result: { description: 'What the job returned; null until it succeeds' }
+    }),
+    JobSchedule: object({
+      id: integer(),
+      orgId: string(),
+      name: string(),
+      ...jobOptions,
+      cron: string(),
+      enabled: boolean(),
+      nextRunAt: nullable(timestamp),
+      lastJobId: nullable(string()),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }),
+    JobLogEntry: object({
+      id: string({ pattern: NUMERIC_ID }),
+      attempt: integer(),
+      level: string(),
+      message: string(),
+      createdAt: timestamp
+    }),
+    SObjectSummary: object({
+      name: string(),
+      label: string(),
+      labelPlural: string(),
+      keyPrefix: nullable(string()),
+      custom: boolean(),
+      customSetting: boolean(),
+      queryable: boolean(),
+      createable: boolean(),
+      updateable: boolean(),
+      deletable: boolean()
+    }),
+    Field: field,
+    SObjectSchema: object({
+      name: string(),
+      label: string(),
+      labelPlural: string(),
+      keyPrefix: nullable(string()),
+      custom: boolean(),
+      queryable: boolean(),
+      createable: boolean(),
+      updateable: boolean(),
+      deletable: boolean(),
+      fieldCount: integer(),
+      fields: arrayOf(ref('Field')),
+      childRelationships: arrayOf(object({
+        childSObject: string(),
+        field: string(),
+        relationshipName: nullable(string()),
+        cascadeDelete: boolean()
+      })),
+      recordTypes: arrayOf(object({
+        id: string(),
+        name: string(),
+        developerName: string(),
+        active: boolean(),
+        available: boolean(),
+        default: boolean(),
+        master: boolean()
+      })),
+      describedAt: timestamp,
+      checkedAt: timestamp
+    }),
+    SchemaSnapshot: object({
+      id: integer(),
+      orgId: string(),
+      objectName: string(),
+      fieldCount: integer(),
+      takenAt: timestamp
+    }),
+    Transform: {
+      anyOf: [
+        string({ enum: TRANSFORMS.filter(name => name !== 'picklist') }),
+        object({
+          type: string({ enum: TRANSFORMS }),
+          format: string({ enum: DATE_FORMATS, description: 'date transforms: input format (default iso)' }),
+          values: { type: 'object', additionalProperties: string(), description: 'picklist transforms: input value to picklist value' },
+          fallback: string({ description: 'picklist transforms: value for unknown inputs' }),
+          caseSensitive: boolean({ description: 'picklist transforms: match inputs exactly (default false)' })
+        }, ['format', 'values', 'fallback', 'caseSensitive'])
+      ]
+    },
+    FieldRule: object({
+      target: string({ description: 'Actabl_Lead__c field API name' }),
+      source: string({ description: 'Dot path into the input, e.g. `contact.email`' }),
+      transforms: arrayOf(ref('Transform')),
+      default: { description: 'Used when the source is missing or empty' }
+    }, ['source', 'transforms', 'default']),
+    Mapping: object({
+      name: string(),
+      orgId: string(),
+      description: nullable(string()),
+      fields: arrayOf(ref('FieldRule')),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }),
+    MatchRule: object({
+      type: string({ enum: MATCH_RULE_TYPES }),
+      field: string({ description: 'email and phone rules' }),
+      nameField: string({ description: 'name_company rules' }),
+      companyField: string({ description: 'name_company rules' }),
+      threshold: { type: 'number', minimum: 0.5, maximum: 1, description: 'name_company rules: similarity needed (default 0.9)' },
+      action: string({ enum: MATCH_ACTIONS })
+    }, ['field', 'nameField', 'companyField', 'threshold']),
+    MatchRules: object({
+      rules: arrayOf(ref('MatchRule')),
+      custom: boolean({ description: 'false while the org uses the default rules' }),
+      updatedAt: nullable(timestamp)
+    }),
+    Review: object({
+      id: integer(),
+      orgId: string(),
+      status: string({ enum: REVIEW_STATUSES }),
+      reason: string(),
+      record: salesforceObject('Actabl_Lead__c field values of the incoming lead'),
+      source: { description: 'Input before mapping, when a mapping was used' },
+      matches: arrayOf(ref('LeadMatch')),
+      resolution: nullable(string({ enum: REVIEW_RESOLUTIONS })),
+      recordId: nullable(string()),
+      createdAt: timestamp,
+      resolvedAt: nullable(timestamp)
+    }),
+    WebhookSubscription: object(subscription),
+    NewWebhookSubscription: object({ ...subscription, secret: string({ description: 'Signing secret; not shown again' }) }),
+    WebhookDelivery: object({
+      id: string({ format: 'uuid' }),
+      subscriptionId: integer(),
+      orgId: string(),
+      eventType: string({ enum: WEBHOOK_EVENTS }),
+      payload: { type: 'object' },
+      status: string({ enum: DELIVERY_STATUSES }),
+      attempts: integer(),
+      nextAttemptAt: nullable(timestamp),
+      lastStatusCode: nullable(integer()),
+      lastError: nullable(string({ description: 'HTTP status or a fixed error message; response bodies are not kept' })),
+      createdAt: timestamp,
+      deliveredAt: nullable(timestamp)
+    }),
+    AuditEvent: object({
+      id: string({ pattern: NUMERIC_ID }),
+      event: string({ enum: AUDIT_EVENTS }),
+      actorType: string({ enum: ['session', 'apiKey', 'anonymous', 'system'] }),
+      actor: nullable(string()),
+      ip: nullable(string()),
+      orgId: nullable(string()),
+      method: nullable(string()),
+      endpoint: nullable(string()),
+      status: nullable(integer()),
+      durationMs: nullable(integer()),
+      recordIds: arrayOf(string()),
+      details: { description: 'Event-specific, with secrets redacted' },
+      createdAt: timestamp
+    }),
+    ApiKey: object(apiKey),
+    NewApiKey: object({ ...apiKey, key: string({ description: 'The key itself; not shown again' }) })
+  };
+}
+
+/**
+ * Paths and operations, in the order of the routes in server.js
+ */
+function buildPaths() {
+  const jobId = pathParam('id', 'Job ID', string({ pattern: NUMERIC_ID }));
+  const leadId = pathParam('id', 'Actabl_Lead__c record Id', string({ pattern: '^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$' }));
+  const objectParam = pathParam('object', 'sObject API name', string({ pattern: API_NAME }));
+  const mappingName = pathParam('name', 'Mapping name', string({ pattern: MAPPING_NAME.source }));
+  const bulkJobId = pathParam('jobId', 'Salesforce Bulk API job ID');
+  const auditFilters = [
+    queryParam('orgId', 'Salesforce organization ID'),
+    queryParam('event', 'Event type', string({ enum: AUDIT_EVENTS })),
+    queryParam('actor', 'Actor name (username, or API key as `name (#id)`)'),
+    queryParam('recordId', 'Record the event touched'),
+    queryParam('failed', 'Only failed (`true`) or successful (`false`) events', string({ enum: ['true', 'false'] })),
+    queryParam('since', 'Earliest event time (ISO 8601)'),
+    queryParam('until', 'Latest event time (ISO 8601)')
+  ];
+  
+  return {
+    '/': {
+      get: operation({
+        id: 'dashboard',
+        tag: 'Dashboard',
+        summary: 'Dashboard',
+        description: 'Connections and recent bulk jobs. Without a session, redirects to /login.',
+        responses: { 200: html('Dashboard page'), 302: redirect('Not signed in') }
+      })
+    },
+    '/login': {
+      get: operation({
+        id: 'loginPage',
+        tag: 'Dashboard',
+        summary: 'Dashboard login page',
+        responses: { 200: html('Login form'), 302: redirect('Already signed in') }
+      }),
+      post: operation({
+        id: 'login',
+        tag: 'Dashboard',
+        summary: 'Start a dashboard session',
+        description: `Sets the \`${SESSION_COOKIE}\` cookie and redirects to the dashboard.`,
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: object({ username: string(), password: string() })
+            }
+          }
+        },
+        responses: { 302: redirect('Signed in'), 401: html('Login form with an error') }
+      })
+    },
+    '/logout': {
+      post: operation({
+        id: 'logout',
+        tag: 'Dashboard',
+        summary: 'End the dashboard session',
+        responses: { 302: redirect('Signed out; redirects to /login') }
+      })
+    },
+    '/auth': {
+      get: operation({
+        id: 'startOAuth',
+        tag: 'Connections',
+        summary: 'Connect an org through the OAuth web flow',
+        description: 'Redirects to the Salesforce login page; Salesforce then redirects to /callback.',
+        scope: 'connections:write',
+        parameters: [
+          queryParam('label', 'Name of the connection being added', string()),
+          queryParam('environment', 'Login host to use (default production)', string({ enum: ['production', 'sandbox', 'custom'] })),
+          queryParam('domain', 'My Domain host when environment is `custom`')
+        ],
+        responses: { 302: redirect('Salesforce authorization page') }
+      })
+    },
+    '/callback': {
+      get: operation({
+        id: 'oauthCallback',
+        tag: 'Connections',
+        summary: 'OAuth callback',
+        description: 'Salesforce redirects here after the user approves access.',
+        parameters: [
+          queryParam('code', 'Authorization code'),
+          queryParam('state', 'State from /auth'),
+          queryParam('error', 'OAuth error code'),
+          queryParam('error_description', 'OAuth error description')
+        ],
+        responses: { 200: html('Connected') }
+      })
+    },
+    '/connections': {
+      get: operation({
+        id: 'listConnections',
+        tag: 'Connections',
+        summary: 'List connected orgs',
+        scope: 'connections:read',
+        responses: { 200: ok('Connections', arrayOf(ref('Connection'))) }
+      }),
+      post: operation({
+        id: 'connectServerToServer',
+        tag: 'Connections',
+        summary: 'Connect an org server-to-server',
+        scope: 'connections:write',
+        requestBody: body(object({
+          grantType: string({ enum: ['jwt_bearer', 'client_credentials'] }),
+          username: string({ description: 'Integration user (jwt_bearer)' }),
+          label: string(),
+          environment: string({ enum: ['production', 'sandbox', 'custom'], description: 'custom is required for client_credentials' }),
+          domain: string({ description: 'My Domain host when environment is `custom`' })
+        }, ['username', 'label', 'environment', 'domain'])),
+        responses: {
+          201: ok('Connected', object({ orgId: string(), userId: string(), instanceUrl: string() }))
+        }
+      })
+    },
+    '/connections/{orgId}/label': {
+      post: operation({
+        id: 'renameConnection',
+        tag: 'Connections',
+        summary: 'Rename a connection',
+        scope: 'connections:write',
+        parameters: [orgId],
+        requestBody: body(object({ label: string({ minLength: 1 }) }), { form: true }),
+        responses: { 200: ok('Renamed', object({ orgId: string(), label: string() })) }
+      })
+    },
+    '/connections/{orgId}/test': {
+      get: operation({
+        id: 'testConnection',
+        tag: 'Connections',
+        summary: 'Test a connection',
+        description: 'Queries five Accounts.',
+        scope: 'connections:read',
+        parameters: [orgId],
+        responses: {
+          200: json('Connection works', object({
+            success: { const: true },
+            message: string(),
+            data: object({
+              totalSize: integer(),
+              records: arrayOf(object({ Id: string(), Name: nullable(string()) }))
+            })
+          }))
+        }
+      })
+    },
+    '/connections/{orgId}/status': {
+      get: operation({
+        id: 'getConnectionStatus',
+        tag: 'Connections',
+        summary: 'Token and authorizing user status',
+        scope: 'connections:read',
+        parameters: [orgId],
+        responses: { 200: ok('Status', ref('ConnectionStatus')) }
+      })
+    },
+    '/connections/{orgId}/limits': {
+      get: operation({
+        id: 'getLimits',
+        tag: 'Connections',
+        summary: 'Org limits and recorded API usage',
+        scope: 'connections:read',
+        parameters: [orgId],
+        responses: { 200: ok('Limits', ref('Limits')) }
+      })
+    },
+    '/connections/{orgId}/leads': {
+      get: operation({
+        id: 'listLeads',
+        tag: 'Leads',
+        summary: 'Query Actabl leads',
+        description: 'Pages are keyed by the sort order: pass the previous page\'s nextCursor as `cursor`.',
+        scope: 'leads:read',
+        parameters: [
+          orgId,
+          queryParam('fields', 'Comma-separated fields (default Id,Name,CreatedDate)'),
+          queryParam('filter', '`filter[Field]=value` for equality, or `filter[Field][op]=value` with op one of ' +
+            `${OPERATORS.join(', ')}; date fields also take literals such as LAST_N_DAYS:30`, {
+            type: 'object',
+            additionalProperties: {
+              anyOf: [string(), { type: 'object', propertyNames: { enum: OPERATORS }, additionalProperties: string() }]
+            }
+          }, { style: 'deepObject', explode: true }),
+          queryParam('sort', 'Comma-separated fields, `-` prefix for descending (default -CreatedDate)'),
+          limitParam(200, 10),
+          queryParam('cursor', 'nextCursor of the previous page')
+        ],
+        responses: {
+          200: ok('Page of leads', object({
+            totalSize: integer(),
+            records: arrayOf(ref('Record')),
+            nextCursor: nullable(string())
+          }))
+        }
+      }),
+      post: operation({
+        id: 'createLead',
+        tag: 'Leads',
+        summary: 'Create an Actabl lead',
+        scope: 'leads:write',
+        parameters: [orgId, mappingParam],
+        requestBody: body({ type: 'object', description: 'Actabl_Lead__c field values, checked against the object describe' }),
+        responses: { 201: ok('Created', object({ id: string() })) }
+      })
+    },
+    '/connections/{orgId}/leads/ingest': {
+      post: operation({
+        id: 'ingestLead',
+        tag: 'Leads',
+        summary: 'Create or update a lead, checking for duplicates',
+        description: 'The org\'s match rules decide whether the lead is created, merged into an existing lead, or queued for review.',
+        scope: 'leads:write',
+        parameters: [
+          orgId,
+          mappingParam,
+          queryParam('dryRun', '`true` to decide without writing', string({ enum: ['true', 'false'] }))
+        ],
+        requestBody: body({ type: 'object', description: 'Actabl_Lead__c field values' }),
+        responses: {
+          200: ok('Updated an existing lead, or the decision of a dry run', ref('LeadOutcome')),
+          201: ok('Created', ref('LeadOutcome')),
+          202: ok('Queued for review', ref('LeadOutcome'))
+        }
+      })
+    },
+    '/connections/{orgId}/leads/by/{field}/{value}': {
+      put: operation({
+        id: 'upsertLead',
+        tag: 'Leads',
+        summary: 'Upsert a lead by external ID',
+        scope: 'leads:write',
+        parameters: [
+          orgId,
+          pathParam('field', 'External ID field', string({ pattern: API_NAME })),
+          pathParam('value', 'External ID value'),
+          mappingParam
+        ],
+        requestBody: body({ type: 'object', description: 'Actabl_Lead__c field values, without the external ID field' }),
+        responses: {
+          200: ok('Updated', object({ id: nullable(string()), created: { const: false } })),
+          201: ok('Created', object({ id: string(), created: { const: true } }))
+        }
+      })
+    },
+    '/connections/{orgId}/leads/{id}': {
+      get: operation({
+        id: 'getLead',
+        tag: 'Leads',
+        summary: 'Fetch an Actabl lead',
+        scope: 'leads:read',
+        parameters: [orgId, leadId, queryParam('fields', 'Comma-separated fields to return (default all)')],
+        responses: { 200: ok('Lead', ref('Record')) }
+      }),
+      patch: operation({
+        id: 'updateLead',
+        tag: 'Leads',
+        summary: 'Update an Actabl lead',
+        description: 'With a mapping, only the fields present in the body are mapped and the mapping\'s defaults are not applied.',
+        scope: 'leads:write',
+        parameters: [orgId, leadId, mappingParam],
+        requestBody: body({ type: 'object', description: 'Actabl_Lead__c field values to change' }),
+        responses: { 200: ok('Updated', object({ id: string() })) }
+      }),
+      delete: operation({
+        id: 'deleteLead',
+        tag: 'Leads',
+        summary: 'Delete an Actabl lead',
+        scope: 'leads:write',
+        parameters: [orgId, leadId],
+        responses: { 200: ok('Deleted', object({ id: string() })) }
+      })
+    },
+    '/connections/{orgId}/bulk/ingest': {
+      post: operation({
+        id: 'submitBulkIngest',
+        tag: 'Bulk',
+        summary: 'Submit a Bulk API 2.0 ingest job',
+        description: 'Send records as JSON, or as CSV with object, operation and externalIdFieldName as query parameters.',
+        scope: 'bulk:write',
+        parameters: [
+          orgId,
+          queryParam('object', 'sObject to load (CSV bodies)', string({ pattern: API_NAME })),
+          queryParam('operation', 'Operation (CSV bodies)', string({ enum: BULK_OPERATIONS })),
+          queryParam('externalIdFieldName', 'External ID field for upserts (CSV bodies)', string({ pattern: API_NAME }))
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: object({
+                object: string({ pattern: API_NAME }),
+                operation: string({ enum: BULK_OPERATIONS }),
+                externalIdFieldName: string({ pattern: API_NAME }),
+                records: arrayOf({ type: 'object' }, { minItems: 1 })
+              }, ['externalIdFieldName'])
+            },
+            'text/csv': { schema: string({ minLength: 1 }) }
+          }
+        },
+        responses: { 202: ok('Submitted', ref('SalesforceBulkJob')) }
+      })
+    },
+    '/connections/{orgId}/bulk/query': {
+      post: operation({
+        id: 'submitBulkQuery',
+        tag: 'Bulk',
+        summary: 'Submit a Bulk API 2.0 query job',
+        scope: 'bulk:write',
+        parameters: [orgId],
+        requestBody: body(object({
+          query: string({ minLength: 1, description: 'SOQL query' }),
+          operation: string({ enum: ['query', 'queryAll'], default: 'query' })
+        }, ['operation'])),
+        responses: { 202: ok('Submitted', ref('SalesforceBulkJob')) }
+      })
+    },
+    '/connections/{orgId}/bulk/jobs': {
+      get: operation({
+        id: 'listBulkJobs',
+        tag: 'Bulk',
+        summary: 'List tracked bulk jobs',
+        scope: 'bulk:read',
+        parameters: [orgId],
+        responses: { 200: ok('Bulk jobs', arrayOf(ref('BulkJob'))) }
+      })
+    },
+    '/connections/{orgId}/bulk/jobs/{jobId}': {
+      get: operation({
+        id: 'getBulkJob',
+        tag: 'Bulk',
+        summary: 'Bulk job status',
+        description: 'Refreshes the tracked status from Salesforce until the job is final.',
+        scope: 'bulk:read',
+        parameters: [orgId, bulkJobId],
+        responses: { 200: ok('Bulk job', ref('BulkJob')) }
+      })
+    },
+    '/connections/{orgId}/bulk/jobs/{jobId}/results': {
+      get: operation({
+        id: 'getBulkJobResults',
+        tag: 'Bulk',
+        summary: 'Bulk job results',
+        description: 'Ingest jobs take `type`; query jobs take `locator` and `maxRecords`.',
+        scope: 'bulk:read',
+        parameters: [
+          orgId,
+          bulkJobId,
+          queryParam('type', 'Ingest jobs: which results', string({ enum: ['successful', 'failed', 'unprocessed'], default: 'successful' })),
+          queryParam('locator', 'Query jobs: nextLocator of the previous page'),
+          queryParam('maxRecords', 'Query jobs: page size', integer({ minimum: 1 }))
+        ],
+        responses: {
+          200: ok('Results', {
+            anyOf: [
+              object({
+                type: string({ enum: ['successful', 'failed', 'unprocessed'] }),
+                totalSize: integer(),
+                records: arrayOf({ type: 'object' })
+              }),
+              object({
+                totalSize: integer(),
+                records: arrayOf({ type: 'object' }),
+                nextLocator: nullable(string())
+              })
+            ]
+          })
+        }
+      })
+    },
+    '/connections/{orgId}/bulk/jobs/{jobId}/abort': {
+      post: operation({
+        id: 'abortBulkJob',
+        tag: 'Bulk',
+        summary: 'Abort a bulk job',
+        scope: 'bulk:write',
+        parameters: [orgId, bulkJobId],
+        responses: { 200: ok('Aborted', ref('SalesforceBulkJob')) }
+      })
+    },
+    '/connections/{orgId}/sync': {
+      post: operation({
+        id: 'startSync',
+        tag: 'Sync',
+        summary: 'Start a sync of Actabl_Lead__c into the local mirror',
+        description: 'Returns immediately; follow progress through /sync/runs.',
+        scope: 'sync:write',
+        parameters: [orgId],
+        responses: {
+          202: ok('Started', ref('SyncRun')),
+          409: { $ref: '#/components/responses/Conflict' }
+        }
+      })
+    },
+    '/connections/{orgId}/sync/runs': {
+      get: operation({
+        id: 'listSyncRuns',
+        tag: 'Sync',
+        summary: 'Sync run history',
+        scope: 'sync:read',
+        parameters: [orgId],
+        responses: { 200: ok('Sync runs', arrayOf(ref('SyncRun'))) }
+      })
+    },
+    '/connections/{orgId}/jobs': {
+      get: operation({
+        id: 'listJobs',
+        tag: 'Jobs',
+        summary: 'List background jobs, newest first',
+        description: 'Listings leave out each job\'s result; get the job to read it.',
+        scope: 'jobs:read',
+        parameters: [
+          orgId,
+          queryParam('status', 'Job status', string({ enum: JOB_STATUSES })),
+          queryParam('type', 'Job type'),
+          limitParam(500, 50),
+          queryParam('cursor', 'nextCursor of the previous page', string({ pattern: NUMERIC_ID }))
+        ],
+        responses: {
+          200: ok('Page of jobs', object({ jobs: arrayOf(ref('JobSummary')), nextCursor: nullable(string()) }))
+        }
+      }),
+      post: operation({
+        id: 'enqueueJob',
+        tag: 'Jobs',
+        summary: 'Enqueue a background job',
+        description: 'The worker process runs it. Follow it through /jobs/{id} and /jobs/{id}/logs.',
+        scope: 'jobs:write',
+        parameters: [orgId],
+        requestBody: body(object({
+          type: string({ enum: getJobTypes(), description: 'Job type' }),
+          payload: { type: 'object' },
+          priority: integer({ minimum: -100, maximum: 100 }),
+          runAt: nullable(string({ format: 'date-time', description: 'Run no earlier than this' })),
+          maxAttempts: integer({ minimum: 1, maximum: 25 }),
+          retryDelay: integer({ minimum: 0, maximum: 21600 }),
+          backoff: string({ enum: RETRY_BACKOFFS })
+        }, ['payload', 'priority', 'runAt', 'maxAttempts', 'retryDelay', 'backoff'])),
+        responses: { 201: ok('Queued', ref('Job')) }
+      })
+    },
+    '/connections/{orgId}/jobs/schedules': {
+      get: operation({
+        id: 'listJobSchedules',
+        tag: 'Jobs',
+        summary: 'List job schedules',
+        scope: 'jobs:read',
+        parameters: [orgId],
+        responses: { 200: ok('Schedules', arrayOf(ref('JobSchedule'))) }
+      })
+    },
+    '/connections/{orgId}/jobs/schedules/{name}': {
+      put: operation({
+        id: 'saveJobSchedule',
+        tag: 'Jobs',
+        summary: 'Create or replace a job schedule',
+        description: 'The worker enqueues a job each time the cron expression comes due.',
+        scope: 'jobs:write',
+        parameters: [orgId, pathParam('name', 'Schedule name', string({ pattern: SCHEDULE_NAME.source }))],
+        requestBody: body(object({
+          type: string({ enum: getJobTypes(), description: 'Job type' }),
+          payload: { type: 'object' },
+          cron: string({ description: 'Five-field cron expression, UTC, or a shorthand such as @daily' }),
+          enabled: boolean({ default: true }),
+          priority: integer({ minimum: -100, maximum: 100 }),
+          maxAttempts: integer({ minimum: 1, maximum: 25 }),
+          retryDelay: integer({ minimum: 0, maximum: 21600 }),
+          backoff: string({ enum: RETRY_BACKOFFS })
+        }, ['payload', 'enabled', 'priority', 'maxAttempts', 'retryDelay', 'backoff'])),
+        responses: {
+          200: ok('Replaced', ref('JobSchedule')),
+          201: ok('Created', ref('JobSchedule'))
+        }
+      }),
+      delete: operation({
+        id: 'deleteJobSchedule',
+        tag: 'Jobs',
+        summary: 'Delete a job schedule',
+        description: 'Jobs the schedule already enqueued are left alone.',
+        scope: 'jobs:write',
+        parameters: [orgId, pathParam('name', 'Schedule name')],
+        responses: { 200: json('Deleted', object({ success: { const: true } })) }
+      })
+    },
+    '/connections/{orgId}/jobs/{id}': {
+      get: operation({
+        id: 'getJob',
+        tag: 'Jobs',
+        summary: 'Get a background job and its result',
+        scope: 'jobs:read',
+        parameters: [orgId, jobId],
+        responses: { 200: ok('Job', ref('Job')) }
+      })
+    },
+    '/connections/{orgId}/jobs/{id}/logs': {
+      get: operation({
+        id: 'getJobLogs',
+        tag: 'Jobs',
+        summary: 'Read a job\'s log, oldest first',
+        scope: 'jobs:read',
+        parameters: [
+          orgId,
+          jobId,
+          queryParam('after', 'ID of the last entry already read', string({ pattern: NUMERIC_ID })),
+          limitParam(1000, 500)
+        ],
+        responses: { 200: ok('Log entries', arrayOf(ref('JobLogEntry'))) }
+      })
+    },
+    '/connections/{orgId}/jobs/{id}/cancel': {
+      post: operation({
+        id: 'cancelJob',
+        tag: 'Jobs',
+        summary: 'Cancel a background job',
+        description: 'Queued jobs are cancelled at once; running jobs stop at their next checkpoint.',
+        scope: 'jobs:write',
+        parameters: [orgId, jobId],
+        responses: {
+          200: ok('Cancelled, or cancellation requested', ref('Job')),
+          409: { $ref: '#/components/responses/Conflict' }
+        }
+      })
+    },
+    '/connections/{orgId}/change-events': {
+      get: operation({
+        id: 'getChangeEventStatus',
+        tag: 'Sync',
+        summary: 'Change Data Capture subscription status',
+        scope: 'connections:read',
+        parameters: [orgId],
+        responses: {
+          200: ok('Status', object({
+            enabled: boolean(),
+            channel: string(),
+            subscribed: boolean(),
+            replayId: nullable(integer({ description: 'Last processed event' }))
+          }))
+        }
+      })
+    },
+    '/connections/{orgId}/mirror/leads': {
+      get: operation({
+        id: 'readMirror',
+        tag: 'Sync',
+        summary: 'Read Actabl leads from the local mirror',
+        description: 'Serves reads without calling Salesforce.',
+        scope: 'leads:read',
+        parameters: [
+          orgId,
+          limitParam(1000, 100),
+          queryParam('offset', 'Records to skip', integer({ minimum: 0, default: 0 })),
+          queryParam('includeDeleted', '`true` to include deleted leads', string({ enum: ['true', 'false'] }))
+        ],
+        responses: {
+          200: ok('Mirrored leads', object({
+            totalSize: integer(),
+            records: arrayOf({ type: 'object', description: 'Mirror row: the record\'s fields plus sync bookkeeping' })
+          }))
+        }
+      })
+    },
+    '/connections/{orgId}/query/stream': {
+      get: operation({
+        id: 'streamQuery',
+        tag: 'Leads',
+        summary: 'Stream a SOQL query as NDJSON',
+        description: 'Writes one record per line. A failure after the first line is reported as a final error line.',
+        scope: 'query:read',
+        parameters: [
+          orgId,
+          queryParam('q', 'SOQL query', string({ minLength: 1 }), { required: true }),
+          queryParam('all', '`true` to include deleted and archived rows (queryAll)', string({ enum: ['true', 'false'] }))
+        ],
+        responses: {
+          200: { description: 'One JSON record per line', content: { 'application/x-ndjson': { schema: string() } } }
+        }
+      })
+    },
+    '/connections/{orgId}/sobjects': {
+      get: operation({
+        id: 'listSObjects',
+        tag: 'Schema',
+        summary: 'List all sObjects (global describe)',
+        scope: 'schema:read',
+        parameters: [
+          orgId,
+          queryParam('custom', '`true` for custom objects only, `false` for standard ones', string({ enum: ['true', 'false'] })),
+          refreshParam
+        ],
+        responses: {
+          200: ok('sObjects', object({
+            totalSize: integer(),
+            sobjects: arrayOf(ref('SObjectSummary')),
+            describedAt: timestamp,
+            checkedAt: timestamp
+          }))
+        }
+      })
+    },
+    '/connections/{orgId}/schema': {
+      get: operation({
+        id: 'getLeadSchema',
+        tag: 'Schema',
+        summary: 'Get the Actabl_Lead__c schema',
+        description: 'Same as /schema/Actabl_Lead__c.',
+        scope: 'schema:read',
+        parameters: [orgId, refreshParam],
+        responses: { 200: ok('Schema', ref('SObjectSchema')) }
+      })
+    },
+    '/connections/{orgId}/schema/{object}': {
+      get: operation({
+        id: 'getObjectSchema',
+        tag: 'Schema',
+        summary: 'Get any object\'s schema',
+        description: 'Fields with relationships, permissions, formulas and dependent picklists, plus child relationships and record types.',
+        scope: 'schema:read',
+        parameters: [orgId, objectParam, refreshParam],
+        responses: { 200: ok('Schema', ref('SObjectSchema')) }
+      })
+    },
+    '/connections/{orgId}/schema/{object}/diff': {
+      get: operation({
+        id: 'diffObjectSchema',
+        tag: 'Schema',
+        summary: 'Fields changed since the last snapshot',
+        description: 'Compares against the latest snapshot; answers 404 SNAPSHOT_NOT_FOUND until one is taken with POST .../snapshots.',
+        scope: 'schema:read',
+        parameters: [orgId, objectParam],
+        responses: {
+          200: ok('Differences', object({
+            object: string(),
+            snapshot: ref('SchemaSnapshot'),
+            describedAt: timestamp,
+            unchanged: boolean(),
+            added: arrayOf(ref('Field')),
+            removed: arrayOf(ref('Field')),
+            changed: arrayOf(object({
+              name: string(),
+              changes: { type: 'object', additionalProperties: object({ from: {}, to: {} }) }
+            }))
+          }))
+        }
+      })
+    },
+    '/connections/{orgId}/schema/{object}/snapshots': {
+      post: operation({
+        id: 'snapshotObjectSchema',
+        tag: 'Schema',
+        summary: 'Snapshot an object\'s current fields',
+        scope: 'schema:write',
+        parameters: [orgId, objectParam],
+        responses: { 201: ok('Recorded', ref('SchemaSnapshot')) }
+      })
+    },
+    '/connections/{orgId}/mappings': {
+      get: operation({
+        id: 'listMappings',
+        tag: 'Mappings',
+        summary: 'List field mappings',
+        scope: 'mappings:read',
+        parameters: [orgId],
+        responses: { 200: ok('Mappings', arrayOf(ref('Mapping'))) }
+      })
+    },
+    '/connections/{orgId}/mappings/{name}': {
+      get: operation({
+        id: 'getMapping',
+        tag: 'Mappings',
+        summary: 'Get a field mapping',
+        scope: 'mappings:read',
+        parameters: [orgId, mappingName],
+        responses: { 200: ok('Mapping', ref('Mapping')) }
+      }),
+      put: operation({
+        id: 'saveMapping',
+        tag: 'Mappings',
+        summary: 'Create or replace a field mapping',
+        description: 'Rules are checked against the Actabl_Lead__c describe result before saving.',
+        scope: 'mappings:write',
+        parameters: [orgId, mappingName],
+        requestBody: body(object({
+          description: nullable(string()),
+          fields: arrayOf(ref('FieldRule'), { minItems: 1, maxItems: 500 })
+        }, ['description'])),
+        responses: {
+          200: ok('Replaced', ref('Mapping')),
+          201: ok('Created', ref('Mapping'))
+        }
+      }),
+      delete: operation({
+        id: 'deleteMapping',
+        tag: 'Mappings',
+        summary: 'Delete a field mapping',
+        scope: 'mappings:write',
+        parameters: [orgId, mappingName],
+        responses: { 200: json('Deleted', object({ success: { const: true } })) }
+      })
+    },
+    '/connections/{orgId}/mappings/{name}/dry-run': {
+      post: operation({
+        id: 'dryRunMapping',
+        tag: 'Mappings',
+        summary: 'Preview a mapped payload',
+        description: 'Returns the Actabl_Lead__c payload the input produces and every mapping or validation error, without calling Salesforce.',
+        scope: 'mappings:read',
+        parameters: [
+          orgId,
+          mappingName,
+          queryParam('mode', 'Validate as for create, update (maps only the fields present, without defaults) or upsert', string({ enum: ['create', 'update', 'upsert'], default: 'create' }))
+        ],
+        requestBody: body({ type: 'object', description: 'Input document in the mapping\'s source format' }),
+        responses: {
+          200: ok('Preview', object({ valid: boolean(), record: { type: 'object' }, errors: arrayOf(ref('Problem')) }))
+        }
+      })
+    },
+    '/connections/{orgId}/matching/rules': {
+      get: operation({
+        id: 'getMatchRules',
+        tag: 'Matching',
+        summary: 'Get duplicate match rules',
+        scope: 'matching:read',
+        parameters: [orgId],
+        responses: { 200: ok('Match rules', ref('MatchRules')) }
+      }),
+      put: operation({
+        id: 'saveMatchRules',
+        tag: 'Matching',
+        summary: 'Replace duplicate match rules',
+        description: 'Rules run in order; the first rule with a match decides.',
+        scope: 'matching:write',
+        parameters: [orgId],
+        requestBody: body(object({ rules: arrayOf(ref('MatchRule')) })),
+        responses: { 200: ok('Saved', ref('MatchRules')) }
+      }),
+      delete: operation({
+        id: 'resetMatchRules',
+        tag: 'Matching',
+        summary: 'Go back to the default match rules',
+        scope: 'matching:write',
+        parameters: [orgId],
+        responses: { 200: ok('Default rules', ref('MatchRules')) }
+      })
+    },
+    '/connections/{orgId}/reviews': {
+      get: operation({
+        id: 'listReviews',
+        tag: 'Matching',
+        summary: 'List leads queued for duplicate review',
+        scope: 'matching:read',
+        parameters: [
+          orgId,
+          queryParam('status', 'Review status', string({ enum: REVIEW_STATUSES })),
+          limitParam(500, 50)
+        ],
+        responses: { 200: ok('Reviews', arrayOf(ref('Review'))) }
+      })
+    },
+    '/connections/{orgId}/reviews/{id}': {
+      get: operation({
+        id: 'getReview',
+        tag: 'Matching',
+        summary: 'Get a queued lead and its matches',
+        scope: 'matching:read',
+        parameters: [orgId, pathParam('id', 'Review ID')],
+        responses: { 200: ok('Review', ref('Review')) }
+      })
+    },
+    '/connections/{orgId}/reviews/{id}/resolve': {
+      post: operation({
+        id: 'resolveReview',
+        tag: 'Matching',
+        summary: 'Resolve a queued lead',
+        scope: 'matching:write',
+        parameters: [orgId, pathParam('id', 'Review ID')],
+        requestBody: body(object({
+          action: string({ enum: REVIEW_RESOLUTIONS }),
+          recordId: string({ description: 'The lead to update (update only)' })
+        }, ['recordId'])),
+        responses: {
+          200: ok('Resolved', ref('Review')),
+          409: { $ref: '#/components/responses/Conflict' }
+        }
+      })
+    },
+    '/connections/{orgId}/disconnect': {
+      post: operation({
+        id: 'disconnect',
+        tag: 'Connections',
+        summary: 'Revoke and clear the tokens of an org',
+        scope: 'connections:write',
+        parameters: [orgId],
+        responses: { 302: redirect('Disconnected; redirects to the dashboard') }
+      })
+    },
+    '/webhooks/subscriptions': {
+      get: operation({
+        id: 'listWebhookSubscriptions',
+        tag: 'Webhooks',
+        summary: 'List webhook subscriptions',
+        scope: 'webhooks:read',
+        responses: { 200: ok('Subscriptions', arrayOf(ref('WebhookSubscription'))) }
+      }),
+      post: operation({
+        id: 'createWebhookSubscription',
+        tag: 'Webhooks',
+        summary: 'Register a webhook subscription',
+        description: 'The URL must use https and resolve only to public addresses. The response includes the signing secret; it is not shown again.',
+        scope: 'webhooks:write',
+        requestBody: body(object({
+          url: string({ format: 'uri' }),
+          secret: string({ minLength: 16, description: 'Signing secret (default: generated)' }),
+          events: arrayOf(string({ enum: WEBHOOK_EVENTS }), { description: 'Event types (default all)' }),
+          orgId: string({ description: 'Only events of this org (default every org)' })
+        }, ['secret', 'events', 'orgId'])),
+        responses: { 201: ok('Registered', ref('NewWebhookSubscription')) }
+      })
+    },
+    '/webhooks/subscriptions/{id}': {
+      delete: operation({
+        id: 'deleteWebhookSubscription',
+        tag: 'Webhooks',
+        summary: 'Remove a webhook subscription and its deliveries',
+        scope: 'webhooks:write',
+        parameters: [pathParam('id', 'Subscription ID')],
+        responses: { 200: json('Removed', object({ success: { const: true } })) }
+      })
+    },
+    '/webhooks/deliveries': {
+      get: operation({
+        id: 'listWebhookDeliveries',
+        tag: 'Webhooks',
+        summary: 'List webhook deliveries',
+        scope: 'webhooks:read',
+        parameters: [
+          queryParam('status', 'Delivery status', string({ enum: DELIVERY_STATUSES })),
+          queryParam('subscriptionId', 'Subscription ID', integer()),
+          limitParam(500, 50)
+        ],
+        responses: { 200: ok('Deliveries', arrayOf(ref('WebhookDelivery'))) }
+      })
+    },
+    '/webhooks/deliveries/{id}/redeliver': {
+      post: operation({
+        id: 'redeliverWebhook',
+        tag: 'Webhooks',
+        summary: 'Retry a failed delivery',
+        description: 'Resets the attempt count and queues the delivery for the next worker pass.',
+        scope: 'webhooks:write',
+        parameters: [pathParam('id', 'Delivery ID')],
+        responses: { 200: ok('Queued', ref('WebhookDelivery')) }
+      })
+    },
+    '/audit': {
+      get: operation({
+        id: 'listAuditEvents',
+        tag: 'Audit',
+        summary: 'List audit events, newest first',
+        scope: 'audit:read',
+        parameters: [
+          ...auditFilters,
+          limitParam(500, 100),
+          queryParam('cursor', 'nextCursor of the previous page', string({ pattern: NUMERIC_ID }))
+        ],
+        responses: {
+          200: ok('Page of events', object({ events: arrayOf(ref('AuditEvent')), nextCursor: nullable(string()) }))
+        }
+      })
+    },
+    '/audit/export': {
+      get: operation({
+        id: 'exportAuditEvents',
+        tag: 'Audit',
+        summary: 'Download audit events as CSV',
+        description: 'Takes the same filters as /audit and writes every matching event.',
+        scope: 'audit:read',
+        parameters: auditFilters,
+        responses: { 200: { description: 'CSV with a header row', content: { 'text/csv': { schema: string() } } } }
+      })
+    },
+    '/api-keys': {
+      get: operation({
+        id: 'listApiKeys',
+        tag: 'API Keys',
+        summary: 'List API keys',
+        description: 'Only key prefixes are shown; revoked keys are included.',
+        scope: 'keys:read',
+        responses: { 200: ok('Keys', arrayOf(ref('ApiKey'))) }
+      }),
+      post: operation({
+        id: 'createApiKey',
+        tag: 'API Keys',
+        summary: 'Create an API key',
+        description: 'The response includes the key itself; it is not shown again. An API key can only create keys with scopes it holds itself.',
+        scope: 'keys:write',
+        requestBody: body(object({
+          name: string({ minLength: 1 }),
+          scopes: arrayOf(string({ enum: API_KEY_SCOPES }), { minItems: 1 })
+        })),
+        responses: { 201: ok('Created', ref('NewApiKey')) }
+      })
+    },
+    '/api-keys/{id}': {
+      delete: operation({
+        id: 'revokeApiKey',
+        tag: 'API Keys',
+        summary: 'Revoke an API key',
+        scope: 'keys:write',
+        parameters: [pathParam('id', 'Key ID')],
+        responses: { 200: ok('Revoked', ref('ApiKey')) }
+      })
+    },
+    '/openapi.json': {
+      get: operation({
+        id: 'getOpenApiDocument',
+        tag: 'System',
+        summary: 'This document',
+        responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+      })
+    },
+    '/docs': {
+      get: operation({
+        id: 'getApiDocs',
+        tag: 'System',
+        summary: 'Browsable API documentation',
+        responses: { 200: html('Documentation page') }
+      })
+    },
+    '/health': {
+      get: operation({
+        id: 'healthCheck',
+        tag: 'System',
+        summary: 'Health check',
+        responses: { 200: json('Healthy', object({ status: { const: 'healthy' }, timestamp })) }
+      })
+    }
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ * Call after the modules registering job handlers are loaded, so job types are complete.
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument() {
+  const errorResponse = description => json(description, ref('Error'));
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Actabl Salesforce Integration',
+      version: API_VERSION,
+      description: 'Connects Salesforce orgs and works with their Actabl leads. Responses are JSON in the envelope ' +
+        '`{ "success": true, "data": ... }`; failures are `{ "success": false, "error": { code, message, status, details } }`.'
+    },
+    tags: [
+      { name: 'Dashboard', description: 'Pages for people, signed in with the dashboard password' },
+      { name: 'Connections', description: 'Connected Salesforce orgs' },
+      { name: 'Leads', description: 'Actabl_Lead__c records' },
+      { name: 'Bulk', description: 'Bulk API 2.0 jobs' },
+      { name: 'Sync', description: 'Local mirror of Actabl_Lead__c and change events' },
+      { name: 'Jobs', description: 'Background jobs run by the worker process' },
+      { name: 'Schema', description: 'Object metadata and schema changes' },
+      { name: 'Mappings', description: 'Field mappings from other lead formats' },
+      { name: 'Matching', description: 'Duplicate match rules and the review queue' },
+      { name: 'Webhooks', description: 'Outgoing lead events' },
+      { name: 'Audit', description: 'Audit log of Salesforce calls and OAuth events' },
+      { name: 'API Keys', description: 'Scoped keys for programmatic access' },
+      { name: 'System', description: 'Health and documentation' }
+    ],
+    paths: buildPaths(),
+    components: {
+      schemas: buildSchemas(),
+      parameters: {
+        orgId: pathParam('orgId', 'Salesforce organization ID of the connection')
+      },
+      responses: {
+        Error: errorResponse('Error'),
+        BadRequest: errorResponse('The request is invalid; details lists the problems'),
+        Unauthenticated: errorResponse('No valid API key or session'),
+        Forbidden: errorResponse('The API key lacks the scope, or the CSRF token is missing'),
+        NotFound: errorResponse('The connection or resource does not exist'),
+        Conflict: errorResponse('The resource is not in a state that allows this'),
+        PayloadTooLarge: errorResponse('The request body is over the size limit')
+      },
+      securitySchemes: {
+        apiKey: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `API key as a bearer token. Keys carry scopes: ${API_KEY_SCOPES.join(', ')}.`
+        },
+        apiKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+          description: 'API key in a header instead of Authorization'
+        },
+        session: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: SESSION_COOKIE,
+          description: 'Dashboard session from POST /login. State-changing requests also need the ' +
+            'session\'s CSRF token in the `x-csrf-token` header or a `_csrf` form field.'
+        }
+      }
+    }
+  };
+}
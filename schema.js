@@ -0,0 +1,244 @@
+import { pool } from './db.js';
+import { getCachedDescribe } from './utils/salesforce.js';
+import { registerJobHandler } from './jobs.js';
+
+/**
+ * Schema explorer: richer describe metadata and change tracking
+ *
+ * Field metadata keeps what the lead routes' summaries leave out: relationships,
+ * create/update permissions, formulas, dependent picklists and record types.
+ * Snapshots record an object's fields at a point in time; diffing the current
+ * describe against the latest snapshot shows what admins changed since.
+ */
+
+// Field properties compared when diffing snapshots
+const DIFF_PROPERTIES = [
+  'label', 'type', 'length', 'precision', 'scale', 'required', 'nillable',
+  'createable', 'updateable', 'unique', 'externalId', 'calculated', 'formula',
+  'defaultValue', 'referenceTo', 'relationshipName', 'controllerName', 'picklistValues'
+];
+
+/**
+ * Controlling values a dependent picklist entry is valid for
+ * `validFor` is a base64 bitmap with one bit per controlling value, most
+ * significant bit first.
+ */
+function decodeValidFor(validFor, controllingValues) {
+  const bits = Buffer.from(validFor, 'base64');
+  return controllingValues.filter((value, index) => (bits[index >> 3] & (0x80 >> (index % 8))) !== 0);
+}
+
+/**
+ * Map a describe field to its explorer metadata
+ * @param {Object} field - Field from a describe result
+ * @param {Map} fieldsByName - All fields of the object, to resolve controlling fields
+ * @returns {Object} Field metadata
+ */
+export function describeField(field, fieldsByName = new Map()) {
+  const controller = field.dependentPicklist ? fieldsByName.get(field.controllerName) : null;
+  // Checkbox controllers have two values, false then true
+  const controllingValues = controller?.type === 'boolean'
+    ? ['false', 'true']
+    : controller?.picklistValues?.map(entry => entry.value) || [];
+  
+  return {
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    length: field.length,
+    precision: field.precision,
+    scale: field.scale,
+    required: !field.nillable && !field.defaultedOnCreate,
+    nillable: field.nillable,
+    createable: field.createable,
+    updateable: field.updateable,
+    filterable: field.filterable,
+    sortable: field.sortable,
+    unique: field.unique,
+    externalId: field.externalId,
+    idLookup: field.idLookup,
+    calculated: field.calculated,
+    formula: field.calculatedFormula || null,
+    defaultValue: field.defaultValue ?? null,
+    helpText: field.inlineHelpText || null,
+    referenceTo: field.referenceTo || [],
+    relationshipName: field.relationshipName || null,
+    cascadeDelete: field.cascadeDelete,
+    restrictedDelete: field.restrictedDelete,
+    controllerName: field.controllerName || null,
+    dependentPicklist: Boolean(field.dependentPicklist),
+    picklistValues: (field.picklistValues || []).map(entry => ({
+      value: entry.value,
+      label: entry.label,
+      active: entry.active,
+      defaultValue: entry.defaultValue,
+      ...(controller && entry.validFor ? { validFor: decodeValidFor(entry.validFor, controllingValues) } : {})
+    }))
+  };
+}
+
+/**
+ * Map an object describe result to its explorer metadata
+ * @param {Object} describe - Object describe result
+ * @returns {Object} Object metadata with fields, child relationships and record types
+ */
+export function describeSObject(describe) {
+  const fieldsByName = new Map(describe.fields.map(field => [field.name, field]));
+  const fields = describe.fields.map(field => describeField(field, fieldsByName));
+  
+  return {
+    name: describe.name,
+    label: describe.label,
+    labelPlural: describe.labelPlural,
+    keyPrefix: describe.keyPrefix,
+    custom: describe.custom,
+    queryable: describe.queryable,
+    createable: describe.createable,
+    updateable: describe.updateable,
+    deletable: describe.deletable,
+    fieldCount: fields.length,
+    fields,
+    childRelationships: (describe.childRelationships || []).map(relationship => ({
+      childSObject: relationship.childSObject,
+      field: relationship.field,
+      relationshipName: relationship.relationshipName,
+      cascadeDelete: relationship.cascadeDelete
+    })),
+    recordTypes: (describe.recordTypeInfos || []).map(recordType => ({
+      id: recordType.recordTypeId,
+      name: recordType.name,
+      developerName: recordType.developerName,
+      active: recordType.active,
+      available: recordType.available,
+      default: recordType.defaultRecordTypeMapping,
+      master: recordType.master
+    }))
+  };
+}
+
+/**
+ * Map a global describe result to a list of sObjects
+ * @param {Object} describe - Global describe result
+ * @returns {Array<Object>} sObject summaries
+ */
+export function listSObjects(describe) {
+  return describe.sobjects.map(sobject => ({
+    name: sobject.name,
+    label: sobject.label,
+    labelPlural: sobject.labelPlural,
+    keyPrefix: sobject.keyPrefix,
+    custom: sobject.custom,
+    customSetting: sobject.customSetting,
+    queryable: sobject.queryable,
+    createable: sobject.createable,
+    updateable: sobject.updateable,
+    deletable: sobject.deletable
+  }));
+}
+
+/**
+ * Map a schema_snapshots row to a snapshot object
+ */
+function rowToSnapshot(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    objectName: row.object_name,
+    fieldCount: row.fields.length,
+    takenAt: row.taken_at
+  };
+}
+
+/**
+ * Record the current fields of an object
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} objectName - Object API name
+ * @param {Array<Object>} fields - Field metadata from describeField()
+ * @returns {Promise<Object>} Snapshot (without its fields)
+ */
+export async function takeSnapshot(orgId, objectName, fields) {
+  const result = await pool.query(
+    'INSERT INTO schema_snapshots (org_id, object_name, fields) VALUES ($1, $2, $3) RETURNING *',
+    [orgId, objectName, JSON.stringify(fields)]
+  );
+  return rowToSnapshot(result.rows[0]);
+}
+
+/**
+ * Get the latest snapshot of an object
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} objectName - Object API name
+ * @returns {Promise<Object|null>} Snapshot with its fields, or null if none was taken
+ */
+export async function getLatestSnapshot(orgId, objectName) {
+  const result = await pool.query(
+    `SELECT * FROM schema_snapshots
+     WHERE org_id = $1 AND object_name = $2
+     ORDER BY taken_at DESC, id DESC
+     LIMIT 1`,
+    [orgId, objectName]
+  );
+  
+  const row = result.rows[0];
+  return row ? { ...rowToSnapshot(row), fields: row.fields } : null;
+}
+
+/**
+ * Compare two lists of field metadata
+ * @param {Array<Object>} before - Fields of the snapshot
+ * @param {Array<Object>} after - Current fields
+ * @returns {Object} { added, removed, changed } - changed lists { name, changes: { property: { from, to } } }
+ */
+export function diffFields(before, after) {
+  const beforeByName = new Map(before.map(field => [field.name, field]));
+  const afterByName = new Map(after.map(field => [field.name, field]));
+  
+  const added = after.filter(field => !beforeByName.has(field.name));
+  const removed = before.filter(field => !afterByName.has(field.name));
+  const changed = [];
+  
+  for (const field of after) {
+    const previous = beforeByName.get(field.name);
+    if (!previous) {
+      continue;
+    }
+    
+    const changes = {};
+    for (const property of DIFF_PROPERTIES) {
+      if (JSON.stringify(previous[property]) !== JSON.stringify(field[property])) {
+        changes[property] = { from: previous[property], to: field[property] };
+      }
+    }
+    
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: field.name, changes });
+    }
+  }
+  
+  return { added, removed, changed };
+}
+
+registerJobHandler('schema.snapshot', {
+  validate({ objects }) {
+    if (!Array.isArray(objects) || objects.length === 0 || objects.length > 100 ||
+        !objects.every(name => typeof name === 'string' && /^[A-Za-z][A-Za-z0-9_]*$/.test(name))) {
+      return ['payload.objects must be an array of 1 to 100 object API names'];
+    }
+    return [];
+  },
+  
+  async run({ orgId, payload }, { log, signal }) {
+    const snapshots = [];
+    
+    for (const objectName of payload.objects) {
+      signal.throwIfAborted();
+      const entry = await getCachedDescribe(orgId, objectName, { refresh: true });
+      const schema = describeSObject(entry.describe);
+      const snapshot = await takeSnapshot(orgId, schema.name, schema.fields);
+      await log(`Recorded snapshot ${snapshot.id} of ${schema.name}`);
+      snapshots.push(snapshot);
+    }
+    
+    return { snapshots };
+  }
+});
@@ -1,15 +1,51 @@
 import 'dotenv/config';
 import express from 'express';
-import { initializeDatabase, storeTokens, getTokens, deleteTokens, hasTokens } from './db.js';
-import { generateCodeVerifier, generateCodeChallenge, generateState, storeVerifier, getVerifier } from './utils/pkce.js';
-import { buildAuthorizationUrl, exchangeCodeForTokens, executeQuery, describeObject } from './utils/salesforce.js';
+import { once } from 'events';
+import { pool, summarizeApiUsage, startApiUsagePruning, rotateTokenEncryption, storeTokens, getTokens, deleteTokens, listConnections, updateConnectionLabel, saveBulkJob, getBulkJob, listBulkJobs } from './db.js';
+import { createPostgresVerifierStore } from './verifierStore.js';
+import { migrate, assertSchemaCurrent } from './migrate.js';
+import { startSync, listSyncRuns, readMirror } from './sync.js';
+import { rotateWebhookSecrets, startWebhookWorker, validateSubscription, checkWebhookHost, createSubscription, listSubscriptions, deleteSubscription, listDeliveries, redeliver, DELIVERY_STATUSES } from './webhooks.js';
+import { startChangeEventSubscriber, startChangeEventSubscribers, stopChangeEventSubscriber, isSubscribed, getReplayId, CHANGE_EVENT_CHANNEL } from './changeEvents.js';
+import { generateCodeVerifier, generateCodeChallenge, generateState, storeVerifier, getVerifier, setVerifierStore, startVerifierSweep } from './utils/pkce.js';
+import { getOrgLimits, buildAuthorizationUrl, exchangeCodeForTokens, connectServerToServer, getTokenLifetime, introspectToken, revokeToken, getUserInfo, executeQuery, queryRecords, describeObjectCached, getCachedDescribe, parseIdentityUrl, resolveLoginUrl, createRecord, getRecord, updateRecord, deleteRecord, upsertRecord } from './utils/salesforce.js';
+import { isJwtConfigured } from './utils/jwt.js';
+import { getObservedUsage } from './utils/throttle.js';
+import { buildQuery, encodeCursor, QueryParameterError } from './utils/soql.js';
+import { validateRecord, isSalesforceId } from './utils/validation.js';
+import { submitIngestJob, createQueryJob, getJobStatus, getIngestResults, getQueryResults, abortJob, isFinalJobState } from './utils/bulk.js';
+import { ValidationError, NotFoundError, ConflictError, toAppError } from './utils/errors.js';
+import { listMappings, getMapping, saveMapping, deleteMapping, MAPPING_NAME } from './mappings.js';
+import { validateMapping, applyMapping } from './utils/mapping.js';
+import { getMatchRules, saveMatchRules, resetMatchRules, validateMatchRules, ingestLead, listReviews, getReview, resolveReview, REVIEW_STATUSES } from './matching.js';
+import { describeSObject, listSObjects, takeSnapshot, getLatestSnapshot, diffFields } from './schema.js';
+import { auditContext, recordAuditEvent, listAuditEvents, iterateAuditEvents, AUDIT_EVENTS } from './audit.js';
+import { enqueueJob, validateJob, getJob, listJobs, getJobLogs, cancelJob, saveSchedule, listSchedules, deleteSchedule, validateSchedule, JOB_STATUSES, SCHEDULE_NAME } from './jobs.js';
+import { formatCsvLine, escapeFormula } from './utils/csv.js';
+import { authenticate, verifyCsrf, requireScope, isDashboardLoginConfigured, checkDashboardCredentials, createSession, deleteSession, getSessionToken, createApiKey, listApiKeys, revokeApiKey, validateApiKey, SESSION_COOKIE } from './auth.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { validateAgainstSpec, findSpecDrift } from './utils/openapi.js';
+import { resolveRef } from './utils/jsonSchema.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const CHANGE_EVENTS_ENABLED = process.env.CHANGE_EVENTS === 'true';
+// Checking every response costs a serialization; production only checks requests by default
+const RESPONSE_VALIDATION = process.env.OPENAPI_RESPONSE_VALIDATION || (process.env.NODE_ENV === 'production' ? 'off' : 'error');
+const openApiDocument = buildOpenApiDocument();
 
 // Middleware
+// Identify the caller before reading any body; each route then checks its scope
+app.use(authenticate);
+// Bulk uploads get a larger body limit (and CSV support) than other routes
+app.use('/connections/:orgId/bulk', express.json({ limit: '100mb' }), express.text({ type: 'text/csv', limit: '100mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Audit events recorded while handling a request name its caller as the actor
+app.use(auditContext);
+app.use(verifyCsrf);
+// Requests and responses must match the OpenAPI document (see openapi.js)
+app.use(validateAgainstSpec(openApiDocument, { responses: RESPONSE_VALIDATION }));
 
 /**
  * Get the base URL for redirects
@@ -20,35 +56,91 @@ function getBaseUrl(req) {
   return `${protocol}://${host}`;
 }
 
+/**
+ * Escape a value for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate HTML dashboard page
  */
-function getDashboardHtml(isConnected) {
-  const connectedContent = `
-    <div class="status connected">
-      <span class="status-icon">✓</span>
-      Connected to Salesforce
-    </div>
-    <div class="button-group">
-      <a href="/test" class="btn btn-primary">Test Connection</a>
-      <a href="/leads" class="btn btn-secondary">Query Actabl Leads</a>
-      <a href="/schema" class="btn btn-secondary">Get Schema</a>
-      <form action="/disconnect" method="POST" style="display: inline;">
-        <button type="submit" class="btn btn-danger">Disconnect</button>
-      </form>
+function getDashboardHtml(connections, bulkJobs = [], csrfToken = '') {
+  const csrfField = `<input type="hidden" name="_csrf" value="${escapeHtml(csrfToken)}">`;
+  
+  const connectionCards = connections.map(connection => {
+    const base = `/connections/${encodeURIComponent(connection.orgId)}`;
+    const jobs = bulkJobs.filter(job => job.orgId === connection.orgId);
+    const jobRows = jobs.map(job => `
+          <tr>
+            <td><a href="${base}/bulk/jobs/${encodeURIComponent(job.jobId)}">${escapeHtml(job.jobId)}</a></td>
+            <td>${escapeHtml(job.operation)} ${escapeHtml(job.object || '')}</td>
+            <td>${escapeHtml(job.state)}</td>
+            <td>${job.recordsProcessed} / ${job.recordsFailed}</td>
+          </tr>
+    `).join('');
+    return `
+    <div class="connection">
+      <div class="status connected">
+        <span class="status-icon">✓</span>
+        ${escapeHtml(connection.label || connection.orgId)}
+      </div>
+      <p class="connection-meta">
+        ${escapeHtml(connection.orgId)} · ${escapeHtml(connection.instanceUrl)}
+        ${connection.loginUrl ? `<br>via ${escapeHtml(connection.loginUrl)}` : ''}
+        ${connection.grantType === 'jwt_bearer' ? `<br>JWT bearer as ${escapeHtml(connection.username)}` : ''}
+        ${connection.grantType === 'client_credentials' ? '<br>Client credentials' : ''}
+      </p>
+      <div class="button-group">
+        <a href="${base}/test" class="btn btn-primary">Test Connection</a>
+        <a href="${base}/leads" class="btn btn-secondary">Query Actabl Leads</a>
+        <a href="${base}/schema" class="btn btn-secondary">Get Schema</a>
+        <form action="${base}/disconnect" method="POST" style="display: inline;">
+          ${csrfField}
+          <button type="submit" class="btn btn-danger">Disconnect</button>
+        </form>
+      </div>
+      ${jobs.length ? `
+      <table class="jobs">
+        <thead>
+          <tr><th>Bulk job</th><th>Operation</th><th>State</th><th>Processed / Failed</th></tr>
+        </thead>
+        <tbody>${jobRows}</tbody>
+      </table>
+      ` : ''}
     </div>
   `;
-
+  }).join('');
+  
   const disconnectedContent = `
     <div class="status disconnected">
       <span class="status-icon">○</span>
       Not connected to Salesforce
     </div>
-    <div class="button-group">
-      <a href="/auth" class="btn btn-primary btn-large">Connect to Salesforce</a>
-    </div>
   `;
-
+  
+  const connectForm = `
+    <form action="/auth" method="GET" class="connect-form">
+      <input type="text" name="label" placeholder="Label (e.g. Production)" maxlength="100">
+      <select name="environment">
+        <option value="">Default login</option>
+        <option value="production">Production / Developer</option>
+        <option value="sandbox">Sandbox</option>
+        <option value="custom">My Domain</option>
+      </select>
+      <input type="text" name="domain" placeholder="mycompany.my.salesforce.com">
+      <button type="submit" class="btn btn-primary${connections.length ? '' : ' btn-large'}">
+        ${connections.length ? 'Connect Another Org' : 'Connect to Salesforce'}
+      </button>
+    </form>
+  `;
+  
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -152,13 +244,74 @@ function getDashboardHtml(isConnected) {
           padding: 16px 32px;
           font-size: 16px;
         }
+        .connection {
+          border: 1px solid #e5e7eb;
+          border-radius: 12px;
+          padding: 16px;
+          margin-bottom: 16px;
+        }
+        .connection .status {
+          margin-bottom: 8px;
+        }
+        .connection-meta {
+          color: #6b7280;
+          font-size: 12px;
+          margin-bottom: 16px;
+          word-break: break-all;
+        }
+        .jobs {
+          width: 100%;
+          margin-top: 16px;
+          border-collapse: collapse;
+          font-size: 12px;
+          text-align: left;
+        }
+        .jobs th,
+        .jobs td {
+          padding: 6px 4px;
+          border-top: 1px solid #e5e7eb;
+        }
+        .jobs th {
+          color: #6b7280;
+          font-weight: 500;
+        }
+        .connect-form {
+          display: flex;
+          gap: 12px;
+          justify-content: center;
+          flex-wrap: wrap;
+          margin-top: 8px;
+        }
+        .connect-form input,
+        .connect-form select {
+          padding: 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+        .logout-form {
+          margin-top: 24px;
+        }
+        .btn-link {
+          background: none;
+          color: #6b7280;
+          padding: 0;
+        }
+        .btn-link:hover {
+          color: #374151;
+        }
       </style>
     </head>
     <body>
       <div class="container">
         <h1>Actabl Integration</h1>
         <p class="subtitle">Salesforce OAuth 2.0 with PKCE</p>
-        ${isConnected ? connectedContent : disconnectedContent}
+        ${connections.length ? connectionCards : disconnectedContent}
+        ${connectForm}
+        <form action="/logout" method="POST" class="logout-form">
+          ${csrfField}
+          <button type="submit" class="btn btn-link">Sign out</button>
+        </form>
       </div>
     </body>
     </html>
@@ -231,72 +384,467 @@ function getSuccessHtml() {
   `;
 }
 
+/**
+ * Generate login page HTML
+ * @param {string} message - Error to show above the form, if any
+ */
+function getLoginHtml(message = '') {
+  const form = isDashboardLoginConfigured() ? `
+        <form action="/login" method="POST">
+          <input type="text" name="username" placeholder="Username" autocomplete="username" required autofocus>
+          <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+          <button type="submit" class="btn">Sign in</button>
+        </form>
+  ` : `
+        <p>Dashboard login is not configured. Set DASHBOARD_PASSWORD to enable it.</p>
+  `;
+  
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Sign in - Actabl Salesforce Integration</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 16px;
+          box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+          padding: 40px;
+          max-width: 400px;
+          width: 100%;
+          text-align: center;
+        }
+        h1 { color: #1a1a2e; margin-bottom: 24px; font-size: 24px; }
+        p { color: #6b7280; }
+        .error { color: #dc2626; margin-bottom: 16px; }
+        form { display: flex; flex-direction: column; gap: 12px; }
+        input {
+          padding: 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+        .btn {
+          padding: 12px 24px;
+          background: #4f46e5;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-weight: 500;
+          font-size: 14px;
+          cursor: pointer;
+        }
+        .btn:hover { background: #4338ca; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>Actabl Integration</h1>
+        ${message ? `<p class="error">${escapeHtml(message)}</p>` : ''}
+        ${form}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Type of a schema for the docs page, as HTML
+ * Referenced schemas link to their section.
+ */
+function describeSchemaHtml(schema) {
+  if (!schema) {
+    return 'any';
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf || schema.oneOf).map(describeSchemaHtml).join(' | ');
+  }
+  if (schema.const !== undefined) {
+    return `<code>${escapeHtml(JSON.stringify(schema.const))}</code>`;
+  }
+  if (schema.type === undefined) {
+    return 'any';
+  }
+  
+  const types = [].concat(schema.type).map(type => (type === 'array' ? `array of ${describeSchemaHtml(schema.items)}` : escapeHtml(type)));
+  const notes = [];
+  if (schema.enum) {
+    notes.push(`one of ${schema.enum.map(value => `<code>${escapeHtml(value)}</code>`).join(', ')}`);
+  }
+  if (schema.format) {
+    notes.push(escapeHtml(schema.format));
+  }
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    notes.push(`${schema.minimum ?? ''}..${schema.maximum ?? ''}`);
+  }
+  if (schema.pattern) {
+    notes.push(`<code>${escapeHtml(schema.pattern)}</code>`);
+  }
+  
+  return `${types.join(' | ')}${notes.length ? ` <span class="note">(${notes.join('; ')})</span>` : ''}`;
+}
+
+/**
+ * Property rows of an object schema, with nested objects flattened into dotted names
+ */
+function schemaPropertyRows(schema, prefix = '') {
+  return Object.entries(schema?.properties || {}).flatMap(([name, property]) => {
+    const row = `
+          <tr>
+            <td><code>${escapeHtml(prefix + name)}</code>${(schema.required || []).includes(name) ? ' <span class="required">required</span>' : ''}</td>
+            <td>${describeSchemaHtml(property)}</td>
+            <td>${escapeHtml(property.description || '')}</td>
+          </tr>`;
+    const nested = property.type === 'array' ? property.items : property;
+    const nestedPrefix = `${prefix}${name}${property.type === 'array' ? '[]' : ''}.`;
+    return [row, ...(nested?.properties ? schemaPropertyRows(nested, nestedPrefix) : [])];
+  });
+}
+
+/**
+ * A schema for the docs page: its properties as a table, or just its type
+ */
+function schemaHtml(schema) {
+  const rows = schemaPropertyRows(schema);
+  if (rows.length === 0) {
+    return `<p>${describeSchemaHtml(schema)}${schema?.description ? ` - ${escapeHtml(schema.description)}` : ''}</p>`;
+  }
+  
+  return `
+        <table>
+          <thead><tr><th>Property</th><th>Type</th><th>Description</th></tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>`;
+}
+
+/**
+ * Generate the API documentation page from the OpenAPI document
+ */
+function getDocsHtml(document) {
+  const operations = Object.entries(document.paths).flatMap(([path, pathItem]) =>
+    Object.entries(pathItem).map(([method, operation]) => ({ path, method, operation }))
+  );
+  
+  const sections = document.tags.map(tag => {
+    const tagged = operations.filter(({ operation }) => operation.tags.includes(tag.name));
+    
+    const entries = tagged.map(({ path, method, operation }) => {
+      const parameters = (operation.parameters || []).map(parameter => (parameter.$ref ? resolveRef(document, parameter.$ref) : parameter));
+      const parameterRows = parameters.map(parameter => `
+            <tr>
+              <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="required">required</span>' : ''}</td>
+              <td>${escapeHtml(parameter.in)}</td>
+              <td>${describeSchemaHtml(parameter.schema)}</td>
+              <td>${escapeHtml(parameter.description || '')}</td>
+            </tr>`).join('');
+      
+      const bodies = Object.entries(operation.requestBody?.content || {}).map(([mediaType, { schema }]) => `
+        <h4>Body <span class="note">${escapeHtml(mediaType)}</span></h4>
+        ${schemaHtml(schema)}`).join('');
+      
+      const responseRows = Object.entries(operation.responses).map(([status, response]) => {
+        const resolved = response.$ref ? resolveRef(document, response.$ref) : response;
+        const [mediaType, content] = Object.entries(resolved.content || {})[0] || [];
+        // Show what the success envelope carries rather than the envelope itself
+        const schema = content?.schema?.properties?.data || content?.schema;
+        return `
+            <tr>
+              <td>${escapeHtml(status)}</td>
+              <td>${escapeHtml(resolved.description)}</td>
+              <td>${mediaType === 'application/json' ? describeSchemaHtml(schema) : escapeHtml(mediaType || '')}</td>
+            </tr>`;
+      }).join('');
+      
+      return `
+      <section class="operation" id="${escapeHtml(operation.operationId)}">
+        <h3><span class="method method-${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+        <p class="summary">${escapeHtml(operation.summary)}</p>
+        ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+        <p class="note">${operation['x-required-scope'] ? `Scope: <code>${escapeHtml(operation['x-required-scope'])}</code>` : 'No authentication required'}</p>
+        ${parameterRows ? `
+        <h4>Parameters</h4>
+        <table>
+          <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+          <tbody>${parameterRows}</tbody>
+        </table>` : ''}
+        ${bodies}
+        <h4>Responses</h4>
+        <table>
+          <thead><tr><th>Status</th><th>Description</th><th>Body</th></tr></thead>
+          <tbody>${responseRows}</tbody>
+        </table>
+      </section>`;
+    }).join('');
+    
+    return `
+      <h2 id="tag-${escapeHtml(tag.name.replace(/\s+/g, '-'))}">${escapeHtml(tag.name)}</h2>
+      <p class="note">${escapeHtml(tag.description || '')}</p>
+      ${entries}`;
+  }).join('');
+  
+  const navigation = document.tags.map(tag => `
+        <li>
+          <a href="#tag-${escapeHtml(tag.name.replace(/\s+/g, '-'))}">${escapeHtml(tag.name)}</a>
+          <ul>${operations.filter(({ operation }) => operation.tags.includes(tag.name)).map(({ path, method, operation }) => `
+            <li><a href="#${escapeHtml(operation.operationId)}"><span class="method method-${method}">${method.toUpperCase()}</span> ${escapeHtml(path)}</a></li>`).join('')}
+          </ul>
+        </li>`).join('');
+  
+  const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+      <section class="operation" id="schema-${escapeHtml(name)}">
+        <h3>${escapeHtml(name)}</h3>
+        ${schemaHtml(schema)}
+      </section>`).join('');
+  
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>API Documentation - Actabl Salesforce Integration</title>
+      <style>
+        * { box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          margin: 0;
+          color: #1a1a2e;
+          display: flex;
+        }
+        nav {
+          width: 320px;
+          height: 100vh;
+          position: sticky;
+          top: 0;
+          overflow-y: auto;
+          padding: 24px 16px;
+          background: #f3f4f6;
+          font-size: 13px;
+        }
+        nav ul { list-style: none; padding-left: 0; }
+        nav ul ul { padding-left: 8px; margin-bottom: 12px; }
+        nav li { margin: 4px 0; }
+        nav a { color: #374151; text-decoration: none; }
+        nav a:hover { color: #4f46e5; }
+        main { flex: 1; padding: 24px 40px; max-width: 1100px; }
+        h1 { font-size: 28px; margin-bottom: 8px; }
+        h2 { margin-top: 48px; padding-bottom: 8px; border-bottom: 2px solid #e5e7eb; }
+        h3 { font-size: 16px; margin-bottom: 4px; }
+        h4 { font-size: 13px; margin: 16px 0 4px; color: #6b7280; }
+        .operation {
+          border: 1px solid #e5e7eb;
+          border-radius: 12px;
+          padding: 16px;
+          margin: 16px 0;
+        }
+        .summary { font-weight: 500; margin: 4px 0; }
+        .note { color: #6b7280; font-size: 13px; }
+        .required { color: #dc2626; font-size: 11px; }
+        .method {
+          display: inline-block;
+          min-width: 56px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          font-size: 11px;
+          font-weight: 600;
+          text-align: center;
+          color: white;
+          background: #6b7280;
+        }
+        .method-get { background: #2563eb; }
+        .method-post { background: #059669; }
+        .method-put { background: #d97706; }
+        .method-patch { background: #7c3aed; }
+        .method-delete { background: #dc2626; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { text-align: left; padding: 6px 8px; border-top: 1px solid #e5e7eb; vertical-align: top; }
+        th { color: #6b7280; font-weight: 500; }
+        code { font-size: 12px; background: #f3f4f6; padding: 1px 4px; border-radius: 4px; }
+        a { color: #4f46e5; }
+      </style>
+    </head>
+    <body>
+      <nav>
+        <strong>${escapeHtml(document.info.title)}</strong>
+        <ul>${navigation}
+          <li><a href="#schemas">Schemas</a></li>
+        </ul>
+      </nav>
+      <main>
+        <h1>${escapeHtml(document.info.title)} <span class="note">v${escapeHtml(document.info.version)}</span></h1>
+        <p>${escapeHtml(document.info.description)}</p>
+        <p>Machine-readable: <a href="/openapi.json">/openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)})</p>
+        ${sections}
+        <h2 id="schemas">Schemas</h2>
+        ${schemas}
+      </main>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Load the connection named by the :orgId route parameter
+ * Fails with 404 if the org is not connected
+ */
+async function loadConnection(req, res, next) {
+  try {
+    const tokens = await getTokens(req.params.orgId);
+    if (!tokens) {
+      throw new NotFoundError('Connection not found', { code: 'CONNECTION_NOT_FOUND', details: { orgId: req.params.orgId } });
+    }
+    
+    res.locals.connection = tokens;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET / - Home/Dashboard
  */
-app.get('/', async (req, res) => {
+app.get('/', async (req, res, next) => {
+  try {
+    // The dashboard is for people; send anyone without a session to the login page
+    if (res.locals.auth?.type !== 'session') {
+      return res.redirect('/login');
+    }
+    
+    const connections = await listConnections();
+    const bulkJobs = await listBulkJobs({ limit: 20 });
+    res.send(getDashboardHtml(connections, bulkJobs, res.locals.auth.csrfToken));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /login - Dashboard Login Page
+ */
+app.get('/login', (req, res) => {
+  if (res.locals.auth?.type === 'session') {
+    return res.redirect('/');
+  }
+  res.send(getLoginHtml());
+});
+
+/**
+ * POST /login - Start a Dashboard Session
+ * Form body: { username, password }
+ */
+app.post('/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!checkDashboardCredentials(username, password)) {
+      console.warn('Failed dashboard login attempt');
+      return res.status(401).send(getLoginHtml(isDashboardLoginConfigured() ? 'Invalid username or password' : ''));
+    }
+    
+    const { token, expiresAt } = await createSession(username);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: getBaseUrl(req).startsWith('https:'),
+      expires: expiresAt
+    });
+    
+    res.redirect('/');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /logout - End the Dashboard Session
+ */
+app.post('/logout', async (req, res, next) => {
   try {
-    const connected = await hasTokens();
-    res.send(getDashboardHtml(connected));
+    const token = getSessionToken(req);
+    if (token) {
+      await deleteSession(token);
+    }
+    
+    res.clearCookie(SESSION_COOKIE);
+    res.redirect('/login');
   } catch (error) {
-    console.error('Error checking connection status:', error);
-    res.status(500).json({ error: 'Failed to check connection status' });
+    next(error);
   }
 });
 
 /**
  * GET /auth - Initiate OAuth Flow
+ * Optional query parameters:
+ *   label       - names the connection being added
+ *   environment - `production` (default), `sandbox` or `custom`
+ *   domain      - My Domain host when environment is `custom`
  */
-app.get('/auth', (req, res) => {
+app.get('/auth', requireScope('connections:write'), async (req, res, next) => {
   try {
+    const loginUrl = resolveLoginUrl(req.query.environment, req.query.domain);
+    
     // Generate PKCE values
     const codeVerifier = generateCodeVerifier();
     const codeChallenge = generateCodeChallenge(codeVerifier);
     const state = generateState();
+    const label = typeof req.query.label === 'string' ? req.query.label.trim().slice(0, 100) : '';
     
-    // Store verifier for callback
-    storeVerifier(state, codeVerifier);
+    // Store verifier (with connection label and login host) for callback
+    await storeVerifier(state, codeVerifier, { label: label || null, loginUrl });
     
     // Build redirect URL
     const baseUrl = getBaseUrl(req);
     const redirectUri = `${baseUrl}/callback`;
-    const authUrl = buildAuthorizationUrl(redirectUri, codeChallenge, state);
+    const authUrl = buildAuthorizationUrl(redirectUri, codeChallenge, state, loginUrl);
     
     console.log('Initiating OAuth flow...');
+    console.log('Login URL:', loginUrl);
     console.log('Redirect URI:', redirectUri);
     
     res.redirect(authUrl);
   } catch (error) {
-    console.error('Error initiating auth:', error);
-    res.status(500).json({ error: 'Failed to initiate OAuth flow' });
+    next(error);
   }
 });
 
 /**
  * GET /callback - OAuth Callback Handler
  */
-app.get('/callback', async (req, res) => {
+app.get('/callback', async (req, res, next) => {
   try {
     const { code, state, error, error_description } = req.query;
     
     // Check for OAuth errors
     if (error) {
       console.error('OAuth error:', error, error_description);
-      return res.status(400).json({ 
-        error: 'OAuth authorization failed', 
-        details: error_description || error 
-      });
+      throw new ValidationError('OAuth authorization failed', { code: 'OAUTH_ERROR', details: error_description || error });
     }
     
     // Validate required parameters
     if (!code || !state) {
-      return res.status(400).json({ error: 'Missing code or state parameter' });
+      throw new ValidationError('Missing code or state parameter');
     }
     
     // Retrieve code verifier
-    const codeVerifier = getVerifier(state);
-    if (!codeVerifier) {
-      return res.status(400).json({ error: 'Invalid or expired state parameter' });
+    const pkceEntry = await getVerifier(state);
+    if (!pkceEntry) {
+      throw new ValidationError('Invalid or expired state parameter', { code: 'INVALID_STATE' });
     }
     
     // Exchange code for tokens
@@ -305,167 +853,1790 @@ app.get('/callback', async (req, res) => {
     
     console.log('Exchanging authorization code for tokens...');
     
-    const tokenResponse = await exchangeCodeForTokens(code, codeVerifier, redirectUri);
+    const { loginUrl } = pkceEntry.metadata;
+    const started = Date.now();
+    let tokenResponse;
+    try {
+      tokenResponse = await exchangeCodeForTokens(code, pkceEntry.verifier, redirectUri, loginUrl);
+    } catch (exchangeError) {
+      await recordAuditEvent({
+        event: 'connect',
+        method: 'POST',
+        endpoint: '/services/oauth2/token',
+        status: exchangeError.status ?? null,
+        durationMs: Date.now() - started,
+        details: { grantType: 'authorization_code', loginUrl, error: { code: exchangeError.code ?? null, message: exchangeError.message } }
+      });
+      throw exchangeError;
+    }
+    const { orgId, userId } = parseIdentityUrl(tokenResponse.id);
+    const { issuedAt, expiresAt } = await getTokenLifetime(tokenResponse, loginUrl);
     
     // Store tokens in database
-    await storeTokens(
-      tokenResponse.access_token,
-      tokenResponse.refresh_token,
-      tokenResponse.instance_url
-    );
+    await storeTokens({
+      orgId,
+      userId,
+      label: pkceEntry.metadata.label,
+      accessToken: tokenResponse.access_token,
+      refreshToken: tokenResponse.refresh_token,
+      instanceUrl: tokenResponse.instance_url,
+      loginUrl,
+      issuedAt,
+      expiresAt
+    });
+    
+    await recordAuditEvent({
+      event: 'connect',
+      orgId,
+      method: 'POST',
+      endpoint: '/services/oauth2/token',
+      status: 200,
+      durationMs: Date.now() - started,
+      recordIds: [userId],
+      details: { grantType: 'authorization_code', loginUrl, label: pkceEntry.metadata.label || null, instanceUrl: tokenResponse.instance_url, scope: tokenResponse.scope }
+    });
     
     console.log('OAuth flow completed successfully');
+    console.log('Org ID:', orgId);
     console.log('Instance URL:', tokenResponse.instance_url);
     
+    if (CHANGE_EVENTS_ENABLED) {
+      startChangeEventSubscriber(orgId);
+    }
+    
     res.send(getSuccessHtml());
   } catch (error) {
-    console.error('Callback error:', error);
-    res.status(500).json({ 
-      error: 'Failed to complete OAuth flow', 
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 /**
- * GET /test - Test Connection
+ * GET /connections - List Connected Orgs
  */
-app.get('/test', async (req, res) => {
+app.get('/connections', requireScope('connections:read'), async (req, res, next) => {
   try {
-    const tokens = await getTokens();
-    if (!tokens) {
-      return res.status(401).json({ error: 'Not connected to Salesforce' });
-    }
-    
-    console.log('Testing Salesforce connection...');
-    
-    const result = await executeQuery('SELECT Id, Name FROM Account LIMIT 5');
+    const connections = await listConnections();
     
     res.json({
       success: true,
-      message: 'Connection successful',
-      data: {
-        totalSize: result.totalSize,
-        records: result.records.map(r => ({ Id: r.Id, Name: r.Name }))
-      }
+      data: connections
     });
   } catch (error) {
-    console.error('Test connection error:', error);
-    res.status(500).json({ 
-      error: 'Test connection failed', 
-      details: error.message 
+    next(error);
+  }
+});
+
+/**
+ * POST /connections - Connect an Org Server-to-Server
+ * Body: { grantType: jwt_bearer | client_credentials, username (jwt_bearer),
+ *         label, environment, domain } - environment and domain as for /auth
+ */
+app.post('/connections', requireScope('connections:write'), async (req, res, next) => {
+  try {
+    const { grantType, username, environment, domain } = req.body || {};
+    const label = typeof req.body?.label === 'string' ? req.body.label.trim().slice(0, 100) : '';
+    
+    if (!['jwt_bearer', 'client_credentials'].includes(grantType)) {
+      throw new ValidationError('grantType must be jwt_bearer or client_credentials');
+    }
+    if (grantType === 'jwt_bearer' && (typeof username !== 'string' || !username.trim())) {
+      throw new ValidationError('username is required for the JWT bearer grant');
+    }
+    if (grantType === 'jwt_bearer' && !isJwtConfigured()) {
+      throw new ValidationError('JWT bearer grant is not configured (set SF_JWT_PRIVATE_KEY)', { code: 'NOT_CONFIGURED' });
+    }
+    if (grantType === 'client_credentials' && environment !== 'custom') {
+      throw new ValidationError('The client credentials grant needs environment=custom with the My Domain host');
+    }
+    
+    const loginUrl = resolveLoginUrl(environment, domain);
+    const started = Date.now();
+    const auditEntry = { event: 'connect', method: 'POST', endpoint: '/services/oauth2/token' };
+    let connection;
+    try {
+      connection = await connectServerToServer({
+        grantType,
+        username: username?.trim(),
+        loginUrl,
+        label: label || null
+      });
+    } catch (connectError) {
+      await recordAuditEvent({
+        ...auditEntry,
+        status: connectError.status ?? null,
+        durationMs: Date.now() - started,
+        details: { grantType, username: username?.trim() || null, loginUrl, error: { code: connectError.code ?? null, message: connectError.message } }
+      });
+      throw connectError;
+    }
+    
+    await recordAuditEvent({
+      ...auditEntry,
+      orgId: connection.orgId,
+      status: 200,
+      durationMs: Date.now() - started,
+      recordIds: [connection.userId],
+      details: { grantType, username: username?.trim() || null, loginUrl, label: label || null, instanceUrl: connection.instanceUrl }
     });
+    
+    if (CHANGE_EVENTS_ENABLED) {
+      startChangeEventSubscriber(connection.orgId);
+    }
+    
+    console.log(`Connected org ${connection.orgId} with ${grantType}`);
+    res.status(201).json({ success: true, data: connection });
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
- * GET /leads - Query Actabl Leads Custom Object
+ * POST /connections/:orgId/label - Rename a Connection
  */
-app.get('/leads', async (req, res) => {
+app.post('/connections/:orgId/label', requireScope('connections:write'), loadConnection, async (req, res, next) => {
   try {
-    const tokens = await getTokens();
-    if (!tokens) {
-      return res.status(401).json({ error: 'Not connected to Salesforce' });
+    const label = typeof req.body.label === 'string' ? req.body.label.trim().slice(0, 100) : '';
+    if (!label) {
+      throw new ValidationError('Missing label');
     }
     
-    console.log('Querying Actabl Leads...');
+    await updateConnectionLabel(req.params.orgId, label);
     
-    const result = await executeQuery(
-      'SELECT Id, Name, CreatedDate FROM Actabl_Lead__c ORDER BY CreatedDate DESC LIMIT 10'
-    );
+    res.json({ success: true, data: { orgId: req.params.orgId, label } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/test - Test Connection
+ */
+app.get('/connections/:orgId/test', requireScope('connections:read'), loadConnection, async (req, res, next) => {
+  try {
+    console.log(`Testing Salesforce connection for org ${req.params.orgId}...`);
+    
+    const result = await executeQuery(req.params.orgId, 'SELECT Id, Name FROM Account LIMIT 5');
     
     res.json({
       success: true,
+      message: 'Connection successful',
       data: {
         totalSize: result.totalSize,
-        records: result.records
+        records: result.records.map(r => ({ Id: r.Id, Name: r.Name }))
       }
     });
   } catch (error) {
-    console.error('Query leads error:', error);
-    res.status(500).json({ 
-      error: 'Failed to query Actabl Leads', 
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 /**
- * GET /schema - Get Actabl_Lead__c Object Schema
+ * GET /connections/:orgId/status - Token and Authorizing User Status
+ * Combines the stored token lifetime, token introspection and userinfo.
  */
-app.get('/schema', async (req, res) => {
+app.get('/connections/:orgId/status', requireScope('connections:read'), loadConnection, async (req, res, next) => {
   try {
-    const tokens = await getTokens();
-    if (!tokens) {
-      return res.status(401).json({ error: 'Not connected to Salesforce' });
-    }
+    // userinfo goes through the normal API path, so an expired token is refreshed first
+    const userInfo = await getUserInfo(req.params.orgId);
+    const tokens = await getTokens(req.params.orgId);
+    const loginUrl = tokens.loginUrl || undefined;
     
-    console.log('Fetching Actabl_Lead__c schema...');
-    
-    const schema = await describeObject('Actabl_Lead__c');
-    
-    // Extract relevant field information
-    const fields = schema.fields.map(field => ({
-      name: field.name,
-      label: field.label,
-      type: field.type,
-      required: !field.nillable && !field.defaultedOnCreate,
-      length: field.length,
-      picklistValues: field.picklistValues?.map(v => v.value) || []
-    }));
+    const [accessToken, refreshToken] = await Promise.all([
+      introspectToken(tokens.accessToken, 'access_token', loginUrl),
+      tokens.refreshToken ? introspectToken(tokens.refreshToken, 'refresh_token', loginUrl) : null
+    ]);
     
     res.json({
       success: true,
       data: {
-        name: schema.name,
-        label: schema.label,
-        labelPlural: schema.labelPlural,
-        fieldCount: fields.length,
-        fields: fields
+        orgId: tokens.orgId,
+        grantType: tokens.grantType,
+        user: {
+          id: userInfo.user_id,
+          username: userInfo.preferred_username,
+          name: userInfo.name,
+          email: userInfo.email
+        },
+        organization: {
+          id: userInfo.organization_id,
+          instanceUrl: tokens.instanceUrl
+        },
+        scopes: accessToken.scope ? accessToken.scope.split(' ') : [],
+        accessToken: {
+          active: accessToken.active,
+          issuedAt: tokens.issuedAt,
+          expiresAt: accessToken.exp ? new Date(accessToken.exp * 1000) : tokens.expiresAt
+        },
+        // Server-to-server connections mint new tokens instead
+        refreshToken: refreshToken ? { active: refreshToken.active } : null
       }
     });
   } catch (error) {
-    console.error('Schema fetch error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch schema', 
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 /**
- * POST /disconnect - Clear Tokens
+ * GET /connections/:orgId/limits - Org Limits and Recorded API Usage
+ * Returns the Salesforce limits resource with the integration's own calls
+ * over the last 24 hours.
  */
-app.post('/disconnect', async (req, res) => {
+app.get('/connections/:orgId/limits', requireScope('connections:read'), loadConnection, async (req, res, next) => {
   try {
-    await deleteTokens();
-    console.log('Disconnected from Salesforce');
+    const limits = await getOrgLimits(req.params.orgId);
+    const recorded = await summarizeApiUsage(req.params.orgId);
     
-    // Redirect back to dashboard
-    res.redirect('/');
-  } catch (error) {
-    console.error('Disconnect error:', error);
-    res.status(500).json({ 
-      error: 'Failed to disconnect', 
-      details: error.message 
+    res.json({
+      success: true,
+      data: {
+        limits,
+        observedUsage: getObservedUsage(req.params.orgId),
+        last24Hours: recorded
+      }
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
- * Health check endpoint
+ * GET /connections/:orgId/leads - Query Actabl Leads Custom Object
+ * Query parameters (all optional):
+ *   fields            - comma-separated fields (default Id,Name,CreatedDate)
+ *   filter[Field]     - equality filter
+ *   filter[Field][op] - op is eq, ne, gt, gte, lt, lte, in, nin or like;
+ *                       date fields also take literals such as LAST_N_DAYS:30
+ *   sort              - comma-separated fields, `-` prefix for descending (default -CreatedDate)
+ *   limit             - page size, 1-200 (default 10)
+ *   cursor            - nextCursor from the previous page
  */
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
-});
-
+app.get('/connections/:orgId/leads', requireScope('leads:read'), loadConnection, async (req, res, next) => {
+  try {
+    console.log(`Querying Actabl Leads for org ${req.params.orgId}...`);
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const { soql, sortKeys, sortSpec, limit } = buildQuery(describe, req.query, {
+      fields: 'Id,Name,CreatedDate',
+      sort: '-CreatedDate',
+      limit: 10
+    });
+    
+    const result = await executeQuery(req.params.orgId, soql);
+    const records = result.records.slice(0, limit);
+    const hasMore = result.records.length > limit;
+    
+    res.json({
+      success: true,
+      data: {
+        totalSize: records.length,
+        records,
+        nextCursor: hasMore ? encodeCursor(records[records.length - 1], sortKeys, sortSpec) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Validate a lead payload against the Actabl_Lead__c describe result
+ * @throws {ValidationError} If the payload is invalid; details lists the problems
+ */
+async function checkLeadPayload(req, mode) {
+  const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+  const errors = validateRecord(describe, req.body, mode);
+  
+  if (errors.length) {
+    throw new ValidationError('Invalid Actabl Lead', { code: 'INVALID_RECORD', details: errors });
+  }
+}
+
+/**
+ * Translate the request body with the mapping named by the `mapping` query parameter
+ * Leaves the body alone when no mapping is requested.
+ * @param {Object} req - Request
+ * @param {Object} options - Passed to applyMapping ({ partial } for partial updates)
+ * @throws {NotFoundError} If the mapping does not exist
+ * @throws {ValidationError} If the mapping cannot convert the body's values
+ */
+async function applyRequestMapping(req, options = {}) {
+  if (req.query.mapping === undefined) {
+    return;
+  }
+  
+  const mapping = typeof req.query.mapping === 'string' ? await getMapping(req.params.orgId, req.query.mapping) : null;
+  if (!mapping) {
+    throw new NotFoundError('Mapping not found', { code: 'MAPPING_NOT_FOUND', details: { mapping: req.query.mapping } });
+  }
+  
+  const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+  const { record, errors } = applyMapping(mapping.fields, req.body, describe, options);
+  if (errors.length) {
+    throw new ValidationError('Invalid Actabl Lead', { code: 'INVALID_RECORD', details: errors });
+  }
+  
+  req.body = record;
+}
+
+/**
+ * Validate the :id route parameter, failing with 400 if it is not an Id
+ */
+function checkLeadId(req, res, next) {
+  if (!isSalesforceId(req.params.id)) {
+    return next(new ValidationError('Invalid record Id', { code: 'INVALID_ID', details: { id: req.params.id } }));
+  }
+  next();
+}
+
+/**
+ * POST /connections/:orgId/leads - Create an Actabl Lead
+ * With `mapping=<name>`, the body is in the mapping's source format.
+ */
+app.post('/connections/:orgId/leads', requireScope('leads:write'), loadConnection, async (req, res, next) => {
+  try {
+    await applyRequestMapping(req);
+    await checkLeadPayload(req, 'create');
+    
+    const result = await createRecord(req.params.orgId, 'Actabl_Lead__c', req.body);
+    console.log(`Created Actabl Lead ${result.id} in org ${req.params.orgId}`);
+    
+    res.status(201).json({ success: true, data: { id: result.id } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/leads/ingest - Create or Update an Actabl Lead, Checking for Duplicates
+ * The org's match rules decide whether the lead is created, merged into an
+ * existing lead, or queued for review (see matching.js). Responds 201 when
+ * created, 200 when updated and 202 when queued.
+ * Query parameters: mapping (source format of the body), dryRun=true (decide without writing)
+ */
+app.post('/connections/:orgId/leads/ingest', requireScope('leads:write'), loadConnection, async (req, res, next) => {
+  try {
+    const input = req.body;
+    await applyRequestMapping(req);
+    await checkLeadPayload(req, 'create');
+    
+    const dryRun = req.query.dryRun === 'true';
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const outcome = await ingestLead(req.params.orgId, req.body, describe, {
+      dryRun,
+      source: req.query.mapping === undefined ? null : input
+    });
+    
+    if (!dryRun && outcome.decision !== 'review') {
+      console.log(`Ingested Actabl Lead ${outcome.recordId} (${outcome.decision}) in org ${req.params.orgId}`);
+    }
+    
+    const status = dryRun ? 200 : { create: 201, update: 200, review: 202 }[outcome.decision];
+    res.status(status).json({ success: true, data: outcome });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /connections/:orgId/leads/by/:field/:value - Upsert by External ID
+ * Creates the lead if no record has that external ID, otherwise updates it.
+ * With `mapping=<name>`, the body is in the mapping's source format.
+ */
+app.put('/connections/:orgId/leads/by/:field/:value', requireScope('leads:write'), loadConnection, async (req, res, next) => {
+  try {
+    await applyRequestMapping(req);
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const externalIdField = describe.fields.find(field => field.name === req.params.field);
+    
+    if (!externalIdField?.externalId) {
+      throw new ValidationError('Not an external ID field', { code: 'INVALID_FIELD', details: { field: req.params.field } });
+    }
+    
+    if (req.body && Object.hasOwn(req.body, externalIdField.name)) {
+      throw new ValidationError('Invalid Actabl Lead', {
+        code: 'INVALID_RECORD',
+        details: [{ field: externalIdField.name, message: 'is taken from the URL and must not be in the body' }]
+      });
+    }
+    
+    await checkLeadPayload(req, 'upsert');
+    
+    const result = await upsertRecord(
+      req.params.orgId, 'Actabl_Lead__c', externalIdField.name, req.params.value, req.body
+    );
+    
+    res.status(result.created ? 201 : 200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/leads/:id - Fetch an Actabl Lead
+ * Optional `fields` query parameter limits the returned fields
+ */
+app.get('/connections/:orgId/leads/:id', requireScope('leads:read'), loadConnection, checkLeadId, async (req, res, next) => {
+  try {
+    let fields = null;
+    if (typeof req.query.fields === 'string') {
+      const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+      const known = new Set(describe.fields.map(field => field.name));
+      fields = req.query.fields.split(',').map(f => f.trim()).filter(Boolean);
+      
+      const unknown = fields.filter(f => !known.has(f));
+      if (unknown.length) {
+        throw new QueryParameterError(`Unknown field: ${unknown.join(', ')}`);
+      }
+    }
+    
+    const record = await getRecord(req.params.orgId, 'Actabl_Lead__c', req.params.id, fields);
+    
+    res.json({ success: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /connections/:orgId/leads/:id - Update an Actabl Lead
+ * With `mapping=<name>`, the body is in the mapping's source format; only the
+ * fields it contains are mapped and the mapping's defaults are not applied.
+ */
+app.patch('/connections/:orgId/leads/:id', requireScope('leads:write'), loadConnection, checkLeadId, async (req, res, next) => {
+  try {
+    await applyRequestMapping(req, { partial: true });
+    await checkLeadPayload(req, 'update');
+    
+    await updateRecord(req.params.orgId, 'Actabl_Lead__c', req.params.id, req.body);
+    console.log(`Updated Actabl Lead ${req.params.id} in org ${req.params.orgId}`);
+    
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /connections/:orgId/leads/:id - Delete an Actabl Lead
+ */
+app.delete('/connections/:orgId/leads/:id', requireScope('leads:write'), loadConnection, checkLeadId, async (req, res, next) => {
+  try {
+    await deleteRecord(req.params.orgId, 'Actabl_Lead__c', req.params.id);
+    console.log(`Deleted Actabl Lead ${req.params.id} in org ${req.params.orgId}`);
+    
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load the Bulk API job named by the :jobId route parameter
+ * Only jobs submitted through this integration are tracked.
+ */
+async function loadBulkJob(req, res, next) {
+  try {
+    const job = await getBulkJob(req.params.orgId, req.params.jobId);
+    if (!job) {
+      return next(new NotFoundError('Bulk job not found', { code: 'BULK_JOB_NOT_FOUND', details: { jobId: req.params.jobId } }));
+    }
+    
+    res.locals.bulkJob = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /connections/:orgId/bulk/ingest - Submit a Bulk API 2.0 Ingest Job
+ * JSON body: { object, operation, externalIdFieldName, records: [...] }
+ * or a text/csv body with object, operation and externalIdFieldName as query parameters.
+ * operation is insert, update, upsert, delete or hardDelete.
+ */
+app.post('/connections/:orgId/bulk/ingest', requireScope('bulk:write'), loadConnection, async (req, res, next) => {
+  try {
+    const isCsv = typeof req.body === 'string';
+    const spec = isCsv ? req.query : req.body;
+    const data = isCsv ? req.body : req.body?.records;
+    
+    if (typeof spec.object !== 'string' || typeof spec.operation !== 'string') {
+      throw new ValidationError('Missing object or operation');
+    }
+    
+    if (isCsv ? !data.trim() : !Array.isArray(data) || data.length === 0) {
+      throw new ValidationError('No records to load');
+    }
+    
+    console.log(`Submitting bulk ${spec.operation} of ${spec.object} for org ${req.params.orgId}...`);
+    
+    const job = await submitIngestJob(req.params.orgId, {
+      object: spec.object,
+      operation: spec.operation,
+      externalIdFieldName: spec.externalIdFieldName
+    }, data);
+    await saveBulkJob(req.params.orgId, 'ingest', job);
+    
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/bulk/query - Submit a Bulk API 2.0 Query Job
+ * JSON body: { query, operation: 'query' | 'queryAll' }
+ */
+app.post('/connections/:orgId/bulk/query', requireScope('bulk:write'), loadConnection, async (req, res, next) => {
+  try {
+    const { query, operation = 'query' } = req.body || {};
+    
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new ValidationError('Missing query');
+    }
+    
+    console.log(`Submitting bulk ${operation} for org ${req.params.orgId}...`);
+    
+    const job = await createQueryJob(req.params.orgId, query, operation);
+    await saveBulkJob(req.params.orgId, 'query', job);
+    
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/bulk/jobs - List Tracked Bulk Jobs
+ */
+app.get('/connections/:orgId/bulk/jobs', requireScope('bulk:read'), loadConnection, async (req, res, next) => {
+  try {
+    const jobs = await listBulkJobs({ orgId: req.params.orgId });
+    
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/bulk/jobs/:jobId - Bulk Job Status
+ * Refreshes the tracked status from Salesforce until the job is final.
+ */
+app.get('/connections/:orgId/bulk/jobs/:jobId', requireScope('bulk:read'), loadConnection, loadBulkJob, async (req, res, next) => {
+  try {
+    const tracked = res.locals.bulkJob;
+    
+    if (isFinalJobState(tracked.state)) {
+      return res.json({ success: true, data: tracked });
+    }
+    
+    const job = await getJobStatus(req.params.orgId, tracked.jobType, tracked.jobId);
+    await saveBulkJob(req.params.orgId, tracked.jobType, job);
+    
+    res.json({ success: true, data: await getBulkJob(req.params.orgId, tracked.jobId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/bulk/jobs/:jobId/results - Bulk Job Results
+ * Ingest jobs: `type` is successful (default), failed or unprocessed.
+ * Query jobs: optional `locator` (from the previous page) and `maxRecords`.
+ */
+app.get('/connections/:orgId/bulk/jobs/:jobId/results', requireScope('bulk:read'), loadConnection, loadBulkJob, async (req, res, next) => {
+  try {
+    const job = res.locals.bulkJob;
+    
+    if (job.jobType === 'ingest') {
+      const type = req.query.type || 'successful';
+      if (!['successful', 'failed', 'unprocessed'].includes(type)) {
+        throw new ValidationError('type must be successful, failed or unprocessed');
+      }
+      
+      const records = await getIngestResults(req.params.orgId, job.jobId, type);
+      return res.json({ success: true, data: { type, totalSize: records.length, records } });
+    }
+    
+    const maxRecords = req.query.maxRecords ? Number(req.query.maxRecords) : undefined;
+    if (maxRecords !== undefined && (!Number.isInteger(maxRecords) || maxRecords < 1)) {
+      throw new ValidationError('maxRecords must be a positive integer');
+    }
+    
+    const page = await getQueryResults(req.params.orgId, job.jobId, {
+      locator: typeof req.query.locator === 'string' ? req.query.locator : undefined,
+      maxRecords
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        totalSize: page.numberOfRecords,
+        records: page.records,
+        nextLocator: page.locator
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/bulk/jobs/:jobId/abort - Abort a Bulk Job
+ */
+app.post('/connections/:orgId/bulk/jobs/:jobId/abort', requireScope('bulk:write'), loadConnection, loadBulkJob, async (req, res, next) => {
+  try {
+    const tracked = res.locals.bulkJob;
+    const job = await abortJob(req.params.orgId, tracked.jobType, tracked.jobId);
+    await saveBulkJob(req.params.orgId, tracked.jobType, job);
+    
+    res.json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/sync - Start a Sync of Actabl_Lead__c into the Local Mirror
+ * Returns immediately; follow progress through /sync/runs.
+ */
+app.post('/connections/:orgId/sync', requireScope('sync:write'), loadConnection, async (req, res, next) => {
+  try {
+    const started = await startSync(req.params.orgId, 'manual');
+    
+    if (!started) {
+      throw new ConflictError('A sync is already running for this org', { code: 'SYNC_RUNNING' });
+    }
+    
+    // Failures are recorded on the run; this only catches errors recording them
+    started.finished.catch(error => {
+      console.error(`Sync run ${started.run.id} for org ${req.params.orgId} did not finish:`, error.message);
+    });
+    
+    res.status(202).json({ success: true, data: started.run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/sync/runs - Sync Run History
+ */
+app.get('/connections/:orgId/sync/runs', requireScope('sync:read'), loadConnection, async (req, res, next) => {
+  try {
+    const runs = await listSyncRuns(req.params.orgId);
+    
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/jobs - List Background Jobs, Newest First
+ * Jobs are listed without their result; GET /connections/:orgId/jobs/:id has it.
+ * Query parameters: status, type, limit (1-500, default 50), cursor (nextCursor of the previous page)
+ */
+app.get('/connections/:orgId/jobs', requireScope('jobs:read'), loadConnection, async (req, res, next) => {
+  try {
+    const { status, type, cursor } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${JOB_STATUSES.join(', ')}`);
+    }
+    if (type !== undefined && typeof type !== 'string') {
+      throw new ValidationError('type must be a single value');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw new ValidationError('limit must be an integer between 1 and 500');
+    }
+    if (cursor !== undefined && !/^\d{1,18}$/.test(cursor)) {
+      throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+    }
+    
+    const page = await listJobs(req.params.orgId, { status: status || null, type: type || null, cursor: cursor || null, limit });
+    
+    res.json({ success: true, data: page });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/jobs - Enqueue a Background Job
+ * Body: { type, payload, priority (-100 to 100, higher runs first), runAt (ISO 8601),
+ *         maxAttempts, retryDelay (seconds), backoff (fixed or exponential) }
+ * Returns the queued job; the worker process runs it. Follow it through
+ * /jobs/:id and /jobs/:id/logs.
+ */
+app.post('/connections/:orgId/jobs', requireScope('jobs:write'), loadConnection, async (req, res, next) => {
+  try {
+    const { type, payload, priority, runAt, maxAttempts, retryDelay, backoff } = req.body || {};
+    const definition = { type, payload, priority, runAt, maxAttempts, retryDelay, backoff };
+    
+    const problems = validateJob(definition);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid job', { code: 'INVALID_JOB', details: problems });
+    }
+    
+    const job = await enqueueJob(req.params.orgId, definition);
+    console.log(`Enqueued ${job.type} job ${job.id} for org ${req.params.orgId}`);
+    
+    res.status(201).json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/jobs/schedules - List Job Schedules
+ */
+app.get('/connections/:orgId/jobs/schedules', requireScope('jobs:read'), loadConnection, async (req, res, next) => {
+  try {
+    const schedules = await listSchedules(req.params.orgId);
+    
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /connections/:orgId/jobs/schedules/:name - Create or Replace a Job Schedule
+ * Body: { type, payload, cron (five fields, UTC), enabled, priority, maxAttempts, retryDelay, backoff }
+ * The worker enqueues a job each time the cron expression comes due.
+ */
+app.put('/connections/:orgId/jobs/schedules/:name', requireScope('jobs:write'), loadConnection, async (req, res, next) => {
+  try {
+    const { type, payload, cron, enabled, priority, maxAttempts, retryDelay, backoff } = req.body || {};
+    const definition = { type, payload, cron, enabled, priority, maxAttempts, retryDelay, backoff };
+    
+    if (!SCHEDULE_NAME.test(req.params.name)) {
+      throw new ValidationError('Schedule names are 1-64 letters, digits, `_` or `-`', { code: 'INVALID_SCHEDULE_NAME' });
+    }
+    
+    const problems = validateSchedule(definition);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid schedule', { code: 'INVALID_SCHEDULE', details: problems });
+    }
+    
+    const { schedule, created } = await saveSchedule(req.params.orgId, req.params.name, definition);
+    console.log(`${created ? 'Created' : 'Updated'} job schedule ${schedule.name} for org ${req.params.orgId}`);
+    
+    res.status(created ? 201 : 200).json({ success: true, data: schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /connections/:orgId/jobs/schedules/:name - Delete a Job Schedule
+ * Jobs the schedule already enqueued are left alone.
+ */
+app.delete('/connections/:orgId/jobs/schedules/:name', requireScope('jobs:write'), loadConnection, async (req, res, next) => {
+  try {
+    if (!(await deleteSchedule(req.params.orgId, req.params.name))) {
+      throw new NotFoundError('Schedule not found', { code: 'SCHEDULE_NOT_FOUND', details: { name: req.params.name } });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load the job named by the :id route parameter
+ * Fails with 404 if the org has no job with that ID
+ */
+async function loadJob(req, res, next) {
+  try {
+    const job = /^\d{1,18}$/.test(req.params.id) ? await getJob(req.params.orgId, req.params.id) : null;
+    if (!job) {
+      throw new NotFoundError('Job not found', { code: 'JOB_NOT_FOUND', details: { id: req.params.id } });
+    }
+    
+    res.locals.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /connections/:orgId/jobs/:id - Get a Background Job and Its Result
+ */
+app.get('/connections/:orgId/jobs/:id', requireScope('jobs:read'), loadConnection, loadJob, (req, res) => {
+  res.json({ success: true, data: res.locals.job });
+});
+
+/**
+ * GET /connections/:orgId/jobs/:id/logs - Read a Job's Log, Oldest First
+ * Query parameters: after (ID of the last entry already read), limit (1-1000, default 500)
+ */
+app.get('/connections/:orgId/jobs/:id/logs', requireScope('jobs:read'), loadConnection, loadJob, async (req, res, next) => {
+  try {
+    const { after } = req.query;
+    const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+    
+    if (after !== undefined && !/^\d{1,18}$/.test(after)) {
+      throw new ValidationError('after must be a log entry ID');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new ValidationError('limit must be an integer between 1 and 1000');
+    }
+    
+    const logs = await getJobLogs(res.locals.job.id, { after: after || null, limit });
+    
+    res.json({ success: true, data: logs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/jobs/:id/cancel - Cancel a Background Job
+ * Queued jobs are cancelled at once; running jobs stop at their next
+ * checkpoint and are then marked cancelled.
+ */
+app.post('/connections/:orgId/jobs/:id/cancel', requireScope('jobs:write'), loadConnection, loadJob, async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.orgId, res.locals.job.id);
+    if (!job) {
+      throw new ConflictError(`Job is already ${res.locals.job.status}`, { code: 'JOB_FINISHED', details: { id: res.locals.job.id } });
+    }
+    console.log(`Cancellation requested for job ${job.id} in org ${req.params.orgId}`);
+    
+    res.json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/change-events - Change Data Capture Subscription Status
+ */
+app.get('/connections/:orgId/change-events', requireScope('connections:read'), loadConnection, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: CHANGE_EVENTS_ENABLED,
+        channel: CHANGE_EVENT_CHANNEL,
+        subscribed: isSubscribed(req.params.orgId),
+        replayId: await getReplayId(req.params.orgId)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/mirror/leads - Read Actabl Leads from the Local Mirror
+ * Query parameters: limit (1-1000, default 100), offset, includeDeleted=true
+ * Serves reads without calling Salesforce.
+ */
+app.get('/connections/:orgId/mirror/leads', requireScope('leads:read'), loadConnection, async (req, res, next) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError('limit must be 1-1000 and offset a non-negative integer');
+    }
+    
+    const result = await readMirror(req.params.orgId, {
+      limit,
+      offset,
+      includeDeleted: req.query.includeDeleted === 'true'
+    });
+    
+    if (!result) {
+      throw new NotFoundError('Actabl Leads have not been synced yet', { code: 'NOT_SYNCED' });
+    }
+    
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/query/stream - Stream a SOQL Query as NDJSON
+ * Query parameters:
+ *   q   - SOQL query
+ *   all - `true` to include deleted and archived rows (queryAll)
+ * Writes one record per line and follows queryMore until the result is done,
+ * so arbitrarily large results are never buffered in memory.
+ */
+app.get('/connections/:orgId/query/stream', requireScope('query:read'), loadConnection, async (req, res, next) => {
+  const { q, all } = req.query;
+  
+  if (typeof q !== 'string' || !q.trim()) {
+    return next(new ValidationError('Missing q parameter'));
+  }
+  
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+  
+  let count = 0;
+  try {
+    console.log(`Streaming query for org ${req.params.orgId}...`);
+    
+    for await (const record of queryRecords(req.params.orgId, q, { includeDeleted: all === 'true' })) {
+      if (clientGone) {
+        break;
+      }
+      
+      if (!res.headersSent) {
+        res.status(200).type('application/x-ndjson');
+      }
+      
+      // Respect backpressure from slow clients
+      if (!res.write(`${JSON.stringify(record)}\n`)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      count++;
+    }
+    
+    if (!res.headersSent) {
+      res.status(200).type('application/x-ndjson');
+    }
+    
+    console.log(`Streamed ${count} record(s)${clientGone ? ' before client disconnected' : ''}`);
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    
+    // Headers are gone; report the failure as a final line and close
+    console.error('Query stream error:', error);
+    res.end(`${JSON.stringify({ success: false, error: { ...toAppError(error).toJSON(), recordsStreamed: count } })}\n`);
+  }
+});
+
+/**
+ * Validate the :object route parameter, failing with 400 if it is not an API name
+ */
+function checkObjectName(req, res, next) {
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(req.params.object)) {
+    return next(new ValidationError('Invalid object name', { code: 'INVALID_OBJECT', details: { object: req.params.object } }));
+  }
+  next();
+}
+
+/**
+ * Describe an object through the cache and map it to explorer metadata
+ * `refresh=true` revalidates with Salesforce even if the cached copy is recent.
+ */
+async function loadSchema(req, objectName) {
+  const entry = await getCachedDescribe(req.params.orgId, objectName, { refresh: req.query.refresh === 'true' });
+  return { ...describeSObject(entry.describe), describedAt: entry.fetchedAt, checkedAt: entry.checkedAt };
+}
+
+/**
+ * GET /connections/:orgId/sobjects - List All sObjects (Global Describe)
+ * Query parameters: custom=true|false, refresh=true
+ */
+app.get('/connections/:orgId/sobjects', requireScope('schema:read'), loadConnection, async (req, res, next) => {
+  try {
+    const entry = await getCachedDescribe(req.params.orgId, null, { refresh: req.query.refresh === 'true' });
+    let sobjects = listSObjects(entry.describe);
+    
+    if (req.query.custom === 'true' || req.query.custom === 'false') {
+      sobjects = sobjects.filter(sobject => sobject.custom === (req.query.custom === 'true'));
+    }
+    
+    res.json({
+      success: true,
+      data: { totalSize: sobjects.length, sobjects, describedAt: entry.fetchedAt, checkedAt: entry.checkedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/schema - Get Actabl_Lead__c Object Schema
+ * Same as /schema/Actabl_Lead__c.
+ */
+app.get('/connections/:orgId/schema', requireScope('schema:read'), loadConnection, async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await loadSchema(req, 'Actabl_Lead__c') });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/schema/:object - Get Any Object's Schema
+ * Fields with relationships, permissions, formulas and dependent picklists,
+ * plus child relationships and record types. Query parameters: refresh=true
+ */
+app.get('/connections/:orgId/schema/:object', requireScope('schema:read'), loadConnection, checkObjectName, async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await loadSchema(req, req.params.object) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/schema/:object/diff - Fields Changed Since the Last Snapshot
+ * Always revalidates the describe. Fails with 404 until a baseline is taken
+ * with POST /connections/:orgId/schema/:object/snapshots.
+ */
+app.get('/connections/:orgId/schema/:object/diff', requireScope('schema:read'), loadConnection, checkObjectName, async (req, res, next) => {
+  try {
+    const entry = await getCachedDescribe(req.params.orgId, req.params.object, { refresh: true });
+    const schema = describeSObject(entry.describe);
+    
+    const snapshot = await getLatestSnapshot(req.params.orgId, schema.name);
+    if (!snapshot) {
+      throw new NotFoundError(`No snapshot of ${schema.name} to compare against; take one with POST /connections/${req.params.orgId}/schema/${schema.name}/snapshots`, {
+        code: 'SNAPSHOT_NOT_FOUND',
+        details: { object: schema.name }
+      });
+    }
+    
+    const { fields, ...snapshotInfo } = snapshot;
+    const diff = diffFields(fields, schema.fields);
+    
+    res.json({
+      success: true,
+      data: {
+        object: schema.name,
+        snapshot: snapshotInfo,
+        describedAt: entry.fetchedAt,
+        unchanged: !diff.added.length && !diff.removed.length && !diff.changed.length,
+        ...diff
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/schema/:object/snapshots - Snapshot an Object's Current Fields
+ * Later diffs compare against this snapshot.
+ */
+app.post('/connections/:orgId/schema/:object/snapshots', requireScope('schema:write'), loadConnection, checkObjectName, async (req, res, next) => {
+  try {
+    const entry = await getCachedDescribe(req.params.orgId, req.params.object, { refresh: true });
+    const schema = describeSObject(entry.describe);
+    const snapshot = await takeSnapshot(req.params.orgId, schema.name, schema.fields);
+    console.log(`Recorded schema snapshot ${snapshot.id} of ${schema.name} for org ${req.params.orgId}`);
+    
+    res.status(201).json({ success: true, data: snapshot });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load the mapping named by the :name route parameter
+ * Fails with 404 if the org has no mapping of that name
+ */
+async function loadMapping(req, res, next) {
+  try {
+    const mapping = await getMapping(req.params.orgId, req.params.name);
+    if (!mapping) {
+      throw new NotFoundError('Mapping not found', { code: 'MAPPING_NOT_FOUND', details: { name: req.params.name } });
+    }
+    
+    res.locals.mapping = mapping;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /connections/:orgId/mappings - List Field Mappings
+ */
+app.get('/connections/:orgId/mappings', requireScope('mappings:read'), loadConnection, async (req, res, next) => {
+  try {
+    const mappings = await listMappings(req.params.orgId);
+    
+    res.json({ success: true, data: mappings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/mappings/:name - Get a Field Mapping
+ */
+app.get('/connections/:orgId/mappings/:name', requireScope('mappings:read'), loadConnection, loadMapping, (req, res) => {
+  res.json({ success: true, data: res.locals.mapping });
+});
+
+/**
+ * PUT /connections/:orgId/mappings/:name - Create or Replace a Field Mapping
+ * Body: { description (optional), fields: [{ target, source, transforms, default }] }
+ * Rules are checked against the Actabl_Lead__c describe result before saving.
+ */
+app.put('/connections/:orgId/mappings/:name', requireScope('mappings:write'), loadConnection, async (req, res, next) => {
+  try {
+    const { description, fields } = req.body || {};
+    
+    if (!MAPPING_NAME.test(req.params.name)) {
+      throw new ValidationError('Mapping names are 1-64 letters, digits, `_` or `-`', { code: 'INVALID_MAPPING_NAME' });
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      throw new ValidationError('description must be a string');
+    }
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const problems = validateMapping(fields, describe);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid mapping', { code: 'INVALID_MAPPING', details: problems });
+    }
+    
+    const { mapping, created } = await saveMapping(req.params.orgId, req.params.name, { description, fields });
+    console.log(`${created ? 'Created' : 'Updated'} mapping ${mapping.name} for org ${req.params.orgId}`);
+    
+    res.status(created ? 201 : 200).json({ success: true, data: mapping });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /connections/:orgId/mappings/:name - Delete a Field Mapping
+ */
+app.delete('/connections/:orgId/mappings/:name', requireScope('mappings:write'), loadConnection, async (req, res, next) => {
+  try {
+    if (!(await deleteMapping(req.params.orgId, req.params.name))) {
+      throw new NotFoundError('Mapping not found', { code: 'MAPPING_NOT_FOUND', details: { name: req.params.name } });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/mappings/:name/dry-run - Preview a Mapped Payload
+ * Body: an input document in the mapping's source format.
+ * Query parameters: mode (create (default), update or upsert); update maps
+ * only the fields present in the input, as PATCH /leads/:id does
+ * Returns the Actabl_Lead__c payload the input produces and every mapping or
+ * validation error, without calling Salesforce.
+ */
+app.post('/connections/:orgId/mappings/:name/dry-run', requireScope('mappings:read'), loadConnection, loadMapping, async (req, res, next) => {
+  try {
+    const mode = req.query.mode || 'create';
+    if (!['create', 'update', 'upsert'].includes(mode)) {
+      throw new ValidationError('mode must be create, update or upsert');
+    }
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const { record, errors } = applyMapping(res.locals.mapping.fields, req.body, describe, { partial: mode === 'update' });
+    const validationErrors = validateRecord(describe, record, mode)
+      // Fields that failed to map are already reported
+      .filter(error => !errors.some(mappingError => mappingError.field === error.field));
+    
+    res.json({
+      success: true,
+      data: {
+        valid: errors.length === 0 && validationErrors.length === 0,
+        record,
+        errors: [...errors, ...validationErrors]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/matching/rules - Get Duplicate Match Rules
+ * `custom` is false while the org uses the default rules.
+ */
+app.get('/connections/:orgId/matching/rules', requireScope('matching:read'), loadConnection, async (req, res, next) => {
+  try {
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const rules = await getMatchRules(req.params.orgId, describe);
+    
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /connections/:orgId/matching/rules - Replace Duplicate Match Rules
+ * Body: { rules: [{ type, field | nameField + companyField, threshold, action }] }
+ * Rules run in order; see matching.js.
+ */
+app.put('/connections/:orgId/matching/rules', requireScope('matching:write'), loadConnection, async (req, res, next) => {
+  try {
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const problems = validateMatchRules(req.body?.rules, describe);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid match rules', { code: 'INVALID_MATCH_RULES', details: problems });
+    }
+    
+    const rules = await saveMatchRules(req.params.orgId, req.body.rules);
+    console.log(`Updated match rules for org ${req.params.orgId}`);
+    
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /connections/:orgId/matching/rules - Go Back to the Default Match Rules
+ */
+app.delete('/connections/:orgId/matching/rules', requireScope('matching:write'), loadConnection, async (req, res, next) => {
+  try {
+    await resetMatchRules(req.params.orgId);
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const rules = await getMatchRules(req.params.orgId, describe);
+    
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /connections/:orgId/reviews - List Leads Queued for Duplicate Review
+ * Query parameters: status (pending or resolved), limit (default 50)
+ */
+app.get('/connections/:orgId/reviews', requireScope('matching:read'), loadConnection, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw new ValidationError('limit must be an integer between 1 and 500');
+    }
+    
+    const reviews = await listReviews(req.params.orgId, { status: status || null, limit });
+    
+    res.json({ success: true, data: reviews });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load the review named by the :id route parameter
+ * Fails with 404 if the org has no review with that ID
+ */
+async function loadReview(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const review = Number.isInteger(id) ? await getReview(req.params.orgId, id) : null;
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND', details: { id: req.params.id } });
+    }
+    
+    res.locals.review = review;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /connections/:orgId/reviews/:id - Get a Queued Lead and Its Matches
+ */
+app.get('/connections/:orgId/reviews/:id', requireScope('matching:read'), loadConnection, loadReview, (req, res) => {
+  res.json({ success: true, data: res.locals.review });
+});
+
+/**
+ * POST /connections/:orgId/reviews/:id/resolve - Resolve a Queued Lead
+ * Body: { action: create | update | dismiss, recordId (the lead to update) }
+ * Fails with 409 if the review is already resolved.
+ */
+app.post('/connections/:orgId/reviews/:id/resolve', requireScope('matching:write'), loadConnection, loadReview, async (req, res, next) => {
+  try {
+    const { action, recordId } = req.body || {};
+    if (action === 'update' && !isSalesforceId(recordId)) {
+      throw new ValidationError('recordId must be the Id of the lead to update', { code: 'INVALID_ID', details: { recordId } });
+    }
+    
+    const describe = await describeObjectCached(req.params.orgId, 'Actabl_Lead__c');
+    const review = await resolveReview(req.params.orgId, res.locals.review.id, { action, recordId }, describe);
+    console.log(`Resolved review ${review.id} (${review.resolution}) in org ${req.params.orgId}`);
+    
+    res.json({ success: true, data: review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /connections/:orgId/disconnect - Revoke and Clear Tokens for One Org
+ */
+app.post('/connections/:orgId/disconnect', requireScope('connections:write'), loadConnection, async (req, res, next) => {
+  try {
+    const { accessToken, refreshToken, loginUrl } = res.locals.connection;
+    
+    // Revoke first so the refresh token stops working in Salesforce too;
+    // the local connection is removed even if Salesforce cannot be reached.
+    // Server-to-server connections only have an access token to revoke.
+    const started = Date.now();
+    let revokeFailure = null;
+    try {
+      await revokeToken(refreshToken || accessToken, loginUrl || undefined);
+    } catch (revokeError) {
+      console.warn(`Could not revoke tokens for org ${req.params.orgId}:`, revokeError.message);
+      revokeFailure = { code: revokeError.code ?? null, message: revokeError.message };
+    }
+    
+    await stopChangeEventSubscriber(req.params.orgId);
+    await deleteTokens(req.params.orgId);
+    
+    await recordAuditEvent({
+      event: 'disconnect',
+      orgId: req.params.orgId,
+      method: 'POST',
+      endpoint: '/services/oauth2/revoke',
+      status: revokeFailure ? null : 200,
+      durationMs: Date.now() - started,
+      details: { revoked: !revokeFailure, ...(revokeFailure ? { error: revokeFailure } : {}) }
+    });
+    console.log(`Disconnected from Salesforce org ${req.params.orgId}`);
+    
+    // Redirect back to dashboard
+    res.redirect('/');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /webhooks/subscriptions - List Webhook Subscriptions
+ */
+app.get('/webhooks/subscriptions', requireScope('webhooks:read'), async (req, res, next) => {
+  try {
+    const subscriptions = await listSubscriptions();
+    
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /webhooks/subscriptions - Register a Webhook Subscription
+ * Body: { url, secret (optional), events (optional, default all), orgId (optional) }
+ * The URL must be https and resolve only to public addresses.
+ * The response includes the signing secret; it is not shown again.
+ */
+app.post('/webhooks/subscriptions', requireScope('webhooks:write'), async (req, res, next) => {
+  try {
+    const { url, secret, events, orgId } = req.body || {};
+    const problems = validateSubscription({ url, events });
+    const hostProblem = await checkWebhookHost(url);
+    if (hostProblem) {
+      problems.push(hostProblem);
+    }
+    
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      problems.push('secret must be a string of at least 16 characters');
+    }
+    if (orgId !== undefined && !(await getTokens(orgId))) {
+      problems.push(`Unknown org: ${orgId}`);
+    }
+    
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid webhook subscription', { details: problems });
+    }
+    
+    const subscription = await createSubscription({ url, secret, events, orgId });
+    
+    res.status(201).json({ success: true, data: subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /webhooks/subscriptions/:id - Remove a Webhook Subscription and Its Deliveries
+ */
+app.delete('/webhooks/subscriptions/:id', requireScope('webhooks:write'), async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    
+    if (!Number.isInteger(id) || !(await deleteSubscription(id))) {
+      throw new NotFoundError('Webhook subscription not found', { code: 'SUBSCRIPTION_NOT_FOUND', details: { id: req.params.id } });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /webhooks/deliveries - List Webhook Deliveries
+ * Query parameters: status (pending, delivered, dead, failed), subscriptionId, limit (1-500, default 50)
+ */
+app.get('/webhooks/deliveries', requireScope('webhooks:read'), async (req, res, next) => {
+  try {
+    const { status, subscriptionId } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    if (subscriptionId !== undefined && !Number.isInteger(Number(subscriptionId))) {
+      throw new ValidationError('subscriptionId must be an integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw new ValidationError('limit must be an integer between 1 and 500');
+    }
+    
+    const deliveries = await listDeliveries({
+      status: status || null,
+      subscriptionId: subscriptionId === undefined ? null : Number(subscriptionId),
+      limit
+    });
+    
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /webhooks/deliveries/:id/redeliver - Retry a Failed Delivery
+ * Resets the attempt count and queues the delivery for the next worker pass.
+ */
+app.post('/webhooks/deliveries/:id/redeliver', requireScope('webhooks:write'), async (req, res, next) => {
+  try {
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const delivery = uuidPattern.test(req.params.id) ? await redeliver(req.params.id) : null;
+    
+    if (!delivery) {
+      throw new NotFoundError('No failed delivery with this id', { code: 'DELIVERY_NOT_FOUND', details: { id: req.params.id } });
+    }
+    
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read the audit filters shared by /audit and /audit/export
+ * @throws {ValidationError} If a filter is malformed
+ */
+function parseAuditFilters(query) {
+  const { orgId, event, actor, recordId, failed, since, until } = query;
+  const filters = {};
+  
+  for (const [name, value] of Object.entries({ orgId, actor, recordId })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new ValidationError(`${name} must be a single value`);
+    }
+    filters[name] = value || null;
+  }
+  
+  if (event !== undefined && !AUDIT_EVENTS.includes(event)) {
+    throw new ValidationError(`event must be one of ${AUDIT_EVENTS.join(', ')}`);
+  }
+  filters.event = event || null;
+  
+  if (failed !== undefined && failed !== 'true' && failed !== 'false') {
+    throw new ValidationError('failed must be true or false');
+  }
+  filters.failed = failed === undefined ? null : failed === 'true';
+  
+  for (const [name, value] of Object.entries({ since, until })) {
+    const date = value === undefined ? null : new Date(value);
+    if (date && (typeof value !== 'string' || Number.isNaN(date.getTime()))) {
+      throw new ValidationError(`${name} must be an ISO 8601 date or date-time`);
+    }
+    filters[name] = date;
+  }
+  
+  return filters;
+}
+
+/**
+ * GET /audit - List Audit Events, Newest First
+ * Query parameters: orgId, event, actor, recordId, failed (true or false),
+ * since, until (ISO 8601), limit (default 100), cursor (nextCursor of the previous page)
+ */
+app.get('/audit', requireScope('audit:read'), async (req, res, next) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const { cursor } = req.query;
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw new ValidationError('limit must be an integer between 1 and 500');
+    }
+    if (cursor !== undefined && !/^\d{1,18}$/.test(cursor)) {
+      throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+    }
+    
+    const page = await listAuditEvents({ ...filters, cursor: cursor || null, limit });
+    
+    res.json({ success: true, data: page });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /audit/export - Download Audit Events as CSV
+ * Takes the same filters as /audit and writes every matching event, newest
+ * first, one page at a time.
+ */
+app.get('/audit/export', requireScope('audit:read'), async (req, res, next) => {
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  
+  const columns = ['id', 'createdAt', 'event', 'actorType', 'actor', 'ip', 'orgId', 'method', 'endpoint', 'status', 'durationMs', 'recordIds', 'details'];
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+  
+  try {
+    for await (const event of iterateAuditEvents(filters)) {
+      if (clientGone) {
+        break;
+      }
+      
+      if (!res.headersSent) {
+        res.status(200).type('text/csv').attachment('audit.csv');
+        res.write(`${formatCsvLine(columns)}\n`);
+      }
+      
+      // Actors, endpoints and details come from callers; keep them inert in spreadsheets
+      const line = formatCsvLine(columns.map(column => {
+        const value = event[column];
+        if (column === 'createdAt') {
+          return value?.toISOString();
+        }
+        if (column === 'details') {
+          return value == null ? value : escapeFormula(JSON.stringify(value));
+        }
+        return escapeFormula(column === 'recordIds' ? value.join(';') : value);
+      }));
+      
+      // Respect backpressure from slow clients
+      if (!res.write(`${line}\n`)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+    
+    if (!res.headersSent) {
+      res.status(200).type('text/csv').attachment('audit.csv');
+      res.write(`${formatCsvLine(columns)}\n`);
+    }
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    
+    // Headers are gone; cut the download short so it is not mistaken for complete
+    console.error('Audit export error:', error);
+    res.destroy(error);
+  }
+});
+
+/**
+ * GET /api-keys - List API Keys
+ * Only key prefixes are shown; revoked keys are included.
+ */
+app.get('/api-keys', requireScope('keys:read'), async (req, res, next) => {
+  try {
+    const keys = await listApiKeys();
+    
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api-keys - Create an API Key
+ * Body: { name, scopes: [...] }
+ * The response includes the key itself; it is not shown again.
+ * An API key can only create keys with scopes it holds itself.
+ */
+app.post('/api-keys', requireScope('keys:write'), async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body || {};
+    const auth = res.locals.auth;
+    const problems = validateApiKey({ name, scopes }, auth.scopes);
+    
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid API key', { details: problems });
+    }
+    
+    const key = await createApiKey({
+      name,
+      scopes,
+      createdBy: auth.type === 'session' ? auth.username : `api-key:${auth.keyId}`
+    });
+    console.log(`Created API key ${key.prefix}... (${key.name})`);
+    
+    res.status(201).json({ success: true, data: key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api-keys/:id - Revoke an API Key
+ */
+app.delete('/api-keys/:id', requireScope('keys:write'), async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const key = Number.isInteger(id) ? await revokeApiKey(id) : null;
+    
+    if (!key) {
+      throw new NotFoundError('No active API key with this id', { code: 'API_KEY_NOT_FOUND', details: { id: req.params.id } });
+    }
+    console.log(`Revoked API key ${key.prefix}... (${key.name})`);
+    
+    res.json({ success: true, data: key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /openapi.json - OpenAPI 3.1 Document
+ */
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /docs - Browsable API Documentation
+ */
+app.get('/docs', (req, res) => {
+  res.send(getDocsHtml(openApiDocument));
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+});
+
+/**
+ * Unknown routes answer with the JSON error envelope too
+ */
+app.use((req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+});
+
+/**
+ * Error middleware - every failure is answered as { success: false, error: { code, message, status, ... } }
+ * Server-side failures are logged; client errors are not.
+ */
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    console.error(`${req.method} ${req.path} failed:`, error);
+  }
+  
+  res.status(appError.status).json({ success: false, error: appError.toJSON() });
+});
+
 /**
  * Start server
  */
 async function startServer() {
   try {
-    // Initialize database
-    await initializeDatabase();
+    // Bring the schema up to date, or with MIGRATE_ON_START=false only check
+    // that it is; either way refuse a database migrated by a newer release
+    if (process.env.MIGRATE_ON_START === 'false') {
+      await assertSchemaCurrent();
+    } else {
+      const applied = await migrate();
+      console.log(applied.length ? `Applied migrations ${applied.join(', ')}` : 'Database schema is up to date');
+    }
+    
+    // Encrypt legacy rows and re-encrypt rows under rotated-out keys
+    await rotateTokenEncryption();
+    await rotateWebhookSecrets();
+    
+    // Every route should be in the OpenAPI document, and every operation in it routed
+    const drift = findSpecDrift(app, openApiDocument);
+    for (const route of drift.undocumented) {
+      console.warn(`Route ${route} is not in the OpenAPI document`);
+    }
+    for (const route of drift.unrouted) {
+      console.warn(`OpenAPI operation ${route} has no route`);
+    }
+    
+    // API keys work regardless; the dashboard needs a password
+    if (!isDashboardLoginConfigured()) {
+      console.warn('DASHBOARD_PASSWORD is not set; the dashboard is disabled and only API keys are accepted');
+    }
+    
+    // Keep PKCE state in Postgres unless explicitly running single-process
+    if (process.env.PKCE_STORE !== 'memory') {
+      setVerifierStore(createPostgresVerifierStore(pool));
+    }
+    startVerifierSweep();
+    
+    // Keep the configured integration user connected without an interactive login
+    if (process.env.SF_JWT_USERNAME) {
+      try {
+        const { orgId } = await connectServerToServer({
+          grantType: 'jwt_bearer',
+          username: process.env.SF_JWT_USERNAME,
+          loginUrl: resolveLoginUrl()
+        });
+        console.log(`Connected org ${orgId} as ${process.env.SF_JWT_USERNAME} with the JWT bearer grant`);
+      } catch (error) {
+        console.error('JWT bearer connect failed:', error.message);
+      }
+    }
+    
+    // Scheduled syncs are `sync` job schedules now, run once by the worker rather than by every replica
+    if (process.env.SYNC_INTERVAL_MINUTES) {
+      console.warn('SYNC_INTERVAL_MINUTES is no longer used; create a `sync` job schedule under /connections/:orgId/jobs/schedules instead');
+    }
+    
+    // Deliver queued webhook events
+    startWebhookWorker();
+    
+    // Keep api_usage to the retention window; 0 keeps every row
+    const apiUsageRetentionDays = Number(process.env.API_USAGE_RETENTION_DAYS ?? 30);
+    if (apiUsageRetentionDays > 0) {
+      startApiUsagePruning(apiUsageRetentionDays);
+    }
+    
+    // Listen for Actabl_Lead__c change events from every connected org
+    if (CHANGE_EVENTS_ENABLED) {
+      await startChangeEventSubscribers();
+    }
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
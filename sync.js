@@ -0,0 +1,419 @@
+import { pool, lockPool } from './db.js';
+import { describeObject, queryRecords, salesforceApiCall, SF_API_VERSION } from './utils/salesforce.js';
+import { retrieveRecords } from './utils/composite.js';
+import { ConflictError } from './utils/errors.js';
+import { registerJobHandler } from './jobs.js';
+
+/**
+ * Incremental mirror of Salesforce objects into local Postgres tables
+ *
+ * Each object gets a mirror table (mirror_<object>) with one column per field,
+ * named exactly like the Salesforce field and typed from the describe result.
+ * Runs pick up changes by SystemModstamp watermark and use the getUpdated and
+ * getDeleted resources for the window since the previous run. When that
+ * window is no longer available (first run, or more than 29 days since the
+ * last one) the run reloads everything and marks rows it did not see as deleted.
+ */
+
+export const SYNC_OBJECT = 'Actabl_Lead__c';
+
+const SKIPPED_TYPES = new Set(['address', 'location', 'base64']);
+const COLUMN_TYPES = {
+  boolean: 'BOOLEAN',
+  int: 'INTEGER',
+  long: 'BIGINT',
+  double: 'NUMERIC',
+  currency: 'NUMERIC',
+  percent: 'NUMERIC',
+  date: 'DATE',
+  datetime: 'TIMESTAMPTZ'
+};
+
+const MAX_QUERY_PARAMETERS = 65535; // Postgres bind parameter limit per statement
+const MAX_REPLICATION_WINDOW = 29 * 24 * 60 * 60 * 1000; // getUpdated/getDeleted keep 30 days
+const WATERMARK_OVERLAP = 60 * 1000; // re-read a minute of changes to cover clock skew
+
+/**
+ * Name of the mirror table for an object
+ */
+export function mirrorTableName(objectName) {
+  if (!/^[A-Za-z0-9_]+$/.test(objectName)) {
+    throw new Error(`Invalid object name: ${objectName}`);
+  }
+  return `mirror_${objectName.toLowerCase()}`;
+}
+
+/**
+ * Quote a Postgres identifier
+ */
+function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Rows per upsert statement: each row binds org_id plus one value per field
+ */
+function upsertBatchSize(fields) {
+  return Math.floor(MAX_QUERY_PARAMETERS / (fields.length + 1));
+}
+
+/**
+ * Fields of a describe result that are mirrored
+ */
+function mirroredFields(describe) {
+  return describe.fields.filter(field => !SKIPPED_TYPES.has(field.type));
+}
+
+/**
+ * Create the mirror table, or add columns for fields added since the last run
+ * Columns for fields that were removed from Salesforce are kept.
+ */
+async function ensureMirrorTable(objectName, fields) {
+  const table = quoteIdent(mirrorTableName(objectName));
+  const columns = fields
+    .filter(field => field.name !== 'Id')
+    .map(field => `${quoteIdent(field.name)} ${COLUMN_TYPES[field.type] || 'TEXT'}`);
+  
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      org_id TEXT NOT NULL,
+      "Id" TEXT NOT NULL,
+      synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ,
+      PRIMARY KEY (org_id, "Id")
+    );
+    ${columns.map(column => `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column};`).join('\n')}
+  `);
+}
+
+/**
+ * Write a batch of records to the mirror table
+ * @returns {number} Rows written
+ */
+async function upsertMirrorRows(orgId, objectName, fields, records) {
+  if (records.length === 0) {
+    return 0;
+  }
+  
+  const table = quoteIdent(mirrorTableName(objectName));
+  const names = fields.map(field => field.name);
+  const columns = ['org_id', ...names.map(quoteIdent), 'synced_at', 'deleted_at'];
+  const values = [];
+  const rows = records.map(record => {
+    const placeholders = [orgId, ...names.map(name => {
+      const value = record[name];
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? null;
+    })].map(value => {
+      values.push(value);
+      return `$${values.length}`;
+    });
+    return `(${placeholders.join(', ')}, NOW(), NULL)`;
+  });
+  
+  const updates = columns
+    .filter(column => column !== 'org_id' && column !== '"Id"')
+    .map(column => `${column} = EXCLUDED.${column}`);
+  
+  await pool.query(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (org_id, "Id") DO UPDATE SET ${updates.join(', ')};
+  `, values);
+  
+  return records.length;
+}
+
+/**
+ * Mark mirrored rows as deleted
+ * @returns {number} Rows newly marked
+ */
+async function markDeleted(orgId, objectName, ids) {
+  if (ids.length === 0) {
+    return 0;
+  }
+  
+  const table = quoteIdent(mirrorTableName(objectName));
+  const result = await pool.query(
+    `UPDATE ${table} SET deleted_at = NOW() WHERE org_id = $1 AND "Id" = ANY($2) AND deleted_at IS NULL`,
+    [orgId, ids]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Format a Date for the getUpdated/getDeleted resources
+ */
+function replicationTime(date) {
+  return encodeURIComponent(date.toISOString().replace(/\.\d{3}Z$/, '+00:00'));
+}
+
+/**
+ * Call getUpdated or getDeleted for a time window
+ */
+async function getReplicationWindow(orgId, objectName, kind, start, end) {
+  const endpoint = `/services/data/${SF_API_VERSION}/sobjects/${objectName}/${kind}/` +
+    `?start=${replicationTime(start)}&end=${replicationTime(end)}`;
+  return salesforceApiCall(orgId, endpoint);
+}
+
+/**
+ * Copy changed records into the mirror
+ * @returns {Object} { upserted, deleted, watermark, replicatedThrough }
+ */
+async function syncObject(orgId, objectName, state, mode, runStart) {
+  const describe = await describeObject(orgId, objectName);
+  const fields = mirroredFields(describe);
+  await ensureMirrorTable(objectName, fields);
+  const batchSize = upsertBatchSize(fields);
+  
+  let upserted = 0;
+  let deleted = 0;
+  let watermark = state?.watermark || null;
+  const seenIds = new Set();
+  
+  // Changed records by SystemModstamp
+  let soql = `SELECT ${fields.map(field => field.name).join(', ')} FROM ${objectName}`;
+  if (mode === 'incremental') {
+    const since = new Date(state.watermark.getTime() - WATERMARK_OVERLAP);
+    soql += ` WHERE SystemModstamp >= ${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`;
+  }
+  soql += ' ORDER BY SystemModstamp ASC';
+  
+  let batch = [];
+  for await (const record of queryRecords(orgId, soql)) {
+    batch.push(record);
+    if (mode === 'incremental') {
+      seenIds.add(record.Id);
+    }
+    
+    const modstamp = new Date(record.SystemModstamp);
+    if (!watermark || modstamp > watermark) {
+      watermark = modstamp;
+    }
+    
+    if (batch.length >= batchSize) {
+      upserted += await upsertMirrorRows(orgId, objectName, fields, batch);
+      batch = [];
+    }
+  }
+  upserted += await upsertMirrorRows(orgId, objectName, fields, batch);
+  
+  if (mode === 'full') {
+    // Everything still in Salesforce was just rewritten; the rest is gone
+    const table = quoteIdent(mirrorTableName(objectName));
+    const result = await pool.query(
+      `UPDATE ${table} SET deleted_at = NOW() WHERE org_id = $1 AND synced_at < $2 AND deleted_at IS NULL`,
+      [orgId, runStart]
+    );
+    return { upserted, deleted: result.rowCount, watermark, replicatedThrough: runStart };
+  }
+  
+  const start = state.replicatedThrough;
+  if (runStart - start < 60 * 1000) {
+    // getUpdated/getDeleted work at minute granularity
+    return { upserted, deleted, watermark, replicatedThrough: start };
+  }
+  
+  const deletedWindow = await getReplicationWindow(orgId, objectName, 'deleted', start, runStart);
+  deleted += await markDeleted(orgId, objectName, deletedWindow.deletedRecords.map(record => record.id));
+  
+  // Pick up anything getUpdated reports that the SystemModstamp pass missed
+  const updatedWindow = await getReplicationWindow(orgId, objectName, 'updated', start, runStart);
+  const missedIds = updatedWindow.ids.filter(id => !seenIds.has(id));
+  if (missedIds.length) {
+    const records = (await retrieveRecords(orgId, objectName, missedIds, fields.map(field => field.name)))
+      .filter(Boolean);
+    for (let i = 0; i < records.length; i += batchSize) {
+      upserted += await upsertMirrorRows(orgId, objectName, fields, records.slice(i, i + batchSize));
+    }
+  }
+  
+  const covered = new Date(Math.min(
+    new Date(deletedWindow.latestDateCovered).getTime(),
+    new Date(updatedWindow.latestDateCovered).getTime()
+  ));
+  
+  return { upserted, deleted, watermark, replicatedThrough: covered };
+}
+
+/**
+ * Map a sync_runs row to a run object
+ */
+function rowToRun(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    objectName: row.object_name,
+    trigger: row.trigger,
+    mode: row.mode,
+    status: row.status,
+    recordsUpserted: row.records_upserted,
+    recordsDeleted: row.records_deleted,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Start a sync run for one org
+ * A Postgres advisory lock keeps two runs for the same org and object from
+ * overlapping, across replicas too.
+ * @param {string} orgId - Salesforce organization ID
+ * @param {string} trigger - `manual` or `job` (runs from before job schedules may say `schedule`)
+ * @param {string} objectName - Object to mirror (default Actabl_Lead__c)
+ * @returns {Object|null} { run, finished } or null if a run is already in progress;
+ *   finished resolves to the completed run
+ */
+export async function startSync(orgId, trigger, objectName = SYNC_OBJECT) {
+  const lockKey = `sync:${orgId}:${objectName}`;
+  const lockClient = await lockPool.connect();
+  let locked = false;
+  
+  const unlock = async () => {
+    if (locked) {
+      await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]).catch(() => {});
+    }
+    lockClient.release();
+  };
+  
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockKey]);
+    locked = lock.rows[0].locked;
+    
+    if (!locked) {
+      await unlock();
+      return null;
+    }
+    
+    const stateResult = await pool.query(
+      'SELECT * FROM sync_state WHERE org_id = $1 AND object_name = $2',
+      [orgId, objectName]
+    );
+    const stateRow = stateResult.rows[0];
+    const state = stateRow
+      ? { watermark: stateRow.watermark, replicatedThrough: stateRow.replicated_through }
+      : null;
+    
+    // Database time, so it compares cleanly with synced_at
+    const runStart = (await pool.query('SELECT NOW() AS now')).rows[0].now;
+    const mode = state?.watermark && state.replicatedThrough && runStart - state.replicatedThrough < MAX_REPLICATION_WINDOW
+      ? 'incremental'
+      : 'full';
+    
+    const runResult = await pool.query(
+      `INSERT INTO sync_runs (org_id, object_name, trigger, mode, status)
+       VALUES ($1, $2, $3, $4, 'running') RETURNING *`,
+      [orgId, objectName, trigger, mode]
+    );
+    const run = rowToRun(runResult.rows[0]);
+    
+    const finished = (async () => {
+      try {
+        const result = await syncObject(orgId, objectName, state, mode, runStart);
+        
+        await pool.query(
+          `INSERT INTO sync_state (org_id, object_name, watermark, replicated_through, updated_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           ON CONFLICT (org_id, object_name) DO UPDATE SET
+             watermark = EXCLUDED.watermark,
+             replicated_through = EXCLUDED.replicated_through,
+             updated_at = NOW()`,
+          [orgId, objectName, result.watermark, result.replicatedThrough]
+        );
+        
+        const done = await pool.query(
+          `UPDATE sync_runs
+           SET status = 'succeeded', records_upserted = $1, records_deleted = $2, finished_at = NOW()
+           WHERE id = $3 RETURNING *`,
+          [result.upserted, result.deleted, run.id]
+        );
+        console.log(`Sync of ${objectName} for org ${orgId}: ${result.upserted} upserted, ${result.deleted} deleted`);
+        return rowToRun(done.rows[0]);
+      } catch (error) {
+        console.error(`Sync of ${objectName} for org ${orgId} failed:`, error.message);
+        const failed = await pool.query(
+          `UPDATE sync_runs SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2 RETURNING *`,
+          [error.message, run.id]
+        );
+        return rowToRun(failed.rows[0]);
+      } finally {
+        await unlock();
+      }
+    })();
+    
+    return { run, finished };
+  } catch (error) {
+    await unlock();
+    throw error;
+  }
+}
+
+/**
+ * List sync runs for an org, newest first
+ * @param {string} orgId - Salesforce organization ID
+ * @param {number} limit - Maximum number of runs
+ * @returns {Array<Object>} Runs
+ */
+export async function listSyncRuns(orgId, limit = 50) {
+  const result = await pool.query(
+    'SELECT * FROM sync_runs WHERE org_id = $1 ORDER BY started_at DESC LIMIT $2',
+    [orgId, limit]
+  );
+  return result.rows.map(rowToRun);
+}
+
+/**
+ * Read mirrored records
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} options - { objectName, limit, offset, includeDeleted }
+ * @returns {Object} { totalSize, records } or null if the object has never been synced
+ */
+export async function readMirror(orgId, { objectName = SYNC_OBJECT, limit = 100, offset = 0, includeDeleted = false } = {}) {
+  const tableName = mirrorTableName(objectName);
+  const exists = await pool.query('SELECT to_regclass($1) AS table', [tableName]);
+  if (!exists.rows[0].table) {
+    return null;
+  }
+  
+  const table = quoteIdent(tableName);
+  const where = `WHERE org_id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
+  
+  const count = await pool.query(`SELECT COUNT(*) FROM ${table} ${where}`, [orgId]);
+  const rows = await pool.query(
+    `SELECT * FROM ${table} ${where} ORDER BY "Id" LIMIT $2 OFFSET $3`,
+    [orgId, limit, offset]
+  );
+  
+  return {
+    totalSize: parseInt(count.rows[0].count),
+    records: rows.rows.map(({ org_id, ...record }) => record)
+  };
+}
+
+registerJobHandler('sync', {
+  validate({ objectName }) {
+    if (objectName !== undefined && (typeof objectName !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(objectName))) {
+      return ['payload.objectName must be an object API name'];
+    }
+    return [];
+  },
+  
+  // A run cannot be interrupted once started, so cancelling waits for it to finish
+  async run({ orgId, payload }, { log }) {
+    const objectName = payload.objectName ?? SYNC_OBJECT;
+    const started = await startSync(orgId, 'job', objectName);
+    if (!started) {
+      throw new ConflictError(`A sync of ${objectName} is already running for this org`, { code: 'SYNC_RUNNING' });
+    }
+    
+    await log(`Started ${started.run.mode} sync run ${started.run.id} of ${objectName}`);
+    const run = await started.finished;
+    if (run.status === 'failed') {
+      throw new Error(run.error);
+    }
+    
+    await log(`${run.recordsUpserted} upserted, ${run.recordsDeleted} deleted`);
+    return run;
+  }
+});
@@ -0,0 +1,43 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, resetDatabase, startApp, login, authorize, postJson } from './helpers.js';
+
+describe('Bulk API ingest', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  
+  before(async () => {
+    await resetDatabase();
+    fake = await startFakeSalesforce();
+    app = await startApp(fake);
+    session = await login(app);
+    await authorize(app, session);
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('uploads null as #N/A so it clears the field, and leaves missing keys empty', async () => {
+    const { status, body } = await postJson(app, session, `/connections/${fake.orgId}/bulk/ingest`, {
+      object: 'Actabl_Lead__c',
+      operation: 'update',
+      records: [
+        { Id: 'a0B000000000001AAA', Email__c: null, Company__c: 'Example, Inc.' },
+        { Id: 'a0B000000000002AAA', Status__c: 'Working' }
+      ]
+    });
+    
+    assert.equal(status, 202);
+    assert.equal(body.data.state, 'UploadComplete');
+    assert.equal(fake.ingestJobData(body.data.id), [
+      'Id,Email__c,Company__c,Status__c',
+      'a0B000000000001AAA,#N/A,"Example, Inc.",',
+      'a0B000000000002AAA,,,Working',
+      ''
+    ].join('\n'));
+  });
+});
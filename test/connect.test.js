@@ -0,0 +1,101 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, resetDatabase, startApp, login, authorize, getJson } from './helpers.js';
+
+describe('Connecting an org', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  
+  before(async () => {
+    await resetDatabase();
+    fake = await startFakeSalesforce();
+    app = await startApp(fake);
+    session = await login(app);
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('every route is in the OpenAPI document', () => {
+    assert.doesNotMatch(app.output(), /is not in the OpenAPI document|has no route/);
+  });
+  
+  test('/auth redirects to the authorize endpoint with a PKCE challenge', async () => {
+    const response = await fetch(`${app.url}/auth`, { headers: { cookie: session.cookie }, redirect: 'manual' });
+    assert.equal(response.status, 302);
+    
+    const location = new URL(response.headers.get('location'));
+    assert.equal(location.origin, fake.url);
+    assert.equal(location.pathname, '/services/oauth2/authorize');
+    assert.equal(location.searchParams.get('client_id'), 'test-client-id');
+    assert.equal(location.searchParams.get('redirect_uri'), `${app.url}/callback`);
+    assert.equal(location.searchParams.get('code_challenge_method'), 'S256');
+    assert.match(location.searchParams.get('code_challenge'), /^[\w-]{43}$/);
+    assert.ok(location.searchParams.get('state'));
+  });
+  
+  test('/auth requires a signed-in user', async () => {
+    const response = await fetch(`${app.url}/auth`, { redirect: 'manual' });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'UNAUTHENTICATED');
+  });
+  
+  test('/callback exchanges the code and stores the connection', async () => {
+    const callback = await authorize(app, session, '?label=Production');
+    
+    assert.equal(callback.status, 200);
+    assert.match(await callback.text(), /Connected Successfully/);
+    assert.equal(fake.tokenRequests('authorization_code').length, 1);
+    
+    const { status, body } = await getJson(app, session, '/connections');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].orgId, fake.orgId);
+    assert.equal(body.data[0].userId, fake.userId);
+    assert.equal(body.data[0].label, 'Production');
+    assert.equal(body.data[0].instanceUrl, fake.url);
+  });
+  
+  test('a state can only be used once', async () => {
+    const callback = await authorize(app, session);
+    assert.equal(callback.status, 200);
+    
+    const replay = await fetch(callback.url);
+    assert.equal(replay.status, 400);
+    assert.equal((await replay.json()).error.code, 'INVALID_STATE');
+  });
+  
+  test('an unknown state is rejected', async () => {
+    const response = await fetch(`${app.url}/callback?code=aPrxbogus&state=unknown`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, 'INVALID_STATE');
+  });
+  
+  test('a denied authorization is reported', async () => {
+    fake.denyNextAuthorization();
+    const callback = await authorize(app, session);
+    
+    assert.equal(callback.status, 400);
+    const { error } = await callback.json();
+    assert.equal(error.code, 'OAUTH_ERROR');
+    assert.equal(error.details, 'end-user denied authorization');
+  });
+  
+  test('a rejected code exchange fails with 401 and is audited', async () => {
+    const auth = await fetch(`${app.url}/auth`, { headers: { cookie: session.cookie }, redirect: 'manual' });
+    const state = new URL(auth.headers.get('location')).searchParams.get('state');
+    
+    // A code the fake never issued
+    const response = await fetch(`${app.url}/callback?code=aPrxforged&state=${encodeURIComponent(state)}`);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'INVALID_GRANT');
+    
+    const { body } = await getJson(app, session, '/audit?event=connect&failed=true');
+    assert.equal(body.data.events.length, 1);
+    assert.equal(body.data.events[0].status, 401);
+  });
+});
@@ -0,0 +1,670 @@
+import crypto from 'crypto';
+import { once } from 'events';
+import express from 'express';
+
+/**
+ * Fake Salesforce for tests
+ *
+ * Serves the parts of Salesforce the integration talks to, on a local port:
+ * the OAuth authorize, token, introspect, revoke and userinfo endpoints (with
+ * PKCE checking), SOQL queries paged through nextRecordsUrl, object describes,
+ * record creation, Bulk API 2.0 ingest uploads, org limits and the Streaming API (CometD long polling with replay IDs).
+ * Access tokens can be expired on demand, after which the REST API answers 401
+ * INVALID_SESSION_ID like a real org does.
+ *
+ * Point the server at it with SF_LOGIN_URL; the token response names the fake
+ * as the instance URL, so API calls land here too.
+ */
+
+const API_PATH = '/services/data/:version';
+
+const DEFAULT_ORG_ID = '00D000000000001AAA';
+const DEFAULT_USER_ID = '005000000000001AAA';
+
+/**
+ * A describe field with the attributes the integration reads
+ */
+export function describeField(name, type, overrides = {}) {
+  const system = ['Id', 'CreatedDate', 'LastModifiedDate', 'SystemModstamp'].includes(name);
+  
+  return {
+    name,
+    label: name.replace(/__c$/, '').replace(/_/g, ' '),
+    type,
+    length: type === 'string' || type === 'email' ? 255 : 0,
+    nillable: !system,
+    defaultedOnCreate: system,
+    createable: !system,
+    updateable: !system,
+    filterable: true,
+    sortable: true,
+    unique: false,
+    externalId: false,
+    picklistValues: [],
+    ...overrides
+  };
+}
+
+/**
+ * Describe result for an object
+ */
+export function describeObject(name, fields) {
+  return {
+    name,
+    label: name.replace(/__c$/, '').replace(/_/g, ' '),
+    custom: name.endsWith('__c'),
+    createable: true,
+    updateable: true,
+    deletable: true,
+    queryable: true,
+    fields
+  };
+}
+
+/**
+ * Actabl_Lead__c as the fake describes it unless told otherwise
+ */
+export const ACTABL_LEAD_DESCRIBE = describeObject('Actabl_Lead__c', [
+  describeField('Id', 'id', { length: 18 }),
+  describeField('Name', 'string', { nillable: false, length: 80 }),
+  describeField('Email__c', 'email'),
+  describeField('Company__c', 'string'),
+  describeField('Status__c', 'picklist', {
+    picklistValues: ['New', 'Working', 'Closed'].map(value => ({ value, label: value, active: true }))
+  }),
+  describeField('CreatedDate', 'datetime'),
+  describeField('LastModifiedDate', 'datetime'),
+  describeField('SystemModstamp', 'datetime')
+]);
+
+/**
+ * Random token in the shape Salesforce uses (`00D...!...`)
+ */
+function newToken(orgId) {
+  return `${orgId.slice(0, 15)}!${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Salesforce REST error body
+ */
+function apiError(res, status, errorCode, message) {
+  return res.status(status).json([{ errorCode, message }]);
+}
+
+/**
+ * OAuth error body
+ */
+function oauthError(res, status, error, description) {
+  return res.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Parse the parts of a SOQL query the fake understands
+ * The field list, object, LIMIT and a WHERE of one `Field = 'value'`
+ * comparison (case-insensitive, as in SOQL) are honoured; other conditions and
+ * ORDER BY are ignored, so records come back in the order they were added.
+ */
+function parseSoql(soql) {
+  const match = /^\s*SELECT\s+(.+?)\s+FROM\s+(\w+)/is.exec(soql || '');
+  if (!match) {
+    return null;
+  }
+  
+  const limit = /\bLIMIT\s+(\d+)/i.exec(soql);
+  const equals = /\bWHERE\s+(\w+)\s*=\s*'((?:[^'\\]|\\.)*)'\s*(?:ORDER\s+BY\b|LIMIT\b|$)/i.exec(soql);
+  return {
+    fields: match[1].split(',').map(field => field.trim()),
+    objectName: match[2],
+    limit: limit ? Number(limit[1]) : Infinity,
+    where: equals ? { field: equals[1], value: equals[2].replace(/\\(.)/g, '$1').toLowerCase() } : null
+  };
+}
+
+/**
+ * Start a fake Salesforce
+ * @param {Object} options - Fake org settings (all optional)
+ * @param {string} options.clientId - Connected app consumer key the fake accepts
+ * @param {string} options.clientSecret - Connected app consumer secret the fake accepts
+ * @param {string} options.orgId - Org ID in identity URLs
+ * @param {string} options.userId - User ID in identity URLs
+ * @param {number} options.tokenLifetime - Access token lifetime in seconds, reported by introspection
+ * @param {number} options.batchSize - Records per query batch before nextRecordsUrl
+ * @param {Object} options.describes - Describe results by object name
+ * @param {Object} options.records - Records by object name
+ * @param {number} options.streamingTimeout - Milliseconds a CometD connect is held open without events
+ * @param {number} options.apiLatency - Milliseconds every REST API call takes
+ * @returns {Promise<Object>} Fake with { url, records, requests, expireAccessTokens, publishEvent, close, ... }
+ */
+export async function startFakeSalesforce({
+  clientId = 'test-client-id',
+  clientSecret = 'test-client-secret',
+  orgId = DEFAULT_ORG_ID,
+  userId = DEFAULT_USER_ID,
+  tokenLifetime = 2 * 60 * 60,
+  batchSize = 2000,
+  describes = { Actabl_Lead__c: ACTABL_LEAD_DESCRIBE },
+  records = {},
+  streamingTimeout = 10 * 1000,
+  apiLatency = 0
+} = {}) {
+  const app = express();
+  const codes = new Map(); // code -> { redirectUri, codeChallenge }
+  const tokens = new Map(); // token -> { type, active, expiresAt }
+  const cursors = new Map(); // query locator -> remaining records
+  const ingestJobs = new Map(); // job ID -> job info with the uploaded csv
+  const requests = [];
+  let denyAuthorization = null;
+  let apiCalls = 0;
+  
+  // Streaming API state
+  const streamingClients = new Map(); // clientId -> { channels, queue, wake }
+  const retainedEvents = new Map(); // channel -> event messages, oldest first
+  let nextReplayId = 1;
+  let handshakeError = null;
+  
+  const fake = {
+    url: null,
+    orgId,
+    userId,
+    records,
+    describes,
+    // Every request as { method, path, grantType }, for assertions on what the server sent
+    requests,
+    
+    /**
+     * Expire every access token issued so far; the REST API answers them with 401
+     */
+    expireAccessTokens() {
+      for (const token of tokens.values()) {
+        if (token.type === 'access') {
+          token.expiresAt = Date.now() - 1000;
+        }
+      }
+    },
+    
+    /**
+     * Revoke every refresh token issued so far, as when a user revokes the app
+     */
+    revokeRefreshTokens() {
+      for (const token of tokens.values()) {
+        if (token.type === 'refresh') {
+          token.active = false;
+        }
+      }
+    },
+    
+    /**
+     * Answer the next authorization with an OAuth error instead of a code
+     * @param {string} error - OAuth error code, e.g. `access_denied`
+     * @param {string} description - error_description
+     */
+    denyNextAuthorization(error = 'access_denied', description = 'end-user denied authorization') {
+      denyAuthorization = { error, description };
+    },
+    
+    /**
+     * Issue an access token without the OAuth dance, for tests that call Salesforce directly
+     */
+    issueAccessToken() {
+      return issueTokens({ withRefreshToken: false }).access_token;
+    },
+    
+    /**
+     * Publish a streaming event; it is retained for replay
+     * @param {string} channel - e.g. /data/Actabl_Lead__ChangeEvent
+     * @param {Object} payload - Event payload
+     * @returns {number} Replay ID of the event
+     */
+    publishEvent(channel, payload) {
+      const replayId = nextReplayId++;
+      const message = { channel, data: { event: { replayId, createdDate: new Date().toISOString() }, payload } };
+      retainedEvents.set(channel, [...(retainedEvents.get(channel) || []), message]);
+      
+      for (const client of streamingClients.values()) {
+        if (client.channels.has(channel)) {
+          client.queue.push(message);
+          client.wake?.();
+        }
+      }
+      return replayId;
+    },
+    
+    /**
+     * Drop retained events up to a replay ID, as when they age out of the retention window
+     */
+    expireStreamingEvents(throughReplayId) {
+      for (const [channel, messages] of retainedEvents) {
+        retainedEvents.set(channel, messages.filter(message => message.data.event.replayId > throughReplayId));
+      }
+    },
+    
+    /**
+     * Forget every streaming client, as a server restart does; they must handshake again
+     */
+    dropStreamingClients() {
+      const clients = [...streamingClients.values()];
+      streamingClients.clear();
+      for (const client of clients) {
+        client.wake?.();
+      }
+    },
+    
+    /**
+     * CSV uploaded to a Bulk API ingest job, or null
+     */
+    ingestJobData(jobId) {
+      return ingestJobs.get(jobId)?.csv ?? null;
+    },
+    
+    /**
+     * IDs of the streaming clients currently subscribed to a channel
+     */
+    subscribedClients(channel) {
+      return [...streamingClients].filter(([, client]) => client.channels.has(channel)).map(([clientId]) => clientId);
+    },
+    
+    /**
+     * Fail every handshake with a Bayeux error until called with null
+     * @param {string|null} error - e.g. `403::Handshake denied`
+     */
+    rejectHandshakes(error = '403::Handshake denied') {
+      handshakeError = error;
+    },
+    
+    /**
+     * Requests for the token endpoint with the given grant type
+     */
+    tokenRequests(grantType) {
+      return requests.filter(request => request.grantType === grantType);
+    },
+    
+    close: null
+  };
+  
+  /**
+   * Issue an access token (and a refresh token for interactive grants)
+   */
+  function issueTokens({ withRefreshToken }) {
+    const accessToken = newToken(orgId);
+    tokens.set(accessToken, { type: 'access', active: true, expiresAt: Date.now() + tokenLifetime * 1000 });
+    
+    const response = {
+      access_token: accessToken,
+      signature: crypto.randomBytes(32).toString('base64'),
+      scope: 'api refresh_token',
+      instance_url: fake.url,
+      id: `${fake.url}/id/${orgId}/${userId}`,
+      token_type: 'Bearer',
+      issued_at: String(Date.now())
+    };
+    
+    if (withRefreshToken) {
+      response.refresh_token = newToken(orgId);
+      tokens.set(response.refresh_token, { type: 'refresh', active: true, expiresAt: Infinity });
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Look up an active token of the given type
+   */
+  function findToken(value, type) {
+    const token = tokens.get(value);
+    return token?.type === type && token.active && token.expiresAt > Date.now() ? token : null;
+  }
+  
+  app.use(express.urlencoded({ extended: false }));
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, grantType: req.body?.grant_type || null });
+    next();
+  });
+  
+  app.get('/services/oauth2/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, code_challenge, code_challenge_method, state } = req.query;
+    
+    // Salesforce shows an error page rather than redirecting when the client is unknown
+    if (client_id !== clientId || !redirect_uri) {
+      return res.status(400).send('error=invalid_client_id&error_description=client identifier invalid');
+    }
+    
+    const callback = new URL(redirect_uri);
+    if (state !== undefined) {
+      callback.searchParams.set('state', state);
+    }
+    
+    if (denyAuthorization) {
+      callback.searchParams.set('error', denyAuthorization.error);
+      callback.searchParams.set('error_description', denyAuthorization.description);
+      denyAuthorization = null;
+      return res.redirect(callback.toString());
+    }
+    
+    if (response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+      callback.searchParams.set('error', 'invalid_request');
+      callback.searchParams.set('error_description', 'code_challenge with method S256 is required');
+      return res.redirect(callback.toString());
+    }
+    
+    const code = `aPrx${crypto.randomBytes(24).toString('base64url')}`;
+    codes.set(code, { redirectUri: redirect_uri, codeChallenge: code_challenge });
+    callback.searchParams.set('code', code);
+    res.redirect(callback.toString());
+  });
+  
+  app.post('/services/oauth2/token', (req, res) => {
+    const params = req.body || {};
+    
+    if (params.grant_type === 'authorization_code') {
+      if (params.client_id !== clientId || params.client_secret !== clientSecret) {
+        return oauthError(res, 400, 'invalid_client', 'invalid client credentials');
+      }
+      
+      // Codes are single use, even when the exchange fails
+      const grant = codes.get(params.code);
+      codes.delete(params.code);
+      if (!grant) {
+        return oauthError(res, 400, 'invalid_grant', 'invalid authorization code');
+      }
+      if (params.redirect_uri !== grant.redirectUri) {
+        return oauthError(res, 400, 'invalid_grant', 'redirect_uri must match configuration');
+      }
+      
+      const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return oauthError(res, 400, 'invalid_grant', 'invalid code verifier');
+      }
+      
+      return res.json(issueTokens({ withRefreshToken: true }));
+    }
+    
+    if (params.grant_type === 'refresh_token') {
+      if (params.client_id !== clientId || params.client_secret !== clientSecret) {
+        return oauthError(res, 400, 'invalid_client', 'invalid client credentials');
+      }
+      if (!findToken(params.refresh_token, 'refresh')) {
+        return oauthError(res, 400, 'invalid_grant', 'expired access/refresh token');
+      }
+      
+      // Refreshes do not rotate the refresh token
+      return res.json(issueTokens({ withRefreshToken: false }));
+    }
+    
+    oauthError(res, 400, 'unsupported_grant_type', 'grant type not supported');
+  });
+  
+  app.post('/services/oauth2/introspect', (req, res) => {
+    const token = tokens.get(req.body?.token);
+    
+    if (!token || !token.active || token.expiresAt <= Date.now()) {
+      return res.json({ active: false });
+    }
+    
+    res.json({
+      active: true,
+      scope: 'api refresh_token',
+      client_id: clientId,
+      sub: `${fake.url}/id/${orgId}/${userId}`,
+      token_type: token.type === 'access' ? 'access_token' : 'refresh_token',
+      exp: token.expiresAt === Infinity ? undefined : Math.floor(token.expiresAt / 1000),
+      iat: Math.floor(Date.now() / 1000)
+    });
+  });
+  
+  app.post('/services/oauth2/revoke', (req, res) => {
+    const token = tokens.get(req.body?.token);
+    
+    if (!token) {
+      return oauthError(res, 400, 'unsupported_token_type', 'this token type is not supported');
+    }
+    
+    // Revoking a refresh token also revokes the access tokens; the fake cannot tell which, so it revokes all
+    token.active = false;
+    if (token.type === 'refresh') {
+      for (const other of tokens.values()) {
+        if (other.type === 'access') {
+          other.active = false;
+        }
+      }
+    }
+    res.status(200).end();
+  });
+  
+  /**
+   * Middleware: require a valid, unexpired access token, as the REST API does
+   */
+  function requireAccessToken(req, res, next) {
+    const authorization = req.get('authorization') || '';
+    if (!findToken(authorization.replace(/^Bearer /, ''), 'access')) {
+      return apiError(res, 401, 'INVALID_SESSION_ID', 'Session expired or invalid');
+    }
+    
+    apiCalls++;
+    res.set('Sforce-Limit-Info', `api-usage=${apiCalls}/15000`);
+    setTimeout(next, apiLatency);
+  }
+  
+  app.get('/services/oauth2/userinfo', requireAccessToken, (req, res) => {
+    res.json({
+      sub: `${fake.url}/id/${orgId}/${userId}`,
+      user_id: userId,
+      organization_id: orgId,
+      preferred_username: 'integration@example.com',
+      name: 'Integration User',
+      email: 'integration@example.com'
+    });
+  });
+  
+  app.use(API_PATH, requireAccessToken);
+  
+  app.get(`${API_PATH}/limits`, (req, res) => {
+    res.json({
+      DailyApiRequests: { Max: 15000, Remaining: 15000 - apiCalls },
+      DailyBulkV2QueryJobs: { Max: 10000, Remaining: 10000 }
+    });
+  });
+  
+  app.get(`${API_PATH}/sobjects/:objectName/describe`, (req, res) => {
+    const describe = describes[req.params.objectName];
+    if (!describe) {
+      return apiError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+    }
+    
+    res.json(describe);
+  });
+  
+  app.post(`${API_PATH}/jobs/ingest`, express.json(), (req, res) => {
+    const job = {
+      id: `750${crypto.randomBytes(6).toString('hex').toUpperCase()}AAA`,
+      ...req.body,
+      state: 'Open',
+      apiVersion: Number(req.params.version.replace(/^v/, ''))
+    };
+    ingestJobs.set(job.id, { ...job, csv: null });
+    res.json(job);
+  });
+  
+  app.put(`${API_PATH}/jobs/ingest/:jobId/batches`, express.text({ type: 'text/csv' }), (req, res) => {
+    const job = ingestJobs.get(req.params.jobId);
+    if (!job || job.state !== 'Open') {
+      return apiError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+    }
+    
+    job.csv = req.body;
+    res.status(201).end();
+  });
+  
+  app.patch(`${API_PATH}/jobs/ingest/:jobId`, express.json(), (req, res) => {
+    const job = ingestJobs.get(req.params.jobId);
+    if (!job) {
+      return apiError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+    }
+    
+    job.state = req.body.state;
+    const { csv, ...info } = job;
+    res.json(info);
+  });
+  
+  app.post(`${API_PATH}/sobjects/:objectName`, express.json(), (req, res) => {
+    const { objectName } = req.params;
+    if (!describes[objectName]) {
+      return apiError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+    }
+    
+    const id = `a0B${crypto.randomBytes(6).toString('hex').toUpperCase()}AAA`;
+    records[objectName] = [...(records[objectName] || []), { ...req.body, Id: id }];
+    res.status(201).json({ id, success: true, errors: [] });
+  });
+  
+  /**
+   * First batch of a query; the rest is kept for nextRecordsUrl
+   */
+  function sendBatch(req, res, remaining, totalSize) {
+    const batch = remaining.slice(0, batchSize);
+    const rest = remaining.slice(batchSize);
+    const result = { totalSize, done: rest.length === 0, records: batch };
+    
+    if (rest.length > 0) {
+      const locator = `01g${crypto.randomBytes(6).toString('hex').toUpperCase()}-${batchSize}`;
+      cursors.set(locator, { records: rest, totalSize });
+      result.nextRecordsUrl = `/services/data/${req.params.version}/query/${locator}`;
+    }
+    
+    res.json(result);
+  }
+  
+  const runQuery = (req, res) => {
+    const query = parseSoql(req.query.q);
+    if (!query) {
+      return apiError(res, 400, 'MALFORMED_QUERY', 'unexpected token: query could not be parsed');
+    }
+    if (!describes[query.objectName]) {
+      return apiError(res, 400, 'INVALID_TYPE', `sObject type '${query.objectName}' is not supported.`);
+    }
+    
+    const matched = (records[query.objectName] || [])
+      .filter(record => !query.where || String(record[query.where.field] ?? '').toLowerCase() === query.where.value)
+      .slice(0, query.limit)
+      .map(record => ({
+        attributes: { type: query.objectName, url: `/services/data/${req.params.version}/sobjects/${query.objectName}/${record.Id}` },
+        ...Object.fromEntries(query.fields.map(field => [field, record[field] ?? null]))
+      }));
+    
+    sendBatch(req, res, matched, matched.length);
+  };
+  
+  app.get(`${API_PATH}/query`, runQuery);
+  app.get(`${API_PATH}/queryAll`, runQuery);
+  
+  app.get(`${API_PATH}/query/:locator`, (req, res) => {
+    const cursor = cursors.get(req.params.locator);
+    if (!cursor) {
+      return apiError(res, 400, 'INVALID_QUERY_LOCATOR', 'invalid query locator');
+    }
+    
+    cursors.delete(req.params.locator);
+    sendBatch(req, res, cursor.records, cursor.totalSize);
+  });
+  
+  /**
+   * Bayeux reply telling a client the server does not know it
+   */
+  function unknownClient(channel) {
+    return { channel, successful: false, error: '403::Unknown client', advice: { reconnect: 'handshake' } };
+  }
+  
+  app.use('/cometd/:version', requireAccessToken, express.json());
+  
+  app.post('/cometd/:version/handshake', (req, res) => {
+    if (handshakeError) {
+      return res.json([{ channel: '/meta/handshake', successful: false, error: handshakeError, advice: { reconnect: 'handshake' } }]);
+    }
+    
+    const clientId = crypto.randomBytes(12).toString('hex');
+    streamingClients.set(clientId, { channels: new Set(), queue: [], wake: null });
+    res.json([{
+      channel: '/meta/handshake',
+      successful: true,
+      clientId,
+      version: '1.0',
+      supportedConnectionTypes: ['long-polling'],
+      advice: { timeout: streamingTimeout, interval: 0, reconnect: 'retry' },
+      ext: { replay: true }
+    }]);
+  });
+  
+  app.post('/cometd/:version/subscribe', (req, res) => {
+    const [message] = req.body;
+    const channel = message.subscription;
+    const client = streamingClients.get(message.clientId);
+    if (!client) {
+      return res.json([{ ...unknownClient('/meta/subscribe'), subscription: channel }]);
+    }
+    
+    // -1 asks for new events only, -2 for everything retained, otherwise the events after a retained one
+    const replayId = message.ext?.replay?.[channel] ?? -1;
+    const retained = retainedEvents.get(channel) || [];
+    if (replayId !== -1 && replayId !== -2 && !retained.some(event => event.data.event.replayId === replayId)) {
+      return res.json([{
+        channel: '/meta/subscribe',
+        subscription: channel,
+        successful: false,
+        error: `400::The replayId {${replayId}} you provided was invalid.  Please provide a valid ID, -2 to replay all events, or -1 to replay only new events.`
+      }]);
+    }
+    
+    client.channels.add(channel);
+    if (replayId !== -1) {
+      client.queue.push(...retained.filter(event => replayId === -2 || event.data.event.replayId > replayId));
+    }
+    res.json([{ channel: '/meta/subscribe', subscription: channel, successful: true, clientId: message.clientId }]);
+  });
+  
+  app.post('/cometd/:version/connect', async (req, res) => {
+    const [message] = req.body;
+    const client = streamingClients.get(message.clientId);
+    
+    // Hold the connect open until an event arrives, the client is dropped or the timeout passes
+    if (client && client.queue.length === 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, streamingTimeout);
+        client.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      client.wake = null;
+    }
+    
+    if (!streamingClients.has(message.clientId)) {
+      return res.json([unknownClient('/meta/connect')]);
+    }
+    
+    res.json([
+      ...client.queue.splice(0),
+      { channel: '/meta/connect', successful: true, clientId: message.clientId, advice: { interval: 0, reconnect: 'retry' } }
+    ]);
+  });
+  
+  app.post('/cometd/:version/disconnect', (req, res) => {
+    const [message] = req.body;
+    streamingClients.delete(message.clientId);
+    res.json([{ channel: '/meta/disconnect', successful: true, clientId: message.clientId }]);
+  });
+  
+  app.use((req, res) => {
+    apiError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  });
+  
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  
+  fake.close = () => new Promise(resolve => {
+    fake.dropStreamingClients();
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+  
+  return fake;
+}
@@ -0,0 +1,183 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+/**
+ * End-to-end test helpers
+ *
+ * Tests run server.js as a child process against a fake Salesforce (see
+ * fakeSalesforce.js) and the Postgres database in TEST_DATABASE_URL. The
+ * database is wiped before each suite, so never point it at real data.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Pass as `skip` to suites that need Postgres
+export const SKIP_WITHOUT_DATABASE = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+export const DASHBOARD_USERNAME = 'admin';
+export const DASHBOARD_PASSWORD = 'test-password';
+
+// How long the server may take to migrate and start listening
+const START_TIMEOUT = 20 * 1000;
+
+/**
+ * Drop and recreate the public schema of the test database
+ */
+export async function resetDatabase() {
+  const client = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+  
+  try {
+    await client.query('DROP SCHEMA IF EXISTS public CASCADE');
+    await client.query('CREATE SCHEMA public');
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Find a free local port
+ */
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+/**
+ * Start server.js against a fake Salesforce
+ * @param {Object} fake - From startFakeSalesforce()
+ * @param {Object} env - Extra environment variables (optional)
+ * @returns {Promise<Object>} { url, output, stop } - `output()` returns everything the server logged
+ */
+export async function startApp(fake, env = {}) {
+  const port = await freePort();
+  const lines = [];
+  
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATABASE_URL: TEST_DATABASE_URL,
+      SF_LOGIN_URL: fake.url,
+      SF_CLIENT_ID: 'test-client-id',
+      SF_CLIENT_SECRET: 'test-client-secret',
+      SF_MAX_RETRIES: '0',
+      TOKEN_ENCRYPTION_KEYS: `test:${Buffer.alloc(32, 7).toString('base64')}`,
+      TOKEN_ENCRYPTION_KEY_ID: 'test',
+      DASHBOARD_USERNAME,
+      DASHBOARD_PASSWORD,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${lines.join('')}`)), START_TIMEOUT);
+    
+    const collect = chunk => {
+      lines.push(chunk.toString());
+      if (/Server running on port/.test(chunk)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${lines.join('')}`));
+    });
+  });
+  
+  await started;
+  
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => lines.join(''),
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await once(child, 'exit');
+      }
+    }
+  };
+}
+
+/**
+ * Sign in to the dashboard
+ * @param {Object} app - From startApp()
+ * @returns {Promise<Object>} { cookie, csrfToken } - headers for later requests
+ */
+export async function login(app) {
+  const response = await fetch(`${app.url}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username: DASHBOARD_USERNAME, password: DASHBOARD_PASSWORD }).toString(),
+    redirect: 'manual'
+  });
+  if (response.status !== 302) {
+    throw new Error(`Login failed with ${response.status}: ${await response.text()}`);
+  }
+  
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+  const dashboard = await (await fetch(`${app.url}/`, { headers: { cookie } })).text();
+  const csrfToken = /name="_csrf" value="([^"]+)"/.exec(dashboard)?.[1];
+  
+  return { cookie, csrfToken };
+}
+
+/**
+ * Go through /auth, the fake's authorize page and /callback, as a browser would
+ * @param {Object} app - From startApp()
+ * @param {Object} session - From login()
+ * @param {string} query - Query string for /auth (optional)
+ * @returns {Promise<Response>} The /callback response
+ */
+export async function authorize(app, session, query = '') {
+  const auth = await fetch(`${app.url}/auth${query}`, { headers: { cookie: session.cookie }, redirect: 'manual' });
+  if (auth.status !== 302) {
+    throw new Error(`/auth answered ${auth.status}: ${await auth.text()}`);
+  }
+  
+  const authorizePage = await fetch(auth.headers.get('location'), { redirect: 'manual' });
+  if (authorizePage.status !== 302) {
+    throw new Error(`Authorize answered ${authorizePage.status}: ${await authorizePage.text()}`);
+  }
+  
+  return fetch(authorizePage.headers.get('location'), { redirect: 'manual' });
+}
+
+/**
+ * GET a JSON route as the signed-in dashboard user
+ * @returns {Promise<Object>} { status, body }
+ */
+export async function getJson(app, session, route) {
+  const response = await fetch(`${app.url}${route}`, { headers: { cookie: session.cookie } });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * POST JSON to a route as the signed-in dashboard user
+ * @returns {Promise<Object>} { status, body }
+ */
+export async function postJson(app, session, route, body = {}) {
+  const response = await fetch(`${app.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': session.csrfToken, cookie: session.cookie },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,163 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, resetDatabase, startApp, login, authorize, getJson, postJson } from './helpers.js';
+
+/**
+ * Actabl_Lead__c records for the fake org
+ */
+function leads(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    Id: `a0B${String(index + 1).padStart(12, '0')}AAA`,
+    Name: `Lead ${index + 1}`,
+    Email__c: `lead${index + 1}@example.com`,
+    Company__c: 'Example Hotels',
+    Status__c: 'New',
+    CreatedDate: new Date(Date.UTC(2026, 0, count - index)).toISOString().replace('Z', '+0000'),
+    LastModifiedDate: '2026-02-01T00:00:00.000+0000',
+    SystemModstamp: '2026-02-01T00:00:00.000+0000'
+  }));
+}
+
+describe('Leads', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  let leadsPath;
+  
+  before(async () => {
+    await resetDatabase();
+    fake = await startFakeSalesforce({ batchSize: 3, records: { Actabl_Lead__c: leads(5) } });
+    app = await startApp(fake);
+    session = await login(app);
+    await authorize(app, session);
+    leadsPath = `/connections/${fake.orgId}/leads`;
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('lists leads with the requested fields and a cursor for the next page', async () => {
+    const { status, body } = await getJson(app, session, `${leadsPath}?fields=Id,Name,Email__c&limit=2`);
+    
+    assert.equal(status, 200);
+    assert.equal(body.data.totalSize, 2);
+    assert.deepEqual(body.data.records.map(record => record.Name), ['Lead 1', 'Lead 2']);
+    assert.equal(body.data.records[0].Email__c, 'lead1@example.com');
+    assert.ok(body.data.nextCursor);
+  });
+  
+  test('describes Actabl_Lead__c once and reuses the cached result', async () => {
+    await getJson(app, session, `${leadsPath}?limit=1`);
+    
+    const describes = fake.requests.filter(request => request.path.endsWith('/sobjects/Actabl_Lead__c/describe'));
+    assert.equal(describes.length, 1);
+  });
+  
+  test('rejects unknown fields without calling Salesforce', async () => {
+    const before = fake.requests.length;
+    const { status, body } = await getJson(app, session, `${leadsPath}?fields=Id,Nope__c`);
+    
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'INVALID_QUERY_PARAMETER');
+    assert.match(body.error.message, /Nope__c/);
+    assert.equal(fake.requests.length, before);
+  });
+  
+  test('rejects a limit outside the documented range', async () => {
+    const { status, body } = await getJson(app, session, `${leadsPath}?limit=0`);
+    
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'INVALID_REQUEST');
+    assert.deepEqual(body.error.details, [{ field: 'query.limit', message: 'must be at least 1' }]);
+  });
+  
+  test('streams every batch of a query, following nextRecordsUrl', async () => {
+    const query = encodeURIComponent('SELECT Id, Name FROM Actabl_Lead__c');
+    const response = await fetch(`${app.url}/connections/${fake.orgId}/query/stream?q=${query}`, { headers: { cookie: session.cookie } });
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+    
+    const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => record.Name), ['Lead 1', 'Lead 2', 'Lead 3', 'Lead 4', 'Lead 5']);
+    
+    const queryMore = fake.requests.filter(request => /\/query\/01g/.test(request.path));
+    assert.equal(queryMore.length, 1);
+  });
+  
+  test('collects every batch when a page is larger than one query batch', async () => {
+    const { status, body } = await getJson(app, session, `${leadsPath}?fields=Id,Name&limit=4`);
+    
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.records.map(record => record.Name), ['Lead 1', 'Lead 2', 'Lead 3', 'Lead 4']);
+    assert.ok(body.data.nextCursor);
+  });
+  
+  test('passes Salesforce errors through with their code', async () => {
+    const query = encodeURIComponent('SELECT Id FROM Missing__c');
+    const response = await fetch(`${app.url}/connections/${fake.orgId}/query/stream?q=${query}`, { headers: { cookie: session.cookie } });
+    
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.code, 'INVALID_TYPE');
+    assert.equal(error.salesforce.status, 400);
+  });
+  
+  test('answers 404 for an org that is not connected', async () => {
+    const { status, body } = await getJson(app, session, '/connections/00D000000000002AAA/leads');
+    
+    assert.equal(status, 404);
+    assert.equal(body.error.code, 'CONNECTION_NOT_FOUND');
+  });
+  
+  test('maps only the fields present, without defaults, for a partial update', async () => {
+    const mapping = {
+      fields: [
+        { target: 'Name', source: 'contact.name', transforms: ['trim'] },
+        { target: 'Email__c', source: 'contact.email', transforms: ['lowercase'] },
+        { target: 'Status__c', source: 'stage', transforms: [{ type: 'picklist', values: { open: 'New' } }], default: 'New' }
+      ]
+    };
+    const saved = await fetch(`${app.url}/connections/${fake.orgId}/mappings/website`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': session.csrfToken, cookie: session.cookie },
+      body: JSON.stringify(mapping)
+    });
+    assert.equal(saved.status, 201);
+    
+    const dryRun = `/connections/${fake.orgId}/mappings/website/dry-run`;
+    const input = { contact: { email: 'New@Example.com', name: null } };
+    
+    const { body: update } = await postJson(app, session, `${dryRun}?mode=update`, input);
+    assert.deepEqual(update.data.record, { Email__c: 'new@example.com', Name: null });
+    assert.deepEqual(update.data.errors.map(error => error.field), ['Name']);
+    
+    const { body: create } = await postJson(app, session, dryRun, input);
+    assert.deepEqual(create.data.record, { Email__c: 'new@example.com', Status__c: 'New' });
+  });
+  
+  test('answers 413 for a body over the size limit', async () => {
+    const { status, body } = await postJson(app, session, leadsPath, { Name: 'x'.repeat(200 * 1024) });
+    
+    assert.equal(status, 413);
+    assert.equal(body.error.code, 'BODY_TOO_LARGE');
+  });
+  
+  test('exports audit events with formula-like cells defused', async () => {
+    const { status, body } = await postJson(app, session, '/api-keys', { name: '=HYPERLINK("https://example.com")', scopes: ['leads:read'] });
+    assert.equal(status, 201);
+    
+    const listed = await fetch(`${app.url}${leadsPath}?limit=1`, { headers: { authorization: `Bearer ${body.data.key}` } });
+    assert.equal(listed.status, 200);
+    
+    const response = await fetch(`${app.url}/audit/export?orgId=${fake.orgId}`, { headers: { cookie: session.cookie } });
+    const csv = await response.text();
+    
+    assert.equal(response.status, 200);
+    assert.ok(csv.includes(`"'=HYPERLINK(""https://example.com"") (#${body.data.id})"`), csv);
+    assert.ok(!/(^|,)"?=HYPERLINK/m.test(csv));
+  });
+});
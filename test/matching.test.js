@@ -0,0 +1,46 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, resetDatabase, startApp, login, authorize, postJson } from './helpers.js';
+
+describe('Lead ingest', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  let ingestPath;
+  
+  before(async () => {
+    await resetDatabase();
+    // Slow enough that every ingest is still holding its locks when the last one arrives
+    fake = await startFakeSalesforce({ records: { Actabl_Lead__c: [] }, apiLatency: 200 });
+    app = await startApp(fake);
+    session = await login(app);
+    await authorize(app, session);
+    ingestPath = `/connections/${fake.orgId}/leads/ingest`;
+    
+    // Only email, so the similar test names below are not flagged by name_company
+    const saved = await fetch(`${app.url}/connections/${fake.orgId}/matching/rules`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': session.csrfToken, cookie: session.cookie },
+      body: JSON.stringify({ rules: [{ type: 'email', field: 'Email__c', action: 'update' }] })
+    });
+    assert.equal(saved.status, 200);
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('answers more concurrent ingests than the database pool has clients', { timeout: 15000 }, async () => {
+    // Distinct emails, so every ingest holds its own advisory lock at the same time
+    const responses = await Promise.all(Array.from({ length: 12 }, (_, index) => postJson(app, session, ingestPath, {
+      Name: `Concurrent Lead ${index + 1}`,
+      Email__c: `concurrent${index + 1}@example.com`
+    })));
+    
+    assert.deepEqual(responses.map(response => response.status), Array(12).fill(201));
+    assert.deepEqual(new Set(responses.map(response => response.body.data.decision)), new Set(['create']));
+    assert.equal(fake.records.Actabl_Lead__c.length, 12);
+  });
+});
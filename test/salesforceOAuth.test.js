@@ -0,0 +1,107 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { generateCodeVerifier, generateCodeChallenge, generateState } from '../utils/pkce.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+// utils/salesforce.js reads the connected app settings when it loads
+process.env.SF_CLIENT_ID = 'test-client-id';
+process.env.SF_CLIENT_SECRET = 'test-client-secret';
+const {
+  buildAuthorizationUrl,
+  exchangeCodeForTokens,
+  parseIdentityUrl,
+  getTokenLifetime,
+  introspectToken,
+  revokeToken
+} = await import('../utils/salesforce.js');
+
+const REDIRECT_URI = 'http://127.0.0.1:3000/callback';
+
+describe('OAuth helpers against the fake Salesforce', () => {
+  let fake;
+  
+  before(async () => {
+    fake = await startFakeSalesforce({ tokenLifetime: 900 });
+  });
+  
+  after(async () => {
+    await fake.close();
+  });
+  
+  /**
+   * Follow the authorization URL and return the code from the redirect
+   */
+  async function authorize(codeChallenge, state = generateState()) {
+    const response = await fetch(buildAuthorizationUrl(REDIRECT_URI, codeChallenge, state, fake.url), { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    
+    const callback = new URL(response.headers.get('location'));
+    assert.equal(callback.origin + callback.pathname, REDIRECT_URI);
+    assert.equal(callback.searchParams.get('state'), state);
+    return callback.searchParams.get('code');
+  }
+  
+  test('exchanges a code for tokens when the verifier matches the challenge', async () => {
+    const verifier = generateCodeVerifier();
+    const code = await authorize(generateCodeChallenge(verifier));
+    
+    const tokens = await exchangeCodeForTokens(code, verifier, REDIRECT_URI, fake.url);
+    
+    assert.ok(tokens.access_token);
+    assert.ok(tokens.refresh_token);
+    assert.equal(tokens.instance_url, fake.url);
+    assert.deepEqual(parseIdentityUrl(tokens.id), { orgId: fake.orgId, userId: fake.userId });
+  });
+  
+  test('rejects a verifier that does not match the challenge', async () => {
+    const code = await authorize(generateCodeChallenge(generateCodeVerifier()));
+    
+    await assert.rejects(
+      exchangeCodeForTokens(code, generateCodeVerifier(), REDIRECT_URI, fake.url),
+      error => error instanceof AuthenticationError && error.code === 'INVALID_GRANT' && /invalid code verifier/.test(error.message)
+    );
+  });
+  
+  test('rejects a code that was already used', async () => {
+    const verifier = generateCodeVerifier();
+    const code = await authorize(generateCodeChallenge(verifier));
+    await exchangeCodeForTokens(code, verifier, REDIRECT_URI, fake.url);
+    
+    await assert.rejects(
+      exchangeCodeForTokens(code, verifier, REDIRECT_URI, fake.url),
+      { code: 'INVALID_GRANT', status: 401 }
+    );
+  });
+  
+  test('rejects a redirect URI other than the one authorized', async () => {
+    const verifier = generateCodeVerifier();
+    const code = await authorize(generateCodeChallenge(verifier));
+    
+    await assert.rejects(
+      exchangeCodeForTokens(code, verifier, 'http://127.0.0.1:4000/callback', fake.url),
+      /redirect_uri must match configuration/
+    );
+  });
+  
+  test('takes the token lifetime from introspection', async () => {
+    const verifier = generateCodeVerifier();
+    const tokens = await exchangeCodeForTokens(await authorize(generateCodeChallenge(verifier)), verifier, REDIRECT_URI, fake.url);
+    
+    const { issuedAt, expiresAt } = await getTokenLifetime(tokens, fake.url);
+    
+    assert.equal(issuedAt.getTime(), Number(tokens.issued_at));
+    assert.ok(Math.abs(expiresAt.getTime() - (Date.now() + 900 * 1000)) < 5000);
+  });
+  
+  test('revoking the refresh token deactivates the access token', async () => {
+    const verifier = generateCodeVerifier();
+    const tokens = await exchangeCodeForTokens(await authorize(generateCodeChallenge(verifier)), verifier, REDIRECT_URI, fake.url);
+    
+    await revokeToken(tokens.refresh_token, fake.url);
+    
+    assert.equal((await introspectToken(tokens.access_token, 'access_token', fake.url)).active, false);
+    // Revoking again is not an error
+    await revokeToken(tokens.refresh_token, fake.url);
+  });
+});
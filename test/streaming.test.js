@@ -0,0 +1,165 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { createSubscriber } from '../utils/streaming.js';
+
+const CHANNEL = '/data/Actabl_Lead__ChangeEvent';
+
+/**
+ * Wait until a condition holds, polling every few milliseconds
+ */
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Streaming API subscriber against the fake Salesforce', () => {
+  let fake;
+  let accessToken;
+  
+  before(async () => {
+    fake = await startFakeSalesforce({ streamingTimeout: 200 });
+    accessToken = fake.issueAccessToken();
+  });
+  
+  after(async () => {
+    await fake.close();
+  });
+  
+  /**
+   * A subscriber that saves the replay ID of every event it receives, as changeEvents.js does
+   */
+  function subscriber(replayId) {
+    const received = [];
+    const state = { replayId, refreshes: 0 };
+    
+    const stream = createSubscriber({
+      channel: CHANNEL,
+      getSession: async () => ({ accessToken, instanceUrl: fake.url }),
+      refreshSession: async () => {
+        state.refreshes++;
+        accessToken = fake.issueAccessToken();
+      },
+      getReplayId: async () => state.replayId,
+      onEvent: async (message) => {
+        received.push(message.data.payload.Name);
+        state.replayId = message.data.event.replayId;
+      },
+      log: () => {}
+    });
+    
+    return { stream, received, state };
+  }
+  
+  /**
+   * Requests for a Bayeux meta channel sent to the fake so far
+   */
+  const sent = (meta) => fake.requests.filter(request => request.path.endsWith(`/${meta}`)).length;
+  const handshakes = () => sent('handshake');
+  
+  test('resumes after the stored replay ID and delivers events in order', async () => {
+    const first = fake.publishEvent(CHANNEL, { Name: 'Lead 1' });
+    fake.publishEvent(CHANNEL, { Name: 'Lead 2' });
+    fake.publishEvent(CHANNEL, { Name: 'Lead 3' });
+    
+    const { stream, received } = subscriber(first);
+    stream.start();
+    
+    try {
+      await waitFor(() => received.length === 2);
+      fake.publishEvent(CHANNEL, { Name: 'Lead 4' });
+      await waitFor(() => received.length === 3);
+    } finally {
+      await stream.stop();
+    }
+    
+    assert.deepEqual(received, ['Lead 2', 'Lead 3', 'Lead 4']);
+  });
+  
+  test('replays everything retained when the stored replay ID has expired', async () => {
+    const expired = fake.publishEvent(CHANNEL, { Name: 'Expired' });
+    const last = fake.publishEvent(CHANNEL, { Name: 'Retained' });
+    fake.expireStreamingEvents(expired);
+    
+    const { stream, received } = subscriber(expired);
+    stream.start();
+    
+    try {
+      await waitFor(() => received.includes('Retained'));
+    } finally {
+      await stream.stop();
+    }
+    
+    assert.ok(!received.includes('Expired'));
+    fake.expireStreamingEvents(last);
+  });
+  
+  test('handshakes again after the server forgets the client and resumes without duplicates', async () => {
+    const { stream, received } = subscriber(-1);
+    // Clients of earlier tests are never disconnected, so wait for a new client ID
+    const known = new Set(fake.subscribedClients(CHANNEL));
+    const subscribed = () => fake.subscribedClients(CHANNEL).some(clientId => !known.has(clientId));
+    stream.start();
+    
+    try {
+      // With replay ID -1 only events published after the subscription arrive
+      await waitFor(subscribed);
+      fake.publishEvent(CHANNEL, { Name: 'Before restart' });
+      await waitFor(() => received.length === 1);
+      
+      // Every client is forgotten, so the next subscribed client is the one after the re-handshake
+      fake.dropStreamingClients();
+      await waitFor(subscribed);
+      fake.publishEvent(CHANNEL, { Name: 'After restart' });
+      await waitFor(() => received.length === 2);
+    } finally {
+      await stream.stop();
+    }
+    
+    assert.deepEqual(received, ['Before restart', 'After restart']);
+  });
+  
+  test('backs off when every handshake is rejected', async () => {
+    const { stream } = subscriber(-1);
+    const before = handshakes();
+    fake.rejectHandshakes();
+    stream.start();
+    
+    try {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    } finally {
+      await stream.stop();
+      fake.rejectHandshakes(null);
+    }
+    
+    // One immediate re-handshake, then jittered backoff starting at a second
+    const attempts = handshakes() - before;
+    assert.ok(attempts >= 2, `expected at least 2 handshakes, saw ${attempts}`);
+    assert.ok(attempts <= 4, `expected at most 4 handshakes, saw ${attempts}`);
+  });
+  
+  test('backs off when the session keeps being rejected after a token refresh', async () => {
+    const { stream, state } = subscriber(-1);
+    const before = handshakes();
+    fake.rejectHandshakes('401::Authentication invalid');
+    stream.start();
+    
+    try {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    } finally {
+      await stream.stop();
+      fake.rejectHandshakes(null);
+    }
+    
+    // One immediate retry after the first refresh, then jittered backoff starting at a second
+    const attempts = handshakes() - before;
+    assert.ok(attempts >= 2, `expected at least 2 handshakes, saw ${attempts}`);
+    assert.ok(attempts <= 4, `expected at most 4 handshakes, saw ${attempts}`);
+    assert.ok(state.refreshes <= 4, `expected at most 4 token refreshes, saw ${state.refreshes}`);
+  });
+});
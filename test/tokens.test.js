@@ -0,0 +1,97 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, resetDatabase, startApp, login, authorize, getJson } from './helpers.js';
+
+const LEAD = {
+  Id: 'a0B000000000001AAA',
+  Name: 'Lead 1',
+  CreatedDate: '2026-01-01T00:00:00.000+0000'
+};
+
+describe('Token refresh', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  let leadsPath;
+  
+  before(async () => {
+    await resetDatabase();
+    fake = await startFakeSalesforce({ records: { Actabl_Lead__c: [LEAD] } });
+    app = await startApp(fake);
+    session = await login(app);
+    await authorize(app, session);
+    leadsPath = `/connections/${fake.orgId}/leads`;
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('refreshes an access token Salesforce rejects and retries the call', async () => {
+    const refreshes = fake.tokenRequests('refresh_token').length;
+    fake.expireAccessTokens();
+    
+    const { status, body } = await getJson(app, session, leadsPath);
+    
+    assert.equal(status, 200);
+    assert.equal(body.data.records[0].Id, LEAD.Id);
+    assert.equal(fake.tokenRequests('refresh_token').length, refreshes + 1);
+    
+    const { body: audit } = await getJson(app, session, `/audit?orgId=${fake.orgId}&event=token_refresh`);
+    assert.equal(audit.data.events[0].status, 200);
+  });
+  
+  test('concurrent calls share one refresh', async () => {
+    const refreshes = fake.tokenRequests('refresh_token').length;
+    fake.expireAccessTokens();
+    
+    const responses = await Promise.all([1, 2, 3].map(() => getJson(app, session, leadsPath)));
+    
+    assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+    assert.equal(fake.tokenRequests('refresh_token').length, refreshes + 1);
+  });
+  
+  test('a revoked refresh token fails with 401 INVALID_GRANT', async () => {
+    fake.revokeRefreshTokens();
+    fake.expireAccessTokens();
+    
+    const { status, body } = await getJson(app, session, leadsPath);
+    
+    assert.equal(status, 401);
+    assert.equal(body.error.code, 'INVALID_GRANT');
+    assert.match(body.error.message, /Token refresh failed/);
+  });
+});
+
+describe('Token refresh ahead of expiry', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  
+  before(async () => {
+    await resetDatabase();
+    // Tokens that expire within the refresh margin are renewed before they are used
+    fake = await startFakeSalesforce({ tokenLifetime: 60, records: { Actabl_Lead__c: [LEAD] } });
+    app = await startApp(fake);
+    session = await login(app);
+    await authorize(app, session);
+  });
+  
+  after(async () => {
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  test('refreshes before calling Salesforce and stores the new expiry', async () => {
+    const { status } = await getJson(app, session, `/connections/${fake.orgId}/leads`);
+    
+    assert.equal(status, 200);
+    assert.ok(fake.tokenRequests('refresh_token').length >= 1);
+    
+    const { body } = await getJson(app, session, `/connections/${fake.orgId}/status`);
+    assert.equal(body.data.accessToken.active, true);
+    assert.ok(new Date(body.data.accessToken.expiresAt).getTime() > Date.now());
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+import { SKIP_WITHOUT_DATABASE, TEST_DATABASE_URL, resetDatabase, startApp, login, getJson, postJson } from './helpers.js';
+
+// A public address written as an IP, so registering it needs no DNS
+const PUBLIC_URL = 'https://93.184.215.14/hooks/actabl';
+
+describe('Webhooks', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let fake;
+  let app;
+  let session;
+  let webhooks;
+  let pool;
+  
+  before(async () => {
+    await resetDatabase();
+    fake = await startFakeSalesforce();
+    app = await startApp(fake);
+    session = await login(app);
+    
+    // Deliveries are driven from here rather than by the server's worker interval
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+    webhooks = await import('../webhooks.js');
+    ({ pool } = await import('../db.js'));
+  });
+  
+  after(async () => {
+    await pool?.end();
+    await app?.stop();
+    await fake?.close();
+  });
+  
+  /**
+   * Register a subscription and return the response
+   */
+  const subscribe = (body) => postJson(app, session, '/webhooks/subscriptions', body);
+  
+  /**
+   * Attempt a delivery as soon as it is due, as often as `times`
+   */
+  async function deliverNow(id, times) {
+    for (let attempt = 0; attempt < times; attempt++) {
+      await pool.query('UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1', [id]);
+      await webhooks.processDueDeliveries();
+    }
+    const { rows: [row] } = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return row;
+  }
+  
+  test('rejects plain http and loopback, private and link-local hosts', async () => {
+    const rejected = [
+      ['http://93.184.215.14/hooks', 'url must use https'],
+      ['https://localhost/hooks', /loopback/],
+      ['https://127.0.0.1/hooks', /loopback/],
+      ['https://10.1.2.3/hooks', /private/],
+      ['https://192.168.0.10/hooks', /private/],
+      ['https://169.254.169.254/latest/meta-data', /link-local/],
+      ['https://[::1]/hooks', /loopback/],
+      ['https://[::ffff:127.0.0.1]/hooks', /loopback/]
+    ];
+    
+    for (const [url, message] of rejected) {
+      const { status, body } = await subscribe({ url });
+      assert.equal(status, 400, url);
+      assert.equal(body.error.code, 'VALIDATION_ERROR', url);
+      assert.ok(body.error.details.some(detail => message instanceof RegExp ? message.test(detail) : detail === message), url);
+    }
+    
+    const { body } = await getJson(app, session, '/webhooks/subscriptions');
+    assert.deepEqual(body.data, []);
+  });
+  
+  test('signs the timestamp and body with the subscription secret', async () => {
+    const { status, body } = await subscribe({ url: PUBLIC_URL, events: ['lead.created'] });
+    assert.equal(status, 201);
+    assert.ok(body.data.secret);
+    
+    const payload = JSON.stringify({ type: 'lead.created', data: { recordIds: ['a0B000000000001AAA'] } });
+    const header = webhooks.signPayload(body.data.secret, payload, 1767225600);
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header);
+    
+    // What a receiver checks
+    const expected = crypto.createHmac('sha256', body.data.secret).update(`${timestamp}.${payload}`).digest('hex');
+    assert.equal(timestamp, '1767225600');
+    assert.equal(signature, expected);
+    assert.notEqual(webhooks.signPayload(body.data.secret, `${payload} `, 1767225600), header);
+    assert.notEqual(webhooks.signPayload('another-signing-secret', payload, 1767225600), header);
+    
+    await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [body.data.id]);
+  });
+  
+  test('dead-letters a delivery after 8 failed attempts and redelivers it with fresh attempts', async () => {
+    const { body: { data: subscription } } = await subscribe({ url: PUBLIC_URL });
+    // As if the endpoint was registered before loopback addresses were refused, so every attempt fails
+    await pool.query('UPDATE webhook_subscriptions SET url = $1 WHERE id = $2', ['https://127.0.0.1/hooks', subscription.id]);
+    
+    assert.equal(await webhooks.enqueueEvent(fake.orgId, 'lead.updated', { recordIds: ['a0B000000000001AAA'] }), 1);
+    const { rows: [{ id }] } = await pool.query('SELECT id FROM webhook_deliveries WHERE subscription_id = $1', [subscription.id]);
+    
+    let row = await deliverNow(id, 7);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 7);
+    assert.ok(row.next_attempt_at > new Date(), 'the next attempt is backed off');
+    
+    row = await deliverNow(id, 1);
+    assert.equal(row.status, 'dead');
+    assert.equal(row.attempts, 8);
+    assert.match(row.last_error, /loopback/);
+    
+    // Dead deliveries are not attempted again on their own
+    row = await deliverNow(id, 1);
+    assert.equal(row.attempts, 8);
+    
+    const { body: failed } = await getJson(app, session, '/webhooks/deliveries?status=failed');
+    assert.deepEqual(failed.data.map(delivery => delivery.id), [id]);
+    
+    const { status, body } = await postJson(app, session, `/webhooks/deliveries/${id}/redeliver`);
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.attempts, 0);
+    
+    row = await deliverNow(id, 1);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 1);
+    
+    // Only failed deliveries can be redelivered
+    await pool.query(`UPDATE webhook_deliveries SET status = 'delivered' WHERE id = $1`, [id]);
+    const again = await postJson(app, session, `/webhooks/deliveries/${id}/redeliver`);
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error.code, 'DELIVERY_NOT_FOUND');
+  });
+  
+  test('queues a change event once per subscription, however often it is seen', async () => {
+    const { body: { data: subscription } } = await subscribe({ url: PUBLIC_URL, events: ['lead.deleted'] });
+    const data = { recordIds: ['a0B000000000002AAA'] };
+    
+    // Earlier subscriptions without an event filter get a delivery too
+    const queued = await webhooks.enqueueEvent(fake.orgId, 'lead.deleted', data, { replayId: 41 });
+    assert.ok(queued >= 1);
+    assert.equal(await webhooks.enqueueEvent(fake.orgId, 'lead.deleted', data, { replayId: 41 }), 0);
+    assert.equal(await webhooks.enqueueEvent(fake.orgId, 'lead.deleted', data, { replayId: 42 }), queued);
+    
+    const { rows } = await pool.query('SELECT replay_id FROM webhook_deliveries WHERE subscription_id = $1 ORDER BY replay_id', [subscription.id]);
+    assert.deepEqual(rows.map(row => Number(row.replay_id)), [41, 42]);
+  });
+});
@@ -0,0 +1,230 @@
+import { salesforceApiCall, SF_API_VERSION } from './salesforce.js';
+import { toCsv, parseCsv } from './csv.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Bulk API 2.0 client
+ * Ingest jobs load large record sets in one job instead of one REST call per
+ * record; query jobs export large result sets in locator-paged chunks.
+ */
+
+const INGEST_OPERATIONS = ['insert', 'update', 'upsert', 'delete', 'hardDelete'];
+const QUERY_OPERATIONS = ['query', 'queryAll'];
+const FINAL_STATES = ['JobComplete', 'Failed', 'Aborted'];
+
+const INGEST_RESULT_TYPES = {
+  successful: 'successfulResults',
+  failed: 'failedResults',
+  unprocessed: 'unprocessedrecords'
+};
+
+const BULK_NULL = '#N/A';
+
+const POLL_INTERVAL = 5000; // 5 seconds
+const POLL_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+const basePath = `/services/data/${SF_API_VERSION}/jobs`;
+
+/**
+ * Check whether a job state is final
+ * @param {string} state - Job state from Salesforce
+ * @returns {boolean} True if the job will not change any more
+ */
+export function isFinalJobState(state) {
+  return FINAL_STATES.includes(state);
+}
+
+/**
+ * Create an ingest job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Object} spec - Job specification
+ * @param {string} spec.object - sObject API name
+ * @param {string} spec.operation - insert, update, upsert, delete or hardDelete
+ * @param {string} spec.externalIdFieldName - External ID field (upsert only)
+ * @returns {Object} Job info
+ */
+export async function createIngestJob(orgId, { object, operation, externalIdFieldName }) {
+  if (!INGEST_OPERATIONS.includes(operation)) {
+    throw new ValidationError(`Unsupported ingest operation: ${operation}`);
+  }
+  
+  if (operation === 'upsert' && !externalIdFieldName) {
+    throw new ValidationError('Upsert jobs require externalIdFieldName');
+  }
+  
+  return salesforceApiCall(orgId, `${basePath}/ingest`, 'POST', {
+    object,
+    operation,
+    ...(operation === 'upsert' ? { externalIdFieldName } : {}),
+    contentType: 'CSV',
+    columnDelimiter: 'COMMA',
+    lineEnding: 'LF'
+  });
+}
+
+/**
+ * Upload the CSV data of an ingest job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobId - Ingest job ID
+ * @param {string} csv - CSV data with a header row of field names
+ */
+export async function uploadJobData(orgId, jobId, csv) {
+  await salesforceApiCall(orgId, `${basePath}/ingest/${jobId}/batches`, 'PUT', csv, {
+    contentType: 'text/csv',
+    responseType: 'text'
+  });
+}
+
+/**
+ * Mark an ingest job's upload as complete so Salesforce starts processing it
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobId - Ingest job ID
+ * @returns {Object} Job info
+ */
+export async function closeIngestJob(orgId, jobId) {
+  return salesforceApiCall(orgId, `${basePath}/ingest/${jobId}`, 'PATCH', { state: 'UploadComplete' });
+}
+
+/**
+ * Abort a job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobType - `ingest` or `query`
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job info
+ */
+export async function abortJob(orgId, jobType, jobId) {
+  return salesforceApiCall(orgId, `${basePath}/${jobType}/${jobId}`, 'PATCH', { state: 'Aborted' });
+}
+
+/**
+ * Get the current status of a job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobType - `ingest` or `query`
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job info
+ */
+export async function getJobStatus(orgId, jobType, jobId) {
+  return salesforceApiCall(orgId, `${basePath}/${jobType}/${jobId}`);
+}
+
+/**
+ * Wait for a job to reach a final state
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobType - `ingest` or `query`
+ * @param {string} jobId - Job ID
+ * @param {Object} options - { interval, timeout } in milliseconds
+ * @returns {Object} Final job info
+ */
+export async function pollJob(orgId, jobType, jobId, { interval = POLL_INTERVAL, timeout = POLL_TIMEOUT } = {}) {
+  const deadline = Date.now() + timeout;
+  
+  for (;;) {
+    const job = await getJobStatus(orgId, jobType, jobId);
+    
+    if (isFinalJobState(job.state)) {
+      return job;
+    }
+    
+    if (Date.now() + interval > deadline) {
+      throw new Error(`Timed out waiting for ${jobType} job ${jobId} (state: ${job.state})`);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Fetch the processed records of an ingest job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobId - Ingest job ID
+ * @param {string} type - `successful`, `failed` or `unprocessed`
+ * @returns {Array<Object>} Result rows (successful/failed rows include sf__Id and sf__Error)
+ */
+export async function getIngestResults(orgId, jobId, type) {
+  if (!Object.hasOwn(INGEST_RESULT_TYPES, type)) {
+    throw new ValidationError(`Unknown result type: ${type}`);
+  }
+  
+  const resource = INGEST_RESULT_TYPES[type];
+  
+  const { text } = await salesforceApiCall(orgId, `${basePath}/ingest/${jobId}/${resource}`, 'GET', null, {
+    accept: 'text/csv',
+    responseType: 'text'
+  });
+  
+  return parseCsv(text);
+}
+
+/**
+ * Create, upload and close an ingest job in one step
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Object} spec - See createIngestJob()
+ * @param {Array<Object>|string} data - Records (null clears a field, a missing key leaves it) or CSV text
+ * @returns {Object} Job info after closing
+ */
+export async function submitIngestJob(orgId, spec, data) {
+  // An empty cell leaves a field unchanged; null has to clear it
+  const csv = typeof data === 'string' ? data : toCsv(data, null, { nullValue: BULK_NULL });
+  const job = await createIngestJob(orgId, spec);
+  
+  try {
+    await uploadJobData(orgId, job.id, csv);
+  } catch (error) {
+    // Don't leave an open job behind in Salesforce
+    await abortJob(orgId, 'ingest', job.id).catch(() => {});
+    throw error;
+  }
+  
+  return closeIngestJob(orgId, job.id);
+}
+
+/**
+ * Create a query job
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} query - SOQL query
+ * @param {string} operation - `query` or `queryAll` (includes deleted and archived rows)
+ * @returns {Object} Job info
+ */
+export async function createQueryJob(orgId, query, operation = 'query') {
+  if (!QUERY_OPERATIONS.includes(operation)) {
+    throw new ValidationError(`Unsupported query operation: ${operation}`);
+  }
+  
+  return salesforceApiCall(orgId, `${basePath}/query`, 'POST', {
+    operation,
+    query,
+    contentType: 'CSV',
+    columnDelimiter: 'COMMA',
+    lineEnding: 'LF'
+  });
+}
+
+/**
+ * Fetch one chunk of a completed query job's results
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} jobId - Query job ID
+ * @param {Object} options - { locator: from the previous chunk, maxRecords }
+ * @returns {Object} { records, locator (null when there are no more chunks), numberOfRecords }
+ */
+export async function getQueryResults(orgId, jobId, { locator, maxRecords } = {}) {
+  const params = new URLSearchParams();
+  if (locator) {
+    params.set('locator', locator);
+  }
+  if (maxRecords) {
+    params.set('maxRecords', String(maxRecords));
+  }
+  
+  const query = params.toString() ? `?${params.toString()}` : '';
+  const { text, headers } = await salesforceApiCall(orgId, `${basePath}/query/${jobId}/results${query}`, 'GET', null, {
+    accept: 'text/csv',
+    responseType: 'text'
+  });
+  
+  const nextLocator = headers.get('sforce-locator');
+  return {
+    records: parseCsv(text),
+    locator: nextLocator && nextLocator !== 'null' ? nextLocator : null,
+    numberOfRecords: Number(headers.get('sforce-numberofrecords')) || 0
+  };
+}
@@ -0,0 +1,344 @@
+import { salesforceApiCall, normalizeSalesforceErrors, SF_API_VERSION } from './salesforce.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Composite, Composite Batch, Composite Graph and sObject Collections wrappers
+ * Several operations travel in one HTTP request. Each operation's outcome is
+ * returned as { referenceId, status, success, body, errors } with errors
+ * normalized by normalizeSalesforceErrors() instead of a stringified message.
+ */
+
+const API_PATH = `/services/data/${SF_API_VERSION}`;
+
+const COMPOSITE_LIMIT = 25;
+const BATCH_LIMIT = 25;
+const COLLECTION_LIMIT = 200;
+const RETRIEVE_LIMIT = 2000;
+
+const REFERENCE_PATTERN = /@\{([A-Za-z0-9_]+)[.\[}]/g;
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Build a `@{referenceId.path}` cross-reference to an earlier subrequest
+ * @param {string} referenceId - referenceId of the earlier subrequest
+ * @param {string} path - Path into its response body (default `id`)
+ * @returns {string} Reference expression
+ */
+export function ref(referenceId, path = 'id') {
+  return `@{${referenceId}.${path}}`;
+}
+
+/**
+ * Expand a subrequest URL relative to the versioned REST path
+ * `sobjects/Account` and `/services/data/v59.0/sobjects/Account` are equivalent.
+ */
+function resolveUrl(url) {
+  return url.startsWith('/services/') ? url : `${API_PATH}/${url.replace(/^\//, '')}`;
+}
+
+/**
+ * Turn one composite subresponse into a structured result
+ */
+function toResult(referenceId, status, body) {
+  const success = status >= 200 && status < 300;
+  
+  return {
+    referenceId,
+    status,
+    success,
+    body: success ? body : null,
+    errors: success ? [] : normalizeSalesforceErrors(body)
+  };
+}
+
+/**
+ * Result placeholder for an operation that was skipped after an earlier failure
+ */
+function notProcessed(referenceId) {
+  return {
+    referenceId,
+    status: null,
+    success: false,
+    body: null,
+    errors: [{ errorCode: 'NOT_PROCESSED', message: 'Skipped after an earlier failure', fields: [] }]
+  };
+}
+
+/**
+ * Check that every @{ref} points at an earlier subrequest in the same request
+ * Salesforce only reports a bad reference when it gets to it; failing early
+ * avoids a partially executed request.
+ */
+function checkReferences(subrequests) {
+  const seen = new Set();
+  
+  for (const subrequest of subrequests) {
+    const text = JSON.stringify({ url: subrequest.url, body: subrequest.body ?? null });
+    for (const [, referenceId] of text.matchAll(REFERENCE_PATTERN)) {
+      if (!seen.has(referenceId)) {
+        throw new ValidationError(`Subrequest ${subrequest.referenceId} references unknown or later subrequest "${referenceId}"`);
+      }
+    }
+    
+    if (seen.has(subrequest.referenceId)) {
+      throw new ValidationError(`Duplicate referenceId: ${subrequest.referenceId}`);
+    }
+    seen.add(subrequest.referenceId);
+  }
+}
+
+/**
+ * Normalize subrequests to the shape the Composite resources expect
+ */
+function toCompositeSubrequests(subrequests) {
+  return subrequests.map(({ method = 'GET', url, referenceId, body, httpHeaders }) => ({
+    method,
+    url: resolveUrl(url),
+    referenceId,
+    ...(body !== undefined ? { body } : {}),
+    ...(httpHeaders ? { httpHeaders } : {})
+  }));
+}
+
+/**
+ * Run up to 25 dependent subrequests in one Composite request
+ * Later subrequests may use `@{referenceId.field}` to refer to earlier results.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Array<Object>} subrequests - { method, url, referenceId, body }
+ * @param {Object} options - { allOrNone: roll back everything if one fails, collateSubrequests }
+ * @returns {Object} { success, results }
+ */
+export async function composite(orgId, subrequests, { allOrNone = false, collateSubrequests = false } = {}) {
+  if (subrequests.length > COMPOSITE_LIMIT) {
+    throw new ValidationError(`Composite requests are limited to ${COMPOSITE_LIMIT} subrequests`);
+  }
+  
+  checkReferences(subrequests);
+  
+  const response = await salesforceApiCall(orgId, `${API_PATH}/composite`, 'POST', {
+    allOrNone,
+    collateSubrequests,
+    compositeRequest: toCompositeSubrequests(subrequests)
+  });
+  
+  const results = response.compositeResponse.map(item =>
+    toResult(item.referenceId, item.httpStatusCode, item.body)
+  );
+  
+  return { success: results.every(result => result.success), results };
+}
+
+/**
+ * Run independent subrequests with Composite Batch
+ * Requests are sent 25 at a time; results keep the order of the input.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Array<Object>} requests - { method, url, body }
+ * @param {Object} options - { haltOnError: skip remaining requests after a failure }
+ * @returns {Object} { success, results }
+ */
+export async function compositeBatch(orgId, requests, { haltOnError = false } = {}) {
+  const results = [];
+  
+  for (const batch of chunk(requests, BATCH_LIMIT)) {
+    const response = await salesforceApiCall(orgId, `${API_PATH}/composite/batch`, 'POST', {
+      haltOnError,
+      batchRequests: batch.map(({ method = 'GET', url, body }) => ({
+        method,
+        // Batch subrequest URLs start at the version segment
+        url: resolveUrl(url).replace(/^\/services\/data\//, ''),
+        ...(body !== undefined ? { richInput: body } : {})
+      }))
+    });
+    
+    for (const item of response.results) {
+      results.push(toResult(results.length, item.statusCode, item.result));
+    }
+    
+    if (haltOnError && response.hasErrors) {
+      break;
+    }
+  }
+  
+  while (results.length < requests.length) {
+    results.push(notProcessed(results.length));
+  }
+  
+  return { success: results.every(result => result.success), results };
+}
+
+/**
+ * Run one or more graphs of dependent subrequests with Composite Graph
+ * Each graph is all-or-none on its own; graphs succeed or fail independently.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Array<Object>} graphs - { graphId, compositeRequest: [{ method, url, referenceId, body }] }
+ * @returns {Object} { success, graphs: [{ graphId, success, results }] }
+ */
+export async function compositeGraph(orgId, graphs) {
+  for (const graph of graphs) {
+    checkReferences(graph.compositeRequest);
+  }
+  
+  const response = await salesforceApiCall(orgId, `${API_PATH}/composite/graph`, 'POST', {
+    graphs: graphs.map(graph => ({
+      graphId: graph.graphId,
+      compositeRequest: toCompositeSubrequests(graph.compositeRequest)
+    }))
+  });
+  
+  const results = response.graphs.map(graph => ({
+    graphId: graph.graphId,
+    success: graph.isSuccessful,
+    results: graph.graphResponse.compositeResponse.map(item =>
+      toResult(item.referenceId, item.httpStatusCode, item.body)
+    )
+  }));
+  
+  return { success: results.every(graph => graph.success), graphs: results };
+}
+
+/**
+ * Turn sObject Collections save results into structured results
+ * Upsert results carry `created`; other operations use successStatus.
+ */
+function toCollectionResults(saveResults, offset, successStatus) {
+  return saveResults.map((item, index) => ({
+    referenceId: offset + index,
+    status: item.success ? (item.created === undefined ? successStatus : item.created ? 201 : 200) : 400,
+    success: item.success,
+    body: item.success ? { id: item.id, ...(item.created !== undefined ? { created: item.created } : {}) } : null,
+    errors: item.success ? [] : normalizeSalesforceErrors(item.errors)
+  }));
+}
+
+/**
+ * Send records to an sObject Collections resource in chunks of 200
+ * With allOrNone, each chunk is atomic; a failed chunk stops the remaining
+ * chunks, whose records are reported as not processed.
+ */
+async function saveCollection(orgId, endpoint, method, records, allOrNone, successStatus = 200) {
+  const results = [];
+  
+  for (const recordChunk of chunk(records, COLLECTION_LIMIT)) {
+    const saveResults = await salesforceApiCall(orgId, endpoint, method, { allOrNone, records: recordChunk });
+    const chunkResults = toCollectionResults(saveResults, results.length, successStatus);
+    results.push(...chunkResults);
+    
+    if (allOrNone && chunkResults.some(result => !result.success)) {
+      break;
+    }
+  }
+  
+  while (results.length < records.length) {
+    results.push(notProcessed(results.length));
+  }
+  
+  return { success: results.every(result => result.success), results };
+}
+
+/**
+ * Add the `attributes.type` every Collections record needs
+ */
+function withType(objectName, records) {
+  return records.map(record => ({ attributes: { type: objectName }, ...record }));
+}
+
+/**
+ * Create records with sObject Collections
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {Array<Object>} records - Field values per record
+ * @param {Object} options - { allOrNone }
+ * @returns {Object} { success, results } in input order
+ */
+export async function createRecords(orgId, objectName, records, { allOrNone = false } = {}) {
+  return saveCollection(orgId, `${API_PATH}/composite/sobjects`, 'POST', withType(objectName, records), allOrNone, 201);
+}
+
+/**
+ * Update records with sObject Collections (each record needs an Id)
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {Array<Object>} records - Field values per record, including Id
+ * @param {Object} options - { allOrNone }
+ * @returns {Object} { success, results } in input order
+ */
+export async function updateRecords(orgId, objectName, records, { allOrNone = false } = {}) {
+  return saveCollection(orgId, `${API_PATH}/composite/sobjects`, 'PATCH', withType(objectName, records), allOrNone);
+}
+
+/**
+ * Upsert records by an external ID field with sObject Collections
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {string} externalIdField - External ID field API name
+ * @param {Array<Object>} records - Field values per record, including the external ID
+ * @param {Object} options - { allOrNone }
+ * @returns {Object} { success, results } in input order; body.created tells inserts from updates
+ */
+export async function upsertRecords(orgId, objectName, externalIdField, records, { allOrNone = false } = {}) {
+  const endpoint = `${API_PATH}/composite/sobjects/${objectName}/${externalIdField}`;
+  return saveCollection(orgId, endpoint, 'PATCH', withType(objectName, records), allOrNone);
+}
+
+/**
+ * Delete records by Id with sObject Collections
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Array<string>} ids - Record Ids
+ * @param {Object} options - { allOrNone }
+ * @returns {Object} { success, results } in input order
+ */
+export async function deleteRecords(orgId, ids, { allOrNone = false } = {}) {
+  const results = [];
+  
+  for (const idChunk of chunk(ids, COLLECTION_LIMIT)) {
+    const params = new URLSearchParams({ ids: idChunk.join(','), allOrNone: String(allOrNone) });
+    const saveResults = await salesforceApiCall(orgId, `${API_PATH}/composite/sobjects?${params.toString()}`, 'DELETE');
+    const chunkResults = toCollectionResults(saveResults, results.length, 200);
+    results.push(...chunkResults);
+    
+    if (allOrNone && chunkResults.some(result => !result.success)) {
+      break;
+    }
+  }
+  
+  while (results.length < ids.length) {
+    results.push(notProcessed(results.length));
+  }
+  
+  return { success: results.every(result => result.success), results };
+}
+
+/**
+ * Retrieve many records of one object by Id
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {Array<string>} ids - Record Ids
+ * @param {Array<string>} fields - Fields to return
+ * @returns {Array<Object|null>} Records in input order; null where an Id was not found
+ */
+export async function retrieveRecords(orgId, objectName, ids, fields) {
+  const records = [];
+  
+  for (const idChunk of chunk(ids, RETRIEVE_LIMIT)) {
+    const result = await salesforceApiCall(orgId, `${API_PATH}/composite/sobjects/${objectName}`, 'POST', {
+      ids: idChunk,
+      fields
+    });
+    records.push(...result);
+  }
+  
+  return records;
+}
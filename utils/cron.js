@@ -0,0 +1,172 @@
+/**
+ * Cron expressions for scheduled jobs
+ *
+ * Standard five-field expressions, evaluated in UTC:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or JAN-DEC)  day of week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+ *
+ * Each field takes `*`, a value, a range (`1-5`), any of those with a step
+ * (`0-30/10`; `*` with `/15` is every 15) or a comma-separated list of them. As in Vixie cron, when both the day of
+ * month and the day of week are restricted, a day matching either one runs.
+ * The shorthands @yearly, @monthly, @weekly, @daily and @hourly are accepted too.
+ */
+
+const SHORTHANDS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// Give up looking for the next run after this long (e.g. `0 0 30 2 *` never runs)
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one value of a field, accepting names where the field has them
+ */
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value: ${text}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+  
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw new Error(`Invalid ${field.name}: ${part}`);
+    }
+    
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+      start = parseValue(from, field);
+      // A bare value with a step runs from that value to the end of the field
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+    }
+    
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!/^\d+$/.test(stepText ?? '1') || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${stepText}`);
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or shorthand
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday } - Sets of matching values
+ * @throws {Error} If the expression is invalid; the message says why
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  
+  const text = SHORTHANDS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+  
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  
+  // 7 is Sunday too
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Whether a parsed expression runs on the day of a date
+ */
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+  
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Next time a cron expression runs
+ * @param {string|Object} cron - Expression, or the result of parseCron()
+ * @param {Date} after - Find the first run strictly after this time
+ * @returns {Date|null} Next run, or null if the expression never runs
+ */
+export function nextCronTime(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const limit = after.getTime() + SEARCH_LIMIT;
+  
+  // Start at the first whole minute after `after`
+  let time = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+  
+  while (time.getTime() <= limit) {
+    const year = time.getUTCFullYear();
+    const month = time.getUTCMonth();
+    const day = time.getUTCDate();
+    const hour = time.getUTCHours();
+    
+    if (!parsed.months.has(month + 1)) {
+      time = new Date(Date.UTC(year, month + 1, 1));
+    } else if (!matchesDay(parsed, time)) {
+      time = new Date(Date.UTC(year, month, day + 1));
+    } else if (!parsed.hours.has(hour)) {
+      time = new Date(Date.UTC(year, month, day, hour + 1));
+    } else if (!parsed.minutes.has(time.getUTCMinutes())) {
+      time = new Date(time.getTime() + 60000);
+    } else {
+      return time;
+    }
+  }
+  
+  return null;
+}
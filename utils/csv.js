@@ -0,0 +1,116 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing
+ * Used for Bulk API 2.0 payloads and results.
+ */
+
+/**
+ * Quote a value for CSV output if needed
+ */
+function formatCell(value, nullValue = '') {
+  if (value === null) {
+    return nullValue;
+  }
+  if (value === undefined) {
+    return '';
+  }
+  
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep a spreadsheet from reading a text cell as a formula
+ * Text starting with =, +, -, @, a tab or a carriage return gets a leading
+ * apostrophe. Only for CSV meant to be opened by people, not for data loads.
+ * @param {*} value - Cell value
+ * @returns {*} Value, prefixed if it is risky text
+ */
+export function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Format one CSV line, without the line ending
+ * Objects are written as JSON.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+export function formatCsvLine(values) {
+  return values.map(formatCell).join(',');
+}
+
+/**
+ * Convert an array of objects to CSV
+ * The header is the union of keys across all rows, in first-seen order.
+ * Missing keys are written as empty cells.
+ * @param {Array<Object>} rows - Records
+ * @param {Array<string>} columns - Column order (optional)
+ * @param {Object} options - { nullValue } - cell for null values (default empty;
+ *   Bulk API ingest needs `#N/A` to clear a field)
+ * @returns {string} CSV text with LF line endings
+ */
+export function toCsv(rows, columns = null, { nullValue = '' } = {}) {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [formatCsvLine(header)];
+  
+  for (const row of rows) {
+    lines.push(header.map(column => formatCell(row[column], nullValue)).join(','));
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * Handles quoted cells with embedded commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  const [header, ...data] = rows;
+  if (!header) {
+    return [];
+  }
+  
+  return data.map(values => Object.fromEntries(header.map((column, index) => [column, values[index] ?? ''])));
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for secrets stored in the database
+ *
+ * Every record gets its own random data key. Values are encrypted with the
+ * data key (AES-256-GCM), and the data key itself is wrapped with a master
+ * key taken from the environment. Only the wrapped data key and the ID of the
+ * master key that wrapped it are stored next to the ciphertext.
+ *
+ * Master keys are configured as a comma-separated list of `keyId:base64key`
+ * pairs in TOKEN_ENCRYPTION_KEYS. TOKEN_ENCRYPTION_KEY_ID selects the key used
+ * for new records (defaults to the first key in the list). Older keys stay in
+ * the list until every record has been re-encrypted with the active key.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 'v1';
+
+let masterKeys = null;
+let activeKeyId = null;
+
+/**
+ * Parse the master keys from the environment (once)
+ * @returns {Map<string, Buffer>} Key ID to key bytes
+ */
+function loadMasterKeys() {
+  if (masterKeys) {
+    return masterKeys;
+  }
+  
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+  
+  const keys = new Map();
+  for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    
+    if (separator < 1 || key.length !== KEY_LENGTH) {
+      throw new Error(`Invalid entry in TOKEN_ENCRYPTION_KEYS: expected keyId:<${KEY_LENGTH} bytes, base64>`);
+    }
+    
+    keys.set(keyId, key);
+  }
+  
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(keyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${keyId}" is not listed in TOKEN_ENCRYPTION_KEYS`);
+  }
+  
+  masterKeys = keys;
+  activeKeyId = keyId;
+  return masterKeys;
+}
+
+/**
+ * Get a master key by ID
+ */
+function getMasterKey(keyId) {
+  const key = loadMasterKeys().get(keyId);
+  
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+  
+  return key;
+}
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @returns {string} `v1:<iv>:<auth tag>:<ciphertext>`, base64url encoded parts
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad));
+  }
+  
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  
+  return [FORMAT_VERSION, iv, tag, ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join(':');
+}
+
+/**
+ * Decrypt a value produced by seal()
+ * @returns {Buffer} Plaintext
+ */
+function open(key, sealed, aad) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  
+  if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Malformed encrypted value');
+  }
+  
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad));
+  }
+  
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+}
+
+/**
+ * ID of the master key used for new records
+ * @returns {string} Active key ID
+ */
+export function getActiveKeyId() {
+  loadMasterKeys();
+  return activeKeyId;
+}
+
+/**
+ * Generate a new data key wrapped with the active master key
+ * @returns {Object} { keyId, dataKey (Buffer), wrappedKey (string) }
+ */
+export function generateDataKey() {
+  const keyId = getActiveKeyId();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const wrappedKey = seal(getMasterKey(keyId), dataKey, keyId);
+  
+  return { keyId, dataKey, wrappedKey };
+}
+
+/**
+ * Unwrap a stored data key
+ * @param {string} keyId - ID of the master key that wrapped the data key
+ * @param {string} wrappedKey - Wrapped data key as stored
+ * @returns {Buffer} Data key
+ */
+export function unwrapDataKey(keyId, wrappedKey) {
+  return open(getMasterKey(keyId), wrappedKey, keyId);
+}
+
+/**
+ * Encrypt a string with a data key
+ * @param {Buffer} dataKey - Data key from generateDataKey()/unwrapDataKey()
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} context - Additional authenticated data, e.g. the column name
+ * @returns {string} Encrypted value
+ */
+export function encryptValue(dataKey, plaintext, context) {
+  return seal(dataKey, Buffer.from(plaintext, 'utf8'), context);
+}
+
+/**
+ * Decrypt a string encrypted with encryptValue()
+ * @param {Buffer} dataKey - Data key the value was encrypted with
+ * @param {string} ciphertext - Encrypted value
+ * @param {string} context - Additional authenticated data used when encrypting
+ * @returns {string} Plaintext
+ */
+export function decryptValue(dataKey, ciphertext, context) {
+  return open(dataKey, ciphertext, context).toString('utf8');
+}
@@ -0,0 +1,195 @@
+/**
+ * Error classes shared by the routes and the Salesforce helpers
+ *
+ * Every error carries the HTTP status to answer with and a stable `code` for
+ * clients to branch on. The error middleware in server.js turns them into the
+ * JSON error envelope:
+ *
+ *   {
+ *     "success": false,
+ *     "error": {
+ *       "code": "INVALID_FIELD",
+ *       "message": "No such column 'Foo__c' on entity 'Actabl_Lead__c'",
+ *       "status": 400,
+ *       "details": ...,             // optional, route-specific
+ *       "salesforce": {             // only for errors returned by Salesforce
+ *         "status": 400,
+ *         "errors": [{ "errorCode": "INVALID_FIELD", "message": "...", "fields": ["Foo__c"] }]
+ *       }
+ *     }
+ *   }
+ */
+
+/**
+ * Base class; unknown errors are reported as 500 INTERNAL_ERROR
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options - { status, code, details, cause }
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+  
+  /**
+   * Body of the error envelope
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      ...(this.details !== undefined ? { details: this.details } : {})
+    };
+  }
+}
+
+/**
+ * 400 - The request itself is invalid
+ */
+export class ValidationError extends AppError {
+  constructor(message, { code = 'VALIDATION_ERROR', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+/**
+ * 401 - No valid caller credentials, or the org's credentials no longer work
+ * and it must be connected again
+ */
+export class AuthenticationError extends AppError {
+  constructor(message, { code = 'UNAUTHORIZED', details, cause } = {}) {
+    super(message, { status: 401, code, details, cause });
+  }
+}
+
+/**
+ * 403 - Authenticated, but not allowed (missing scope or CSRF token, or refused by Salesforce)
+ */
+export class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+/**
+ * 404 - The connection, record or resource does not exist
+ */
+export class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+/**
+ * 409 - The request conflicts with current state (duplicates, running jobs, locks)
+ */
+export class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+/**
+ * 429 - A rate or usage limit was reached
+ */
+export class RateLimitError extends AppError {
+  constructor(message, { code = 'RATE_LIMITED', details } = {}) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+/**
+ * 502 - Salesforce or another upstream service failed or could not be reached
+ */
+export class UpstreamError extends AppError {
+  constructor(message, { code = 'UPSTREAM_ERROR', details, cause } = {}) {
+    super(message, { status: 502, code, details, cause });
+  }
+}
+
+const CONFLICT_CODES = ['DUPLICATE_VALUE', 'DUPLICATES_DETECTED', 'DUPLICATE_EXTERNAL_ID', 'UNABLE_TO_LOCK_ROW', 'ENTITY_IS_LOCKED'];
+const RATE_LIMIT_CODES = ['REQUEST_LIMIT_EXCEEDED', 'API_LIMIT_THRESHOLD'];
+
+/**
+ * Status to answer with for a Salesforce error response
+ */
+function mapSalesforceStatus(status, errors) {
+  const codes = errors.map(error => error.errorCode);
+  
+  if (codes.some(code => RATE_LIMIT_CODES.includes(code))) {
+    return 429;
+  }
+  if (codes.some(code => CONFLICT_CODES.includes(code)) || status === 300 || status === 409) {
+    return 409;
+  }
+  if ([400, 401, 403, 404].includes(status)) {
+    return status;
+  }
+  return status >= 500 ? 502 : 400;
+}
+
+/**
+ * An error response from the Salesforce REST API
+ * `errors` are normalized { errorCode, message, fields }; the first error's
+ * code and message become the envelope's code and message.
+ */
+export class SalesforceApiError extends AppError {
+  /**
+   * @param {number} salesforceStatus - HTTP status Salesforce answered with
+   * @param {Array<Object>} errors - Normalized errors
+   */
+  constructor(salesforceStatus, errors) {
+    const [first] = errors;
+    super(first?.message || `Salesforce API error (${salesforceStatus})`, {
+      status: mapSalesforceStatus(salesforceStatus, errors),
+      code: first?.errorCode || 'SALESFORCE_ERROR'
+    });
+    this.salesforceStatus = salesforceStatus;
+    this.errors = errors;
+    this.fields = [...new Set(errors.flatMap(error => error.fields || []))];
+  }
+  
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      salesforce: { status: this.salesforceStatus, errors: this.errors }
+    };
+  }
+}
+
+/**
+ * Convert anything thrown into an AppError
+ * Express body-parser errors keep their 4xx status; anything else unknown
+ * becomes a 500 whose message is only exposed outside production.
+ * @param {*} error - Thrown value
+ * @returns {AppError} Error to report
+ */
+export function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  
+  if (error?.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'MALFORMED_BODY' });
+  }
+  if (error?.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'BODY_TOO_LARGE', cause: error });
+  }
+  
+  // Other client errors marked safe to show, e.g. charset.unsupported (415) or request.aborted (400)
+  if (error?.expose && error.status >= 400 && error.status < 500) {
+    const code = error.type ? error.type.replace(/\./g, '_').toUpperCase() : 'BAD_REQUEST';
+    return new AppError(error.message, { status: error.status, code, cause: error });
+  }
+  
+  return new AppError('Internal server error', {
+    details: process.env.NODE_ENV === 'production' ? undefined : error?.message,
+    cause: error
+  });
+}
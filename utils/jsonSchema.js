@@ -0,0 +1,214 @@
+/**
+ * JSON Schema validation for the subset used by the OpenAPI document
+ *
+ * Supported keywords: $ref (to the same document), type (a name or a list of
+ * names), enum, const, properties, required, additionalProperties,
+ * propertyNames, items, minItems, maxItems, minimum, maximum, minLength,
+ * maxLength, pattern, format (date-time, uri, uuid), oneOf and anyOf.
+ * Annotations such as description, default and example are ignored; unknown
+ * keywords are too.
+ */
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      return Boolean(new URL(value));
+    } catch {
+      return false;
+    }
+  },
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+// Stop following $refs past this depth; the document has no legitimate cycles this deep
+const MAX_DEPTH = 64;
+
+/**
+ * JSON type of a value, telling integers apart from other numbers
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value is of one of the allowed types (integers are numbers too)
+ */
+function hasType(value, types) {
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Resolve a local reference such as `#/components/schemas/Job`
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced object
+ * @throws {Error} If the reference does not resolve
+ */
+export function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local references are supported: ${ref}`);
+  }
+  
+  let target = root;
+  for (const part of ref.slice(2).split('/')) {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !Object.hasOwn(target, key)) {
+      throw new Error(`Unresolved reference: ${ref}`);
+    }
+    target = target[key];
+  }
+  return target;
+}
+
+/**
+ * Path of a property, e.g. `body.records[0].Name`
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Human-readable list of allowed values
+ */
+function describeValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+/**
+ * Collect the problems of a value against a schema
+ */
+function check(schema, value, path, root, depth, problems) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    problems.push({ field: path, message: 'is not allowed' });
+    return;
+  }
+  
+  if (schema.$ref) {
+    if (depth >= MAX_DEPTH) {
+      throw new Error(`Schema references nest deeper than ${MAX_DEPTH} levels at ${path}`);
+    }
+    check(resolveRef(root, schema.$ref), value, path, root, depth + 1, problems);
+  }
+  
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!hasType(value, types)) {
+      problems.push({ field: path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  
+  if (schema.const !== undefined && value !== schema.const) {
+    problems.push({ field: path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ field: path, message: `must be one of ${describeValues(schema.enum)}` });
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ field: path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({ field: path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      problems.push({ field: path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      problems.push({ field: path, message: `must be a ${schema.format}` });
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ field: path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ field: path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ field: path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({ field: path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => check(schema.items, item, childPath(path, index), root, depth, problems));
+    }
+  }
+  
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name) || value[name] === undefined) {
+        problems.push({ field: childPath(path, name), message: 'is required' });
+      }
+    }
+    
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+      if (schema.propertyNames !== undefined) {
+        check(schema.propertyNames, name, childPath(path, name), root, depth, problems);
+      }
+      if (Object.hasOwn(properties, name)) {
+        check(properties[name], item, childPath(path, name), root, depth, problems);
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, item, childPath(path, name), root, depth, problems);
+      }
+    }
+  }
+  
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const matching = branches.filter(branch => validateSchema(branch, value, { root, path, depth }).length === 0);
+    
+    if (matching.length === 0) {
+      // With a single plausible branch its own problems say the most
+      const sameType = branches.filter(branch => branch.type === undefined || hasType(value, [].concat(branch.type)));
+      if (sameType.length === 1) {
+        check(sameType[0], value, path, root, depth, problems);
+      } else {
+        problems.push({ field: path, message: 'does not match any of the allowed forms' });
+      }
+    } else if (schema.oneOf && matching.length > 1) {
+      problems.push({ field: path, message: 'matches more than one of the allowed forms' });
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object|boolean} schema - Schema
+ * @param {*} value - Value to check (as parsed from JSON)
+ * @param {Object} options - { root (document $refs resolve against), path (name of the value in messages) }
+ * @returns {Array<Object>} Problems as { field, message }; empty when valid
+ * @throws {Error} If the schema has a reference that does not resolve
+ */
+export function validateSchema(schema, value, { root = schema, path = 'value', depth = 0 } = {}) {
+  const problems = [];
+  check(schema, value, path, root, depth, problems);
+  return problems;
+}
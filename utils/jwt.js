@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * JWT bearer assertions for the OAuth 2.0 JWT bearer grant
+ * The private key matches the certificate uploaded to the connected app and is
+ * read from SF_JWT_PRIVATE_KEY (PEM text; `\n` escapes are accepted so the key
+ * fits in one environment variable) or from the file named by
+ * SF_JWT_PRIVATE_KEY_FILE.
+ */
+
+const ASSERTION_LIFETIME = 3 * 60; // seconds; Salesforce accepts at most 3 minutes
+
+let privateKey = null;
+
+/**
+ * Load the signing key from the environment (once)
+ * @returns {crypto.KeyObject} Private key
+ */
+function getPrivateKey() {
+  if (privateKey) {
+    return privateKey;
+  }
+  
+  let pem = process.env.SF_JWT_PRIVATE_KEY;
+  if (!pem && process.env.SF_JWT_PRIVATE_KEY_FILE) {
+    pem = fs.readFileSync(process.env.SF_JWT_PRIVATE_KEY_FILE, 'utf8');
+  }
+  
+  if (!pem) {
+    throw new Error('JWT bearer flow is not configured: set SF_JWT_PRIVATE_KEY or SF_JWT_PRIVATE_KEY_FILE');
+  }
+  
+  privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  return privateKey;
+}
+
+/**
+ * Check whether a JWT signing key is configured
+ * @returns {boolean} True if the JWT bearer flow can be used
+ */
+export function isJwtConfigured() {
+  return Boolean(process.env.SF_JWT_PRIVATE_KEY || process.env.SF_JWT_PRIVATE_KEY_FILE);
+}
+
+/**
+ * Create a signed JWT bearer assertion
+ * @param {Object} claims - Assertion claims
+ * @param {string} claims.clientId - Connected app consumer key (iss)
+ * @param {string} claims.username - Salesforce username to act as (sub)
+ * @param {string} claims.audience - Login URL the token is requested from (aud)
+ * @returns {string} Compact RS256-signed JWT
+ */
+export function createJwtAssertion({ clientId, username, audience }) {
+  const header = { alg: 'RS256', typ: 'JWT' };
+  const payload = {
+    iss: clientId,
+    sub: username,
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + ASSERTION_LIFETIME
+  };
+  
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), getPrivateKey());
+  
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
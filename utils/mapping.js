@@ -0,0 +1,318 @@
+import { validateRecord } from './validation.js';
+
+/**
+ * Declarative mapping from our lead JSON to sObject field values
+ *
+ * A mapping is a list of field rules:
+ *
+ *   {
+ *     "target": "Status__c",          // field API name
+ *     "source": "lead.status",        // dot path into the input (array indexes allowed)
+ *     "transforms": ["trim", { "type": "picklist", "values": { "new": "Open" } }],
+ *     "default": "Open"               // used when the source is missing or empty
+ *   }
+ *
+ * Transforms run in order:
+ *   trim, lowercase, uppercase, titlecase
+ *   { type: 'date', format }          iso (default), YYYY-MM-DD, MM/DD/YYYY, DD/MM/YYYY, unix, unixMillis
+ *   { type: 'picklist', values, fallback, caseSensitive }
+ *                                      translate values; unknown values become `fallback` if set
+ *
+ * Arrays are transformed element by element and joined with `;` for
+ * multi-select picklists.
+ */
+
+export const TRANSFORMS = ['trim', 'lowercase', 'uppercase', 'titlecase', 'date', 'picklist'];
+export const DATE_FORMATS = ['iso', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'unix', 'unixMillis'];
+
+const MAX_FIELD_RULES = 500;
+const SOURCE_PATH = /^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/;
+const DATE_TYPES = new Set(['date', 'datetime']);
+const PICKLIST_TYPES = new Set(['picklist', 'multipicklist']);
+const STRING_TRANSFORMS = {
+  trim: value => value.trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  titlecase: value => value.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase())
+};
+
+/**
+ * Transforms may be written as a name or as { type, ...options }
+ */
+function normalizeTransform(transform) {
+  return typeof transform === 'string' ? { type: transform } : transform;
+}
+
+/**
+ * Read a dot path from the input
+ * Only own properties are followed, so paths cannot reach into prototypes.
+ * @param {Object} input - Source document
+ * @param {string} path - e.g. `contact.emails.0`
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export function getPath(input, path) {
+  let value = input;
+  
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  
+  return value;
+}
+
+/**
+ * Check one transform against its target field
+ * @returns {string|null} Problem, or null if valid
+ */
+function checkTransform(transform, field) {
+  if (!transform || typeof transform !== 'object' || !TRANSFORMS.includes(transform.type)) {
+    return `unknown transform ${JSON.stringify(transform?.type ?? transform)}; use one of ${TRANSFORMS.join(', ')}`;
+  }
+  
+  if (transform.type === 'date') {
+    if (!DATE_TYPES.has(field.type)) {
+      return `date transform needs a date or datetime field, not ${field.type}`;
+    }
+    if (transform.format !== undefined && !DATE_FORMATS.includes(transform.format)) {
+      return `date format must be one of ${DATE_FORMATS.join(', ')}`;
+    }
+  }
+  
+  if (transform.type === 'picklist') {
+    if (!PICKLIST_TYPES.has(field.type)) {
+      return `picklist transform needs a picklist field, not ${field.type}`;
+    }
+    if (!transform.values || typeof transform.values !== 'object' || Array.isArray(transform.values)) {
+      return 'picklist transform needs a `values` object';
+    }
+    
+    const allowed = new Set(field.picklistValues.filter(entry => entry.active).map(entry => entry.value));
+    const targets = Object.values(transform.values);
+    if (transform.fallback !== undefined) {
+      targets.push(transform.fallback);
+    }
+    const unknown = targets.filter(value => !allowed.has(value));
+    if (unknown.length > 0) {
+      return `not active picklist values of ${field.name}: ${unknown.join(', ')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a mapping against the target object's describe result
+ * @param {Array<Object>} rules - Field rules
+ * @param {Object} describe - Describe result of the target object
+ * @returns {Array<Object>} Problems as { field, message }; empty when valid
+ */
+export function validateMapping(rules, describe) {
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_FIELD_RULES) {
+    return [{ field: null, message: `fields must be an array of 1-${MAX_FIELD_RULES} field rules` }];
+  }
+  
+  const fields = new Map(describe.fields.map(field => [field.name, field]));
+  const seen = new Set();
+  const problems = [];
+  
+  for (const [index, rule] of rules.entries()) {
+    const label = typeof rule?.target === 'string' ? rule.target : `fields[${index}]`;
+    const problem = message => problems.push({ field: label, message });
+    
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problem('must be an object');
+      continue;
+    }
+    
+    const field = fields.get(rule.target);
+    if (!field) {
+      problem(`target is not a field of ${describe.name}`);
+      continue;
+    }
+    if (!field.createable && !field.updateable) {
+      problem('is read-only');
+      continue;
+    }
+    if (seen.has(field.name)) {
+      problem('is mapped more than once');
+      continue;
+    }
+    seen.add(field.name);
+    
+    if (rule.source === undefined && !Object.hasOwn(rule, 'default')) {
+      problem('needs a source, a default or both');
+    }
+    if (rule.source !== undefined && (typeof rule.source !== 'string' || !SOURCE_PATH.test(rule.source))) {
+      problem('source must be a dot path such as `contact.email`');
+    }
+    
+    if (rule.transforms !== undefined && !Array.isArray(rule.transforms)) {
+      problem('transforms must be an array');
+    } else {
+      for (const transform of rule.transforms || []) {
+        const message = checkTransform(normalizeTransform(transform), field);
+        if (message) {
+          problem(message);
+        }
+      }
+    }
+    
+    if (Object.hasOwn(rule, 'default')) {
+      for (const error of validateRecord(describe, { [field.name]: rule.default }, 'update')) {
+        // Read-only was reported above; only the value itself matters here
+        if (error.message !== 'cannot be updated') {
+          problem(`default ${error.message}`);
+        }
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Parse a date in the given input format
+ * @returns {Date|null} Date, or null if the value does not match the format
+ */
+function parseDate(value, format = 'iso') {
+  if (format === 'unix' || format === 'unixMillis') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return null;
+    }
+    const date = new Date(format === 'unix' ? number * 1000 : number);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  
+  const parts = {
+    'YYYY-MM-DD': [/^(\d{4})-(\d{1,2})-(\d{1,2})$/, match => [match[1], match[2], match[3]]],
+    'MM/DD/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, match => [match[3], match[1], match[2]]],
+    'DD/MM/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, match => [match[3], match[2], match[1]]]
+  }[format];
+  
+  if (parts) {
+    const match = parts[0].exec(text);
+    if (!match) {
+      return null;
+    }
+    const [year, month, day] = parts[1](match).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject dates that rolled over, e.g. 02/30
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+  
+  // iso: a date, or a date-time with an optional offset
+  if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+    return null;
+  }
+  const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Apply one transform to a single value
+ * @returns {Object} { value } or { error }
+ */
+function applyTransform(transform, value, field) {
+  if (STRING_TRANSFORMS[transform.type]) {
+    // Non-strings pass through for the record validation to judge
+    return { value: typeof value === 'string' ? STRING_TRANSFORMS[transform.type](value) : value };
+  }
+  
+  if (transform.type === 'date') {
+    const date = parseDate(value, transform.format);
+    if (!date) {
+      return { error: `${JSON.stringify(value)} is not a ${transform.format || 'iso'} date` };
+    }
+    return { value: field.type === 'date' ? date.toISOString().slice(0, 10) : date.toISOString() };
+  }
+  
+  // picklist
+  const key = String(value);
+  const entries = Object.entries(transform.values);
+  const match = entries.find(([from]) => from === key) ||
+    (transform.caseSensitive ? null : entries.find(([from]) => from.toLowerCase() === key.toLowerCase()));
+  
+  if (match) {
+    return { value: match[1] };
+  }
+  return { value: transform.fallback !== undefined ? transform.fallback : value };
+}
+
+/**
+ * Treat missing, null and blank values as absent so defaults apply
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Map an input document to sObject field values
+ * The mapping is assumed to have passed validateMapping().
+ * @param {Array<Object>} rules - Field rules
+ * @param {Object} input - Source document
+ * @param {Object} describe - Describe result of the target object
+ * @param {Object} options - { partial } - for partial updates: only rules whose
+ *   source is in the input apply, defaults are skipped and blank values clear the field
+ * @returns {Object} { record, errors } - errors as { field, source, message }
+ */
+export function applyMapping(rules, input, describe, { partial = false } = {}) {
+  const fields = new Map(describe.fields.map(field => [field.name, field]));
+  const record = {};
+  const errors = [];
+  
+  for (const rule of rules) {
+    const field = fields.get(rule.target);
+    if (!field) {
+      errors.push({ field: rule.target, source: rule.source, message: `is not a field of ${describe.name}` });
+      continue;
+    }
+    
+    let value = rule.source === undefined ? undefined : getPath(input, rule.source);
+    let failed = false;
+    
+    if (partial && value === undefined) {
+      continue;
+    }
+    
+    if (!isEmpty(value)) {
+      for (const transform of (rule.transforms || []).map(normalizeTransform)) {
+        const results = (Array.isArray(value) ? value : [value]).map(item => applyTransform(transform, item, field));
+        const error = results.find(result => result.error)?.error;
+        
+        if (error) {
+          errors.push({ field: field.name, source: rule.source, message: error });
+          failed = true;
+          break;
+        }
+        value = Array.isArray(value) ? results.map(result => result.value) : results[0].value;
+      }
+    }
+    
+    if (failed) {
+      continue;
+    }
+    
+    if (isEmpty(value)) {
+      if (partial) {
+        record[field.name] = null;
+      } else if (Object.hasOwn(rule, 'default')) {
+        record[field.name] = rule.default;
+      }
+      continue;
+    }
+    
+    record[field.name] = Array.isArray(value) && field.type === 'multipicklist' ? value.join(';') : value;
+  }
+  
+  return { record, errors };
+}
@@ -0,0 +1,307 @@
+import { AppError, ValidationError } from './errors.js';
+import { validateSchema, resolveRef } from './jsonSchema.js';
+
+/**
+ * Check requests and responses against an OpenAPI document
+ *
+ * Requests are matched to an operation by method and path template. Path and
+ * query parameters (coerced from strings to the types the schema asks for)
+ * and the body are validated before the route runs; a mismatch fails with
+ * 400 INVALID_REQUEST listing every problem. JSON responses are validated as
+ * they are sent, which catches the server drifting from its own contract.
+ *
+ * Requests the document does not describe pass through untouched.
+ */
+
+export const RESPONSE_VALIDATION_MODES = ['error', 'warn', 'off'];
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Follow a $ref, if the object is one
+ */
+function deref(document, value) {
+  return value?.$ref ? resolveRef(document, value.$ref) : value;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile the operations of a document for matching requests
+ * Literal path segments win over parameters, as `/jobs/schedules` wins over
+ * `/jobs/{id}` in the route order of server.js.
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<Object>} Operations with { method, template, regex, names, operation, parameters, requestBody, scope }
+ */
+export function compileOperations(document) {
+  const operations = [];
+  
+  for (const [template, pathItem] of Object.entries(document.paths)) {
+    const segments = template.split('/').slice(1);
+    const names = [];
+    const pattern = segments.map(segment => {
+      const match = /^\{(\w+)\}$/.exec(segment);
+      if (match) {
+        names.push(match[1]);
+        return '([^/]+)';
+      }
+      return escapeRegExp(segment);
+    }).join('/');
+    
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+      
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        // Express matches routes case-insensitively and with an optional trailing slash
+        regex: new RegExp(`^/${pattern}/?$`, 'i'),
+        literals: segments.map(segment => !segment.startsWith('{')),
+        names,
+        operation,
+        parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])].map(parameter => deref(document, parameter)),
+        requestBody: deref(document, operation.requestBody) || null,
+        scope: operation['x-required-scope'] || null
+      });
+    }
+  }
+  
+  return operations.sort((a, b) => {
+    for (let index = 0; index < Math.min(a.literals.length, b.literals.length); index++) {
+      if (a.literals[index] !== b.literals[index]) {
+        return a.literals[index] ? -1 : 1;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Find the operation for a request
+ * @param {Array<Object>} operations - From compileOperations()
+ * @param {string} method - HTTP method (HEAD is matched as GET)
+ * @param {string} path - Request path without query string
+ * @returns {Object|null} { ...operation, params } or null if the document does not describe the request
+ */
+export function findOperation(operations, method, path) {
+  const wanted = method === 'HEAD' ? 'GET' : method;
+  
+  for (const operation of operations) {
+    if (operation.method !== wanted) {
+      continue;
+    }
+    const match = operation.regex.exec(path);
+    if (!match) {
+      continue;
+    }
+    
+    try {
+      const params = Object.fromEntries(operation.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { ...operation, params };
+    } catch {
+      // Malformed percent-encoding; Express answers these itself
+      return null;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Convert a string parameter to the type its schema asks for
+ * Values that do not convert are left alone for validation to report.
+ */
+function coerce(document, schema, value) {
+  const resolved = deref(document, schema) || {};
+  const types = [].concat(resolved.type ?? []);
+  
+  if (types.includes('array')) {
+    return (Array.isArray(value) ? value : [value]).map(item => coerce(document, resolved.items, item));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Whether a request carries a body
+ */
+function hasBody(req) {
+  return req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+}
+
+/**
+ * Check a request against its operation
+ * @param {Object} document - OpenAPI document
+ * @param {Object} match - From findOperation()
+ * @param {Object} req - Express request (after the body parsers)
+ * @returns {Array<Object>} Problems as { field, message }; empty when valid
+ */
+export function checkRequest(document, match, req) {
+  const problems = [];
+  
+  for (const parameter of match.parameters) {
+    const field = `${parameter.in}.${parameter.name}`;
+    const value = {
+      path: () => match.params[parameter.name],
+      query: () => req.query[parameter.name],
+      header: () => req.get(parameter.name)
+    }[parameter.in]?.();
+    
+    if (value === undefined) {
+      if (parameter.required) {
+        problems.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    
+    problems.push(...validateSchema(parameter.schema, coerce(document, parameter.schema, value), { root: document, path: field }));
+  }
+  
+  const requestBody = match.requestBody;
+  if (requestBody) {
+    const mediaTypes = Object.keys(requestBody.content);
+    
+    if (!hasBody(req)) {
+      if (requestBody.required) {
+        problems.push({ field: 'body', message: 'is required' });
+      }
+    } else {
+      const mediaType = mediaTypes.find(type => req.is(type));
+      if (!mediaType) {
+        problems.push({ field: 'body', message: `must be sent as ${mediaTypes.join(' or ')}` });
+      } else {
+        problems.push(...validateSchema(requestBody.content[mediaType].schema, req.body, { root: document, path: 'body' }));
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Check a JSON response against its operation
+ * @param {Object} document - OpenAPI document
+ * @param {Object} match - From findOperation()
+ * @param {number} status - HTTP status
+ * @param {*} body - Value passed to res.json()
+ * @returns {Array<Object>} Problems as { field, message }; empty when valid
+ */
+export function checkResponse(document, match, status, body) {
+  const responses = match.operation.responses;
+  const response = deref(document, responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default);
+  
+  if (!response) {
+    return [{ field: 'response', message: `status ${status} is not documented` }];
+  }
+  
+  const schema = response.content?.['application/json']?.schema;
+  if (!schema) {
+    return [{ field: 'response', message: `status ${status} is documented without a JSON body` }];
+  }
+  
+  // Validate what the client receives: dates become strings, undefined properties disappear
+  const sent = body === undefined ? null : JSON.parse(JSON.stringify(body));
+  return validateSchema(schema, sent, { root: document, path: 'response' });
+}
+
+/**
+ * Middleware factory: validate requests and JSON responses against a document
+ * Mount after the body parsers and authentication. Requests from callers
+ * without the operation's scope are not checked; the route turns them away
+ * with 401 or 403 as usual.
+ * @param {Object} document - OpenAPI document
+ * @param {Object} options - { responses } - `error` answers a mismatched response with
+ *   500 RESPONSE_VALIDATION_FAILED, `warn` logs it and sends it anyway, `off` skips the check
+ * @returns {Function} Middleware
+ */
+export function validateAgainstSpec(document, { responses = 'error' } = {}) {
+  if (!RESPONSE_VALIDATION_MODES.includes(responses)) {
+    throw new Error(`Response validation mode must be one of ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+  }
+  
+  const operations = compileOperations(document);
+  
+  return (req, res, next) => {
+    const match = findOperation(operations, req.method, req.path);
+    if (!match) {
+      return next();
+    }
+    
+    if (responses !== 'off') {
+      const send = res.json;
+      res.json = function (body) {
+        const problems = checkResponse(document, match, this.statusCode, body);
+        if (problems.length === 0) {
+          return send.call(this, body);
+        }
+        
+        console.error(`${req.method} ${req.path} response does not match the API specification:`, JSON.stringify(problems));
+        if (responses === 'warn') {
+          return send.call(this, body);
+        }
+        
+        const error = new AppError('Response does not match the API specification', {
+          code: 'RESPONSE_VALIDATION_FAILED',
+          details: problems
+        });
+        return send.call(this.status(error.status), { success: false, error: error.toJSON() });
+      };
+    }
+    
+    const auth = res.locals.auth;
+    if (match.scope && !auth?.scopes.includes(match.scope)) {
+      return next();
+    }
+    
+    const problems = checkRequest(document, match, req);
+    if (problems.length > 0) {
+      return next(new ValidationError('Request does not match the API specification', { code: 'INVALID_REQUEST', details: problems }));
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Compare the routes of an Express app with the operations of a document
+ * @param {Object} app - Express app
+ * @param {Object} document - OpenAPI document
+ * @returns {Object} { undocumented, unrouted } - `METHOD /path` lists; both empty when they agree
+ */
+export function findSpecDrift(app, document) {
+  const routes = new Set();
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route || typeof layer.route.path !== 'string') {
+      continue;
+    }
+    const template = layer.route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(layer.route.methods)) {
+      if (METHODS.includes(method)) {
+        routes.add(`${method.toUpperCase()} ${template}`);
+      }
+    }
+  }
+  
+  const documented = new Set(compileOperations(document).map(operation => `${operation.method} ${operation.template}`));
+  
+  return {
+    undocumented: [...routes].filter(route => !documented.has(route)),
+    unrouted: [...documented].filter(operation => !routes.has(operation))
+  };
+}
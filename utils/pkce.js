@@ -41,25 +41,65 @@ export function generateState() {
   return `${timestamp}-${random}`;
 }
 
+const VERIFIER_TTL = 30 * 60 * 1000; // 30 minutes
+const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
 /**
- * In-memory storage for PKCE verifiers with TTL cleanup
- * Key: state parameter
- * Value: { verifier, createdAt }
+ * Create an in-memory verifier store
+ * Only suitable for a single process: entries are lost on restart and are not
+ * shared between replicas.
+ *
+ * A verifier store is any object with these async methods:
+ *   save(state, entry)  - store { verifier, metadata, createdAt } under state
+ *   take(state)         - remove and return the entry for state (or null)
+ *   sweep(ttl)          - remove entries older than ttl milliseconds
+ * @returns {Object} Verifier store
  */
-const verifierStore = new Map();
-const VERIFIER_TTL = 30 * 60 * 1000; // 30 minutes
+export function createMemoryVerifierStore() {
+  const entries = new Map();
+  
+  return {
+    async save(state, entry) {
+      entries.set(state, entry);
+    },
+    
+    async take(state) {
+      const entry = entries.get(state) || null;
+      entries.delete(state);
+      return entry;
+    },
+    
+    async sweep(ttl) {
+      const now = Date.now();
+      for (const [state, entry] of entries.entries()) {
+        if (now - entry.createdAt > ttl) {
+          entries.delete(state);
+        }
+      }
+    }
+  };
+}
+
+let verifierStore = createMemoryVerifierStore();
+
+/**
+ * Replace the verifier store (e.g. with the Postgres-backed store)
+ * @param {Object} store - Verifier store, see createMemoryVerifierStore()
+ */
+export function setVerifierStore(store) {
+  verifierStore = store;
+}
 
 /**
  * Store a code verifier with its associated state
  * @param {string} state - The state parameter
  * @param {string} verifier - The code verifier
+ * @param {Object} metadata - Extra data to carry through to the callback (optional)
  */
-export function storeVerifier(state, verifier) {
-  // Clean up expired entries first
-  cleanupExpiredVerifiers();
-  
-  verifierStore.set(state, {
+export async function storeVerifier(state, verifier, metadata = {}) {
+  await verifierStore.save(state, {
     verifier,
+    metadata,
     createdAt: Date.now()
   });
 }
@@ -67,34 +107,38 @@ export function storeVerifier(state, verifier) {
 /**
  * Retrieve and remove a code verifier by state
  * @param {string} state - The state parameter
- * @returns {string|null} The code verifier or null if not found/expired
+ * @returns {Object|null} { verifier, metadata } or null if not found/expired
  */
-export function getVerifier(state) {
-  const entry = verifierStore.get(state);
+export async function getVerifier(state) {
+  // Removes the entry (one-time use)
+  const entry = await verifierStore.take(state);
   
   if (!entry) {
     return null;
   }
   
-  // Remove the entry (one-time use)
-  verifierStore.delete(state);
-  
   // Check if expired
   if (Date.now() - entry.createdAt > VERIFIER_TTL) {
     return null;
   }
   
-  return entry.verifier;
+  return { verifier: entry.verifier, metadata: entry.metadata };
 }
 
 /**
- * Remove expired verifiers from storage
+ * Periodically remove expired verifiers from the store
+ * @param {number} interval - Sweep interval in milliseconds
+ * @returns {Function} Stops the sweep
  */
-function cleanupExpiredVerifiers() {
-  const now = Date.now();
-  for (const [state, entry] of verifierStore.entries()) {
-    if (now - entry.createdAt > VERIFIER_TTL) {
-      verifierStore.delete(state);
-    }
-  }
+export function startVerifierSweep(interval = SWEEP_INTERVAL) {
+  const timer = setInterval(() => {
+    verifierStore.sweep(VERIFIER_TTL).catch(error => {
+      console.error('Error sweeping expired PKCE verifiers:', error.message);
+    });
+  }, interval);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return () => clearInterval(timer);
 }
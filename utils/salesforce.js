@@ -1,102 +1,670 @@
 import fetch from 'node-fetch';
-import { getTokens, updateAccessToken } from '../db.js';
+import { getTokens, storeTokens, updateAccessToken, recordApiUsage, getDescribeCache, saveDescribeCache, touchDescribeCache } from '../db.js';
+import { createJwtAssertion } from './jwt.js';
+import { acquireSlot, checkUsage, parseLimitInfo, recordUsage } from './throttle.js';
+import { AppError, ValidationError, AuthenticationError, NotFoundError, UpstreamError, SalesforceApiError } from './errors.js';
+import { isSalesforceId } from './validation.js';
+import { recordAuditEvent } from '../audit.js';
 
 const SF_CLIENT_ID = process.env.SF_CLIENT_ID;
 const SF_CLIENT_SECRET = process.env.SF_CLIENT_SECRET;
 const SF_LOGIN_URL = process.env.SF_LOGIN_URL || 'https://login.salesforce.com';
-const SF_API_VERSION = 'v59.0';
+export const SF_API_VERSION = 'v59.0';
 
 /**
- * Refresh the Salesforce access token using the refresh token
+ * Named login environments selectable from /auth
+ */
+const LOGIN_ENVIRONMENTS = {
+  production: 'https://login.salesforce.com',
+  sandbox: 'https://test.salesforce.com'
+};
+
+/**
+ * Hosts that may be used as a login URL. Entries starting with `*.` match any
+ * subdomain. Override with a comma-separated SF_ALLOWED_LOGIN_HOSTS.
+ */
+const ALLOWED_LOGIN_HOSTS = (
+  process.env.SF_ALLOWED_LOGIN_HOSTS ||
+  'login.salesforce.com,test.salesforce.com,*.my.salesforce.com'
+)
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean)
+  .concat(new URL(SF_LOGIN_URL).hostname);
+
+/**
+ * Check a hostname against the login host allowlist
+ */
+function isAllowedLoginHost(hostname) {
+  return ALLOWED_LOGIN_HOSTS.some(allowed =>
+    allowed.startsWith('*.')
+      ? hostname.endsWith(allowed.slice(1)) && hostname.length > allowed.length - 1
+      : hostname === allowed
+  );
+}
+
+/**
+ * Resolve the login URL for an OAuth flow
+ * @param {string} environment - `production`, `sandbox` or `custom` (optional)
+ * @param {string} domain - My Domain host or URL when environment is `custom`
+ * @returns {string} Login URL (origin only), e.g. https://test.salesforce.com
+ * @throws {Error} If the environment is unknown or the domain is not allowed
+ */
+export function resolveLoginUrl(environment, domain) {
+  if (!environment) {
+    return SF_LOGIN_URL;
+  }
+  
+  if (environment !== 'custom') {
+    if (!Object.hasOwn(LOGIN_ENVIRONMENTS, environment)) {
+      throw new ValidationError(`Unknown login environment: ${environment}`, { code: 'INVALID_LOGIN_ENVIRONMENT' });
+    }
+    return LOGIN_ENVIRONMENTS[environment];
+  }
+  
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(domain || '') ? domain : `https://${domain}`);
+  } catch {
+    throw new ValidationError(`Invalid login domain: ${domain}`, { code: 'INVALID_LOGIN_ENVIRONMENT' });
+  }
+  
+  if (url.protocol !== 'https:' || url.port || url.username || url.pathname !== '/' || url.search) {
+    throw new ValidationError(`Invalid login domain: ${domain}`, { code: 'INVALID_LOGIN_ENVIRONMENT' });
+  }
+  
+  if (!isAllowedLoginHost(url.hostname)) {
+    throw new ValidationError(`Login domain is not allowed: ${url.hostname}`, { code: 'INVALID_LOGIN_ENVIRONMENT' });
+  }
+  
+  return url.origin;
+}
+
+/**
+ * Refresh access tokens this long before they expire
+ */
+const REFRESH_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Assumed access token lifetime when Salesforce does not report one
+ * (the org's session timeout; Salesforce defaults to 2 hours)
+ */
+const DEFAULT_TOKEN_LIFETIME = Number(process.env.SF_SESSION_TIMEOUT_MINUTES || 120) * 60 * 1000;
+
+/**
+ * Refreshes in flight, by org ID, so concurrent callers share one
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * Work out when a freshly issued access token expires
+ * Salesforce token responses carry `issued_at` but usually no `expires_in`, so
+ * the expiry comes from introspection, falling back to the session timeout.
+ * @param {Object} tokenResponse - Token endpoint response
+ * @param {string} loginUrl - Login URL the token was issued by
+ * @returns {Object} { issuedAt, expiresAt } as Dates
+ */
+export async function getTokenLifetime(tokenResponse, loginUrl = SF_LOGIN_URL) {
+  const issuedAt = tokenResponse.issued_at ? new Date(Number(tokenResponse.issued_at)) : new Date();
+  
+  if (tokenResponse.expires_in) {
+    return { issuedAt, expiresAt: new Date(issuedAt.getTime() + Number(tokenResponse.expires_in) * 1000) };
+  }
+  
+  try {
+    const introspection = await introspectToken(tokenResponse.access_token, 'access_token', loginUrl);
+    if (introspection.active && introspection.exp) {
+      return { issuedAt, expiresAt: new Date(introspection.exp * 1000) };
+    }
+  } catch (error) {
+    console.warn('Token introspection failed, assuming default lifetime:', error.message);
+  }
+  
+  return { issuedAt, expiresAt: new Date(issuedAt.getTime() + DEFAULT_TOKEN_LIFETIME) };
+}
+
+/**
+ * Refresh the Salesforce access token
+ * Uses the refresh token, or mints a new token for server-to-server
+ * connections. Concurrent calls for the same org share a single request.
+ * @param {string} orgId - Salesforce organization ID of the connection
  * @returns {Object} New token data
  */
-export async function refreshAccessToken() {
-  const tokens = await getTokens();
+export function refreshAccessToken(orgId) {
+  if (!pendingRefreshes.has(orgId)) {
+    const refresh = auditedTokenRefresh(orgId).finally(() => pendingRefreshes.delete(orgId));
+    pendingRefreshes.set(orgId, refresh);
+  }
+  
+  return pendingRefreshes.get(orgId);
+}
+
+/**
+ * POST a grant to the token endpoint
+ * @returns {Object} Token response
+ */
+async function requestToken(loginUrl, params, failureMessage) {
+  const response = await fetch(`${loginUrl}/services/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const message = `${failureMessage}: ${errorData.error_description || errorData.error || response.status}`;
+    
+    // 4xx means the grant was rejected (e.g. invalid_grant for a revoked refresh token)
+    if (response.status < 500) {
+      throw new AuthenticationError(message, { code: (errorData.error || 'invalid_grant').toUpperCase() });
+    }
+    throw new UpstreamError(message);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Mint an access token with the JWT bearer grant
+ * @param {string} username - Salesforce username the token is issued for
+ * @param {string} loginUrl - Login URL, also the assertion audience
+ * @returns {Object} Token response (no refresh token)
+ */
+export async function requestJwtBearerToken(username, loginUrl = SF_LOGIN_URL) {
+  return requestToken(loginUrl, {
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: createJwtAssertion({ clientId: SF_CLIENT_ID, username, audience: loginUrl })
+  }, 'JWT bearer token request failed');
+}
+
+/**
+ * Mint an access token with the client credentials grant
+ * Runs as the connected app's configured run-as user. Salesforce only accepts
+ * this grant on the org's My Domain login URL.
+ * @param {string} loginUrl - My Domain login URL
+ * @returns {Object} Token response (no refresh token)
+ */
+export async function requestClientCredentialsToken(loginUrl) {
+  return requestToken(loginUrl, {
+    grant_type: 'client_credentials',
+    client_id: SF_CLIENT_ID,
+    client_secret: SF_CLIENT_SECRET
+  }, 'Client credentials token request failed');
+}
+
+/**
+ * Connect an org without a person logging in
+ * The token is stored like an interactive connection but remembers its grant,
+ * so expired tokens are minted again instead of refreshed.
+ * @param {Object} options - Connection options
+ * @param {string} options.grantType - `jwt_bearer` or `client_credentials`
+ * @param {string} options.username - Integration username (jwt_bearer only)
+ * @param {string} options.loginUrl - Login URL from resolveLoginUrl()
+ * @param {string} options.label - Display label (optional)
+ * @returns {Object} { orgId, userId, instanceUrl }
+ */
+export async function connectServerToServer({ grantType, username, loginUrl = SF_LOGIN_URL, label }) {
+  let tokenResponse;
+  
+  if (grantType === 'jwt_bearer') {
+    if (!username) {
+      throw new ValidationError('The JWT bearer grant requires a username');
+    }
+    tokenResponse = await requestJwtBearerToken(username, loginUrl);
+  } else if (grantType === 'client_credentials') {
+    tokenResponse = await requestClientCredentialsToken(loginUrl);
+  } else {
+    throw new ValidationError(`Unsupported grant type: ${grantType}`);
+  }
+  
+  const { orgId, userId } = parseIdentityUrl(tokenResponse.id);
+  const { issuedAt, expiresAt } = await getTokenLifetime(tokenResponse, loginUrl);
+  
+  await storeTokens({
+    orgId,
+    userId,
+    label,
+    accessToken: tokenResponse.access_token,
+    instanceUrl: tokenResponse.instance_url,
+    loginUrl,
+    issuedAt,
+    expiresAt,
+    grantType,
+    username: grantType === 'jwt_bearer' ? username : null
+  });
+  
+  return { orgId, userId, instanceUrl: tokenResponse.instance_url };
+}
+
+/**
+ * Get a new access token for a connection and store it
+ * Interactive connections use their refresh token; server-to-server
+ * connections mint a new token with the grant they were created with.
+ */
+async function requestTokenRefresh(orgId) {
+  const tokens = await getTokens(orgId);
   
   if (!tokens) {
-    throw new Error('No tokens found in database');
+    throw new NotFoundError(`No tokens found for org ${orgId}`, { code: 'CONNECTION_NOT_FOUND' });
+  }
+  
+  // Refresh against the host the connection was authorized on
+  const loginUrl = tokens.loginUrl || SF_LOGIN_URL;
+  let data;
+  
+  if (tokens.grantType === 'jwt_bearer') {
+    data = await requestJwtBearerToken(tokens.username, loginUrl);
+  } else if (tokens.grantType === 'client_credentials') {
+    data = await requestClientCredentialsToken(loginUrl);
+  } else {
+    data = await requestToken(loginUrl, {
+      grant_type: 'refresh_token',
+      client_id: SF_CLIENT_ID,
+      client_secret: SF_CLIENT_SECRET,
+      refresh_token: tokens.refreshToken
+    }, 'Token refresh failed');
+  }
+  
+  const lifetime = await getTokenLifetime(data, loginUrl);
+  
+  // Update the stored access token
+  await updateAccessToken(tokens.id, data.access_token, lifetime);
+  
+  return {
+    accessToken: data.access_token,
+    instanceUrl: data.instance_url || tokens.instanceUrl,
+    ...lifetime
+  };
+}
+
+/**
+ * Refresh a token and record the outcome in the audit log
+ */
+async function auditedTokenRefresh(orgId) {
+  const started = Date.now();
+  const entry = { event: 'token_refresh', orgId, method: 'POST', endpoint: '/services/oauth2/token' };
+  
+  try {
+    const result = await requestTokenRefresh(orgId);
+    recordAuditEvent({ ...entry, status: 200, durationMs: Date.now() - started, details: { expiresAt: result.expiresAt } });
+    return result;
+  } catch (error) {
+    recordAuditEvent({
+      ...entry,
+      status: error.status ?? null,
+      durationMs: Date.now() - started,
+      details: { error: { code: error.code ?? null, message: error.message } }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get stored tokens, refreshing the access token first if it is about to expire
+ * If the early refresh fails but the token has not expired yet, the current
+ * token is returned and a 401 will trigger another attempt later.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @returns {Object|null} Token object or null if the org is not connected
+ */
+export async function getFreshTokens(orgId) {
+  const tokens = await getTokens(orgId);
+  
+  if (!tokens?.expiresAt || tokens.expiresAt.getTime() - Date.now() > REFRESH_MARGIN) {
+    return tokens;
   }
   
+  try {
+    await refreshAccessToken(orgId);
+    return await getTokens(orgId);
+  } catch (error) {
+    if (tokens.expiresAt.getTime() > Date.now()) {
+      console.warn(`Early token refresh for org ${orgId} failed:`, error.message);
+      return tokens;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Introspect a token
+ * @param {string} token - Access or refresh token
+ * @param {string} tokenTypeHint - `access_token` or `refresh_token`
+ * @param {string} loginUrl - Login URL the token was issued by
+ * @returns {Object} { active, scope, client_id, username, sub, exp, iat, ... }
+ */
+export async function introspectToken(token, tokenTypeHint = 'access_token', loginUrl = SF_LOGIN_URL) {
   const params = new URLSearchParams({
-    grant_type: 'refresh_token',
+    token,
+    token_type_hint: tokenTypeHint,
     client_id: SF_CLIENT_ID,
-    client_secret: SF_CLIENT_SECRET,
-    refresh_token: tokens.refreshToken
+    client_secret: SF_CLIENT_SECRET
   });
   
-  const response = await fetch(`${SF_LOGIN_URL}/services/oauth2/token`, {
+  const response = await fetch(`${loginUrl}/services/oauth2/introspect`, {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
     },
     body: params.toString()
   });
   
   if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Token refresh failed: ${errorData.error_description || errorData.error}`);
+    throw new UpstreamError(`Token introspection failed (${response.status}): ${await response.text()}`);
   }
   
-  const data = await response.json();
+  return response.json();
+}
+
+/**
+ * Revoke a token
+ * Revoking a refresh token also revokes the access tokens issued from it.
+ * An already invalid token counts as revoked.
+ * @param {string} token - Access or refresh token
+ * @param {string} loginUrl - Login URL the token was issued by
+ */
+export async function revokeToken(token, loginUrl = SF_LOGIN_URL) {
+  const response = await fetch(`${loginUrl}/services/oauth2/revoke`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ token }).toString()
+  });
   
-  // Update the stored access token
-  await updateAccessToken(tokens.id, data.access_token);
+  if (!response.ok && response.status !== 400) {
+    throw new UpstreamError(`Token revocation failed (${response.status}): ${await response.text()}`);
+  }
+}
+
+/**
+ * Get the authorizing user's OpenID Connect profile
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @returns {Object} { user_id, organization_id, preferred_username, name, email, ... }
+ */
+export async function getUserInfo(orgId) {
+  return salesforceApiCall(orgId, '/services/oauth2/userinfo');
+}
+
+/**
+ * Retry policy for transient failures
+ * Network errors, 502 and 504 are only retried for idempotent methods, since
+ * the request may have been processed before the connection dropped or the
+ * gateway gave up. A 503 or a concurrency limit means Salesforce turned the
+ * request away unprocessed, so those are retried for any method.
+ */
+const MAX_RETRIES = Number(process.env.SF_MAX_RETRIES ?? 3);
+const RETRY_BASE_DELAY = 500; // milliseconds, doubled per attempt
+const RETRY_MAX_DELAY = 30 * 1000; // 30 seconds, also the cap on Retry-After
+const IDEMPOTENT_RETRYABLE_STATUSES = [502, 504];
+const REJECTED_STATUSES = [503];
+const REJECTED_ERROR_CODES = ['REQUEST_LIMIT_EXCEEDED', 'SERVER_UNAVAILABLE'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Check whether a failed response is worth retrying
+ */
+function isRetryableResponse(method, status, errors) {
+  if (REJECTED_STATUSES.includes(status)) {
+    return true;
+  }
+  if (IDEMPOTENT_RETRYABLE_STATUSES.includes(status) && IDEMPOTENT_METHODS.includes(method)) {
+    return true;
+  }
   
-  return {
-    accessToken: data.access_token,
-    instanceUrl: data.instance_url || tokens.instanceUrl
-  };
+  // The daily total is exhausted until usage drops; only concurrency limits clear up by waiting
+  return errors.some(error =>
+    REJECTED_ERROR_CODES.includes(error.errorCode) && !/TotalRequests/i.test(error.message)
+  );
+}
+
+/**
+ * Delay before retry number `attempt` (0-based), with full jitter
+ * A Retry-After header, when present, sets the minimum, up to RETRY_MAX_DELAY.
+ */
+function retryDelay(attempt, retryAfter) {
+  const backoff = Math.random() * Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  const minimum = Number(retryAfter) > 0 ? Math.min(Number(retryAfter) * 1000, RETRY_MAX_DELAY) : 0;
+  return Math.round(Math.max(backoff, minimum));
+}
+
+/**
+ * Endpoint as recorded in api_usage: no query string, record IDs replaced
+ * so calls group by resource
+ */
+function usageEndpoint(endpoint) {
+  return endpoint
+    .split('?')[0]
+    .replace(/\/(?=[^/]*\d)[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?(?=\/|$)/g, '/:id');
+}
+
+/**
+ * Record IDs in an API URL: path segments, e.g. the record of
+ * /sobjects/Actabl_Lead__c/:id, and the `ids` query parameter of collection deletes
+ */
+function recordIdsIn(endpoint) {
+  const [path, query = ''] = endpoint.split('?');
+  const ids = (new URLSearchParams(query).get('ids') || '').split(',');
+  return [...path.split('/'), ...ids].filter(segment => /\d/.test(segment) && isSalesforceId(segment));
+}
+
+/**
+ * Id of a record or save result, if it has one
+ */
+function idOf(item) {
+  const id = item?.id ?? item?.Id;
+  return isSalesforceId(id) ? [id] : [];
+}
+
+/**
+ * Record IDs a request body names: collection records, retrieve ids and
+ * composite subrequest URLs and bodies
+ */
+function recordIdsInBody(body) {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+  
+  const subrequests = [
+    ...(body.compositeRequest || []),
+    ...(body.batchRequests || []).map(request => ({ url: request.url, body: request.richInput })),
+    ...(body.graphs || []).flatMap(graph => graph.compositeRequest || [])
+  ];
+  
+  return [
+    ...(Array.isArray(body.records) ? body.records.flatMap(idOf) : []),
+    ...(Array.isArray(body.ids) ? body.ids.filter(isSalesforceId) : []),
+    ...subrequests.flatMap(request => [
+      ...(typeof request.url === 'string' ? recordIdsIn(request.url) : []),
+      ...idOf(request.body)
+    ])
+  ];
+}
+
+/**
+ * Record IDs a response reports: the Id of a create or upsert, collection
+ * save results and retrieved records, and composite subrequest results
+ */
+function recordIdsInResult(result) {
+  if (!result || typeof result !== 'object') {
+    return [];
+  }
+  if (Array.isArray(result)) {
+    return result.flatMap(idOf);
+  }
+  
+  const subresults = [
+    ...(result.compositeResponse || []).map(item => item.body),
+    ...(result.results || []).map(item => item?.result),
+    ...(result.graphs || []).flatMap(graph => graph.graphResponse?.compositeResponse || []).map(item => item.body)
+  ];
+  
+  return [...idOf(result), ...subresults.flatMap(idOf)];
 }
 
 /**
  * Make an authenticated API call to Salesforce
- * Automatically handles 401 errors by refreshing the token
+ * Automatically handles 401 errors by refreshing the token. Calls wait for a
+ * free slot under the per-org concurrency cap, are refused once the org is
+ * past the API usage safety threshold, and are retried with jittered backoff
+ * on transient errors (503, REQUEST_LIMIT_EXCEEDED, dropped connections).
+ * Every call is recorded in the audit log.
+ * @param {string} orgId - Salesforce organization ID of the connection
  * @param {string} endpoint - API endpoint (relative to instance URL)
- * @param {string} method - HTTP method (GET, POST, PATCH, DELETE)
- * @param {Object} body - Request body (optional)
+ * @param {string} method - HTTP method (GET, POST, PUT, PATCH, DELETE)
+ * @param {Object|string} body - Request body (optional); strings are sent as-is
+ * @param {Object} options - Request options (optional)
+ * @param {string} options.contentType - Request content type (default application/json)
+ * @param {string} options.accept - Accept header (optional)
+ * @param {string} options.responseType - `json` (default) or `text` to get { text, headers }
+ * @param {boolean} options.ignoreUsageThreshold - Send even past the usage safety threshold
+ * @param {Date} options.ifModifiedSince - Send If-Modified-Since; an unchanged resource returns null
+ * @param {Object} options.headers - Additional request headers (optional)
  * @returns {Object} API response data
  */
-export async function salesforceApiCall(endpoint, method = 'GET', body = null) {
-  let tokens = await getTokens();
+export async function salesforceApiCall(orgId, endpoint, method = 'GET', body = null, options = {}) {
+  const call = { status: null, attempts: 0 };
+  const started = Date.now();
+  const path = endpoint.split('?')[0];
+  const entry = { event: 'api_call', orgId, method, endpoint: path };
+  const requestIds = [...recordIdsIn(endpoint), ...recordIdsInBody(body)];
+  
+  try {
+    const result = await sendApiRequest(orgId, endpoint, method, body, options, call);
+    const recordIds = [...requestIds, ...recordIdsInResult(result)];
+    
+    recordAuditEvent({ ...entry, status: call.status, durationMs: Date.now() - started, recordIds, details: { attempts: call.attempts } });
+    return result;
+  } catch (error) {
+    recordAuditEvent({
+      ...entry,
+      status: call.status,
+      durationMs: Date.now() - started,
+      recordIds: requestIds,
+      details: { attempts: call.attempts, error: { code: error.code ?? null, message: error.message } }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a request for salesforceApiCall, recording the last response status
+ * and the number of attempts in `call`
+ */
+async function sendApiRequest(orgId, endpoint, method, body, {
+  contentType = 'application/json',
+  accept,
+  responseType = 'json',
+  ignoreUsageThreshold = false,
+  ifModifiedSince = null,
+  headers = {}
+}, call) {
+  let tokens = await getFreshTokens(orgId);
   
   if (!tokens) {
-    throw new Error('Not connected to Salesforce');
+    throw new NotFoundError(`Not connected to Salesforce org ${orgId}`, { code: 'CONNECTION_NOT_FOUND' });
+  }
+  
+  if (!ignoreUsageThreshold) {
+    checkUsage(orgId);
   }
   
   const makeRequest = async (accessToken, instanceUrl) => {
     const options = {
       method,
       headers: {
+        ...headers,
         'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
+        'Content-Type': contentType
       }
     };
     
-    if (body && (method === 'POST' || method === 'PATCH')) {
-      options.body = JSON.stringify(body);
+    if (accept) {
+      options.headers['Accept'] = accept;
+    }
+    
+    if (ifModifiedSince) {
+      options.headers['If-Modified-Since'] = ifModifiedSince.toUTCString();
+    }
+    
+    if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+      options.body = typeof body === 'string' ? body : JSON.stringify(body);
     }
     
     const url = `${instanceUrl}${endpoint}`;
-    return fetch(url, options);
+    const started = Date.now();
+    const response = await fetch(url, options);
+    call.status = response.status;
+    call.attempts++;
+    
+    const usage = parseLimitInfo(response.headers.get('sforce-limit-info'))['api-usage'] || null;
+    if (usage) {
+      recordUsage(orgId, usage);
+    }
+    
+    recordApiUsage({
+      orgId,
+      method,
+      endpoint: usageEndpoint(endpoint),
+      status: response.status,
+      durationMs: Date.now() - started,
+      usage
+    }).catch(error => console.error('Failed to record API usage:', error.message));
+    
+    return response;
   };
   
-  // First attempt
-  let response = await makeRequest(tokens.accessToken, tokens.instanceUrl);
+  let response;
   
-  // If 401, try refreshing token and retry
-  if (response.status === 401) {
-    console.log('Access token expired, refreshing...');
+  for (let attempt = 0; ; attempt++) {
+    const release = await acquireSlot(orgId);
     
     try {
-      const newTokens = await refreshAccessToken();
-      tokens = await getTokens(); // Get updated tokens
       response = await makeRequest(tokens.accessToken, tokens.instanceUrl);
-    } catch (refreshError) {
-      throw new Error(`Token refresh failed: ${refreshError.message}`);
+      
+      // If 401, try refreshing token and retry
+      if (response.status === 401) {
+        console.log('Access token expired, refreshing...');
+        
+        try {
+          const current = await getTokens(orgId);
+          
+          // Another request may have refreshed the token while this one was in flight
+          if (!current || current.accessToken === tokens.accessToken) {
+            await refreshAccessToken(orgId);
+          }
+          
+          tokens = await getTokens(orgId); // Get updated tokens
+          response = await makeRequest(tokens.accessToken, tokens.instanceUrl);
+        } catch (refreshError) {
+          if (refreshError instanceof AppError) {
+            throw refreshError;
+          }
+          throw new UpstreamError(`Token refresh failed: ${refreshError.message}`, { cause: refreshError });
+        }
+      }
+    } catch (error) {
+      // node-fetch reports network failures as FetchError with type `system`
+      if (error.type === 'system' && IDEMPOTENT_METHODS.includes(method) && attempt < MAX_RETRIES) {
+        const delay = retryDelay(attempt);
+        console.warn(`${method} ${usageEndpoint(endpoint)} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+      if (error.type === 'system') {
+        throw new UpstreamError(`Could not reach Salesforce: ${error.message}`, { code: 'SALESFORCE_UNREACHABLE', cause: error });
+      }
+      throw error;
+    } finally {
+      release();
     }
-  }
-  
-  if (!response.ok) {
+    
+    if (response.ok || response.status === 304) {
+      break;
+    }
+    
     const errorText = await response.text();
     let errorData;
     try {
@@ -104,29 +672,262 @@ export async function salesforceApiCall(endpoint, method = 'GET', body = null) {
     } catch {
       errorData = { message: errorText };
     }
-    throw new Error(`Salesforce API error (${response.status}): ${JSON.stringify(errorData)}`);
+    const errors = normalizeSalesforceErrors(errorData);
+    
+    if (attempt < MAX_RETRIES && isRetryableResponse(method, response.status, errors)) {
+      const delay = retryDelay(attempt, response.headers.get('retry-after'));
+      console.warn(`${method} ${usageEndpoint(endpoint)} returned ${response.status}, retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+    
+    throw new SalesforceApiError(response.status, errors);
+  }
+  
+  if (responseType === 'text') {
+    return { text: await response.text(), headers: response.headers };
+  }
+  
+  // PATCH and DELETE answer 204 No Content; 304 means the cached copy is current
+  if (response.status === 204 || response.status === 304) {
+    return null;
   }
   
   return response.json();
 }
 
 /**
- * Execute a SOQL query
+ * Get the org's limits (daily API requests, storage, Bulk API batches, ...)
+ * Allowed past the usage safety threshold, so usage can always be checked.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @returns {Object} Limits keyed by name, each { Max, Remaining }
+ */
+export async function getOrgLimits(orgId) {
+  const limits = await salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/limits`, 'GET', null, {
+    ignoreUsageThreshold: true
+  });
+  
+  const daily = limits.DailyApiRequests;
+  if (daily) {
+    recordUsage(orgId, { used: daily.Max - daily.Remaining, max: daily.Max });
+  }
+  
+  return limits;
+}
+
+/**
+ * Normalize the error formats Salesforce returns into one structure
+ * REST errors are arrays of { errorCode, message, fields }; sObject Collections
+ * and Composite use { statusCode, message, fields }.
+ * @param {*} errorData - Parsed error body
+ * @returns {Array<Object>} Errors as { errorCode, message, fields }
+ */
+export function normalizeSalesforceErrors(errorData) {
+  const list = Array.isArray(errorData) ? errorData : [errorData];
+  
+  return list
+    .filter(Boolean)
+    .map(error => ({
+      errorCode: error.errorCode || error.statusCode || error.error || 'UNKNOWN_ERROR',
+      message: error.message || error.error_description || String(error),
+      fields: error.fields || [],
+      // DUPLICATES_DETECTED carries the records the org's duplicate rules matched
+      ...(error.duplicateResult ? { duplicateResult: error.duplicateResult } : {})
+    }));
+}
+
+/**
+ * Execute a SOQL query and collect every batch
+ * Meant for queries with a LIMIT; iterate queryBatches() or queryRecords()
+ * to process large results without holding them in memory.
+ * @param {string} orgId - Salesforce organization ID of the connection
  * @param {string} query - SOQL query string
- * @returns {Object} Query results
+ * @returns {Object} Query results ({ totalSize, done, records }) with the records of every batch
  */
-export async function executeQuery(query) {
+export async function executeQuery(orgId, query) {
+  const records = [];
+  let totalSize = 0;
+  
+  for await (const batch of queryBatches(orgId, query)) {
+    totalSize = batch.totalSize;
+    records.push(...batch.records);
+  }
+  
+  return { totalSize, done: true, records };
+}
+
+/**
+ * Iterate over every batch of a SOQL query result
+ * Follows nextRecordsUrl (queryMore) until Salesforce reports done.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} query - SOQL query string
+ * @param {Object} options - { includeDeleted: use queryAll to include deleted and archived rows }
+ * @yields {Object} Raw query result batches ({ totalSize, done, records, nextRecordsUrl })
+ */
+export async function* queryBatches(orgId, query, { includeDeleted = false } = {}) {
+  const resource = includeDeleted ? 'queryAll' : 'query';
   const encodedQuery = encodeURIComponent(query);
-  return salesforceApiCall(`/services/data/${SF_API_VERSION}/query?q=${encodedQuery}`);
+  
+  let batch = await salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/${resource}?q=${encodedQuery}`);
+  yield batch;
+  
+  while (!batch.done && batch.nextRecordsUrl) {
+    batch = await salesforceApiCall(orgId, batch.nextRecordsUrl);
+    yield batch;
+  }
+}
+
+/**
+ * Iterate over every record of a SOQL query, fetching batches as needed
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} query - SOQL query string
+ * @param {Object} options - See queryBatches()
+ * @yields {Object} Records
+ */
+export async function* queryRecords(orgId, query, options = {}) {
+  for await (const batch of queryBatches(orgId, query, options)) {
+    yield* batch.records;
+  }
+}
+
+/**
+ * Iterate over every record of a SOQL query, including deleted and archived rows
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} query - SOQL query string
+ * @yields {Object} Records
+ */
+export function queryAll(orgId, query) {
+  return queryRecords(orgId, query, { includeDeleted: true });
 }
 
 /**
  * Get object describe/schema information
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {Object} options - { ifModifiedSince } (optional)
+ * @returns {Object|null} Object metadata, or null if unchanged since ifModifiedSince
+ */
+export async function describeObject(orgId, objectName, { ifModifiedSince = null } = {}) {
+  return salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects/${objectName}/describe`, 'GET', null, { ifModifiedSince });
+}
+
+/**
+ * List every sObject in the org (global describe)
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {Object} options - { ifModifiedSince } (optional)
+ * @returns {Object|null} { encoding, maxBatchSize, sobjects }, or null if unchanged since ifModifiedSince
+ */
+export async function describeGlobal(orgId, { ifModifiedSince = null } = {}) {
+  return salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects`, 'GET', null, { ifModifiedSince });
+}
+
+/**
+ * Create a record
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {Object} data - Field values
+ * @param {Object} options - Request options passed to salesforceApiCall (optional)
+ * @returns {Object} { id, success, errors }
+ */
+export async function createRecord(orgId, objectName, data, options = {}) {
+  return salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects/${objectName}`, 'POST', data, options);
+}
+
+/**
+ * Fetch a record by Id
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {string} id - Record Id
+ * @param {Array<string>} fields - Fields to return (optional, all fields if omitted)
+ * @returns {Object} Record
+ */
+export async function getRecord(orgId, objectName, id, fields = null) {
+  const query = fields?.length ? `?fields=${encodeURIComponent(fields.join(','))}` : '';
+  return salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects/${objectName}/${encodeURIComponent(id)}${query}`);
+}
+
+/**
+ * Update a record by Id
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {string} id - Record Id
+ * @param {Object} data - Field values to change
+ * @param {Object} options - Request options passed to salesforceApiCall (optional)
+ */
+export async function updateRecord(orgId, objectName, id, data, options = {}) {
+  await salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects/${objectName}/${encodeURIComponent(id)}`, 'PATCH', data, options);
+}
+
+/**
+ * Delete a record by Id
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {string} id - Record Id
+ */
+export async function deleteRecord(orgId, objectName, id) {
+  await salesforceApiCall(orgId, `/services/data/${SF_API_VERSION}/sobjects/${objectName}/${encodeURIComponent(id)}`, 'DELETE');
+}
+
+/**
+ * Create or update a record matched by an external ID field
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name
+ * @param {string} externalIdField - External ID field API name
+ * @param {string} externalId - External ID value
+ * @param {Object} data - Field values
+ * @returns {Object} { id, created }
+ */
+export async function upsertRecord(orgId, objectName, externalIdField, externalId, data) {
+  const endpoint = `/services/data/${SF_API_VERSION}/sobjects/${objectName}/${externalIdField}/${encodeURIComponent(externalId)}`;
+  const result = await salesforceApiCall(orgId, endpoint, 'PATCH', data);
+  
+  // Older API versions answer an update with 204 and no body
+  return result ? { id: result.id, created: result.created } : { id: null, created: false };
+}
+
+// Cached describe results are trusted this long before being revalidated
+const DESCRIBE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get describe information from the Postgres cache
+ * Entries older than DESCRIBE_CACHE_TTL (or any entry, with `refresh`) are
+ * revalidated with If-Modified-Since, so an unchanged object costs a 304
+ * instead of a full describe.
+ * @param {string} orgId - Salesforce organization ID of the connection
+ * @param {string} objectName - Salesforce object API name, or null for the global describe
+ * @param {Object} options - { refresh } (optional)
+ * @returns {Object} { describe, fetchedAt, checkedAt }
+ */
+export async function getCachedDescribe(orgId, objectName = null, { refresh = false } = {}) {
+  const cacheKey = objectName || '';
+  const cached = await getDescribeCache(orgId, cacheKey);
+  
+  if (cached && !refresh && Date.now() - cached.checkedAt.getTime() < DESCRIBE_CACHE_TTL) {
+    return cached;
+  }
+  
+  const options = { ifModifiedSince: cached?.fetchedAt || null };
+  const describe = objectName
+    ? await describeObject(orgId, objectName, options)
+    : await describeGlobal(orgId, options);
+  
+  if (!describe) {
+    await touchDescribeCache(orgId, cacheKey);
+    return { ...cached, checkedAt: new Date() };
+  }
+  
+  return saveDescribeCache(orgId, cacheKey, describe);
+}
+
+/**
+ * Get object describe information, reusing a recent result if there is one
+ * Used to validate request parameters without a describe call per request.
+ * @param {string} orgId - Salesforce organization ID of the connection
  * @param {string} objectName - Salesforce object API name
  * @returns {Object} Object metadata
  */
-export async function describeObject(objectName) {
-  return salesforceApiCall(`/services/data/${SF_API_VERSION}/sobjects/${objectName}/describe`);
+export async function describeObjectCached(orgId, objectName) {
+  return (await getCachedDescribe(orgId, objectName)).describe;
 }
 
 /**
@@ -134,32 +935,34 @@ export async function describeObject(objectName) {
  * @param {string} code - Authorization code from OAuth callback
  * @param {string} codeVerifier - PKCE code verifier
  * @param {string} redirectUri - Callback redirect URI
+ * @param {string} loginUrl - Login URL the authorization was started on
  * @returns {Object} Token response
  */
-export async function exchangeCodeForTokens(code, codeVerifier, redirectUri) {
-  const params = new URLSearchParams({
+export async function exchangeCodeForTokens(code, codeVerifier, redirectUri, loginUrl = SF_LOGIN_URL) {
+  return requestToken(loginUrl, {
     grant_type: 'authorization_code',
     client_id: SF_CLIENT_ID,
     client_secret: SF_CLIENT_SECRET,
     redirect_uri: redirectUri,
     code: code,
     code_verifier: codeVerifier
-  });
-  
-  const response = await fetch(`${SF_LOGIN_URL}/services/oauth2/token`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: params.toString()
-  });
+  }, 'Token exchange failed');
+}
+
+/**
+ * Extract org and user IDs from the identity URL in a token response
+ * (https://login.salesforce.com/id/<orgId>/<userId>)
+ * @param {string} identityUrl - The `id` field of the token response
+ * @returns {Object} { orgId, userId }
+ */
+export function parseIdentityUrl(identityUrl) {
+  const match = /\/id\/(00D[a-zA-Z0-9]{12,15})\/(005[a-zA-Z0-9]{12,15})\/?$/.exec(identityUrl || '');
   
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Token exchange failed: ${errorData.error_description || errorData.error}`);
+  if (!match) {
+    throw new UpstreamError(`Unrecognized identity URL: ${identityUrl}`);
   }
   
-  return response.json();
+  return { orgId: match[1], userId: match[2] };
 }
 
 /**
@@ -167,9 +970,10 @@ export async function exchangeCodeForTokens(code, codeVerifier, redirectUri) {
  * @param {string} redirectUri - Callback URL
  * @param {string} codeChallenge - PKCE code challenge
  * @param {string} state - State parameter
+ * @param {string} loginUrl - Login URL from resolveLoginUrl()
  * @returns {string} Full authorization URL
  */
-export function buildAuthorizationUrl(redirectUri, codeChallenge, state) {
+export function buildAuthorizationUrl(redirectUri, codeChallenge, state, loginUrl = SF_LOGIN_URL) {
   const params = new URLSearchParams({
     response_type: 'code',
     client_id: SF_CLIENT_ID,
@@ -180,5 +984,5 @@ export function buildAuthorizationUrl(redirectUri, codeChallenge, state) {
     state: state
   });
   
-  return `${SF_LOGIN_URL}/services/oauth2/authorize?${params.toString()}`;
+  return `${loginUrl}/services/oauth2/authorize?${params.toString()}`;
 }
@@ -0,0 +1,316 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Safe SOQL construction from untrusted request parameters
+ * Field names are only accepted if they appear in the object's describe
+ * result, and values are validated and escaped according to the field type.
+ */
+
+/**
+ * Raised when request parameters cannot be turned into a valid query
+ */
+export class QueryParameterError extends ValidationError {
+  constructor(message) {
+    super(message, { code: 'INVALID_QUERY_PARAMETER' });
+  }
+}
+
+const STRING_TYPES = new Set([
+  'string', 'picklist', 'multipicklist', 'textarea', 'email', 'phone',
+  'url', 'id', 'reference', 'combobox', 'encryptedstring'
+]);
+const NUMBER_TYPES = new Set(['int', 'double', 'currency', 'percent', 'long']);
+
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  like: 'LIKE'
+};
+
+const DATE_LITERAL = new RegExp(
+  '^(YESTERDAY|TODAY|TOMORROW|(LAST|THIS|NEXT)_(WEEK|MONTH|QUARTER|YEAR|FISCAL_QUARTER|FISCAL_YEAR)' +
+  '|(LAST|NEXT)_90_DAYS' +
+  '|((LAST|NEXT)_N_|N_)(DAYS|WEEKS|MONTHS|QUARTERS|YEARS|FISCAL_QUARTERS|FISCAL_YEARS)(_AGO)?:\\d{1,4})$'
+);
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_VALUE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:?\d{2})$/;
+const NUMBER_VALUE = /^-?\d+(\.\d+)?$/;
+
+const MAX_LIMIT = 200;
+
+/**
+ * Escape a string for use inside a single-quoted SOQL literal
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string (without surrounding quotes)
+ */
+export function escapeSoqlString(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, char => ({
+    '\\': '\\\\',
+    '\'': '\\\'',
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+  })[char]);
+}
+
+/**
+ * Format a single value as a SOQL literal for the given field
+ * @param {Object} field - Field from the describe result
+ * @param {*} value - Raw value from the request (or a cursor)
+ * @returns {string} SOQL literal
+ */
+export function formatSoqlValue(field, value) {
+  if (value === null || value === 'null') {
+    return 'null';
+  }
+  
+  const text = String(value);
+  
+  if (STRING_TYPES.has(field.type)) {
+    return `'${escapeSoqlString(text)}'`;
+  }
+  
+  if (field.type === 'boolean') {
+    if (text !== 'true' && text !== 'false') {
+      throw new QueryParameterError(`${field.name} expects true or false`);
+    }
+    return text;
+  }
+  
+  if (NUMBER_TYPES.has(field.type)) {
+    if (!NUMBER_VALUE.test(text)) {
+      throw new QueryParameterError(`${field.name} expects a number`);
+    }
+    return text;
+  }
+  
+  if (field.type === 'date') {
+    if (!DATE_VALUE.test(text) && !DATE_LITERAL.test(text)) {
+      throw new QueryParameterError(`${field.name} expects YYYY-MM-DD or a date literal such as LAST_N_DAYS:30`);
+    }
+    return text;
+  }
+  
+  if (field.type === 'datetime') {
+    if (DATE_LITERAL.test(text)) {
+      return text;
+    }
+    if (!DATETIME_VALUE.test(text) || Number.isNaN(Date.parse(text))) {
+      throw new QueryParameterError(`${field.name} expects an ISO 8601 date-time with time zone or a date literal`);
+    }
+    // SOQL accepts second precision with a Z suffix
+    return new Date(text).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  
+  throw new QueryParameterError(`Filtering on ${field.type} field ${field.name} is not supported`);
+}
+
+/**
+ * Index the fields of a describe result by lower-cased API name
+ */
+function indexFields(describe) {
+  return new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+}
+
+/**
+ * Look up a field by name, rejecting names not in the describe result
+ */
+function resolveField(fieldIndex, name, capability) {
+  const field = typeof name === 'string' ? fieldIndex.get(name.trim().toLowerCase()) : null;
+  
+  if (!field) {
+    throw new QueryParameterError(`Unknown field: ${String(name).trim()}`);
+  }
+  
+  if (capability && !field[capability]) {
+    throw new QueryParameterError(`Field ${field.name} is not ${capability}`);
+  }
+  
+  return field;
+}
+
+/**
+ * Build one WHERE condition from a field and an operator/value pair
+ */
+function buildCondition(field, operator, value) {
+  if (!Object.hasOwn(OPERATORS, operator)) {
+    throw new QueryParameterError(`Unknown operator "${operator}" for ${field.name}`);
+  }
+  
+  if (typeof value !== 'string') {
+    throw new QueryParameterError(`Invalid value for ${field.name}[${operator}]`);
+  }
+  
+  if (operator === 'in' || operator === 'nin') {
+    const values = value.split(',').map(v => formatSoqlValue(field, v.trim()));
+    return `${field.name} ${OPERATORS[operator]} (${values.join(', ')})`;
+  }
+  
+  if (operator === 'like') {
+    if (!STRING_TYPES.has(field.type)) {
+      throw new QueryParameterError(`LIKE is only supported on text fields, not ${field.name}`);
+    }
+    return `${field.name} LIKE '${escapeSoqlString(value)}'`;
+  }
+  
+  return `${field.name} ${OPERATORS[operator]} ${formatSoqlValue(field, value)}`;
+}
+
+/**
+ * Build the keyset condition selecting rows after the cursor position
+ * Sort keys use NULLS FIRST ascending and NULLS LAST descending, with Id as
+ * the final ascending tiebreaker, so every row has a unique position.
+ */
+function buildCursorCondition(sortKeys, values) {
+  const [key, ...rest] = sortKeys;
+  const [value, ...restValues] = values;
+  const literal = formatSoqlValue(key.field, value);
+  const name = key.field.name;
+  
+  let after;
+  if (key.descending) {
+    after = value === null ? null : `(${name} < ${literal} OR ${name} = null)`;
+  } else {
+    after = value === null ? `${name} != null` : `${name} > ${literal}`;
+  }
+  
+  if (rest.length === 0) {
+    return after;
+  }
+  
+  const tie = `(${name} = ${literal} AND ${buildCursorCondition(rest, restValues)})`;
+  return after ? `(${after} OR ${tie})` : tie;
+}
+
+/**
+ * Encode the position after a record as an opaque cursor
+ * @param {Object} record - Last record of the page
+ * @param {Array<Object>} sortKeys - Sort keys from buildQuery()
+ * @param {string} sortSpec - Sort parameter the page was requested with
+ * @returns {string} Cursor
+ */
+export function encodeCursor(record, sortKeys, sortSpec) {
+  const values = sortKeys.map(key => record[key.field.name] ?? null);
+  return Buffer.from(JSON.stringify({ s: sortSpec, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor()
+ */
+function decodeCursor(cursor, sortKeys, sortSpec) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryParameterError('Invalid cursor');
+  }
+  
+  if (!decoded || decoded.s !== sortSpec || !Array.isArray(decoded.v) || decoded.v.length !== sortKeys.length) {
+    throw new QueryParameterError('Cursor does not match the requested sort order');
+  }
+  
+  return decoded.v;
+}
+
+/**
+ * Build a SOQL query from request parameters
+ * @param {Object} describe - Describe result of the object being queried
+ * @param {Object} params - Request parameters
+ * @param {string} params.fields - Comma-separated field names to select
+ * @param {Object} params.filter - { Field: value } for equality or { Field: { op: value } }
+ *   with op one of eq, ne, gt, gte, lt, lte, in, nin, like
+ * @param {string} params.sort - Comma-separated field names, `-` prefix for descending
+ * @param {string|number} params.limit - Page size (1-200)
+ * @param {string} params.cursor - Cursor from a previous page
+ * @param {Object} defaults - { fields, sort, limit } used when a parameter is absent
+ * @returns {Object} { soql, sortKeys, sortSpec, limit }
+ */
+export function buildQuery(describe, params = {}, defaults = {}) {
+  const fieldIndex = indexFields(describe);
+  
+  // SELECT
+  const fieldsParam = params.fields ?? defaults.fields ?? 'Id';
+  if (typeof fieldsParam !== 'string') {
+    throw new QueryParameterError('fields must be a comma-separated list');
+  }
+  const selected = new Map();
+  for (const name of fieldsParam.split(',').filter(n => n.trim())) {
+    const field = resolveField(fieldIndex, name);
+    selected.set(field.name, field);
+  }
+  
+  // WHERE
+  const conditions = [];
+  const filter = params.filter ?? {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new QueryParameterError('filter must be given as filter[Field]=value');
+  }
+  for (const [name, spec] of Object.entries(filter)) {
+    const field = resolveField(fieldIndex, name, 'filterable');
+    if (spec !== null && typeof spec === 'object' && !Array.isArray(spec)) {
+      for (const [operator, value] of Object.entries(spec)) {
+        conditions.push(buildCondition(field, operator, value));
+      }
+    } else {
+      conditions.push(buildCondition(field, 'eq', spec));
+    }
+  }
+  
+  // ORDER BY (Id is always the final tiebreaker)
+  const sortSpec = params.sort ?? defaults.sort ?? 'Id';
+  if (typeof sortSpec !== 'string') {
+    throw new QueryParameterError('sort must be a comma-separated list');
+  }
+  const sortKeys = [];
+  for (const entry of sortSpec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const descending = entry.startsWith('-');
+    const field = resolveField(fieldIndex, descending ? entry.slice(1) : entry, 'sortable');
+    if (!sortKeys.some(key => key.field.name === field.name)) {
+      sortKeys.push({ field, descending });
+    }
+  }
+  if (!sortKeys.some(key => key.field.name === 'Id')) {
+    sortKeys.push({ field: resolveField(fieldIndex, 'Id'), descending: false });
+  }
+  
+  // Cursor values are read back from the records, so sort fields must be selected
+  for (const key of sortKeys) {
+    selected.set(key.field.name, key.field);
+  }
+  
+  if (params.cursor !== undefined) {
+    if (typeof params.cursor !== 'string') {
+      throw new QueryParameterError('Invalid cursor');
+    }
+    conditions.push(buildCursorCondition(sortKeys, decodeCursor(params.cursor, sortKeys, sortSpec)));
+  }
+  
+  // LIMIT
+  const limit = Number(params.limit ?? defaults.limit ?? MAX_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryParameterError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  
+  const orderBy = sortKeys
+    .map(key => `${key.field.name} ${key.descending ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`)
+    .join(', ');
+  
+  // Fetch one extra row to know whether another page exists
+  const soql = [
+    `SELECT ${[...selected.keys()].join(', ')} FROM ${describe.name}`,
+    conditions.length ? `WHERE ${conditions.join(' AND ')}` : null,
+    `ORDER BY ${orderBy}`,
+    `LIMIT ${limit + 1}`
+  ].filter(Boolean).join(' ');
+  
+  return { soql, sortKeys, sortSpec, limit };
+}
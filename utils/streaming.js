@@ -0,0 +1,271 @@
+import fetch from 'node-fetch';
+
+/**
+ * Minimal CometD (Bayeux long-polling) client for the Salesforce Streaming API
+ * Subscribes to one channel with the replay extension, delivers events in
+ * order and reconnects with exponential backoff. The access token and instance
+ * URL come from callbacks, so the client works against any server that speaks
+ * Bayeux, including a local fake in tests.
+ */
+
+const COMETD_VERSION = '59.0';
+const MIN_BACKOFF = 1000; // 1 second
+const MAX_BACKOFF = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_POLL_TIMEOUT = 110 * 1000; // Salesforce holds a connect for up to 110 seconds
+const REQUEST_SLACK = 20 * 1000;
+
+/**
+ * Raised when the server rejects the session (HTTP 401 or a 401:: Bayeux error)
+ */
+class SessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionExpiredError';
+  }
+}
+
+/**
+ * Raised when the server no longer knows the client and a new handshake is needed
+ */
+class RehandshakeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RehandshakeError';
+  }
+}
+
+/**
+ * Create a channel subscriber
+ * @param {Object} options - Subscriber options
+ * @param {string} options.channel - Channel, e.g. /data/Actabl_Lead__ChangeEvent
+ * @param {Function} options.getSession - async () => { accessToken, instanceUrl }
+ * @param {Function} options.refreshSession - async () => void; renews the access token
+ * @param {Function} options.getReplayId - async () => replay ID to resume after (-1 new only, -2 all retained)
+ * @param {Function} options.onEvent - async (message) => void; called once per event, in order
+ * @param {Function} options.log - Logger (default console.log)
+ * @returns {Object} { start, stop }
+ */
+export function createSubscriber({ channel, getSession, refreshSession, getReplayId, onEvent, log = console.log }) {
+  let running = false;
+  let controller = null;
+  let loop = null;
+  let wake = null;
+  // All reset once a connect succeeds: one re-handshake and one token refresh may skip the backoff
+  let backoff = MIN_BACKOFF;
+  let immediateRehandshake = true;
+  let immediateRefresh = true;
+  const cookies = new Map();
+  
+  /**
+   * Wait without holding up stop()
+   */
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+  
+  /**
+   * Send Bayeux messages and return the response messages
+   */
+  const send = async (path, messages, timeout) => {
+    const { accessToken, instanceUrl } = await getSession();
+    controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+      const response = await fetch(`${instanceUrl}/cometd/${COMETD_VERSION}${path}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          // The server tracks the client through its BAYEUX_BROWSER cookie
+          ...(cookies.size ? { 'Cookie': [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {})
+        },
+        body: JSON.stringify(messages),
+        signal: controller.signal
+      });
+      
+      for (const header of response.headers.raw()['set-cookie'] || []) {
+        const [pair] = header.split(';');
+        const separator = pair.indexOf('=');
+        cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+      
+      if (response.status === 401) {
+        throw new SessionExpiredError('Streaming session expired');
+      }
+      
+      if (!response.ok) {
+        throw new Error(`Streaming API error (${response.status}): ${await response.text()}`);
+      }
+      
+      return response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  
+  /**
+   * Turn an unsuccessful meta reply into the matching error
+   */
+  const failure = (reply) => {
+    const error = reply?.error || 'Unknown error';
+    
+    if (error.startsWith('401::')) {
+      return new SessionExpiredError(error);
+    }
+    if (error.startsWith('403::') || reply?.advice?.reconnect === 'handshake') {
+      return new RehandshakeError(error);
+    }
+    return new Error(`${reply?.channel || 'Bayeux'} failed: ${error}`);
+  };
+  
+  /**
+   * Handshake and subscribe
+   * @returns {Object} { clientId, timeout }
+   */
+  const open = async () => {
+    cookies.clear();
+    
+    const [handshake] = await send('/handshake', [{
+      channel: '/meta/handshake',
+      version: '1.0',
+      minimumVersion: '1.0',
+      supportedConnectionTypes: ['long-polling'],
+      ext: { replay: true }
+    }], REQUEST_SLACK);
+    
+    if (!handshake?.successful) {
+      throw failure(handshake);
+    }
+    
+    const clientId = handshake.clientId;
+    const timeout = handshake.advice?.timeout ?? DEFAULT_POLL_TIMEOUT;
+    
+    const subscribeTo = async (replayId) => {
+      const replies = await send('/subscribe', [{
+        channel: '/meta/subscribe',
+        clientId,
+        subscription: channel,
+        ext: { replay: { [channel]: replayId } }
+      }], REQUEST_SLACK);
+      return replies.find(reply => reply.channel === '/meta/subscribe');
+    };
+    
+    const replayId = await getReplayId();
+    let subscribed = await subscribeTo(replayId);
+    
+    // The stored replay ID fell out of the retention window: take everything retained
+    if (!subscribed?.successful && /replayId/i.test(subscribed?.error || '') && replayId !== -2) {
+      log(`Replay ID ${replayId} for ${channel} is no longer available, replaying all retained events`);
+      subscribed = await subscribeTo(-2);
+    }
+    
+    if (!subscribed?.successful) {
+      throw failure(subscribed);
+    }
+    
+    log(`Subscribed to ${channel} from replay ID ${replayId}`);
+    return { clientId, timeout };
+  };
+  
+  /**
+   * Long-poll until stopped or the session breaks
+   */
+  const poll = async ({ clientId, timeout }) => {
+    while (running) {
+      const messages = await send('/connect', [{
+        channel: '/meta/connect',
+        clientId,
+        connectionType: 'long-polling'
+      }], timeout + REQUEST_SLACK);
+      
+      for (const message of messages) {
+        if (message.channel === channel) {
+          await onEvent(message);
+        }
+      }
+      
+      const reply = messages.find(message => message.channel === '/meta/connect');
+      if (reply && !reply.successful) {
+        throw failure(reply);
+      }
+      backoff = MIN_BACKOFF;
+      immediateRehandshake = true;
+      immediateRefresh = true;
+      if (reply?.advice?.reconnect === 'none') {
+        throw new Error('Server asked not to reconnect');
+      }
+      if (reply?.advice?.interval > 0) {
+        await sleep(reply.advice.interval);
+      }
+    }
+  };
+  
+  /**
+   * Run until stopped, reconnecting with backoff
+   */
+  const run = async () => {
+    while (running) {
+      try {
+        await poll(await open());
+      } catch (error) {
+        if (!running) {
+          break;
+        }
+        
+        if (error instanceof SessionExpiredError) {
+          log(`Streaming session for ${channel} expired, refreshing token`);
+          try {
+            await refreshSession();
+            // A 401 that outlives a fresh token (e.g. no Streaming API permission) waits out the backoff
+            if (immediateRefresh) {
+              immediateRefresh = false;
+              continue;
+            }
+          } catch (refreshError) {
+            log(`Token refresh for ${channel} failed: ${refreshError.message}`);
+          }
+        } else if (error instanceof RehandshakeError && immediateRehandshake) {
+          // The server forgot the client (e.g. after a restart); handshake again right away, once
+          immediateRehandshake = false;
+          log(`Streaming server asked ${channel} to handshake again`);
+          continue;
+        } else {
+          log(`Streaming error on ${channel}: ${error.message}`);
+        }
+        
+        // Full jitter keeps several subscribers from reconnecting in lockstep
+        const delay = Math.round(Math.random() * backoff);
+        log(`Reconnecting to ${channel} in ${delay}ms`);
+        await sleep(delay);
+        backoff = Math.min(backoff * 2, MAX_BACKOFF);
+      }
+    }
+  };
+  
+  return {
+    /**
+     * Start the subscription loop (no-op if already running)
+     */
+    start() {
+      if (!running) {
+        running = true;
+        loop = run();
+      }
+    },
+    
+    /**
+     * Stop the subscription and wait for the loop to end
+     */
+    async stop() {
+      running = false;
+      controller?.abort();
+      wake?.();
+      await loop;
+    }
+  };
+}
@@ -0,0 +1,114 @@
+import { RateLimitError } from './errors.js';
+
+/**
+ * Client-side throttling of Salesforce API calls, per org
+ *
+ * Caps the number of concurrent requests and stops new calls once the org's
+ * daily API usage, as reported in the Sforce-Limit-Info header, crosses a
+ * safety threshold, so a runaway loop cannot spend the whole allotment.
+ *
+ *   SF_MAX_CONCURRENT_REQUESTS  concurrent requests per org (default 10)
+ *   SF_API_SAFETY_THRESHOLD     fraction of the daily limit to stop at (default 0.9)
+ */
+
+const MAX_CONCURRENT_REQUESTS = Number(process.env.SF_MAX_CONCURRENT_REQUESTS) || 10;
+const SAFETY_THRESHOLD = Number(process.env.SF_API_SAFETY_THRESHOLD) || 0.9;
+
+// Usage older than this no longer blocks calls, so the next call can report a fresh figure
+const USAGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const orgs = new Map();
+
+/**
+ * Raised when a call is refused because the org is close to its daily API limit
+ */
+export class ApiLimitError extends RateLimitError {
+  constructor(orgId, usage) {
+    super(`API usage for org ${orgId} is at ${usage.used}/${usage.max}, above the ${Math.round(SAFETY_THRESHOLD * 100)}% safety threshold`, {
+      code: 'API_LIMIT_THRESHOLD',
+      details: { used: usage.used, max: usage.max }
+    });
+  }
+}
+
+/**
+ * Get (or create) the throttle state of an org
+ */
+function getState(orgId) {
+  if (!orgs.has(orgId)) {
+    orgs.set(orgId, { active: 0, waiting: [], usage: null });
+  }
+  return orgs.get(orgId);
+}
+
+/**
+ * Parse a Sforce-Limit-Info header
+ * e.g. `api-usage=25/15000` or `api-usage=25/15000; per-app-api-usage=17/250(appName=MyApp)`
+ * @param {string} header - Header value
+ * @returns {Object} Usage by name, e.g. { 'api-usage': { used: 25, max: 15000 } }
+ */
+export function parseLimitInfo(header) {
+  const usage = {};
+  
+  for (const match of (header || '').matchAll(/([\w-]+)=(\d+)\/(\d+)/g)) {
+    usage[match[1]] = { used: Number(match[2]), max: Number(match[3]) };
+  }
+  
+  return usage;
+}
+
+/**
+ * Remember the latest API usage reported for an org
+ * @param {string} orgId - Salesforce organization ID
+ * @param {Object} usage - { used, max }
+ */
+export function recordUsage(orgId, { used, max }) {
+  getState(orgId).usage = { used, max, at: Date.now() };
+}
+
+/**
+ * Latest API usage reported for an org
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {Object|null} { used, max, at } or null if nothing was reported yet
+ */
+export function getObservedUsage(orgId) {
+  return orgs.get(orgId)?.usage || null;
+}
+
+/**
+ * Refuse new calls while an org is above the safety threshold
+ * @param {string} orgId - Salesforce organization ID
+ * @throws {ApiLimitError} If recent usage is at or above the threshold
+ */
+export function checkUsage(orgId) {
+  const usage = getObservedUsage(orgId);
+  
+  if (usage && usage.max > 0 && Date.now() - usage.at < USAGE_TTL && usage.used / usage.max >= SAFETY_THRESHOLD) {
+    throw new ApiLimitError(orgId, usage);
+  }
+}
+
+/**
+ * Wait for a free request slot
+ * @param {string} orgId - Salesforce organization ID
+ * @returns {Function} Releases the slot; call exactly once
+ */
+export async function acquireSlot(orgId) {
+  const state = getState(orgId);
+  
+  if (state.active >= MAX_CONCURRENT_REQUESTS) {
+    await new Promise(resolve => state.waiting.push(resolve));
+  } else {
+    state.active++;
+  }
+  
+  return () => {
+    // Hand the slot straight to the next waiter, or free it
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  };
+}
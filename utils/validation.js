@@ -0,0 +1,155 @@
+/**
+ * Record validation against sObject describe metadata
+ * Catches bad payloads before they cost a Salesforce API call and reports
+ * every problem at once instead of Salesforce's first error.
+ */
+
+const TEXT_TYPES = new Set(['string', 'textarea', 'email', 'phone', 'url', 'encryptedstring', 'combobox']);
+const ID_TYPES = new Set(['id', 'reference']);
+const NUMBER_TYPES = new Set(['double', 'currency', 'percent']);
+const INTEGER_TYPES = new Set(['int', 'long']);
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_VALUE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})$/;
+const EMAIL_VALUE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SALESFORCE_ID = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+/**
+ * Reduce a describe field to the metadata the API exposes and validates against
+ * @param {Object} field - Field from a describe result
+ * @returns {Object} Field summary
+ */
+export function summarizeField(field) {
+  return {
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    required: !field.nillable && !field.defaultedOnCreate,
+    length: field.length,
+    picklistValues: field.picklistValues?.map(v => v.value) || []
+  };
+}
+
+/**
+ * Check whether a string is a 15 or 18 character Salesforce Id
+ * @param {string} value - Candidate Id
+ * @returns {boolean} True if the value has the shape of an Id
+ */
+export function isSalesforceId(value) {
+  return typeof value === 'string' && SALESFORCE_ID.test(value);
+}
+
+/**
+ * Validate one value against a field summary
+ * @returns {string|null} Error message or null if valid
+ */
+function validateValue(summary, value) {
+  if (value === null) {
+    return summary.required ? 'is required and cannot be null' : null;
+  }
+  
+  const { type } = summary;
+  
+  if (TEXT_TYPES.has(type) || ID_TYPES.has(type) || type === 'picklist' || type === 'multipicklist') {
+    if (typeof value !== 'string') {
+      return 'must be a string';
+    }
+    if (summary.length && value.length > summary.length) {
+      return `must be at most ${summary.length} characters`;
+    }
+    if (type === 'email' && !EMAIL_VALUE.test(value)) {
+      return 'must be an email address';
+    }
+    if (ID_TYPES.has(type) && !isSalesforceId(value)) {
+      return 'must be a Salesforce Id';
+    }
+    if (type === 'picklist' && summary.picklistValues.length && !summary.picklistValues.includes(value)) {
+      return `must be one of: ${summary.picklistValues.join(', ')}`;
+    }
+    if (type === 'multipicklist' && summary.picklistValues.length) {
+      const invalid = value.split(';').filter(v => !summary.picklistValues.includes(v));
+      if (invalid.length) {
+        return `contains values not in the picklist: ${invalid.join(', ')}`;
+      }
+    }
+    return null;
+  }
+  
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+  }
+  
+  if (INTEGER_TYPES.has(type)) {
+    return Number.isInteger(value) ? null : 'must be an integer';
+  }
+  
+  if (NUMBER_TYPES.has(type)) {
+    return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+  }
+  
+  if (type === 'date') {
+    return typeof value === 'string' && DATE_VALUE.test(value) && !Number.isNaN(Date.parse(value))
+      ? null
+      : 'must be a date (YYYY-MM-DD)';
+  }
+  
+  if (type === 'datetime') {
+    return typeof value === 'string' && DATETIME_VALUE.test(value) && !Number.isNaN(Date.parse(value))
+      ? null
+      : 'must be an ISO 8601 date-time with time zone';
+  }
+  
+  // Other types (time, location, base64, ...) are left for Salesforce to check
+  return null;
+}
+
+/**
+ * Validate a record payload against an object's describe result
+ * @param {Object} describe - Describe result of the object
+ * @param {Object} data - Field values from the request
+ * @param {string} mode - `create`, `update` or `upsert`
+ * @returns {Array<Object>} Errors as { field, message }; empty when valid
+ */
+export function validateRecord(describe, data, mode) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: null, message: 'Request body must be a JSON object of field values' }];
+  }
+  
+  const fields = new Map(describe.fields.map(field => [field.name, field]));
+  const errors = [];
+  
+  for (const [name, value] of Object.entries(data)) {
+    const field = fields.get(name);
+    
+    if (!field) {
+      errors.push({ field: name, message: `is not a field of ${describe.name}` });
+      continue;
+    }
+    
+    if ((mode === 'create' || mode === 'upsert') && !field.createable) {
+      errors.push({ field: name, message: 'cannot be set on create' });
+      continue;
+    }
+    
+    if ((mode === 'update' || mode === 'upsert') && !field.updateable) {
+      errors.push({ field: name, message: 'cannot be updated' });
+      continue;
+    }
+    
+    const message = validateValue(summarizeField(field), value);
+    if (message) {
+      errors.push({ field: name, message });
+    }
+  }
+  
+  // Required fields only apply when the record is known to be new
+  if (mode === 'create') {
+    for (const field of describe.fields) {
+      if (field.createable && summarizeField(field).required && data[field.name] === undefined) {
+        errors.push({ field: field.name, message: 'is required' });
+      }
+    }
+  }
+  
+  return errors;
+}
@@ -0,0 +1,50 @@
+/**
+ * Postgres-backed PKCE verifier store
+ * Keeps OAuth state across restarts and shares it between replicas, so
+ * /callback can land on a different instance than /auth.
+ * See createMemoryVerifierStore() in utils/pkce.js for the store interface.
+ */
+
+/**
+ * Create a verifier store backed by the oauth_pkce_states table
+ * @param {pg.Pool} pool - Database connection pool
+ * @returns {Object} Verifier store
+ */
+export function createPostgresVerifierStore(pool) {
+  return {
+    async save(state, entry) {
+      await pool.query(
+        `INSERT INTO oauth_pkce_states (state, verifier, metadata, created_at)
+         VALUES ($1, $2, $3, $4)`,
+        [state, entry.verifier, entry.metadata, new Date(entry.createdAt)]
+      );
+    },
+    
+    async take(state) {
+      // DELETE ... RETURNING makes the read and the removal one atomic step,
+      // so a state can only be redeemed once even across replicas
+      const result = await pool.query(
+        'DELETE FROM oauth_pkce_states WHERE state = $1 RETURNING verifier, metadata, created_at',
+        [state]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const row = result.rows[0];
+      return {
+        verifier: row.verifier,
+        metadata: row.metadata,
+        createdAt: row.created_at.getTime()
+      };
+    },
+    
+    async sweep(ttl) {
+      await pool.query(
+        'DELETE FROM oauth_pkce_states WHERE created_at < $1',
+        [new Date(Date.now() - ttl)]
+      );
+    }
+  };
+}
@@ -0,0 +1,551 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { pool } from './db.js';
+import { registerChangeEventHandler } from './changeEvents.js';
+import { generateDataKey, unwrapDataKey, encryptValue, decryptValue, getActiveKeyId } from './utils/encryption.js';
+
+/**
+ * Outbound webhooks for Actabl_Lead__c changes
+ *
+ * Subscriptions register a URL, a signing secret and the event types they
+ * want. Every matching event is written to the webhook_deliveries outbox
+ * first and sent from there, so nothing is lost if the process stops between
+ * seeing a change and delivering it. Failed deliveries are retried with
+ * exponential backoff until they succeed or run out of attempts, at which
+ * point they are dead-lettered and wait for a manual redelivery.
+ *
+ * Endpoints must use https and resolve only to public addresses; the host is
+ * checked when a subscription is registered and again on every connection, so
+ * a hostname cannot be repointed at the internal network later.
+ *
+ * Each request carries:
+ *   X-Webhook-Id         delivery ID (stable across retries, for deduplication)
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+export const WEBHOOK_EVENTS = ['lead.created', 'lead.updated', 'lead.deleted', 'lead.undeleted'];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead', 'failed'];
+
+const CHANGE_TYPE_EVENTS = {
+  CREATE: 'lead.created',
+  UPDATE: 'lead.updated',
+  DELETE: 'lead.deleted',
+  UNDELETE: 'lead.undeleted'
+};
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds, doubled per attempt
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+const DELIVERY_TIMEOUT = 10 * 1000; // 10 seconds
+const DELIVERY_BATCH = 20;
+// Seconds a claimed batch is hidden from other workers: long enough to send every delivery in it
+const DELIVERY_LEASE = DELIVERY_BATCH * DELIVERY_TIMEOUT / 1000 + 60;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges webhooks may not reach
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges; listing
+// ::ffff:0:0/96 itself would block every IPv4 address.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 127, 'ipv6'], // unspecified and ::1
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix, family] of BLOCKED_SUBNETS) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, family);
+}
+const BLOCKED_ADDRESS_ERROR = 'url must not resolve to a loopback, link-local or private address';
+
+/**
+ * Re-encrypt signing secrets wrapped with a rotated-out master key
+ * Safe to run repeatedly.
+ */
+export async function rotateWebhookSecrets() {
+  const activeKeyId = getActiveKeyId();
+  const stale = await pool.query('SELECT * FROM webhook_subscriptions WHERE key_id <> $1', [activeKeyId]);
+  for (const row of stale.rows) {
+    const sealed = encryptSecret(decryptSecret(row));
+    await pool.query(
+      'UPDATE webhook_subscriptions SET secret = $1, key_id = $2, data_key = $3 WHERE id = $4',
+      [sealed.secret, sealed.keyId, sealed.dataKey, row.id]
+    );
+  }
+}
+
+/**
+ * Encrypt a signing secret under a fresh data key
+ */
+function encryptSecret(secret) {
+  const { keyId, dataKey, wrappedKey } = generateDataKey();
+  return { secret: encryptValue(dataKey, secret, 'webhook_secret'), keyId, dataKey: wrappedKey };
+}
+
+/**
+ * Decrypt the signing secret of a webhook_subscriptions row
+ */
+function decryptSecret(row) {
+  return decryptValue(unwrapDataKey(row.key_id, row.data_key), row.secret, 'webhook_secret');
+}
+
+/**
+ * Map a webhook_subscriptions row to a subscription object (without the secret)
+ */
+function rowToSubscription(row) {
+  return {
+    id: row.id,
+    orgId: row.org_id,
+    url: row.url,
+    events: row.events,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Map a webhook_deliveries row to a delivery object
+ */
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    orgId: row.org_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/**
+ * Check whether webhooks may not reach an IP address
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Host of a URL as an IP address, if it is written as one
+ */
+function literalAddress(parsed) {
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(host) ? host : null;
+}
+
+/**
+ * Problem with a webhook URL that shows without resolving its host
+ * @returns {string|null} Problem, or null
+ */
+function urlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute URL';
+  }
+  
+  if (parsed.protocol !== 'https:') {
+    return 'url must use https';
+  }
+  
+  const address = literalAddress(parsed);
+  if ((address && isBlockedAddress(address)) || parsed.hostname === 'localhost' || parsed.hostname.endsWith('.localhost')) {
+    return BLOCKED_ADDRESS_ERROR;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup that fails for blocked addresses
+ * Deliveries connect through it, so the address checked is the one used.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a blocked address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check a subscription definition
+ * @param {Object} definition - { url, events }
+ * @returns {Array<string>} Problems, empty if valid
+ */
+export function validateSubscription({ url, events }) {
+  const problems = [];
+  
+  const problem = urlProblem(url);
+  if (problem) {
+    problems.push(problem);
+  }
+  
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      problems.push('events must be an array');
+    } else {
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        problems.push(`Unknown events: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Resolve the host of a webhook URL and check every address it resolves to
+ * Call after validateSubscription; URLs it rejects are skipped here.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Problem, or null if the host is public
+ */
+export async function checkWebhookHost(url) {
+  if (urlProblem(url)) {
+    return null;
+  }
+  
+  try {
+    const addresses = await dns.promises.lookup(new URL(url).hostname, { all: true });
+    return addresses.some(entry => isBlockedAddress(entry.address)) ? BLOCKED_ADDRESS_ERROR : null;
+  } catch {
+    return 'url host does not resolve';
+  }
+}
+
+/**
+ * Register a webhook subscription
+ * @param {Object} definition - Subscription details
+ * @param {string} definition.url - Endpoint that receives deliveries
+ * @param {string} definition.secret - Signing secret (optional; generated if omitted)
+ * @param {Array<string>} definition.events - Event types to receive (empty for all)
+ * @param {string} definition.orgId - Only receive events from this org (optional)
+ * @returns {Object} Subscription, including the secret this one time
+ */
+export async function createSubscription({ url, secret, events = [], orgId = null }) {
+  const signingSecret = secret || crypto.randomBytes(32).toString('base64url');
+  const sealed = encryptSecret(signingSecret);
+  
+  const result = await pool.query(
+    `INSERT INTO webhook_subscriptions (org_id, url, secret, key_id, data_key, events)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [orgId, url, sealed.secret, sealed.keyId, sealed.dataKey, events]
+  );
+  
+  return { ...rowToSubscription(result.rows[0]), secret: signingSecret };
+}
+
+/**
+ * List webhook subscriptions (without secrets)
+ * @returns {Array<Object>} Subscriptions
+ */
+export async function listSubscriptions() {
+  const result = await pool.query('SELECT * FROM webhook_subscriptions ORDER BY id');
+  return result.rows.map(rowToSubscription);
+}
+
+/**
+ * Delete a webhook subscription and its deliveries
+ * @param {number} id - Subscription ID
+ * @returns {boolean} True if a subscription was deleted
+ */
+export async function deleteSubscription(id) {
+  const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Queue an event for every subscription that wants it
+ * All deliveries are written in one transaction. An event with a replay ID is
+ * queued at most once per subscription, however many subscribers saw it.
+ * @param {string} orgId - Salesforce organization ID the event came from
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} options - { replayId } - replay ID of the change event (optional)
+ * @returns {number} Number of deliveries queued
+ */
+export async function enqueueEvent(orgId, eventType, data, { replayId = null } = {}) {
+  const client = await pool.connect();
+  let queued = 0;
+  
+  try {
+    await client.query('BEGIN');
+    
+    const subscriptions = await client.query(
+      `SELECT id FROM webhook_subscriptions
+       WHERE (org_id IS NULL OR org_id = $1)
+         AND (cardinality(events) = 0 OR $2 = ANY(events))`,
+      [orgId, eventType]
+    );
+    
+    for (const { id } of subscriptions.rows) {
+      const deliveryId = crypto.randomUUID();
+      const payload = { id: deliveryId, type: eventType, orgId, createdAt: new Date().toISOString(), data };
+      
+      const inserted = await client.query(
+        `INSERT INTO webhook_deliveries (id, subscription_id, org_id, event_type, payload, replay_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (subscription_id, org_id, replay_id) DO NOTHING`,
+        [deliveryId, id, orgId, eventType, payload, replayId]
+      );
+      queued += inserted.rowCount;
+    }
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  return queued;
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Subscription signing secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} X-Webhook-Signature header value
+ */
+export function signPayload(secret, body, timestamp) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ * Full jitter spreads retries of a burst of failed deliveries.
+ */
+function retryDelay(attempts) {
+  const ceiling = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Send one claimed delivery and record the outcome
+ */
+async function attemptDelivery(row) {
+  // Subscriptions registered before https and address checks were enforced
+  const problem = urlProblem(row.url);
+  if (problem) {
+    return recordAttempt(row, null, problem);
+  }
+  
+  const body = JSON.stringify(row.payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+  let statusCode = null;
+  // Only the status or a fixed message is stored, never what the receiver sent back
+  let error = null;
+  
+  try {
+    const response = await fetch(row.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'actabl-integration-webhooks',
+        'X-Webhook-Id': row.id,
+        'X-Webhook-Event': row.event_type,
+        'X-Webhook-Signature': signPayload(decryptSecret(row), body, Math.floor(Date.now() / 1000))
+      },
+      body,
+      agent: deliveryAgent,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+    
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    if (requestError.name === 'AbortError') {
+      error = `Timed out after ${DELIVERY_TIMEOUT}ms`;
+    } else if (requestError.code === 'EBLOCKEDADDRESS') {
+      error = BLOCKED_ADDRESS_ERROR;
+    } else {
+      error = `Request failed${requestError.code ? ` (${requestError.code})` : ''}`;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  await recordAttempt(row, statusCode, error);
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * Only applies while the row is as claimed; an outcome that arrives after the
+ * row was recorded or redelivered elsewhere is dropped.
+ */
+async function recordAttempt(row, statusCode, error) {
+  const attempts = row.attempts + 1;
+  
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = $1, last_status_code = $2, last_error = NULL, delivered_at = NOW()
+       WHERE id = $3 AND status = 'pending' AND attempts = $4`,
+      [attempts, statusCode, row.id, row.attempts]
+    );
+    return;
+  }
+  
+  const dead = attempts >= MAX_ATTEMPTS;
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, last_status_code = $3, last_error = $4,
+         next_attempt_at = NOW() + ($5 * INTERVAL '1 millisecond')
+     WHERE id = $6 AND status = 'pending' AND attempts = $7`,
+    [dead ? 'dead' : 'pending', attempts, statusCode, error, dead ? 0 : retryDelay(attempts), row.id, row.attempts]
+  );
+  
+  console.error(`Webhook delivery ${row.id} to ${row.url} failed (attempt ${attempts}${dead ? ', dead-lettered' : ''}): ${error}`);
+}
+
+/**
+ * Claim due deliveries and send them
+ * Claiming pushes next_attempt_at out by a lease, so concurrent workers skip
+ * them, and a worker that dies mid-delivery only delays the retry.
+ * @returns {number} Number of deliveries attempted
+ */
+export async function processDueDeliveries() {
+  const claimed = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + ($1 * INTERVAL '1 second')
+     FROM webhook_subscriptions s
+     WHERE s.id = d.subscription_id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, s.url, s.secret, s.key_id, s.data_key`,
+    [DELIVERY_LEASE, DELIVERY_BATCH]
+  );
+  
+  // Oldest first, so a subscriber sees changes in order where possible
+  const rows = claimed.rows.sort((a, b) => a.created_at - b.created_at);
+  for (const row of rows) {
+    await attemptDelivery(row);
+  }
+  
+  return rows.length;
+}
+
+/**
+ * Send due deliveries on a fixed interval
+ * @param {number} interval - Interval in milliseconds
+ * @returns {Function} Stops the worker
+ */
+export function startWebhookWorker(interval = 5000) {
+  let running = false;
+  
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    
+    try {
+      while (await processDueDeliveries() === DELIVERY_BATCH) {
+        // Keep going while there is a backlog
+      }
+    } catch (error) {
+      console.error('Webhook worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * List deliveries, newest first
+ * Status `failed` matches dead-lettered deliveries and pending ones that have
+ * failed at least once.
+ * @param {Object} options - { status, subscriptionId, limit }
+ * @returns {Array<Object>} Deliveries
+ */
+export async function listDeliveries({ status = null, subscriptionId = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE ($1::text IS NULL OR status = $1
+            OR ($1 = 'failed' AND (status = 'dead' OR (status = 'pending' AND attempts > 0))))
+       AND ($2::integer IS NULL OR subscription_id = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [status, subscriptionId, limit]
+  );
+  return result.rows.map(rowToDelivery);
+}
+
+/**
+ * Queue a delivery to be sent again with a fresh set of attempts
+ * Only dead-lettered deliveries and pending ones that have failed can be redelivered.
+ * @param {string} id - Delivery ID
+ * @returns {Object|null} Updated delivery or null if not found or not failed
+ */
+export async function redeliver(id) {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+     WHERE id = $1 AND (status = 'dead' OR (status = 'pending' AND attempts > 0))
+     RETURNING *`,
+    [id]
+  );
+  return result.rows.length ? rowToDelivery(result.rows[0]) : null;
+}
+
+// Turn Actabl_Lead__c change events into webhook events; a failed enqueue
+// leaves the replay ID unsaved, so the event is replayed rather than lost
+registerChangeEventHandler(async ({ orgId, replayId, header, fields }) => {
+  // Gap and overflow events carry no field values; the mirror sync covers them
+  if (!Object.hasOwn(CHANGE_TYPE_EVENTS, header?.changeType ?? '')) {
+    return;
+  }
+  
+  const eventType = CHANGE_TYPE_EVENTS[header.changeType];
+  
+  await enqueueEvent(orgId, eventType, {
+    recordIds: header.recordIds,
+    changedFields: header.changedFields || [],
+    commitTimestamp: header.commitTimestamp ? new Date(header.commitTimestamp).toISOString() : null,
+    commitUser: header.commitUser || null,
+    fields
+  }, { replayId });
+}, { required: true });
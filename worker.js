@@ -0,0 +1,54 @@
+import 'dotenv/config';
+import { pool } from './db.js';
+import { migrate, assertSchemaCurrent } from './migrate.js';
+import { startJobWorker } from './jobs.js';
+// Modules that register job handlers
+import './sync.js';
+import './matching.js';
+import './schema.js';
+
+/**
+ * Background job worker (the `worker` process in the Procfile)
+ *
+ * Runs queued jobs and enqueues scheduled ones; see jobs.js. Run as many
+ * workers as the load needs: they share the queue through Postgres.
+ */
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+/**
+ * Start worker
+ */
+async function startWorker() {
+  try {
+    // Same schema handling as the web process; the migration lock keeps them from racing
+    if (process.env.MIGRATE_ON_START === 'false') {
+      await assertSchemaCurrent();
+    } else {
+      await migrate();
+    }
+    
+    const stop = startJobWorker({ concurrency: CONCURRENCY });
+    
+    // Finish running jobs before exiting; the platform sends SIGTERM on deploys and restarts
+    let stopping = false;
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, async () => {
+        if (stopping) {
+          return;
+        }
+        stopping = true;
+        
+        console.log(`${signal} received, waiting for running jobs...`);
+        await stop();
+        await pool.end();
+        process.exit(0);
+      });
+    }
+  } catch (error) {
+    console.error('Failed to start worker:', error);
+    process.exit(1);
+  }
+}
+
+startWorker();